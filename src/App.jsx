@@ -3,13 +3,21 @@ import { RouterProvider } from "react-router-dom";
 import { QueryClient, QueryClientProvider } from "@tanstack/react-query";
 import { router } from "./Routing/AppRouting/AppRouting";
 import AuthProvider from "./context/AuthContext";
+import { buildLoginPath } from "./Routing/returnTo";
 
 const queryClient = new QueryClient();
 
+function redirectToLogin() {
+  const { location } = router.state;
+  if (location.pathname.startsWith("/auth")) return;
+
+  router.navigate(buildLoginPath(location), { replace: true });
+}
+
 export default function App() {
   return (
     <QueryClientProvider client={queryClient}>
-      <AuthProvider>
+      <AuthProvider onSessionExpired={redirectToLogin}>
         <RouterProvider router={router} />
       </AuthProvider>
     </QueryClientProvider>
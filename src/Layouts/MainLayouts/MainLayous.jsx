@@ -2,11 +2,15 @@ import React from 'react'
 import Navbar from './../../components/Layout/Navbar/Navbar';
 import { Outlet } from 'react-router';
 import PageTitle from "../../components/Seo/PageTitle";
+import SessionExpiryPrompt from "../../components/Auth/SessionExpiryPrompt";
+import ScheduledPostsRunner from "../../components/Posts/ScheduledPostsRunner";
 
 export default function MainLayous() {
   return (
     <>
     <PageTitle />
+    <SessionExpiryPrompt />
+    <ScheduledPostsRunner />
     <Navbar/>
     <Outlet/>
     </>
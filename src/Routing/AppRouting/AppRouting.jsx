@@ -6,11 +6,14 @@ import Notfound from "./../../pages/Notfound/Notfound";
 import AuthLayouts from "./../../Layouts/AuthLayouts/AuthLayouts";
 import Login from "./../../pages/Auth/Login/Login";
 import Register from "./../../pages/Auth/Register/Register";
+import ForgotPassword from "./../../pages/Auth/ForgotPassword/ForgotPassword";
+import ResetPassword from "./../../pages/Auth/ResetPassword/ResetPassword";
 import ProtectedRoutes from "../ProtectedRoutes/ProtectedRoutes";
 import ProtectedAuthRoutes from "../ProtectedRoutes/ProtectedAuthRoutes";
 import PostDetails from './../../pages/PostDetails/PostDetails';
 import Notifications from "./../../pages/Notifications/Notifications";
 import Setting from "../../pages/Setting/Setting";
+import Hashtag from "../../pages/Hashtag/Hashtag";
 
 export const router = createBrowserRouter([
   {
@@ -65,6 +68,14 @@ export const router = createBrowserRouter([
           </ProtectedRoutes>
         ),
       },
+      {
+        path: "hashtag/:tag",
+        element: (
+          <ProtectedRoutes>
+            <Hashtag />
+          </ProtectedRoutes>
+        ),
+      },
       {
         path: "*",
         element: (
@@ -96,6 +107,22 @@ export const router = createBrowserRouter([
           </ProtectedAuthRoutes>
         ),
       },
+      {
+        path: "forgot-password",
+        element: (
+          <ProtectedAuthRoutes>
+            <ForgotPassword />
+          </ProtectedAuthRoutes>
+        ),
+      },
+      {
+        path: "reset-password",
+        element: (
+          <ProtectedAuthRoutes>
+            <ResetPassword />
+          </ProtectedAuthRoutes>
+        ),
+      },
     ],
   },
 ]);
@@ -1,8 +1,11 @@
-import React from 'react'
-import { Navigate } from 'react-router-dom';
+import React, { useContext } from 'react'
+import { Navigate, useSearchParams } from 'react-router-dom';
+import { AuthContext } from '../../context/AuthContext';
+import { getSafeReturnPath } from '../returnTo';
 
 export default function ProtectedAuthRoutes({children}) {
-    const token = localStorage.getItem("User_Token")
-    if(!token) return children
- return <Navigate to={"/"} />
+    const [searchParams] = useSearchParams()
+    const { userToken } = useContext(AuthContext)
+    if(!userToken || searchParams.get("addAccount") === "1") return children
+ return <Navigate to={getSafeReturnPath(searchParams.get("returnTo"))} replace />
 }
@@ -1,8 +1,11 @@
-import React from 'react'
-import { Navigate } from 'react-router-dom'
+import React, { useContext } from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import { AuthContext } from '../../context/AuthContext'
+import { buildLoginPath } from '../returnTo'
 
 export default function ProtectedRoutes({children}) {
-    const token = localStorage.getItem("User_Token")
-    if(token) return children
-  return <Navigate to ={"/auth/login"} />
+    const location = useLocation()
+    const { userToken } = useContext(AuthContext)
+    if(userToken) return children
+  return <Navigate to ={buildLoginPath(location)} replace />
 }
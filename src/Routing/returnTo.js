@@ -0,0 +1,38 @@
+const DEFAULT_RETURN_PATH = "/";
+const LOGIN_PATH = "/auth/login";
+
+/**
+ * Returns `value` when it is a same-origin, non-auth path (e.g. from a
+ * `returnTo` query param); otherwise `fallback`. Protects against open
+ * redirects such as `//evil.com` or `https://evil.com`.
+ */
+export function getSafeReturnPath(value, fallback = DEFAULT_RETURN_PATH) {
+  if (typeof value !== "string") return fallback;
+
+  const trimmed = value.trim();
+  if (!trimmed.startsWith("/") || trimmed.startsWith("//") || trimmed.includes("\\")) {
+    return fallback;
+  }
+
+  try {
+    const url = new URL(trimmed, window.location.origin);
+    if (url.origin !== window.location.origin) return fallback;
+    if (url.pathname === "/auth" || url.pathname.startsWith("/auth/")) return fallback;
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch {
+    return fallback;
+  }
+}
+
+export function withReturnTo(path, returnTo) {
+  const safeReturnTo = getSafeReturnPath(returnTo, null);
+  if (!safeReturnTo || safeReturnTo === DEFAULT_RETURN_PATH) return path;
+
+  const separator = path.includes("?") ? "&" : "?";
+  return `${path}${separator}returnTo=${encodeURIComponent(safeReturnTo)}`;
+}
+
+export function buildLoginPath(location) {
+  const { pathname = "/", search = "", hash = "" } = location || {};
+  return withReturnTo(LOGIN_PATH, `${pathname}${search}${hash}`);
+}
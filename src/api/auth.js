@@ -0,0 +1,41 @@
+import { apiRequest } from "./client";
+
+export function signIn({ email, password }) {
+  return apiRequest({
+    method: "POST",
+    url: "/users/signin",
+    data: { email, password },
+  });
+}
+
+export function signUp(payload) {
+  return apiRequest({
+    method: "POST",
+    url: "/users/signup",
+    data: payload,
+  });
+}
+
+export function requestPasswordReset({ email }) {
+  return apiRequest({
+    method: "POST",
+    url: "/users/forgot-password",
+    data: { email },
+  });
+}
+
+export function verifyResetCode({ email, code }) {
+  return apiRequest({
+    method: "POST",
+    url: "/users/verify-reset-code",
+    data: { email, code },
+  });
+}
+
+export function resetPassword({ email, code, newPassword }) {
+  return apiRequest({
+    method: "PATCH",
+    url: "/users/reset-password",
+    data: { email, code, newPassword },
+  });
+}
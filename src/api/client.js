@@ -0,0 +1,129 @@
+import axios from "axios";
+
+const DEFAULT_API_BASE_URL = "https://route-posts.routemisr.com";
+
+export const API_BASE_URL = (
+  import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL
+).replace(/\/+$/, "");
+
+const USE_MOCK_API = import.meta.env.VITE_USE_MOCK_API === "true";
+
+async function mockApiAdapter(config) {
+  const { default: mockAdapter } = await import("../mocks/adapter");
+  return mockAdapter(config);
+}
+
+export const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  ...(USE_MOCK_API ? { adapter: mockApiAdapter } : {}),
+});
+
+const unauthorizedListeners = new Set();
+
+/**
+ * Registers a callback for 401 responses to authenticated requests. The
+ * callback receives the token the request was sent with.
+ * @returns {() => void} unsubscribe
+ */
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener);
+  return () => unauthorizedListeners.delete(listener);
+}
+
+apiClient.interceptors.response.use(undefined, (error) => {
+  const requestToken = error?.config?.headers?.token;
+  if (error?.response?.status === 401 && requestToken) {
+    unauthorizedListeners.forEach((listener) => listener({ token: requestToken, error }));
+  }
+  return Promise.reject(error);
+});
+
+/**
+ * Error thrown by every API call. `status` and `data` mirror the HTTP response
+ * (null for network failures); `response` keeps axios-style access working.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, cause = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.data = data;
+    this.cause = cause;
+    this.response = status ? { status, data } : undefined;
+  }
+}
+
+export function getResponseMessage(responseData, fallbackMessage = "") {
+  return (
+    responseData?.message ||
+    responseData?.error ||
+    responseData?.errors?.[0]?.msg ||
+    responseData?.data?.message ||
+    fallbackMessage
+  );
+}
+
+export function extractApiMessage(error, fallbackMessage) {
+  return (
+    getResponseMessage(error?.response?.data) ||
+    error?.message ||
+    fallbackMessage
+  );
+}
+
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  const status = error?.response?.status ?? null;
+  const data = error?.response?.data ?? null;
+  const message = getResponseMessage(data) || error?.message || "Request failed.";
+
+  return new ApiError(message, { status, data, cause: error });
+}
+
+function buildAuthHeaders(token) {
+  if (!token) return {};
+  return {
+    token,
+    Authorization: `Bearer ${token}`,
+  };
+}
+
+/**
+ * @param {import("axios").AxiosRequestConfig & { token?: string | null }} config
+ * @returns {Promise<import("axios").AxiosResponse>}
+ */
+export async function apiRequest({ token, headers, ...config }) {
+  try {
+    return await apiClient.request({
+      ...config,
+      headers: {
+        ...buildAuthHeaders(token),
+        ...headers,
+      },
+    });
+  } catch (error) {
+    throw toApiError(error);
+  }
+}
+
+export async function apiRequestWithFallbacks(token, attempts, { resolveNotFound } = {}) {
+  let lastError = null;
+
+  for (const requestOptions of attempts) {
+    try {
+      return await apiRequest({ ...requestOptions, token });
+    } catch (error) {
+      const status = error?.status;
+      lastError = error;
+      if (status === 404 && resolveNotFound) {
+        return resolveNotFound(error);
+      }
+      if (status && status !== 404 && status !== 405) {
+        throw error;
+      }
+    }
+  }
+
+  throw lastError || new ApiError("Request failed.");
+}
@@ -0,0 +1,76 @@
+import { apiRequest } from "./client";
+import { ARE_REACTIONS_SUPPORTED } from "../utils/reactions";
+
+export function fetchComments(token, postId, params) {
+  return apiRequest({ method: "GET", url: `/posts/${postId}/comments`, token, params });
+}
+
+export function createComment(token, postId, content) {
+  return apiRequest({
+    method: "POST",
+    url: `/posts/${postId}/comments`,
+    token,
+    data: { content },
+  });
+}
+
+export function updateComment(token, postId, commentId, content) {
+  return apiRequest({
+    method: "PUT",
+    url: `/posts/${postId}/comments/${commentId}`,
+    token,
+    data: { content },
+  });
+}
+
+export function deleteComment(token, postId, commentId) {
+  return apiRequest({
+    method: "DELETE",
+    url: `/posts/${postId}/comments/${commentId}`,
+    token,
+  });
+}
+
+function requestCommentLike(token, postId, commentId, reaction) {
+  return apiRequest({
+    method: "PUT",
+    url: `/posts/${postId}/comments/${commentId}/like`,
+    token,
+    ...(reaction && ARE_REACTIONS_SUPPORTED
+      ? { headers: { "Content-Type": "application/json" }, data: { reaction } }
+      : {}),
+  });
+}
+
+/** Switching reactions is a remove followed by an add, like `togglePostLike`. */
+export async function toggleCommentLike(token, postId, commentId, reaction, currentReaction) {
+  if (!currentReaction || !reaction || reaction === currentReaction) {
+    return requestCommentLike(token, postId, commentId, reaction);
+  }
+
+  await requestCommentLike(token, postId, commentId);
+  try {
+    return await requestCommentLike(token, postId, commentId, reaction);
+  } catch (error) {
+    error.isReactionRemoved = true;
+    throw error;
+  }
+}
+
+export function fetchReplies(token, postId, commentId, params) {
+  return apiRequest({
+    method: "GET",
+    url: `/posts/${postId}/comments/${commentId}/replies`,
+    token,
+    params,
+  });
+}
+
+export function createReply(token, postId, commentId, content) {
+  return apiRequest({
+    method: "POST",
+    url: `/posts/${postId}/comments/${commentId}/replies`,
+    token,
+    data: { content },
+  });
+}
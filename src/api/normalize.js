@@ -0,0 +1,923 @@
+import { z } from "zod";
+import { normalizePostPrivacy } from "../utils/postPrivacy";
+import {
+  DEFAULT_REACTION,
+  REACTION_TYPES,
+  applyReaction,
+  moveReaction,
+  toReactionType,
+} from "../utils/reactions";
+
+/**
+ * Canonical models shared by every query. Raw API fields are kept alongside the
+ * canonical ones so components can still read backend-specific extras.
+ *
+ * @typedef {{ type: "image" | "gif" | "video", url: string, alt: string,
+ *   poster: string | null }} Media
+ * @typedef {{ _id: string | null, id: string | null, name: string, username: string,
+ *   email: string, photo: string, cover: string, followersCount: number,
+ *   followingCount: number, isFollowing: boolean }} User
+ * @typedef {{ _id: string | null, id: string | null, content: string, author: User | null,
+ *   authorId: string | null, createdAt: string | null, image: string | null,
+ *   likesCount: number, repliesCount: number, isLiked: boolean,
+ *   viewerReaction: ReactionType | null, reactionCounts: ReactionCounts }} Comment
+ * @typedef {{ _id: string | null, id: string | null, body: string, user: User | null,
+ *   ownerId: string | null, createdAt: string | null, media: Media[], image: string | null,
+ *   privacy: "public" | "following" | "only_me" | null,
+ *   likesCount: number, commentsCount: number, sharesCount: number, isLiked: boolean,
+ *   viewerReaction: ReactionType | null, reactionCounts: ReactionCounts,
+ *   isBookmarked: boolean, isOwner: boolean, comments: Comment[],
+ *   topComment: Comment | null, sharedPost: Post | null,
+ *   isSharedPostUnavailable: boolean }} Post
+ * @typedef {import("../utils/reactions").ReactionType} ReactionType
+ * @typedef {import("../utils/reactions").ReactionCounts} ReactionCounts
+ * @typedef {{ id: string, actorName: string, actorId: string | null, actorPhoto: string,
+ *   content: string, type: string, isRead: boolean, createdAt: string | null }} Notification
+ */
+
+const MAX_SHARED_POST_DEPTH = 2;
+
+const idSchema = z.string().min(1).nullable();
+const countSchema = z.number().int().nonnegative();
+const reactionTypeSchema = z.enum(REACTION_TYPES);
+const reactionCountsSchema = z.partialRecord(reactionTypeSchema, countSchema);
+
+const mediaSchema = z.object({
+  type: z.enum(["image", "gif", "video"]),
+  url: z.string().min(1),
+  alt: z.string(),
+  poster: z.string().nullable(),
+});
+
+const VIDEO_URL_PATTERN = /\.(mp4|webm|mov|m4v)(\?|#|$)/i;
+const GIF_URL_PATTERN = /\.gif(\?|#|$)/i;
+
+const userSchema = z.looseObject({
+  _id: idSchema,
+  id: idSchema,
+  name: z.string(),
+  username: z.string(),
+  email: z.string(),
+  photo: z.string(),
+  cover: z.string(),
+  followersCount: countSchema,
+  followingCount: countSchema,
+  isFollowing: z.boolean(),
+});
+
+const commentSchema = z.looseObject({
+  _id: idSchema,
+  id: idSchema,
+  content: z.string(),
+  author: userSchema.nullable(),
+  authorId: idSchema,
+  createdAt: z.string().nullable(),
+  image: z.string().nullable(),
+  likesCount: countSchema,
+  repliesCount: countSchema,
+  isLiked: z.boolean(),
+  viewerReaction: reactionTypeSchema.nullable(),
+  reactionCounts: reactionCountsSchema,
+});
+
+const postSchema = z.looseObject({
+  _id: idSchema,
+  id: idSchema,
+  body: z.string(),
+  user: userSchema.nullable(),
+  ownerId: idSchema,
+  createdAt: z.string().nullable(),
+  media: z.array(mediaSchema),
+  image: z.string().nullable(),
+  privacy: z.enum(["public", "following", "only_me"]).nullable(),
+  likesCount: countSchema,
+  commentsCount: countSchema,
+  sharesCount: countSchema,
+  isLiked: z.boolean(),
+  viewerReaction: reactionTypeSchema.nullable(),
+  reactionCounts: reactionCountsSchema,
+  isBookmarked: z.boolean(),
+  isOwner: z.boolean(),
+  comments: z.array(commentSchema),
+  topComment: commentSchema.nullable(),
+  get sharedPost() {
+    return postSchema.nullable();
+  },
+  isSharedPostUnavailable: z.boolean(),
+});
+
+const notificationSchema = z.object({
+  id: z.string(),
+  actorName: z.string(),
+  actorId: idSchema,
+  actorPhoto: z.string(),
+  content: z.string(),
+  type: z.string(),
+  isRead: z.boolean(),
+  createdAt: z.string().nullable(),
+});
+
+const reportedShapes = new Set();
+
+function describeShape(value) {
+  if (Array.isArray(value)) return "array";
+  if (!isPlainObject(value)) return typeof value;
+  return Object.keys(value).sort().join(",");
+}
+
+function reportUnknownShape(kind, raw, issues) {
+  if (!import.meta.env.DEV) return;
+
+  const signature = `${kind}:${describeShape(raw)}`;
+  if (reportedShapes.has(signature)) return;
+  reportedShapes.add(signature);
+
+  console.warn(`[normalize] Unrecognized ${kind} shape`, { raw, issues });
+}
+
+function parseWithSchema(kind, schema, candidate, raw) {
+  const parsed = schema.safeParse(candidate);
+  if (parsed.success) return parsed.data;
+
+  reportUnknownShape(kind, raw, parsed.error.issues);
+  return null;
+}
+
+export function isPlainObject(value) {
+  return Boolean(value && typeof value === "object" && !Array.isArray(value));
+}
+
+export function getEntityId(entity) {
+  if (typeof entity === "string") {
+    const trimmed = entity.trim();
+    return trimmed || null;
+  }
+  if (typeof entity === "number" && Number.isFinite(entity)) {
+    return String(entity);
+  }
+  const id = entity?._id || entity?.id || entity?.userId || null;
+  return id === null ? null : String(id);
+}
+
+export function getCount(value) {
+  if (Array.isArray(value)) return value.length;
+  const parsed = Number(value);
+  if (value !== null && value !== "" && Number.isFinite(parsed) && parsed >= 0) {
+    return Math.floor(parsed);
+  }
+  return 0;
+}
+
+export function parseBooleanLike(value) {
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number" && Number.isFinite(value)) return value > 0;
+  if (typeof value !== "string") return null;
+
+  const normalized = value.trim().toLowerCase();
+  if (!normalized) return null;
+  if (
+    ["true", "yes", "1", "saved", "bookmarked", "followed", "following"].includes(normalized)
+  ) {
+    return true;
+  }
+  if (
+    ["false", "no", "0", "unsaved", "unbookmarked", "unfollowed", "not-following"].includes(
+      normalized
+    )
+  ) {
+    return false;
+  }
+  return null;
+}
+
+function getFirstBoolean(candidates, fallbackValue = false) {
+  for (const value of candidates) {
+    const parsed = parseBooleanLike(value);
+    if (parsed !== null) return parsed;
+  }
+  return fallbackValue;
+}
+
+function getTrimmedString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function getDateString(...candidates) {
+  for (const value of candidates) {
+    if (typeof value === "string" && value) return value;
+    if (value instanceof Date && !Number.isNaN(value.getTime())) return value.toISOString();
+  }
+  return null;
+}
+
+function getMediaUrl(candidate) {
+  if (typeof candidate === "string") return getTrimmedString(candidate) || null;
+  if (isPlainObject(candidate)) {
+    return getTrimmedString(candidate.url || candidate.secure_url || candidate.src) || null;
+  }
+  return null;
+}
+
+function unwrapUserRecord(candidate) {
+  if (!isPlainObject(candidate)) return null;
+
+  const possibilities = [
+    candidate,
+    candidate?.user,
+    candidate?.profile,
+    candidate?.author,
+    candidate?.suggestedUser,
+    candidate?.account,
+    candidate?.toUser,
+    candidate?.fromUser,
+  ];
+
+  for (const item of possibilities) {
+    if (!isPlainObject(item)) continue;
+    if (
+      getEntityId(item) ||
+      item?.name ||
+      item?.username ||
+      item?.email ||
+      item?.photo ||
+      item?.avatar
+    ) {
+      return item;
+    }
+  }
+
+  return null;
+}
+
+/** @returns {User | null} */
+export function normalizeUser(raw) {
+  const user = unwrapUserRecord(raw);
+  if (!user) {
+    if (raw !== null && raw !== undefined && typeof raw !== "string") {
+      reportUnknownShape("user", raw);
+    }
+    return null;
+  }
+
+  const id = getEntityId(user);
+  const username = getTrimmedString(user?.username).replace(/^@/, "");
+
+  return parseWithSchema(
+    "user",
+    userSchema,
+    {
+      ...user,
+      _id: id,
+      id,
+      name: getTrimmedString(user?.name),
+      username,
+      email: getTrimmedString(user?.email),
+      photo: getTrimmedString(user?.photo || user?.avatar),
+      cover: getTrimmedString(
+        user?.coverPhoto || user?.cover || user?.coverImage || user?.backgroundImage
+      ),
+      followersCount:
+        getCount(user?.followersCount) ||
+        getCount(user?.followersTotal) ||
+        getCount(user?.totalFollowers) ||
+        getCount(user?.followers) ||
+        getCount(raw?.followersCount),
+      followingCount:
+        getCount(user?.followingCount) ||
+        getCount(user?.followingTotal) ||
+        getCount(user?.following),
+      isFollowing: getFirstBoolean([
+        raw?.isFollowing,
+        raw?.isFollowed,
+        raw?.followedByMe,
+        raw?.followedByCurrentUser,
+        raw?.relationship?.isFollowing,
+        raw?.relationship?.isFollowed,
+        raw?.relationship?.followedByMe,
+        user?.isFollowing,
+        user?.isFollowed,
+        user?.followedByMe,
+        user?.followedByCurrentUser,
+        user?.relationship?.isFollowing,
+        user?.relationship?.isFollowed,
+        user?.relationship?.followedByMe,
+      ]),
+    },
+    raw
+  );
+}
+
+/** Accepts `{ love: 2 }` maps or `[{ type: "love", count: 2 }]` lists; null when absent. */
+function getReactionCounts(raw) {
+  const source = [raw?.reactionCounts, raw?.reactionsSummary, raw?.reactionSummary, raw?.reactions]
+    .find((candidate) => isPlainObject(candidate) || Array.isArray(candidate));
+  if (!source) return null;
+
+  const entries = Array.isArray(source)
+    ? source.map((item) => [item?.type ?? item?.reaction, item?.count ?? item?.total])
+    : Object.entries(source);
+  const counts = {};
+  for (const [type, value] of entries) {
+    const reactionType = toReactionType(type);
+    const count = getCount(value);
+    if (reactionType && count > 0) counts[reactionType] = (counts[reactionType] || 0) + count;
+  }
+  return counts;
+}
+
+/** Reaction fields for posts and comments; a plain like counts as the "like" reaction. */
+function getReactionFields(raw, isLiked, likesCount) {
+  const viewerReaction =
+    toReactionType(raw?.viewerReaction ?? raw?.myReaction ?? raw?.reaction) ||
+    (isLiked ? DEFAULT_REACTION : null);
+  const counts = getReactionCounts(raw);
+
+  return {
+    isLiked: isLiked || Boolean(viewerReaction),
+    viewerReaction,
+    reactionCounts:
+      counts && Object.keys(counts).length > 0
+        ? counts
+        : likesCount > 0
+          ? { [viewerReaction || DEFAULT_REACTION]: likesCount }
+          : {},
+  };
+}
+
+/** @returns {Comment | null} */
+export function normalizeComment(raw) {
+  if (!isPlainObject(raw)) {
+    if (raw !== null && raw !== undefined) reportUnknownShape("comment", raw);
+    return null;
+  }
+
+  const rawAuthor =
+    raw?.replyCreator || raw?.commentCreator || raw?.user || raw?.creator || raw?.author;
+  const author = isPlainObject(rawAuthor) ? normalizeUser(rawAuthor) : null;
+  const id = getEntityId(raw?._id || raw?.id);
+  const likesCount = getCount(raw?.likesCount) || getCount(raw?.likes);
+
+  return parseWithSchema(
+    "comment",
+    commentSchema,
+    {
+      ...raw,
+      _id: id,
+      id,
+      content: typeof (raw?.content ?? raw?.body) === "string" ? raw?.content ?? raw?.body : "",
+      author,
+      authorId:
+        getEntityId(author) || (typeof rawAuthor === "string" ? getEntityId(rawAuthor) : null),
+      createdAt: getDateString(raw?.createdAt, raw?.updatedAt),
+      image: getMediaUrl(
+        raw?.image || raw?.commentImage || raw?.replyImage || raw?.media || raw?.attachment
+      ),
+      likesCount,
+      repliesCount: getCount(raw?.repliesCount) || getCount(raw?.replies),
+      ...getReactionFields(raw, Boolean(raw?.isLiked || raw?.likedByMe), likesCount),
+    },
+    raw
+  );
+}
+
+function looksLikePost(candidate) {
+  if (!isPlainObject(candidate)) return false;
+
+  return Boolean(
+    getEntityId(candidate?._id || candidate?.id) ||
+      candidate?.body ||
+      candidate?.image ||
+      candidate?.video ||
+      (Array.isArray(candidate?.images) && candidate.images.length > 0) ||
+      candidate?.createdAt ||
+      candidate?.user ||
+      candidate?.author
+  );
+}
+
+function getPostBody(post) {
+  if (typeof post?.body !== "string") return "";
+  if (post.body === "undefined") return "";
+  return post.body;
+}
+
+function getMediaType(candidate, url, isVideoField) {
+  const declaredType = getTrimmedString(
+    candidate?.type || candidate?.mimeType || candidate?.resource_type
+  ).toLowerCase();
+
+  if (isVideoField || declaredType.startsWith("video") || VIDEO_URL_PATTERN.test(url)) {
+    return "video";
+  }
+  if (declaredType === "gif" || declaredType === "image/gif" || GIF_URL_PATTERN.test(url)) {
+    return "gif";
+  }
+  return "image";
+}
+
+function getPostMedia(post) {
+  const candidates = [
+    post?.image,
+    ...(Array.isArray(post?.images) ? post.images : []),
+    ...(Array.isArray(post?.media) ? post.media : []),
+  ].map((candidate) => ({ candidate, isVideoField: false }));
+  const videoCandidates = [post?.video, ...(Array.isArray(post?.videos) ? post.videos : [])];
+  videoCandidates.forEach((candidate) => candidates.push({ candidate, isVideoField: true }));
+
+  const media = [];
+
+  for (const { candidate, isVideoField } of candidates) {
+    const url = getMediaUrl(candidate);
+    if (!url) continue;
+
+    const alt = getTrimmedString(candidate?.alt || candidate?.altText || candidate?.description);
+    const existing = media.find((item) => item.url === url);
+    if (existing) {
+      // `image` is often a bare URL that repeats the first, described entry of `images`.
+      existing.alt ||= alt;
+      continue;
+    }
+    media.push({
+      type: getMediaType(candidate, url, isVideoField),
+      url,
+      alt,
+      poster: getMediaUrl(candidate?.poster || candidate?.thumbnail) || null,
+    });
+  }
+
+  return media;
+}
+
+function findSharedSourcePost(post) {
+  const explicitCandidates = [
+    post?.sharedPost,
+    post?.originalPost,
+    post?.repostOf,
+    post?.sourcePost,
+    post?.parentPost,
+    post?.shared?.post,
+    post?.share?.post,
+    post?.shareData?.post,
+  ];
+
+  for (const candidate of explicitCandidates) {
+    if (looksLikePost(candidate)) return candidate;
+  }
+
+  const currentPostId = getEntityId(post?._id || post?.id);
+  const fallbackCandidates = [post?.post, post?.postData, post?.postId];
+  for (const candidate of fallbackCandidates) {
+    if (!looksLikePost(candidate)) continue;
+
+    const nestedId = getEntityId(candidate?._id || candidate?.id);
+    if (!nestedId || !currentPostId || nestedId !== currentPostId) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/** True when the post is a share whose original was deleted or is hidden from the viewer. */
+function referencesMissingSharedPost(post) {
+  const flags = [post?.isSharedPostDeleted, post?.sharedPostDeleted, post?.originalDeleted];
+  if (flags.some((flag) => parseBooleanLike(flag) === true)) return true;
+
+  return [
+    post?.sharedPostId,
+    post?.originalPostId,
+    post?.sharedPost,
+    post?.originalPost,
+    post?.repostOf,
+  ].some((candidate) => typeof candidate === "string" && Boolean(getEntityId(candidate)));
+}
+
+/** @returns {Post | null} */
+export function normalizePost(raw, depth = 0) {
+  if (!looksLikePost(raw)) {
+    if (raw !== null && raw !== undefined) reportUnknownShape("post", raw);
+    return null;
+  }
+
+  const author =
+    [raw?.user, raw?.createdBy, raw?.author, raw?.owner]
+      .filter(isPlainObject)
+      .map((candidate) => normalizeUser(candidate))
+      .find(Boolean) || null;
+  const id = getEntityId(raw?._id || raw?.id);
+  const ownerId =
+    getEntityId(author) ||
+    getEntityId(raw?.createdBy) ||
+    getEntityId(raw?.owner) ||
+    getEntityId(raw?.creator) ||
+    (typeof raw?.user === "string" ? getEntityId(raw.user) : null);
+  const comments = (Array.isArray(raw?.comments) ? raw.comments : [])
+    .map(normalizeComment)
+    .filter(Boolean);
+  const media = getPostMedia(raw);
+  const likesCount = getCount(raw?.likesCount) || getCount(raw?.likes);
+  const canEmbedShared = depth < MAX_SHARED_POST_DEPTH;
+  const sharedSource = canEmbedShared ? findSharedSourcePost(raw) : null;
+
+  return parseWithSchema(
+    "post",
+    postSchema,
+    {
+      ...raw,
+      _id: id,
+      id,
+      body: getPostBody(raw),
+      user: author,
+      ownerId,
+      createdAt: getDateString(raw?.createdAt, raw?.updatedAt),
+      media,
+      image: media[0]?.url || null,
+      privacy: normalizePostPrivacy(raw?.privacy ?? raw?.visibility),
+      likesCount,
+      commentsCount: getCount(raw?.commentsCount) || comments.length,
+      sharesCount: getCount(raw?.sharesCount) || getCount(raw?.shares),
+      ...getReactionFields(raw, Boolean(raw?.isLiked || raw?.likedByMe), likesCount),
+      isBookmarked: getFirstBoolean([
+        raw?.__isBookmarked,
+        raw?.isBookmarked,
+        raw?.bookmarkedByMe,
+        raw?.savedByMe,
+        raw?.isSaved,
+        raw?.saved,
+        raw?.bookmark,
+        raw?.meta?.isBookmarked,
+        raw?.meta?.savedByMe,
+      ]),
+      isOwner: [raw?.isOwner, raw?.isMine, raw?.ownedByMe, raw?.canEdit, raw?.canDelete].some(
+        (flag) => parseBooleanLike(flag) === true
+      ),
+      comments,
+      topComment: normalizeComment(raw?.topComment) || comments[0] || null,
+      sharedPost: sharedSource ? normalizePost(sharedSource, depth + 1) : null,
+      isSharedPostUnavailable: canEmbedShared && !sharedSource && referencesMissingSharedPost(raw),
+    },
+    raw
+  );
+}
+
+function getNotificationFallbackContent(type) {
+  if (type.includes("mention")) return "mentioned you";
+  if (type.includes("comment")) return "commented on your post";
+  if (type.includes("like")) return "liked your post";
+  if (type.includes("share")) return "shared your post";
+  if (type.includes("follow")) return "started following you";
+  return "sent you a notification";
+}
+
+/** @returns {Notification | null} */
+export function normalizeNotification(raw) {
+  if (!isPlainObject(raw)) {
+    if (raw !== null && raw !== undefined) reportUnknownShape("notification", raw);
+    return null;
+  }
+
+  const actor = normalizeUser(
+    raw?.fromUser || raw?.sender || raw?.user || raw?.actor || raw?.createdBy || null
+  );
+  const type = String(raw?.type || raw?.action || raw?.event || "").toLowerCase();
+  const content = getTrimmedString(raw?.content || raw?.message || raw?.body);
+
+  return parseWithSchema(
+    "notification",
+    notificationSchema,
+    {
+      id: getEntityId(raw?._id || raw?.id || raw?.notificationId) || "",
+      actorName: actor?.name || actor?.username || getTrimmedString(raw?.userName) || "Someone",
+      actorId: getEntityId(actor),
+      actorPhoto: actor?.photo || getTrimmedString(raw?.userPhoto || raw?.photo),
+      content: content || getNotificationFallbackContent(type),
+      type,
+      isRead: Boolean(raw?.isRead ?? raw?.read ?? raw?.seen),
+      createdAt: getDateString(raw?.createdAt, raw?.updatedAt, raw?.date),
+    },
+    raw
+  );
+}
+
+function getEnvelopeContainers(responseData) {
+  return [responseData?.data?.data, responseData?.data, responseData];
+}
+
+function findList(kind, responseData, keys) {
+  const containers = getEnvelopeContainers(responseData);
+
+  for (const key of keys) {
+    for (const container of containers) {
+      if (Array.isArray(container?.[key])) return container[key];
+    }
+  }
+
+  for (const container of containers) {
+    if (Array.isArray(container)) return container;
+  }
+
+  reportUnknownShape(`${kind} list`, responseData);
+  return null;
+}
+
+function findObject(responseData, keys) {
+  const containers = getEnvelopeContainers(responseData).reverse();
+
+  for (const container of containers) {
+    for (const key of keys) {
+      if (isPlainObject(container?.[key])) return container[key];
+    }
+  }
+
+  if (isPlainObject(responseData?.data)) return responseData.data;
+  return null;
+}
+
+export function extractPagination(responseData) {
+  const info =
+    responseData?.data?.data?.paginationInfo ||
+    responseData?.data?.paginationInfo ||
+    responseData?.paginationInfo ||
+    responseData?.data?.metadata ||
+    responseData?.metadata ||
+    null;
+  const totalPages =
+    info?.numberOfPages ?? info?.pages ?? info?.totalPages ?? info?.total_pages ?? null;
+  const totalCount = info?.total ?? info?.count ?? null;
+  const nextCursor = info?.nextCursor ?? info?.cursor ?? null;
+
+  return {
+    totalPages: Number.isFinite(Number(totalPages)) && totalPages !== null ? Number(totalPages) : null,
+    totalCount: Number.isFinite(Number(totalCount)) && totalCount !== null ? Number(totalCount) : null,
+    nextCursor: typeof nextCursor === "string" && nextCursor ? nextCursor : null,
+  };
+}
+
+/** @returns {User | null} */
+export function parseUser(responseData) {
+  const rawUser = findObject(responseData, ["user", "profile"]);
+  return rawUser ? normalizeUser(rawUser) : null;
+}
+
+/** @returns {Post | null} */
+export function parsePost(responseData) {
+  const rawPost = findObject(responseData, ["post"]);
+  return rawPost ? normalizePost(rawPost) : null;
+}
+
+/** @returns {Post[]} */
+export function parsePostList(responseData) {
+  const list = findList("post", responseData, ["posts", "userPosts", "items"]) || [];
+  return list.map((item) => normalizePost(item)).filter(Boolean);
+}
+
+function normalizeSavedPost(item) {
+  if (!isPlainObject(item)) return null;
+
+  const rawPost = [item?.post, item?.postId, item?.postData].find(isPlainObject) || item;
+  const post = normalizePost(rawPost);
+  if (!post) return null;
+
+  return { ...post, __isBookmarked: true, isBookmarked: true };
+}
+
+/** @returns {Post[]} */
+export function parseSavedPostList(responseData) {
+  const list =
+    findList("saved post", responseData, ["bookmarks", "savedPosts", "posts"]) || [];
+  return list.map(normalizeSavedPost).filter(Boolean);
+}
+
+/**
+ * @returns {{ items: Post[], totalPages: number | null, totalCount: number | null, nextCursor: string | null }}
+ */
+export function parsePostPage(responseData, { saved = false } = {}) {
+  return {
+    items: saved ? parseSavedPostList(responseData) : parsePostList(responseData),
+    ...extractPagination(responseData),
+  };
+}
+
+/** @returns {Post[]} */
+export function getSavedPostsFromUser(user) {
+  const rawSaved =
+    user?.bookmarks ||
+    user?.savedPosts ||
+    user?.bookmarkedPosts ||
+    user?.saved ||
+    user?.favorites ||
+    [];
+
+  if (!Array.isArray(rawSaved)) return [];
+  return rawSaved.map(normalizeSavedPost).filter(Boolean);
+}
+
+/**
+ * @returns {{ items: Comment[], totalPages: number | null, totalCount: number | null, nextCursor: string | null }}
+ */
+export function parseCommentPage(responseData, listKey = "comments") {
+  const list = findList(listKey, responseData, [listKey]) || [];
+
+  return {
+    items: list.map(normalizeComment).filter(Boolean),
+    ...extractPagination(responseData),
+  };
+}
+
+/** @returns {Comment | null} */
+export function parseCreatedComment(responseData, entityType = "comment") {
+  const keys =
+    entityType === "reply"
+      ? ["reply", "createdReply", "newReply", "data"]
+      : ["comment", "createdComment", "newComment", "data"];
+  const containers = [responseData?.data, responseData];
+
+  for (const container of containers) {
+    if (!isPlainObject(container)) continue;
+
+    for (const key of keys) {
+      const candidate = container?.[key];
+      if (!isPlainObject(candidate)) continue;
+
+      if (getEntityId(candidate?._id || candidate?.id) || candidate?.content || candidate?.body) {
+        return normalizeComment(candidate);
+      }
+    }
+
+    if (getEntityId(container?._id || container?.id) || container?.content || container?.body) {
+      return normalizeComment(container);
+    }
+  }
+
+  return null;
+}
+
+/** @returns {{ items: User[], totalPages: number | null }} */
+export function parseUserPage(responseData) {
+  const containers = getEnvelopeContainers(responseData);
+  let list = null;
+
+  for (const key of ["suggestions", "users", "items"]) {
+    list = containers.map((container) => container?.[key]).find(Array.isArray) || null;
+    if (list) break;
+  }
+
+  if (!list) {
+    const fallback = containers.find(
+      (container) => Array.isArray(container) || isPlainObject(container)
+    );
+    list = Array.isArray(fallback) ? fallback : fallback ? [fallback] : [];
+  }
+
+  return {
+    items: list.map((item) => normalizeUser(item)).filter(Boolean),
+    totalPages: extractPagination(responseData).totalPages,
+  };
+}
+
+/** @returns {{ likes: (User & { reaction: ReactionType })[], likesCount: number | null }} */
+export function parseLikes(responseData) {
+  const rawLikes = findList("like", responseData, ["likes", "reactions"]) || [];
+  const likesCountFromApi =
+    responseData?.data?.likesCount ?? responseData?.likesCount ?? responseData?.data?.count;
+
+  return {
+    likes: rawLikes
+      .map((item) => {
+        const user = normalizeUser(item);
+        const reaction = toReactionType(item?.reaction ?? item?.type) || DEFAULT_REACTION;
+        return user && { ...user, reaction };
+      })
+      .filter(Boolean),
+    likesCount: Number.isFinite(Number(likesCountFromApi ?? rawLikes.length))
+      ? Number(likesCountFromApi ?? rawLikes.length)
+      : null,
+  };
+}
+
+/** @returns {Notification[]} */
+export function parseNotificationList(responseData) {
+  const list = findList("notification", responseData, ["notifications"]) || [];
+  return list.map(normalizeNotification).filter(Boolean);
+}
+
+export function parseUnreadCount(responseData) {
+  const value =
+    responseData?.data?.count ??
+    responseData?.data?.unreadCount ??
+    responseData?.count ??
+    responseData?.unreadCount ??
+    0;
+  return Number.isFinite(Number(value)) ? Number(value) : 0;
+}
+
+export function getLikeResultFromResponse(responseData, currentLikeState, currentCount) {
+  const message = String(responseData?.message || "").toLowerCase();
+  let nextIsLiked = !currentLikeState;
+
+  if (message.includes("unlike") || message.includes("removed") || message.includes("delete")) {
+    nextIsLiked = false;
+  } else if (message.includes("like")) {
+    nextIsLiked = true;
+  }
+
+  const countFromApi =
+    responseData?.data?.likesCount ??
+    responseData?.likesCount ??
+    responseData?.data?.count ??
+    (Array.isArray(responseData?.data?.likes) ? responseData.data.likes.length : null) ??
+    (Array.isArray(responseData?.likes) ? responseData.likes.length : null);
+
+  const safeCurrentCount = Number.isFinite(currentCount) ? currentCount : 0;
+  const computedCount = nextIsLiked
+    ? safeCurrentCount + (currentLikeState ? 0 : 1)
+    : Math.max(0, safeCurrentCount - (currentLikeState ? 1 : 0));
+
+  return {
+    isLiked: nextIsLiked,
+    count: Number.isFinite(Number(countFromApi)) ? Number(countFromApi) : computedCount,
+  };
+}
+
+/**
+ * Like `getLikeResultFromResponse`, for a reaction request made from
+ * `currentState` (the state before any optimistic update). Switching reactions
+ * is sent as a remove and then an add, so the response answers the add.
+ * @returns {import("../utils/reactions").ReactionState}
+ */
+export function getReactionResultFromResponse(responseData, currentState, requestedType) {
+  const isSwitch = Boolean(
+    currentState.reaction && requestedType && requestedType !== currentState.reaction
+  );
+  const baseState = isSwitch ? applyReaction(currentState, currentState.reaction) : currentState;
+  const { isLiked, count } = getLikeResultFromResponse(
+    responseData,
+    baseState.isLiked,
+    baseState.count
+  );
+  const reactionFromApi = toReactionType(
+    responseData?.data?.reaction ?? responseData?.reaction ?? responseData?.data?.viewerReaction
+  );
+  const reaction = isLiked
+    ? reactionFromApi ||
+      (baseState.reaction === requestedType ? DEFAULT_REACTION : requestedType)
+    : null;
+
+  const counts =
+    getReactionCounts(responseData?.data) ||
+    getReactionCounts(responseData) ||
+    moveReaction(baseState.counts, baseState.reaction, reaction);
+  return { isLiked, count, reaction, counts };
+}
+
+export function getBookmarkResultFromResponse(responseData, currentBookmarkState) {
+  const parsed = getFirstBoolean(
+    [
+      responseData?.data?.isBookmarked,
+      responseData?.isBookmarked,
+      responseData?.data?.bookmarked,
+      responseData?.bookmarked,
+      responseData?.data?.saved,
+      responseData?.saved,
+      responseData?.data?.isSaved,
+      responseData?.isSaved,
+    ],
+    null
+  );
+  if (parsed !== null) return parsed;
+
+  const message = String(responseData?.message || "").toLowerCase();
+  if (
+    message.includes("unsave") ||
+    message.includes("un save") ||
+    message.includes("unbookmark") ||
+    message.includes("remove bookmark")
+  ) {
+    return false;
+  }
+  if (message.includes("save") || message.includes("bookmark")) {
+    return true;
+  }
+
+  return !currentBookmarkState;
+}
+
+export function getShareCountFromResponse(responseData, currentCount) {
+  const countFromApi =
+    responseData?.data?.sharesCount ??
+    responseData?.sharesCount ??
+    responseData?.data?.count ??
+    (Array.isArray(responseData?.data?.shares) ? responseData.data.shares.length : null) ??
+    (Array.isArray(responseData?.shares) ? responseData.shares.length : null);
+
+  if (Number.isFinite(Number(countFromApi)) && countFromApi !== null) {
+    return Number(countFromApi);
+  }
+
+  const message = String(responseData?.message || "").toLowerCase();
+  const safeCurrentCount = Number.isFinite(currentCount) ? currentCount : 0;
+  if (message.includes("unshare") || message.includes("remove")) {
+    return Math.max(0, safeCurrentCount - 1);
+  }
+  return safeCurrentCount + 1;
+}
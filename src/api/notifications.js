@@ -0,0 +1,55 @@
+import { ApiError, apiRequest, apiRequestWithFallbacks } from "./client";
+
+export function fetchNotifications(token, params) {
+  return apiRequest({ method: "GET", url: "/notifications", token, params });
+}
+
+export function fetchUnreadNotificationsCount(token) {
+  return apiRequest({ method: "GET", url: "/notifications/unread-count", token });
+}
+
+export function markNotificationRead(token, notificationId) {
+  if (!notificationId) {
+    return Promise.reject(new ApiError("Missing notification id."));
+  }
+
+  return apiRequestWithFallbacks(
+    token,
+    [
+      { method: "PUT", url: `/notifications/${notificationId}/read` },
+      { method: "PATCH", url: `/notifications/${notificationId}/read` },
+      {
+        method: "PUT",
+        url: "/notifications/read",
+        data: { notificationId, id: notificationId },
+      },
+      {
+        method: "PATCH",
+        url: "/notifications/read",
+        data: { notificationId, id: notificationId },
+      },
+    ],
+    {
+      // Endpoint may report not found for already-resolved/deleted notifications.
+      resolveNotFound: () => ({
+        data: { success: true, message: "Notification not found." },
+      }),
+    }
+  );
+}
+
+export function markAllNotificationsRead(token) {
+  return apiRequestWithFallbacks(
+    token,
+    [
+      { method: "PUT", url: "/notifications/read-all" },
+      { method: "PATCH", url: "/notifications/read-all" },
+      { method: "POST", url: "/notifications/read-all" },
+    ],
+    {
+      resolveNotFound: () => ({
+        data: { success: true, message: "No unread notifications." },
+      }),
+    }
+  );
+}
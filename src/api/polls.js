@@ -0,0 +1,76 @@
+import { apiRequest, apiRequestWithFallbacks } from "./client";
+
+/**
+ * @typedef {import("../utils/polls").Poll} Poll
+ * @typedef {Object} PollInput
+ * @property {string} postId
+ * @property {string} question
+ * @property {string[]} options
+ * @property {number} durationMs
+ * @property {boolean} allowMultiple
+ * @typedef {Object} PollService
+ * @property {(token: string, input: PollInput) => Promise<Poll>} createPoll
+ * @property {(token: string, postId: string) => Promise<Poll | null>} fetchPoll
+ * @property {(token: string, postId: string, optionIds: string[]) => Promise<Poll>} vote
+ */
+
+function getPollFromResponse(response) {
+  return response?.data?.data?.poll || response?.data?.poll || null;
+}
+
+/**
+ * Talks to the API's `/posts/:postId/poll` routes, which the mock backend
+ * serves. A post without a poll, or an API without polls, answers 404.
+ * @returns {PollService}
+ */
+export function createApiPollService() {
+  return {
+    async createPoll(token, { postId, question, options, durationMs, allowMultiple }) {
+      const response = await apiRequest({
+        method: "POST",
+        url: `/posts/${postId}/poll`,
+        token,
+        data: { question, options, durationMs, allowMultiple },
+      });
+      return getPollFromResponse(response);
+    },
+
+    async fetchPoll(token, postId) {
+      const response = await apiRequestWithFallbacks(
+        token,
+        [{ method: "GET", url: `/posts/${postId}/poll` }],
+        { resolveNotFound: () => ({ data: { poll: null } }) }
+      );
+      return getPollFromResponse(response);
+    },
+
+    async vote(token, postId, optionIds) {
+      const response = await apiRequest({
+        method: "PUT",
+        url: `/posts/${postId}/poll/vote`,
+        token,
+        data: { optionIds },
+      });
+      return getPollFromResponse(response);
+    },
+  };
+}
+
+let pollService = createApiPollService();
+
+/** Replaces the poll backend, e.g. with a stub in tests. */
+export function setPollService(service) {
+  pollService = service;
+}
+
+export function createPoll(token, input) {
+  return pollService.createPoll(token, input);
+}
+
+export function fetchPoll(token, postId) {
+  return pollService.fetchPoll(token, postId);
+}
+
+export function votePoll(token, postId, optionIds) {
+  return pollService.vote(token, postId, optionIds);
+}
@@ -0,0 +1,143 @@
+import { apiRequest, apiRequestWithFallbacks } from "./client";
+import { ARE_REACTIONS_SUPPORTED } from "../utils/reactions";
+
+function buildPostFormData(payload) {
+  const formData = new FormData();
+  const trimmedBody = payload?.body?.trim() || "";
+
+  if (trimmedBody) {
+    formData.append("body", trimmedBody);
+  }
+
+  if (payload?.privacy) {
+    formData.append("privacy", payload.privacy);
+  }
+
+  const imageFiles = [payload?.imageFile, ...(payload?.imageFiles || [])].filter(
+    (file) => typeof File !== "undefined" && file instanceof File
+  );
+
+  if (imageFiles.length === 1) {
+    formData.append("image", imageFiles[0]);
+  } else {
+    imageFiles.forEach((file) => formData.append("images", file));
+  }
+
+  if (payload?.videoFile instanceof Blob) {
+    formData.append("video", payload.videoFile);
+    if (payload.videoPosterFile instanceof Blob) {
+      formData.append("videoPoster", payload.videoPosterFile);
+    }
+  }
+
+  // One description per attachment, in upload order; on edits it relabels the current media.
+  if (Array.isArray(payload?.mediaAlts)) {
+    formData.append(
+      "mediaAlts",
+      JSON.stringify(payload.mediaAlts.map((alt) => (typeof alt === "string" ? alt.trim() : "")))
+    );
+  }
+
+  return formData;
+}
+
+export function fetchAllPosts(token, params) {
+  return apiRequest({ method: "GET", url: "/posts", token, params });
+}
+
+export function fetchFeedPosts(token, params) {
+  return apiRequest({ method: "GET", url: "/posts/feed", token, params });
+}
+
+/**
+ * Uses the hashtag endpoint where the API has one. Otherwise it falls back to a
+ * page of all posts, flagged `isHashtagFallback`, for the caller to filter.
+ */
+export function fetchHashtagPosts(token, tag, params) {
+  return apiRequestWithFallbacks(
+    token,
+    [{ method: "GET", url: `/posts/hashtags/${encodeURIComponent(tag)}`, params }],
+    {
+      resolveNotFound: async () => ({
+        ...(await fetchAllPosts(token, params)),
+        isHashtagFallback: true,
+      }),
+    }
+  );
+}
+
+export function fetchPostById(token, postId) {
+  return apiRequest({ method: "GET", url: `/posts/${postId}`, token });
+}
+
+export function createPost(token, payload) {
+  return apiRequest({
+    method: "POST",
+    url: "/posts",
+    token,
+    data: buildPostFormData(payload),
+  });
+}
+
+export function updatePost(token, postId, payload) {
+  return apiRequest({
+    method: "PUT",
+    url: `/posts/${postId}`,
+    token,
+    data: buildPostFormData(payload),
+  });
+}
+
+export function deletePost(token, postId) {
+  return apiRequest({ method: "DELETE", url: `/posts/${postId}`, token });
+}
+
+export function fetchPostLikes(token, postId) {
+  return apiRequest({ method: "GET", url: `/posts/${postId}/likes`, token });
+}
+
+function requestPostLike(token, postId, reaction) {
+  return apiRequest({
+    method: "PUT",
+    url: `/posts/${postId}/like`,
+    token,
+    ...(reaction && ARE_REACTIONS_SUPPORTED
+      ? { headers: { "Content-Type": "application/json" }, data: { reaction } }
+      : {}),
+  });
+}
+
+/**
+ * The like endpoint only toggles, so switching from `currentReaction` to a
+ * different reaction removes the old one first and then adds the new one. When
+ * only the add fails, the thrown error has `isReactionRemoved` set.
+ */
+export async function togglePostLike(token, postId, reaction, currentReaction) {
+  if (!currentReaction || !reaction || reaction === currentReaction) {
+    return requestPostLike(token, postId, reaction);
+  }
+
+  await requestPostLike(token, postId);
+  try {
+    return await requestPostLike(token, postId, reaction);
+  } catch (error) {
+    error.isReactionRemoved = true;
+    throw error;
+  }
+}
+
+export function togglePostBookmark(token, postId) {
+  return apiRequest({ method: "PUT", url: `/posts/${postId}/bookmark`, token });
+}
+
+export function sharePost(token, postId, shareText = "") {
+  const trimmedShareText = typeof shareText === "string" ? shareText.trim() : "";
+
+  return apiRequest({
+    method: "POST",
+    url: `/posts/${postId}/share`,
+    token,
+    headers: { "Content-Type": "application/json" },
+    data: trimmedShareText ? { body: trimmedShareText } : {},
+  });
+}
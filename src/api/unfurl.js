@@ -0,0 +1,138 @@
+import axios from "axios";
+import { getLinkHostname, toSafeHref } from "../utils/links";
+
+const UNFURL_ENDPOINT = import.meta.env.VITE_UNFURL_ENDPOINT || "";
+const CACHE_TTL_MS = 1000 * 60 * 60;
+const FAILURE_CACHE_TTL_MS = 1000 * 60 * 5;
+const MAX_CACHE_ENTRIES = 200;
+
+/**
+ * @typedef {{ url: string, title: string, description: string, image: string | null, siteName: string }} LinkPreview
+ * @typedef {{ unfurl: (url: string) => Promise<Partial<LinkPreview> | null> }} UnfurlService
+ */
+
+function clampText(value, maxLength) {
+  if (typeof value !== "string") return "";
+  const text = value.replace(/\s+/g, " ").trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function toLinkPreview(url, data) {
+  if (!data) return null;
+
+  const title = clampText(data.title, 120);
+  const description = clampText(data.description, 240);
+  if (!title && !description) return null;
+
+  return {
+    url: toSafeHref(data.url) || url,
+    title,
+    description,
+    image: toSafeHref(data.image),
+    siteName: clampText(data.siteName, 60) || getLinkHostname(url),
+  };
+}
+
+/**
+ * Calls an unfurl backend that answers `GET <endpoint>?url=<url>` with Open Graph
+ * fields (`title`, `description`, `image`, `siteName`).
+ * @returns {UnfurlService}
+ */
+export function createHttpUnfurlService(endpoint) {
+  return {
+    async unfurl(url) {
+      const response = await axios.get(endpoint, { params: { url }, timeout: 8000 });
+      const data = response?.data?.data || response?.data;
+      return {
+        url: data?.url || data?.ogUrl,
+        title: data?.title || data?.ogTitle,
+        description: data?.description || data?.ogDescription,
+        image: data?.image?.url || data?.image || data?.ogImage,
+        siteName: data?.siteName || data?.ogSiteName,
+      };
+    },
+  };
+}
+
+/**
+ * Builds a preview from the URL itself so link cards can be developed without
+ * an unfurl backend.
+ * @returns {UnfurlService}
+ */
+export function createStubUnfurlService() {
+  return {
+    async unfurl(url) {
+      const { pathname } = new URL(url);
+      const hostname = getLinkHostname(url);
+      const lastSegment = decodeURIComponent(pathname.split("/").filter(Boolean).pop() || "");
+      const title = lastSegment
+        ? lastSegment.replace(/\.[a-z0-9]+$/i, "").replace(/[-_]+/g, " ")
+        : hostname;
+
+      return {
+        url,
+        title,
+        description: `Preview for ${hostname}${pathname === "/" ? "" : pathname}`,
+        image: null,
+        siteName: hostname,
+      };
+    },
+  };
+}
+
+// Without a configured endpoint, production builds skip previews and only
+// development falls back to the local stub.
+let unfurlService = UNFURL_ENDPOINT
+  ? createHttpUnfurlService(UNFURL_ENDPOINT)
+  : import.meta.env.DEV
+  ? createStubUnfurlService()
+  : null;
+const previewCache = new Map();
+
+/**
+ * Swaps the service used for link previews (null disables them) and drops
+ * previews cached from the old one.
+ * @param {UnfurlService | null} service
+ */
+export function setUnfurlService(service) {
+  unfurlService = service;
+  previewCache.clear();
+}
+
+function cachePreview(url, entry) {
+  previewCache.delete(url);
+  previewCache.set(url, entry);
+
+  if (previewCache.size > MAX_CACHE_ENTRIES) {
+    previewCache.delete(previewCache.keys().next().value);
+  }
+}
+
+/**
+ * Resolves the Open Graph preview for `url`, or null when none is available.
+ * Results (including misses) are cached so the same link is unfurled once.
+ * @returns {Promise<LinkPreview | null>}
+ */
+export function fetchLinkPreview(url) {
+  const href = toSafeHref(url);
+  if (!href || !unfurlService) return Promise.resolve(null);
+
+  const cached = previewCache.get(href);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  const service = unfurlService;
+  const promise = Promise.resolve()
+    .then(() => service.unfurl(href))
+    .then((data) => toLinkPreview(href, data))
+    .catch(() => null)
+    .then((preview) => {
+      if (previewCache.get(href)?.promise === promise) {
+        const ttl = preview ? CACHE_TTL_MS : FAILURE_CACHE_TTL_MS;
+        cachePreview(href, { promise, expiresAt: Date.now() + ttl });
+      }
+      return preview;
+    });
+
+  cachePreview(href, { promise, expiresAt: Date.now() + CACHE_TTL_MS });
+  return promise;
+}
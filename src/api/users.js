@@ -0,0 +1,67 @@
+import { apiRequest } from "./client";
+
+const PROFILE_DATA_ENDPOINTS = ["/users/profile-data", "/users/profile"];
+
+export async function fetchProfileData(token) {
+  let lastResponse = null;
+
+  for (const url of PROFILE_DATA_ENDPOINTS) {
+    try {
+      const response = await apiRequest({ method: "GET", url, token });
+      if (response?.data) return response;
+      lastResponse = response;
+    } catch (error) {
+      if (error?.status && error.status !== 404) throw error;
+    }
+  }
+
+  return lastResponse;
+}
+
+export function fetchUserProfile(token, userId) {
+  return apiRequest({ method: "GET", url: `/users/${userId}/profile`, token });
+}
+
+export function fetchUserPosts(token, userId, params) {
+  return apiRequest({ method: "GET", url: `/users/${userId}/posts`, token, params });
+}
+
+export function fetchBookmarks(token, params) {
+  return apiRequest({ method: "GET", url: "/users/bookmarks", token, params });
+}
+
+export function fetchSuggestions(token, params) {
+  return apiRequest({ method: "GET", url: "/users/suggestions", token, params });
+}
+
+export function searchUsers(token, params) {
+  return apiRequest({ method: "GET", url: "/users/search", token, params });
+}
+
+export function toggleFollowUser(token, userId) {
+  return apiRequest({ method: "PUT", url: `/users/${userId}/follow`, token });
+}
+
+export function uploadProfilePhoto(token, file) {
+  const formData = new FormData();
+  formData.append("photo", file);
+
+  return apiRequest({ method: "PUT", url: "/users/upload-photo", token, data: formData });
+}
+
+export function uploadCoverPhoto(token, file) {
+  const formData = new FormData();
+  formData.append("cover", file);
+
+  return apiRequest({ method: "PUT", url: "/users/upload-cover", token, data: formData });
+}
+
+export function changePassword(token, { password, newPassword }) {
+  return apiRequest({
+    method: "PATCH",
+    url: "/users/change-password",
+    token,
+    headers: { "Content-Type": "application/json" },
+    data: { password, newPassword },
+  });
+}
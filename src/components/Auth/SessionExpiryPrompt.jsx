@@ -0,0 +1,36 @@
+import { useContext } from "react";
+import { Alert, Button } from "@heroui/react";
+import { AuthContext } from "../../context/AuthContext";
+
+export default function SessionExpiryPrompt() {
+  const { isSessionExpiring, sessionExpiresAt, dismissSessionWarning, reauthenticate } =
+    useContext(AuthContext);
+
+  if (!isSessionExpiring) return null;
+
+  const expiryTime = sessionExpiresAt
+    ? new Date(sessionExpiresAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+    : "";
+
+  return (
+    <div className="fixed inset-x-0 top-3 z-[80] mx-auto w-[min(92vw,560px)]">
+      <Alert
+        color="warning"
+        variant="faded"
+        title="Your session is about to expire"
+        description={
+          expiryTime
+            ? `You will be signed out at ${expiryTime}. Sign in again to keep working without interruption.`
+            : "Sign in again to keep working without interruption."
+        }
+        isVisible
+        onClose={dismissSessionWarning}
+        endContent={
+          <Button color="warning" size="sm" variant="flat" onPress={reauthenticate}>
+            Sign in again
+          </Button>
+        }
+      />
+    </div>
+  );
+}
@@ -1,9 +1,17 @@
 import { useContext, useEffect, useState } from "react";
 import { Link as RouterLink, NavLink, useLocation, useNavigate } from "react-router-dom";
 import { AuthContext } from "../../../context/AuthContext";
-import { useIsFetching, useQuery, useQueryClient } from "@tanstack/react-query";
-import axios from "axios";
-import { Dropdown, DropdownItem, DropdownMenu, DropdownTrigger, Spinner } from "@heroui/react";
+import { useIsFetching, useQueries, useQuery, useQueryClient } from "@tanstack/react-query";
+import { fetchProfileData } from "../../../api/users";
+import { parseUser } from "../../../api/normalize";
+import {
+  Dropdown,
+  DropdownItem,
+  DropdownMenu,
+  DropdownSection,
+  DropdownTrigger,
+  Spinner,
+} from "@heroui/react";
 
 const DEFAULT_PROFILE_IMAGE =
   "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
@@ -16,34 +24,10 @@ function getValidImageUrl(url) {
 }
 
 async function fetchCurrentUser(token) {
-  const profileEndpoints = [
-    "https://route-posts.routemisr.com/users/profile-data",
-    "https://route-posts.routemisr.com/users/profile",
-  ];
-
-  for (const url of profileEndpoints) {
-    try {
-      const res = await axios.request({
-        method: "GET",
-        url,
-        headers: { token },
-      });
-
-      const user =
-        res?.data?.data?.user ||
-        res?.data?.user ||
-        res?.data?.data ||
-        null;
-
-      if (user) return user;
-    } catch (error) {
-      const status = error?.response?.status;
-      if (status && status !== 404) throw error;
-    }
-  }
-
-  return null;
+  const res = await fetchProfileData(token);
+  return parseUser(res?.data);
 }
+
 export const AcmeLogo = () => {
   return (
     <img alt="Route Posts" className="h-9 w-9 rounded-xl object-cover" src="/route.png" />
@@ -51,7 +35,7 @@ export const AcmeLogo = () => {
 };
 
 export default function Navbar() {
-  const { userToken, removeUserToken } = useContext(AuthContext);
+  const { userToken, sessions, switchAccount, removeUserToken } = useContext(AuthContext);
   const navigate = useNavigate();
   const location = useLocation();
   const queryClient = useQueryClient();
@@ -68,10 +52,30 @@ export default function Navbar() {
     retry: 2,
   });
 
+  const accountQueries = useQueries({
+    queries: sessions.map((token) => ({
+      queryKey: ["navbar-profile", token],
+      queryFn: () => fetchCurrentUser(token),
+      staleTime: 1000 * 60 * 5,
+      gcTime: 1000 * 60 * 30,
+      refetchOnWindowFocus: false,
+      retry: 1,
+    })),
+  });
+
+  const accounts = sessions.map((token, index) => {
+    const account = accountQueries[index]?.data;
+    return {
+      token,
+      name: account?.name || account?.username || "User",
+      handle: account?.username ? `@${account.username}` : account?.email || "",
+      photo: getValidImageUrl(account?.photo),
+      isActive: token === userToken,
+    };
+  });
+
   const displayName = currentUser?.name || currentUser?.username || "User";
-  const displayAvatar = getValidImageUrl(
-    currentUser?.photo || currentUser?.avatar
-  );
+  const displayAvatar = getValidImageUrl(currentUser?.photo);
   const navLinkBaseClass =
     "relative flex items-center gap-1.5 rounded-xl px-2.5 py-2 text-sm font-extrabold transition sm:gap-2 sm:px-3.5";
 
@@ -83,8 +87,14 @@ export default function Navbar() {
     }`;
 
   function logOut() {
-    removeUserToken();
-    navigate("/auth/login");
+    const nextToken = removeUserToken();
+    navigate(nextToken ? "/" : "/auth/login");
+  }
+
+  function handleSwitchAccount(token) {
+    if (token === userToken) return;
+    switchAccount(token);
+    navigate("/");
   }
 
   async function handleFeedNavClick(event) {
@@ -251,15 +261,43 @@ export default function Navbar() {
               </button>
             </DropdownTrigger>
             <DropdownMenu aria-label="Profile Actions" variant="flat">
-              <DropdownItem key="profile" as={RouterLink} to="/profile">
-                Profile
-              </DropdownItem>
-              <DropdownItem key="my-settings" as={RouterLink} to="/setting">
-                My Settings
-              </DropdownItem>
-              <DropdownItem key="logout" color="danger" onClick={logOut}>
-                Log Out
-              </DropdownItem>
+              <DropdownSection showDivider title="Accounts">
+                {accounts.map((account, index) => (
+                  <DropdownItem
+                    key={`account-${index}`}
+                    description={account.handle}
+                    endContent={
+                      account.isActive ? (
+                        <span className="text-xs font-bold text-[#00298d]">Active</span>
+                      ) : null
+                    }
+                    onPress={() => handleSwitchAccount(account.token)}
+                    startContent={
+                      <img
+                        alt={account.name}
+                        className="h-7 w-7 rounded-full object-cover"
+                        src={account.photo}
+                      />
+                    }
+                  >
+                    {account.name}
+                  </DropdownItem>
+                ))}
+                <DropdownItem key="add-account" as={RouterLink} to="/auth/login?addAccount=1">
+                  Add another account
+                </DropdownItem>
+              </DropdownSection>
+              <DropdownSection>
+                <DropdownItem key="profile" as={RouterLink} to="/profile">
+                  Profile
+                </DropdownItem>
+                <DropdownItem key="my-settings" as={RouterLink} to="/setting">
+                  My Settings
+                </DropdownItem>
+                <DropdownItem key="logout" color="danger" onClick={logOut}>
+                  Log Out
+                </DropdownItem>
+              </DropdownSection>
             </DropdownMenu>
           </Dropdown>
         </div>
@@ -0,0 +1,67 @@
+import { useEffect, useId, useRef, useState } from "react";
+
+/**
+ * "ALT" chip that reveals an image description over the media. The chip and
+ * the description are positioned against the nearest positioned ancestor.
+ */
+export default function AltTextBadge({ alt, className = "", placement = "bottom" }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const buttonRef = useRef(null);
+  const descriptionRef = useRef(null);
+  const descriptionId = useId();
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    function handlePointerDown(event) {
+      if (buttonRef.current?.contains(event.target)) return;
+      if (descriptionRef.current?.contains(event.target)) return;
+      setIsOpen(false);
+    }
+
+    function handleKeyDown(event) {
+      if (event.key !== "Escape") return;
+      event.stopPropagation();
+      setIsOpen(false);
+    }
+
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown, true);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown, true);
+    };
+  }, [isOpen]);
+
+  if (!alt) return null;
+
+  return (
+    <>
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-expanded={isOpen}
+        aria-controls={isOpen ? descriptionId : undefined}
+        aria-label={isOpen ? "Hide image description" : "Show image description"}
+        onClick={(event) => {
+          event.stopPropagation();
+          setIsOpen((current) => !current);
+        }}
+        className={`absolute z-10 rounded bg-black/70 px-1.5 py-0.5 text-[11px] font-extrabold text-white hover:bg-black/85 ${className}`}
+      >
+        ALT
+      </button>
+      {isOpen ? (
+        <p
+          ref={descriptionRef}
+          id={descriptionId}
+          className={`absolute inset-x-2 z-10 max-h-[70%] overflow-y-auto whitespace-pre-wrap break-words rounded-lg bg-slate-900/90 p-3 text-left text-xs font-medium leading-relaxed text-white shadow-lg ${
+            placement === "bottom" ? "bottom-9" : "top-9"
+          }`}
+        >
+          {alt}
+        </p>
+      ) : null}
+    </>
+  );
+}
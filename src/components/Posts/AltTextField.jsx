@@ -0,0 +1,38 @@
+import { useId } from "react";
+
+const MAX_ALT_TEXT_LENGTH = 1000;
+
+export default function AltTextField({ previewUrl, label, value, onChange, className = "" }) {
+  const inputId = useId();
+
+  return (
+    <div className={`flex gap-3 ${className}`}>
+      {previewUrl ? (
+        <img
+          alt=""
+          className="h-16 w-16 shrink-0 rounded-lg bg-slate-100 object-cover"
+          src={previewUrl}
+        />
+      ) : (
+        <div aria-hidden="true" className="h-16 w-16 shrink-0 rounded-lg bg-slate-800" />
+      )}
+      <div className="min-w-0 flex-1">
+        <label className="text-xs font-bold text-slate-700" htmlFor={inputId}>
+          {label}
+        </label>
+        <textarea
+          id={inputId}
+          rows={2}
+          maxLength={MAX_ALT_TEXT_LENGTH}
+          value={value}
+          onChange={(event) => onChange(event.target.value)}
+          placeholder="Describe this for people who can't see it"
+          className="mt-1 w-full resize-y rounded-lg border border-slate-300 bg-white px-2.5 py-1.5 text-sm outline-none ring-[#1877f2]/20 focus:border-[#1877f2] focus:ring-2"
+        />
+        <p className="text-right text-[11px] font-semibold text-slate-400">
+          {value.length}/{MAX_ALT_TEXT_LENGTH}
+        </p>
+      </div>
+    </div>
+  );
+}
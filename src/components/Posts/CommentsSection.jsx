@@ -1,12 +1,43 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import axios from "axios";
+import React, { useContext, useEffect, useMemo, useRef, useState } from "react";
 import {
   useInfiniteQuery,
   useQuery,
   useQueryClient,
   useMutation,
 } from "@tanstack/react-query";
-import { useForm } from "react-hook-form";
+import { useForm, useWatch } from "react-hook-form";
+import { extractApiMessage } from "../../api/client";
+import {
+  createComment,
+  createReply,
+  deleteComment,
+  fetchComments,
+  fetchReplies,
+  toggleCommentLike,
+  updateComment,
+} from "../../api/comments";
+import { fetchProfileData } from "../../api/users";
+import {
+  getEntityId,
+  getReactionResultFromResponse,
+  normalizeComment,
+  parseCommentPage,
+  parseCreatedComment,
+  parseUser,
+} from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
+import { getTextDraft, saveTextDraft } from "../../utils/drafts";
+import {
+  applyReaction,
+  getReaction,
+  getReactionState,
+  removeReaction,
+} from "../../utils/reactions";
+import RichText from "./RichText";
+import MentionTextarea from "./MentionTextarea";
+import EmojiPicker from "./EmojiPicker";
+import ReactionPicker from "./ReactionPicker";
+import ReactionSummary from "./ReactionSummary";
 
 const DEFAULT_PROFILE_IMAGE =
   "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
@@ -14,152 +45,33 @@ const COMMENTS_PAGE_LIMIT = 10;
 const REPLIES_PAGE_LIMIT = 10;
 const MAX_COMMENT_LENGTH = 500;
 const MAX_REPLY_LENGTH = 500;
+const TEXT_DRAFT_SAVE_DELAY_MS = 500;
 
 async function fetchCommentsByPostId(token, postId, page) {
-  const res = await axios.request({
-    method: "GET",
-    url: `https://route-posts.routemisr.com/posts/${postId}/comments`,
-    headers: { token },
-    params: {
-      page,
-      limit: COMMENTS_PAGE_LIMIT,
-    },
+  const res = await fetchComments(token, postId, {
+    page,
+    limit: COMMENTS_PAGE_LIMIT,
   });
 
-  const rawComments =
-    res?.data?.data?.comments ||
-    res?.data?.comments ||
-    res?.data?.data ||
-    [];
+  const { items, totalPages, totalCount } = parseCommentPage(res?.data, "comments");
 
-  const paginationInfo =
-    res?.data?.data?.paginationInfo ||
-    res?.data?.paginationInfo ||
-    res?.data?.metadata ||
-    null;
-
-  return {
-    comments: Array.isArray(rawComments) ? rawComments : [],
-    page,
-    totalPages:
-      paginationInfo?.numberOfPages ??
-      paginationInfo?.pages ??
-      null,
-    totalCount:
-      paginationInfo?.total ??
-      paginationInfo?.count ??
-      null,
-  };
+  return { comments: items, page, totalPages, totalCount };
 }
 
 async function fetchRepliesByCommentId(token, postId, commentId, page) {
-  const res = await axios.request({
-    method: "GET",
-    url: `https://route-posts.routemisr.com/posts/${postId}/comments/${commentId}/replies`,
-    headers: { token },
-    params: {
-      page,
-      limit: REPLIES_PAGE_LIMIT,
-    },
-  });
-
-  const rawReplies =
-    res?.data?.data?.replies ||
-    res?.data?.replies ||
-    res?.data?.data ||
-    [];
-
-  const paginationInfo =
-    res?.data?.data?.paginationInfo ||
-    res?.data?.paginationInfo ||
-    res?.data?.metadata ||
-    null;
-
-  return {
-    replies: Array.isArray(rawReplies) ? rawReplies : [],
+  const res = await fetchReplies(token, postId, commentId, {
     page,
-    totalPages:
-      paginationInfo?.numberOfPages ??
-      paginationInfo?.pages ??
-      null,
-    totalCount:
-      paginationInfo?.total ??
-      paginationInfo?.count ??
-      null,
-  };
-}
-
-async function createCommentByPostId(token, postId, content) {
-  return axios.request({
-    method: "POST",
-    url: `https://route-posts.routemisr.com/posts/${postId}/comments`,
-    headers: { token },
-    data: { content },
+    limit: REPLIES_PAGE_LIMIT,
   });
-}
 
-async function createReplyByCommentId(token, postId, commentId, content) {
-  return axios.request({
-    method: "POST",
-    url: `https://route-posts.routemisr.com/posts/${postId}/comments/${commentId}/replies`,
-    headers: { token },
-    data: { content },
-  });
-}
+  const { items, totalPages, totalCount } = parseCommentPage(res?.data, "replies");
 
-async function updateCommentById(token, postId, commentId, content) {
-  return axios.request({
-    method: "PUT",
-    url: `https://route-posts.routemisr.com/posts/${postId}/comments/${commentId}`,
-    headers: { token },
-    data: { content },
-  });
-}
-
-async function deleteCommentById(token, postId, commentId) {
-  return axios.request({
-    method: "DELETE",
-    url: `https://route-posts.routemisr.com/posts/${postId}/comments/${commentId}`,
-    headers: { token },
-  });
-}
-
-async function toggleCommentLike(token, postId, commentId) {
-  return axios.request({
-    method: "PUT",
-    url: `https://route-posts.routemisr.com/posts/${postId}/comments/${commentId}/like`,
-    headers: { token },
-  });
+  return { replies: items, page, totalPages, totalCount };
 }
 
 async function fetchCurrentUser(token) {
-  const profileEndpoints = [
-    "https://route-posts.routemisr.com/users/profile-data",
-    "https://route-posts.routemisr.com/users/profile",
-  ];
-
-  for (const url of profileEndpoints) {
-    try {
-      const res = await axios.request({
-        method: "GET",
-        url,
-        headers: { token },
-      });
-
-      const user =
-        res?.data?.data?.user ||
-        res?.data?.user ||
-        res?.data?.data ||
-        null;
-
-      if (user) return user;
-    } catch (error) {
-      const status = error?.response?.status;
-      if (status && status !== 404) throw error;
-    }
-  }
-
-  return null;
+  const res = await fetchProfileData(token);
+  return parseUser(res?.data);
 }
 
 function getValidImageUrl(url) {
@@ -169,62 +81,18 @@ function getValidImageUrl(url) {
   return trimmed;
 }
 
-function getValidMediaUrl(url) {
-  if (typeof url !== "string") return null;
-  const trimmed = url.trim();
-  if (!trimmed) return null;
-  return trimmed;
-}
-
-function getEntityId(entity) {
-  return entity?._id || entity?.id || null;
-}
-
-function getEntityCreatorId(entity) {
-  return (
-    entity?.replyCreator?._id ||
-    entity?.replyCreator?.id ||
-    entity?.commentCreator?._id ||
-    entity?.commentCreator?.id ||
-    entity?.user?._id ||
-    entity?.user?.id ||
-    entity?.creator?._id ||
-    entity?.creator?.id ||
-    null
-  );
-}
-
-function getEntityBody(entity) {
-  return entity?.content || entity?.body || "";
-}
-
 function getEntityAuthor(entity) {
-  return (
-    entity?.replyCreator?.name ||
-    entity?.commentCreator?.name ||
-    entity?.user?.name ||
-    entity?.creator?.name ||
-    "Unknown user"
-  );
+  return entity?.author?.name || "Unknown user";
 }
 
 function getEntityPhoto(entity) {
-  return getValidImageUrl(
-    entity?.replyCreator?.photo ||
-      entity?.commentCreator?.photo ||
-      entity?.user?.photo ||
-      entity?.creator?.photo
-  );
+  return getValidImageUrl(entity?.author?.photo);
 }
 
 function getEntityHandle(entity, fallbackName) {
   const raw =
-    entity?.replyCreator?.username ||
-    entity?.commentCreator?.username ||
-    entity?.user?.username ||
-    entity?.creator?.username ||
-    entity?.replyCreator?.email?.split("@")?.[0] ||
-    entity?.commentCreator?.email?.split("@")?.[0] ||
+    entity?.author?.username ||
+    entity?.author?.email?.split("@")?.[0] ||
     fallbackName?.toLowerCase()?.replace(/\s+/g, "");
 
   if (!raw) return "@user";
@@ -252,49 +120,11 @@ function getEntityDateLabel(dateValue) {
   });
 }
 
-function extractApiMessage(error, fallbackMessage) {
-  return (
-    error?.response?.data?.message ||
-    error?.response?.data?.error ||
-    error?.response?.data?.errors?.[0]?.msg ||
-    error?.message ||
-    fallbackMessage
-  );
-}
-
 function getNumericCount(value) {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : 0;
 }
 
-function getLikeResultFromResponse(responseData, currentLikeState, currentCount) {
-  const message = String(responseData?.message || "").toLowerCase();
-  let nextIsLiked = !currentLikeState;
-
-  if (message.includes("unlike") || message.includes("removed") || message.includes("delete")) {
-    nextIsLiked = false;
-  } else if (message.includes("like")) {
-    nextIsLiked = true;
-  }
-
-  const countFromApi =
-    responseData?.data?.likesCount ??
-    responseData?.likesCount ??
-    responseData?.data?.count ??
-    (Array.isArray(responseData?.data?.likes) ? responseData.data.likes.length : null) ??
-    (Array.isArray(responseData?.likes) ? responseData.likes.length : null);
-
-  const safeCurrentCount = Number.isFinite(currentCount) ? currentCount : 0;
-  const computedCount = nextIsLiked
-    ? safeCurrentCount + (currentLikeState ? 0 : 1)
-    : Math.max(0, safeCurrentCount - (currentLikeState ? 1 : 0));
-
-  return {
-    isLiked: nextIsLiked,
-    count: Number.isFinite(Number(countFromApi)) ? Number(countFromApi) : computedCount,
-  };
-}
-
 function createOptimisticEntity(content, entityType) {
   const safeContent = typeof content === "string" ? content : "";
   const optimisticId = `temp-${entityType}-${Date.now()}-${Math.random()
@@ -307,7 +137,7 @@ function createOptimisticEntity(content, entityType) {
   };
 
   if (entityType === "reply") {
-    return {
+    return normalizeComment({
       _id: optimisticId,
       id: optimisticId,
       content: safeContent,
@@ -315,12 +145,11 @@ function createOptimisticEntity(content, entityType) {
       replyCreator: creator,
       likesCount: 0,
       isLiked: false,
-      likedByMe: false,
       isOptimistic: true,
-    };
+    });
   }
 
-  return {
+  return normalizeComment({
     _id: optimisticId,
     id: optimisticId,
     content: safeContent,
@@ -329,9 +158,8 @@ function createOptimisticEntity(content, entityType) {
     likesCount: 0,
     repliesCount: 0,
     isLiked: false,
-    likedByMe: false,
     isOptimistic: true,
-  };
+  });
 }
 
 function prependEntityToInfiniteQueryData(oldData, listKey, entity) {
@@ -472,34 +300,6 @@ function updateCommentReplyCountInInfiniteQueryData(oldData, commentId, delta) {
   };
 }
 
-function extractCreatedEntityFromResponse(responseData, entityType) {
-  const keys =
-    entityType === "reply"
-      ? ["reply", "createdReply", "newReply", "data"]
-      : ["comment", "createdComment", "newComment", "data"];
-
-  const containers = [responseData?.data, responseData];
-
-  for (const container of containers) {
-    if (!container || typeof container !== "object") continue;
-
-    for (const key of keys) {
-      const candidate = container?.[key];
-      if (!candidate || typeof candidate !== "object" || Array.isArray(candidate)) continue;
-
-      if (getEntityId(candidate) || candidate?.content || candidate?.body) {
-        return candidate;
-      }
-    }
-
-    if (getEntityId(container) || container?.content || container?.body) {
-      return container;
-    }
-  }
-
-  return null;
-}
-
 function mergeOptimisticWithServerEntity(optimisticEntity, serverEntity) {
   if (!optimisticEntity) return serverEntity;
   if (!serverEntity) return optimisticEntity;
@@ -507,20 +307,69 @@ function mergeOptimisticWithServerEntity(optimisticEntity, serverEntity) {
   return {
     ...optimisticEntity,
     ...serverEntity,
-    _id: serverEntity?._id || serverEntity?.id || optimisticEntity?._id,
-    id: serverEntity?.id || serverEntity?._id || optimisticEntity?.id,
+    _id: serverEntity.id || optimisticEntity.id,
+    id: serverEntity.id || optimisticEntity.id,
+    author: serverEntity.author || optimisticEntity.author,
     isOptimistic: false,
-    isLiked: Boolean(serverEntity?.isLiked || serverEntity?.likedByMe),
-    likedByMe: Boolean(serverEntity?.likedByMe || serverEntity?.isLiked),
-    likesCount:
-      getNumericCount(serverEntity?.likesCount) || getNumericCount(serverEntity?.likes),
   };
 }
 
+// Restores and autosaves the `content` field of a comment/reply form. A pending
+// save is flushed when the form closes or unmounts so the last keystrokes survive.
+function useTextDraft(draftKey, content, setValue) {
+  const { userId } = useContext(AuthContext);
+  const contentRef = useRef(content);
+  const lastSavedRef = useRef(null);
+  const pendingSaveRef = useRef(null);
+
+  useEffect(() => {
+    contentRef.current = content;
+  }, [content]);
+
+  useEffect(() => {
+    lastSavedRef.current = null;
+    if (!userId || !draftKey) return undefined;
+
+    let isCancelled = false;
+    getTextDraft(userId, draftKey)
+      .catch(() => "")
+      .then((text) => {
+        if (isCancelled) return;
+        if (text && !contentRef.current) {
+          setValue("content", text, { shouldValidate: true });
+        }
+        lastSavedRef.current = text || contentRef.current;
+      });
+
+    return () => {
+      isCancelled = true;
+      pendingSaveRef.current?.();
+      pendingSaveRef.current = null;
+    };
+  }, [userId, draftKey, setValue]);
+
+  useEffect(() => {
+    if (!userId || !draftKey) return undefined;
+    if (lastSavedRef.current === null || lastSavedRef.current === content) return undefined;
+
+    const save = () => {
+      lastSavedRef.current = content;
+      saveTextDraft(userId, draftKey, content).catch(() => {});
+    };
+    pendingSaveRef.current = save;
+    const timeoutId = setTimeout(() => {
+      pendingSaveRef.current = null;
+      save();
+    }, TEXT_DRAFT_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [userId, draftKey, content]);
+}
+
 function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
   const queryClient = useQueryClient();
   const commentId = getEntityId(comment);
-  const commentCreatorId = getEntityCreatorId(comment);
+  const commentCreatorId = comment?.authorId;
   const isOwnComment =
     Boolean(commentCreatorId) &&
     Boolean(currentUserId) &&
@@ -533,19 +382,19 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
   const [isCommentMenuOpen, setIsCommentMenuOpen] = useState(false);
   const [isDeleteConfirmOpen, setIsDeleteConfirmOpen] = useState(false);
   const [isEditingComment, setIsEditingComment] = useState(false);
-  const [editingCommentContent, setEditingCommentContent] = useState(getEntityBody(comment));
+  const [editingCommentContent, setEditingCommentContent] = useState(comment?.content || "");
   const [commentActionError, setCommentActionError] = useState("");
   const commentMenuRef = useRef(null);
-  const [commentLikeState, setCommentLikeState] = useState({
-    isLiked: Boolean(comment?.isLiked || comment?.likedByMe),
-    count: getNumericCount(comment?.likesCount) || getNumericCount(comment?.likes),
-  });
+  const [commentLikeState, setCommentLikeState] = useState(() => getReactionState(comment));
   const [commentLikeError, setCommentLikeError] = useState("");
+  const commentReaction = getReaction(commentLikeState.reaction);
 
   const {
+    control,
     register,
     handleSubmit,
     reset,
+    setValue,
     formState: { errors, isValid, isSubmitting },
   } = useForm({
     mode: "onChange",
@@ -553,52 +402,86 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
       content: "",
     },
   });
+  const replyContent = useWatch({ control, name: "content" });
+  const replyInputRef = useRef(null);
+  const { ref: registerReplyRef, ...replyField } = register("content", {
+    required: "Reply is required.",
+    maxLength: {
+      value: MAX_REPLY_LENGTH,
+      message: `Reply can't exceed ${MAX_REPLY_LENGTH} characters.`,
+    },
+    validate: (value) => value.trim().length > 0 || "Reply is required.",
+  });
+  useTextDraft(
+    isReplyFormOpen && postId && commentId ? `reply:${postId}:${commentId}` : null,
+    replyContent,
+    setValue
+  );
 
   const commentLikeMutation = useMutation({
-    mutationFn: () => toggleCommentLike(token, postId, commentId),
-    onMutate: () => {
+    mutationFn: ({ reaction, previousState }) =>
+      toggleCommentLike(token, postId, commentId, reaction, previousState.reaction),
+    onMutate: ({ reaction, previousState }) => {
       setCommentLikeError("");
+      setCommentLikeState(applyReaction(previousState, reaction));
     },
-    onSuccess: (response) => {
-      const next = getLikeResultFromResponse(
-        response?.data,
-        commentLikeState.isLiked,
-        commentLikeState.count
-      );
-      setCommentLikeState(next);
+    onSuccess: (response, { reaction, previousState }) => {
+      setCommentLikeState(getReactionResultFromResponse(response?.data, previousState, reaction));
       queryClient.invalidateQueries({
         queryKey: postCommentsQueryKey,
       });
     },
-    onError: (error) => {
-      setCommentLikeError(extractApiMessage(error, "Failed to update like."));
+    onError: (error, { previousState }) => {
+      if (error?.isReactionRemoved) {
+        setCommentLikeState(removeReaction(previousState));
+        setCommentLikeError("Your reaction was removed, but the new one could not be added.");
+        queryClient.invalidateQueries({
+          queryKey: postCommentsQueryKey,
+        });
+        return;
+      }
+      setCommentLikeState(previousState);
+      setCommentLikeError(extractApiMessage(error, "Failed to update reaction."));
     },
   });
 
   const [replyLikeStates, setReplyLikeStates] = useState({});
 
   const replyLikeMutation = useMutation({
-    mutationFn: ({ replyId }) => {
+    mutationFn: ({ replyId, reaction, previousState }) => {
       if (!replyId) throw new Error("Missing reply ID");
-      return toggleCommentLike(token, postId, replyId);
+      return toggleCommentLike(token, postId, replyId, reaction, previousState.reaction);
     },
-    onSuccess: (response, { replyId }) => {
-      setReplyLikeStates((prev) => {
-        const current = prev[replyId] || { isLiked: false, count: 0 };
-        const next = getLikeResultFromResponse(response?.data, current.isLiked, current.count);
-        return { ...prev, [replyId]: next };
-      });
+    onMutate: ({ replyId, reaction, previousState }) => {
+      setReplyLikeStates((prev) => ({ ...prev, [replyId]: applyReaction(previousState, reaction) }));
+    },
+    onSuccess: (response, { replyId, reaction, previousState }) => {
+      setReplyLikeStates((prev) => ({
+        ...prev,
+        [replyId]: getReactionResultFromResponse(response?.data, previousState, reaction),
+      }));
       queryClient.invalidateQueries({
         queryKey: commentRepliesQueryKey,
       });
     },
+    onError: (error, { replyId, previousState }) => {
+      setReplyLikeStates((prev) => ({
+        ...prev,
+        [replyId]: error?.isReactionRemoved ? removeReaction(previousState) : previousState,
+      }));
+      if (error?.isReactionRemoved) {
+        queryClient.invalidateQueries({
+          queryKey: commentRepliesQueryKey,
+        });
+      }
+    },
   });
 
   useEffect(() => {
     if (!isEditingComment) {
-      setEditingCommentContent(getEntityBody(comment));
+      setEditingCommentContent(comment?.content || "");
     }
-  }, [comment?._id, comment?.id, comment?.content, comment?.body, isEditingComment]);
+  }, [comment?.id, comment?.content, isEditingComment]);
 
   useEffect(() => {
     if (!isCommentMenuOpen) return undefined;
@@ -617,7 +500,7 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
   }, [isCommentMenuOpen]);
 
   const createReplyMutation = useMutation({
-    mutationFn: ({ content }) => createReplyByCommentId(token, postId, commentId, content),
+    mutationFn: ({ content }) => createReply(token, postId, commentId, content),
     onMutate: async ({ content }) => {
       setReplySubmitError("");
       const optimisticReply = createOptimisticEntity(content, "reply");
@@ -647,7 +530,7 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
       };
     },
     onSuccess: (response, _variables, context) => {
-      const serverReply = extractCreatedEntityFromResponse(response?.data, "reply");
+      const serverReply = parseCreatedComment(response?.data, "reply");
 
       if (context?.optimisticReplyId && serverReply) {
         const mergedReply = mergeOptimisticWithServerEntity(
@@ -688,7 +571,7 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
   });
 
   const updateCommentMutation = useMutation({
-    mutationFn: ({ content }) => updateCommentById(token, postId, commentId, content),
+    mutationFn: ({ content }) => updateComment(token, postId, commentId, content),
     onMutate: async ({ content }) => {
       setCommentActionError("");
       await queryClient.cancelQueries({ queryKey: postCommentsQueryKey });
@@ -704,13 +587,14 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
       return { previousComments };
     },
     onSuccess: (response) => {
-      const updatedComment = extractCreatedEntityFromResponse(response?.data, "comment");
+      const updatedComment = parseCreatedComment(response?.data, "comment");
 
       if (updatedComment) {
         queryClient.setQueryData(postCommentsQueryKey, (oldData) =>
           replaceEntityInInfiniteQueryData(oldData, "comments", commentId, {
             ...comment,
             ...updatedComment,
+            author: updatedComment.author || comment?.author,
           })
         );
       }
@@ -734,7 +618,7 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
   });
 
   const deleteCommentMutation = useMutation({
-    mutationFn: () => deleteCommentById(token, postId, commentId),
+    mutationFn: () => deleteComment(token, postId, commentId),
     onMutate: async () => {
       setCommentActionError("");
       await Promise.all([
@@ -780,25 +664,25 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
     },
   });
 
-  function handleReplyLike(replyId) {
+  function handleReplyReaction(replyId, previousState, reaction) {
     if (!token || !postId || !replyId || replyLikeMutation.isPending) return;
-    replyLikeMutation.mutate({ replyId });
+    replyLikeMutation.mutate({ replyId, reaction, previousState });
   }
 
-  function handleCommentLike() {
+  function handleCommentReaction(reaction) {
     if (!token || !postId || !commentId || commentLikeMutation.isPending) return;
-    commentLikeMutation.mutate();
+    commentLikeMutation.mutate({ reaction, previousState: commentLikeState });
   }
 
   function handleOpenCommentEdit() {
-    setEditingCommentContent(getEntityBody(comment));
+    setEditingCommentContent(comment?.content || "");
     setCommentActionError("");
     setIsEditingComment(true);
     setIsCommentMenuOpen(false);
   }
 
   function handleCancelCommentEdit() {
-    setEditingCommentContent(getEntityBody(comment));
+    setEditingCommentContent(comment?.content || "");
     setIsEditingComment(false);
     setCommentActionError("");
   }
@@ -905,18 +789,25 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
       <div className="mt-1.5 flex items-center justify-between px-1">
         <div className="flex items-center gap-4">
           <span className="text-xs font-semibold text-slate-400">{commentTime}</span>
-          <button
-            type="button"
-            onClick={handleCommentLike}
+          <ReactionPicker
+            reaction={commentLikeState.reaction}
+            onReact={handleCommentReaction}
             disabled={!token || !postId || !commentId || commentLikeMutation.isPending}
+            label={commentReaction ? `Remove ${commentReaction.label} reaction` : "Like comment"}
             className={`text-xs font-semibold hover:underline disabled:opacity-60 ${
-              commentLikeState.isLiked
-                ? "text-[#1877f2]"
+              commentReaction
+                ? commentReaction.className
                 : "text-slate-500 transition hover:text-[#1877f2]"
             }`}
           >
-            {commentLikeMutation.isPending ? "Liking..." : `Like (${commentLikeState.count})`}
-          </button>
+            {commentReaction?.label || "Like"}
+          </ReactionPicker>
+          <ReactionSummary
+            className="text-xs font-semibold text-slate-500"
+            counts={commentLikeState.counts}
+            size="sm"
+            total={commentLikeState.count}
+          />
           <button
             type="button"
             onClick={() => setIsReplyFormOpen((prev) => !prev)}
@@ -1151,16 +1042,16 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
       {isReplyFormOpen ? (
         <form onSubmit={handleSubmit(onSubmitReply)} className="mt-2 ml-2">
           <div className="rounded-xl border border-slate-200 bg-white px-2 py-2">
-            <textarea
-              {...register("content", {
-                required: "Reply is required.",
-                maxLength: {
-                  value: MAX_REPLY_LENGTH,
-                  message: `Reply can't exceed ${MAX_REPLY_LENGTH} characters.`,
-                },
-                validate: (value) =>
-                  value.trim().length > 0 || "Reply is required.",
-              })}
+            <MentionTextarea
+              {...replyField}
+              ref={(node) => {
+                registerReplyRef(node);
+                replyInputRef.current = node;
+              }}
+              value={replyContent ?? ""}
+              onValueChange={(nextContent) =>
+                setValue("content", nextContent, { shouldDirty: true, shouldValidate: true })
+              }
               rows={2}
               placeholder="Write a reply..."
               className="max-h-[160px] min-h-[44px] w-full resize-none rounded-lg border border-slate-200 bg-slate-50 px-2 py-2 text-sm leading-5 text-slate-800 outline-none ring-[#1877f2]/20 focus:border-[#1877f2] focus:bg-white focus:ring-2"
@@ -1173,7 +1064,15 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
             {replySubmitError ? (
               <p className="mt-1 text-xs font-semibold text-red-600">{replySubmitError}</p>
             ) : null}
-            <div className="mt-2 flex justify-end">
+            <div className="mt-2 flex items-center justify-between">
+              <EmojiPicker
+                inputRef={replyInputRef}
+                placement="top"
+                buttonClassName="inline-flex items-center justify-center rounded-full p-1.5 transition hover:bg-slate-100"
+                onInsert={(nextContent) =>
+                  setValue("content", nextContent, { shouldDirty: true, shouldValidate: true })
+                }
+              />
               <button
                 type="submit"
                 disabled={!isValid || isSubmitting || createReplyMutation.isPending}
@@ -1213,18 +1112,11 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
                 const replyAuthor = getEntityAuthor(reply);
                 const replyHandle = getEntityHandle(reply, replyAuthor);
                 const replyTime = getEntityDateLabel(reply?.createdAt);
-                const replyBody = getEntityBody(reply);
-                const replyImage = getValidMediaUrl(
-                  reply?.image ||
-                    reply?.replyImage ||
-                    reply?.media?.url ||
-                    reply?.attachment
-                );
+                const replyBody = reply?.content || "";
+                const replyImage = reply?.image;
                 const replyId = getEntityId(reply);
-                const replyLikeState = replyLikeStates[replyId] || {
-                  isLiked: Boolean(reply?.isLiked || reply?.likedByMe),
-                  count: getNumericCount(reply?.likesCount) || getNumericCount(reply?.likes),
-                };
+                const replyLikeState = replyLikeStates[replyId] || getReactionState(reply);
+                const replyReaction = getReaction(replyLikeState.reaction);
 
                 return (
                   <div
@@ -1247,7 +1139,7 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
                         </p>
                         {replyBody ? (
                           <p className="mt-1 whitespace-pre-wrap text-xs text-slate-800">
-                            {replyBody}
+                            <RichText text={replyBody} />
                           </p>
                         ) : null}
                         {replyImage ? (
@@ -1259,16 +1151,27 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
                         ) : null}
                       </div>
                       <div className="mt-1 flex items-center gap-3 px-1">
-                        <button
-                          type="button"
-                          onClick={() => handleReplyLike(replyId)}
+                        <ReactionPicker
+                          reaction={replyLikeState.reaction}
+                          onReact={(reaction) =>
+                            handleReplyReaction(replyId, replyLikeState, reaction)
+                          }
                           disabled={!token || !postId || !replyId || replyLikeMutation.isPending}
+                          label={
+                            replyReaction ? `Remove ${replyReaction.label} reaction` : "Like reply"
+                          }
                           className={`text-[11px] font-semibold transition hover:underline disabled:cursor-not-allowed disabled:opacity-60 ${
-                            replyLikeState.isLiked ? "text-[#1877f2]" : "text-slate-500"
+                            replyReaction ? replyReaction.className : "text-slate-500"
                           }`}
                         >
-                          {replyLikeMutation.isPending ? "Liking..." : `Like (${replyLikeState.count})`}
-                        </button>
+                          {replyReaction?.label || "Like"}
+                        </ReactionPicker>
+                        <ReactionSummary
+                          className="text-[11px] font-semibold text-slate-500"
+                          counts={replyLikeState.counts}
+                          size="sm"
+                          total={replyLikeState.count}
+                        />
                       </div>
                     </div>
                   </div>
@@ -1295,7 +1198,7 @@ function ReplyThread({ token, postId, comment, commentTime, currentUserId }) {
 }
 
 export default function CommentsSection({ postId }) {
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token } = useContext(AuthContext);
   const queryClient = useQueryClient();
   const postCommentsQueryKey = ["post-comments", postId, token];
   const [sortBy, setSortBy] = useState("relevant");
@@ -1315,9 +1218,11 @@ export default function CommentsSection({ postId }) {
   const currentUserAvatar = getValidImageUrl(currentUser?.photo || currentUser?.avatar);
 
   const {
+    control,
     register,
     handleSubmit,
     reset,
+    setValue,
     formState: { errors: commentErrors, isValid, isSubmitting },
   } = useForm({
     mode: "onChange",
@@ -1325,6 +1230,17 @@ export default function CommentsSection({ postId }) {
       content: "",
     },
   });
+  const commentContent = useWatch({ control, name: "content" });
+  const commentInputRef = useRef(null);
+  const { ref: registerCommentRef, ...commentField } = register("content", {
+    required: "Comment is required.",
+    maxLength: {
+      value: MAX_COMMENT_LENGTH,
+      message: `Comment can't exceed ${MAX_COMMENT_LENGTH} characters.`,
+    },
+    validate: (value) => value.trim().length > 0 || "Comment is required.",
+  });
+  useTextDraft(postId ? `comment:${postId}` : null, commentContent, setValue);
 
   const {
     data,
@@ -1354,7 +1270,7 @@ export default function CommentsSection({ postId }) {
   });
 
   const createCommentMutation = useMutation({
-    mutationFn: ({ content }) => createCommentByPostId(token, postId, content),
+    mutationFn: ({ content }) => createComment(token, postId, content),
     onMutate: async ({ content }) => {
       setCommentSubmitError("");
       const optimisticComment = createOptimisticEntity(content, "comment");
@@ -1373,7 +1289,7 @@ export default function CommentsSection({ postId }) {
       };
     },
     onSuccess: (response, _variables, context) => {
-      const serverComment = extractCreatedEntityFromResponse(response?.data, "comment");
+      const serverComment = parseCreatedComment(response?.data, "comment");
 
       if (context?.optimisticCommentId && serverComment) {
         const mergedComment = mergeOptimisticWithServerEntity(
@@ -1481,13 +1397,8 @@ export default function CommentsSection({ postId }) {
               const commentAuthor = getEntityAuthor(comment);
               const commentHandle = getEntityHandle(comment, commentAuthor);
               const commentTime = getEntityDateLabel(comment?.createdAt);
-              const commentBody = getEntityBody(comment);
-              const commentImage = getValidMediaUrl(
-                comment?.image ||
-                  comment?.commentImage ||
-                  comment?.media?.url ||
-                  comment?.attachment
-              );
+              const commentBody = comment?.content || "";
+              const commentImage = comment?.image;
 
               return (
                 <div
@@ -1516,7 +1427,7 @@ export default function CommentsSection({ postId }) {
 
                       {commentBody ? (
                         <p className="mt-1 whitespace-pre-wrap text-sm text-slate-800">
-                          {commentBody}
+                          <RichText text={commentBody} />
                         </p>
                       ) : null}
 
@@ -1574,16 +1485,16 @@ export default function CommentsSection({ postId }) {
           />
 
           <div className="w-full rounded-2xl border border-slate-200 bg-[#f0f2f5] px-2.5 py-1.5 focus-within:border-[#c7dafc] focus-within:bg-white">
-            <textarea
-              {...register("content", {
-                required: "Comment is required.",
-                maxLength: {
-                  value: MAX_COMMENT_LENGTH,
-                  message: `Comment can't exceed ${MAX_COMMENT_LENGTH} characters.`,
-                },
-                validate: (value) =>
-                  value.trim().length > 0 || "Comment is required.",
-              })}
+            <MentionTextarea
+              {...commentField}
+              ref={(node) => {
+                registerCommentRef(node);
+                commentInputRef.current = node;
+              }}
+              value={commentContent ?? ""}
+              onValueChange={(nextContent) =>
+                setValue("content", nextContent, { shouldDirty: true, shouldValidate: true })
+              }
               placeholder="Write a comment..."
               rows={1}
               disabled={!token || isSubmitting || createCommentMutation.isPending}
@@ -1624,29 +1535,15 @@ export default function CommentsSection({ postId }) {
                   <input accept="image/*" className="hidden" type="file" />
                 </label>
 
-                <button
-                  type="button"
-                  className="inline-flex items-center justify-center rounded-full p-2 text-slate-500 transition hover:bg-slate-200 hover:text-amber-500"
-                >
-                  <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    width={16}
-                    height={16}
-                    viewBox="0 0 24 24"
-                    fill="none"
-                    stroke="currentColor"
-                    strokeWidth={2}
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    className="lucide lucide-smile"
-                    aria-hidden="true"
-                  >
-                    <circle cx={12} cy={12} r={10} />
-                    <path d="M8 14s1.5 2 4 2 4-2 4-2" />
-                    <line x1={9} x2={9.01} y1={9} y2={9} />
-                    <line x1={15} x2={15.01} y1={9} y2={9} />
-                  </svg>
-                </button>
+                <EmojiPicker
+                  inputRef={commentInputRef}
+                  placement="top"
+                  disabled={!token || isSubmitting || createCommentMutation.isPending}
+                  buttonClassName="inline-flex items-center justify-center rounded-full p-2 transition hover:bg-slate-200 disabled:cursor-not-allowed disabled:opacity-70"
+                  onInsert={(nextContent) =>
+                    setValue("content", nextContent, { shouldDirty: true, shouldValidate: true })
+                  }
+                />
               </div>
 
               <button
@@ -0,0 +1,254 @@
+import { useContext, useEffect, useId, useRef, useState } from "react";
+import { AuthContext } from "../../context/AuthContext";
+import {
+  EMOJI_CATEGORIES,
+  SKIN_TONES,
+  addRecentEmoji,
+  applySkinTone,
+  insertAtSelection,
+  readEmojiPreferences,
+  saveEmojiPreferences,
+  searchEmojis,
+  toRecentEmojiEntries,
+} from "../../utils/emoji";
+
+const RECENT_CATEGORY_ID = "recent";
+
+function SmileIcon() {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width="18"
+      height="18"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      className="lucide lucide-smile text-amber-500"
+      aria-hidden="true"
+    >
+      <circle cx="12" cy="12" r="10"></circle>
+      <path d="M8 14s1.5 2 4 2 4-2 4-2"></path>
+      <line x1="9" x2="9.01" y1="9" y2="9"></line>
+      <line x1="15" x2="15.01" y1="9" y2="9"></line>
+    </svg>
+  );
+}
+
+/**
+ * Emoji button with a popover picker. Picked emojis are inserted at the caret of
+ * `inputRef` and the resulting text is passed to `onInsert`.
+ */
+export default function EmojiPicker({
+  inputRef,
+  onInsert,
+  label = "",
+  placement = "bottom",
+  align = "left",
+  disabled = false,
+  buttonClassName = "flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold text-slate-600 transition hover:bg-slate-100",
+}) {
+  const { userId } = useContext(AuthContext);
+  const pickerId = useId();
+  const containerRef = useRef(null);
+  const searchInputRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [activeCategoryId, setActiveCategoryId] = useState(EMOJI_CATEGORIES[0].id);
+  const [preferences, setPreferences] = useState({ recent: [], skinTone: "" });
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    function handlePointerDown(event) {
+      if (!containerRef.current?.contains(event.target)) setIsOpen(false);
+    }
+
+    function handleKeyDown(event) {
+      if (event.key !== "Escape") return;
+      event.stopPropagation();
+      setIsOpen(false);
+      inputRef.current?.focus();
+    }
+
+    document.addEventListener("mousedown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [inputRef, isOpen]);
+
+  function handleToggle() {
+    if (isOpen) {
+      setIsOpen(false);
+      return;
+    }
+
+    const storedPreferences = readEmojiPreferences(userId);
+    setPreferences(storedPreferences);
+    setActiveCategoryId(
+      storedPreferences.recent.length > 0 ? RECENT_CATEGORY_ID : EMOJI_CATEGORIES[0].id
+    );
+    setQuery("");
+    setIsOpen(true);
+    requestAnimationFrame(() => searchInputRef.current?.focus());
+  }
+
+  function updatePreferences(changes) {
+    const nextPreferences = { ...preferences, ...changes };
+    setPreferences(nextPreferences);
+    saveEmojiPreferences(userId, nextPreferences);
+  }
+
+  function handleSelect(emoji) {
+    const input = inputRef.current;
+    const value = input?.value || "";
+    const selection = {
+      start: input?.selectionStart ?? value.length,
+      end: input?.selectionEnd ?? value.length,
+    };
+    const { text, caret } = insertAtSelection(value, selection, emoji);
+    if (input?.maxLength > 0 && text.length > input.maxLength) return;
+
+    onInsert(text);
+    updatePreferences({ recent: addRecentEmoji(preferences.recent, emoji) });
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(caret, caret);
+    });
+  }
+
+  const recentEntries = toRecentEmojiEntries(preferences.recent);
+  const categories = [
+    ...(recentEntries.length > 0
+      ? [{ id: RECENT_CATEGORY_ID, label: "Recently used", icon: "🕘", emojis: recentEntries }]
+      : []),
+    ...EMOJI_CATEGORIES,
+  ];
+  const activeCategory =
+    categories.find((category) => category.id === activeCategoryId) || categories[0];
+  const isSearching = Boolean(query.trim());
+  const visibleEmojis = isSearching ? searchEmojis(query) : activeCategory.emojis;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={disabled}
+        aria-label="Insert emoji"
+        aria-expanded={isOpen}
+        aria-controls={isOpen ? pickerId : undefined}
+        className={buttonClassName}
+      >
+        <SmileIcon />
+        {label ? <span className="hidden sm:inline">{label}</span> : null}
+      </button>
+
+      {isOpen ? (
+        <div
+          id={pickerId}
+          role="dialog"
+          aria-label="Emoji picker"
+          className={`absolute z-50 w-80 max-w-[calc(100vw-2rem)] rounded-2xl border border-slate-200 bg-white shadow-xl ${
+            placement === "top" ? "bottom-full mb-2" : "top-full mt-2"
+          } ${align === "right" ? "right-0" : "left-0"}`}
+        >
+          <div className="flex items-center gap-2 border-b border-slate-200 p-2">
+            <input
+              ref={searchInputRef}
+              type="search"
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              onKeyDown={(event) => {
+                if (event.key === "Enter") event.preventDefault();
+              }}
+              placeholder="Search emoji"
+              aria-label="Search emoji"
+              className="min-w-0 flex-1 rounded-lg border border-slate-200 bg-slate-50 px-2.5 py-1.5 text-sm outline-none focus:border-[#1877f2] focus:bg-white"
+            />
+            <div role="radiogroup" aria-label="Skin tone" className="flex items-center">
+              {SKIN_TONES.map((tone) => (
+                <button
+                  key={tone.label}
+                  type="button"
+                  role="radio"
+                  aria-checked={preferences.skinTone === tone.id}
+                  aria-label={`${tone.label} skin tone`}
+                  title={`${tone.label} skin tone`}
+                  onClick={() => updatePreferences({ skinTone: tone.id })}
+                  className={`rounded-md p-0.5 text-sm leading-none ${
+                    preferences.skinTone === tone.id ? "bg-[#e7f3ff]" : "hover:bg-slate-100"
+                  }`}
+                >
+                  {tone.swatch}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {!isSearching ? (
+            <div
+              role="tablist"
+              aria-label="Emoji categories"
+              className="flex border-b border-slate-200 px-1"
+            >
+              {categories.map((category) => (
+                <button
+                  key={category.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={category.id === activeCategory.id}
+                  aria-label={category.label}
+                  title={category.label}
+                  onClick={() => setActiveCategoryId(category.id)}
+                  className={`flex-1 border-b-2 py-1.5 text-base ${
+                    category.id === activeCategory.id
+                      ? "border-[#1877f2]"
+                      : "border-transparent opacity-70 hover:opacity-100"
+                  }`}
+                >
+                  {category.icon}
+                </button>
+              ))}
+            </div>
+          ) : null}
+
+          <div className="h-60 overflow-y-auto p-2">
+            <p className="px-1 pb-1 text-xs font-bold text-slate-500">
+              {isSearching ? "Search results" : activeCategory.label}
+            </p>
+            {visibleEmojis.length === 0 ? (
+              <p className="px-1 py-6 text-center text-sm text-slate-500">No emoji found.</p>
+            ) : (
+              <div className="grid grid-cols-8 gap-0.5">
+                {visibleEmojis.map((entry) => {
+                  const emoji =
+                    activeCategory.id === RECENT_CATEGORY_ID && !isSearching
+                      ? entry.emoji
+                      : applySkinTone(entry, preferences.skinTone);
+
+                  return (
+                    <button
+                      key={`${entry.name}-${entry.emoji}`}
+                      type="button"
+                      title={entry.name}
+                      aria-label={entry.name}
+                      onClick={() => handleSelect(emoji)}
+                      className="flex aspect-square items-center justify-center rounded-lg text-xl hover:bg-slate-100"
+                    >
+                      {emoji}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
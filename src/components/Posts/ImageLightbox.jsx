@@ -0,0 +1,202 @@
+import { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+
+const SWIPE_THRESHOLD = 50;
+
+function ChevronIcon({ direction }) {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width="24"
+      height="24"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      aria-hidden="true"
+    >
+      <path d={direction === "left" ? "m15 18-6-6 6-6" : "m9 18 6-6-6-6"}></path>
+    </svg>
+  );
+}
+
+export default function ImageLightbox({ images, initialIndex = 0, onClose, label = "Image viewer" }) {
+  const [activeIndex, setActiveIndex] = useState(initialIndex);
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+  const touchStartRef = useRef(null);
+  const imageCount = images.length;
+  const activeImage = images[activeIndex] || images[0];
+  const hasMultipleImages = imageCount > 1;
+
+  function showPrevious() {
+    setActiveIndex((index) => (index - 1 + imageCount) % imageCount);
+  }
+
+  function showNext() {
+    setActiveIndex((index) => (index + 1) % imageCount);
+  }
+
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    const previousOverflow = document.body.style.overflow;
+
+    document.body.style.overflow = "hidden";
+    closeButtonRef.current?.focus();
+
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      previouslyFocused?.focus?.();
+    };
+  }, []);
+
+  function handleKeyDown(event) {
+    if (event.key === "Escape") {
+      event.stopPropagation();
+      onClose();
+      return;
+    }
+
+    if (hasMultipleImages && event.key === "ArrowLeft") showPrevious();
+    if (hasMultipleImages && event.key === "ArrowRight") showNext();
+
+    if (event.key === "Tab") {
+      const focusable = Array.from(dialogRef.current?.querySelectorAll("button") || []);
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last?.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first?.focus();
+      }
+    }
+  }
+
+  function handleTouchStart(event) {
+    const touch = event.touches[0];
+    touchStartRef.current = touch ? { x: touch.clientX, y: touch.clientY } : null;
+  }
+
+  function handleTouchEnd(event) {
+    const start = touchStartRef.current;
+    const touch = event.changedTouches[0];
+    touchStartRef.current = null;
+    if (!start || !touch || !hasMultipleImages) return;
+
+    const deltaX = touch.clientX - start.x;
+    const deltaY = touch.clientY - start.y;
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+    if (deltaX > 0) showPrevious();
+    else showNext();
+  }
+
+  if (!activeImage) return null;
+
+  return createPortal(
+    <div
+      ref={dialogRef}
+      aria-label={label}
+      aria-modal="true"
+      className="fixed inset-0 z-[80] flex items-center justify-center bg-black/90 p-4 sm:p-8"
+      role="dialog"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+      onKeyDown={handleKeyDown}
+      onTouchEnd={handleTouchEnd}
+      onTouchStart={handleTouchStart}
+    >
+      <button
+        ref={closeButtonRef}
+        type="button"
+        onClick={onClose}
+        className="absolute right-4 top-4 inline-flex h-10 w-10 items-center justify-center rounded-full bg-white/10 text-white transition hover:bg-white/20"
+        aria-label="Close image viewer"
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          width="20"
+          height="20"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          className="lucide lucide-x"
+          aria-hidden="true"
+        >
+          <path d="M18 6 6 18"></path>
+          <path d="m6 6 12 12"></path>
+        </svg>
+      </button>
+
+      {hasMultipleImages ? (
+        <button
+          type="button"
+          onClick={showPrevious}
+          className="absolute left-2 top-1/2 inline-flex h-11 w-11 -translate-y-1/2 items-center justify-center rounded-full bg-white/10 text-white transition hover:bg-white/20 sm:left-4"
+          aria-label="Previous image"
+        >
+          <ChevronIcon direction="left" />
+        </button>
+      ) : null}
+
+      {activeImage.type === "video" ? (
+        <video
+          key={activeImage.url}
+          aria-label={activeImage.alt || `Video ${activeIndex + 1} of ${imageCount}`}
+          className="max-h-full max-w-full"
+          src={activeImage.url}
+          poster={activeImage.poster || undefined}
+          autoPlay
+          controls
+          playsInline
+        />
+      ) : (
+        <img
+          alt={activeImage.alt || `Image ${activeIndex + 1} of ${imageCount}`}
+          className="max-h-full max-w-full select-none object-contain"
+          draggable={false}
+          src={activeImage.url}
+        />
+      )}
+
+      {hasMultipleImages ? (
+        <button
+          type="button"
+          onClick={showNext}
+          className="absolute right-2 top-1/2 inline-flex h-11 w-11 -translate-y-1/2 items-center justify-center rounded-full bg-white/10 text-white transition hover:bg-white/20 sm:right-4"
+          aria-label="Next image"
+        >
+          <ChevronIcon direction="right" />
+        </button>
+      ) : null}
+
+      {activeImage.alt ? (
+        <p
+          aria-hidden="true"
+          className="absolute inset-x-4 bottom-14 mx-auto max-h-[25vh] max-w-2xl overflow-y-auto whitespace-pre-wrap break-words rounded-lg bg-black/60 px-3 py-2 text-center text-sm text-white"
+        >
+          {activeImage.alt}
+        </p>
+      ) : null}
+
+      {hasMultipleImages ? (
+        <p
+          aria-live="polite"
+          className="absolute bottom-4 left-1/2 -translate-x-1/2 rounded-full bg-white/10 px-3 py-1 text-xs font-bold text-white"
+        >
+          {activeIndex + 1} / {imageCount}
+        </p>
+      ) : null}
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,50 @@
+import { useQuery } from "@tanstack/react-query";
+import { fetchLinkPreview } from "../../api/unfurl";
+import { getLinkHostname } from "../../utils/links";
+
+export default function LinkPreviewCard({ url, className = "" }) {
+  const { data: preview } = useQuery({
+    queryKey: ["link-preview", url],
+    queryFn: () => fetchLinkPreview(url),
+    enabled: Boolean(url),
+    staleTime: 1000 * 60 * 60,
+    gcTime: 1000 * 60 * 60,
+    refetchOnWindowFocus: false,
+    retry: false,
+  });
+
+  if (!preview) return null;
+
+  return (
+    <a
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer nofollow ugc"
+      className={`block overflow-hidden rounded-xl border border-slate-200 bg-slate-50 transition hover:bg-slate-100 ${className}`}
+    >
+      {preview.image ? (
+        <img
+          alt=""
+          loading="lazy"
+          referrerPolicy="no-referrer"
+          className="aspect-[1.91/1] w-full border-b border-slate-200 object-cover"
+          src={preview.image}
+          onError={(event) => {
+            event.currentTarget.style.display = "none";
+          }}
+        />
+      ) : null}
+      <div className="space-y-0.5 px-3 py-2.5">
+        <p className="truncate text-[11px] font-semibold uppercase tracking-wide text-slate-500">
+          {preview.siteName || getLinkHostname(preview.url)}
+        </p>
+        {preview.title ? (
+          <p className="line-clamp-2 text-sm font-bold text-slate-900">{preview.title}</p>
+        ) : null}
+        {preview.description ? (
+          <p className="line-clamp-2 text-xs text-slate-600">{preview.description}</p>
+        ) : null}
+      </div>
+    </a>
+  );
+}
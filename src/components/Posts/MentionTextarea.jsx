@@ -0,0 +1,182 @@
+import { useContext, useEffect, useId, useRef, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { searchUsers } from "../../api/users";
+import { parseUserPage } from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
+import { getMentionQuery, insertMention } from "../../utils/mentions";
+
+const DEFAULT_PROFILE_IMAGE =
+  "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
+const MENTION_RESULTS_LIMIT = 6;
+const MENTION_SEARCH_DELAY_MS = 200;
+
+function getSafeImage(url) {
+  if (typeof url !== "string") return DEFAULT_PROFILE_IMAGE;
+  const trimmed = url.trim();
+  return trimmed || DEFAULT_PROFILE_IMAGE;
+}
+
+async function fetchMentionCandidates(token, query) {
+  const response = await searchUsers(token, {
+    q: query,
+    limit: MENTION_RESULTS_LIMIT,
+    page: 1,
+  });
+  return parseUserPage(response?.data).items.slice(0, MENTION_RESULTS_LIMIT);
+}
+
+export default function MentionTextarea({
+  ref,
+  value,
+  onValueChange,
+  onChange,
+  onKeyDown,
+  onBlur,
+  wrapperClassName = "",
+  ...textareaProps
+}) {
+  const { userToken: token } = useContext(AuthContext);
+  const listboxId = useId();
+  const textareaRef = useRef(null);
+  const [mention, setMention] = useState(null);
+  const [searchQuery, setSearchQuery] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const mentionQuery = mention ? mention.query : null;
+
+  useEffect(() => {
+    if (mentionQuery === null) return undefined;
+
+    const timeoutId = setTimeout(() => setSearchQuery(mentionQuery), MENTION_SEARCH_DELAY_MS);
+    return () => clearTimeout(timeoutId);
+  }, [mentionQuery]);
+
+  const { data: candidates = [] } = useQuery({
+    queryKey: ["mention-candidates", token, searchQuery],
+    queryFn: () => fetchMentionCandidates(token, searchQuery),
+    enabled: Boolean(token) && mentionQuery !== null && searchQuery !== null,
+    placeholderData: (previousData) => previousData,
+    staleTime: 1000 * 60,
+    retry: false,
+  });
+
+  const isOpen = mentionQuery !== null && candidates.length > 0;
+  const highlightedIndex = Math.min(activeIndex, candidates.length - 1);
+
+  function setTextareaRef(node) {
+    textareaRef.current = node;
+    if (typeof ref === "function") ref(node);
+    else if (ref) ref.current = node;
+  }
+
+  function syncMention(textarea) {
+    const caret = textarea.selectionStart;
+    const nextMention =
+      caret === textarea.selectionEnd ? getMentionQuery(textarea.value, caret) : null;
+
+    setMention(nextMention ? { ...nextMention, end: caret } : null);
+    if (nextMention?.query !== mentionQuery) setActiveIndex(0);
+  }
+
+  function selectCandidate(user) {
+    const textarea = textareaRef.current;
+    if (!textarea || !mention) return;
+
+    const { text, caret } = insertMention(textarea.value, mention, user);
+    onValueChange(text);
+    setMention(null);
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(caret, caret);
+    });
+  }
+
+  function handleChange(event) {
+    onChange?.(event);
+    onValueChange(event.target.value);
+    syncMention(event.target);
+  }
+
+  function handleKeyDown(event) {
+    if (isOpen) {
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        const offset = event.key === "ArrowDown" ? 1 : -1;
+        setActiveIndex((highlightedIndex + offset + candidates.length) % candidates.length);
+        return;
+      }
+      if (event.key === "Enter" || event.key === "Tab") {
+        event.preventDefault();
+        selectCandidate(candidates[highlightedIndex]);
+        return;
+      }
+      if (event.key === "Escape") {
+        event.preventDefault();
+        event.stopPropagation();
+        setMention(null);
+        return;
+      }
+    }
+
+    onKeyDown?.(event);
+  }
+
+  function handleBlur(event) {
+    setMention(null);
+    onBlur?.(event);
+  }
+
+  return (
+    <div className={`relative ${wrapperClassName}`}>
+      <textarea
+        {...textareaProps}
+        ref={setTextareaRef}
+        value={value}
+        aria-autocomplete="list"
+        aria-controls={isOpen ? listboxId : undefined}
+        aria-activedescendant={isOpen ? `${listboxId}-${highlightedIndex}` : undefined}
+        onBlur={handleBlur}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onSelect={(event) => syncMention(event.currentTarget)}
+      />
+
+      {isOpen ? (
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label="Mention suggestions"
+          className="absolute left-0 top-full z-40 mt-1 w-72 max-w-full overflow-hidden rounded-xl border border-slate-200 bg-white py-1 shadow-lg"
+        >
+          {candidates.map((user, index) => (
+            <li
+              key={user.id}
+              id={`${listboxId}-${index}`}
+              role="option"
+              aria-selected={index === highlightedIndex}
+              onMouseDown={(event) => event.preventDefault()}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => selectCandidate(user)}
+              className={`flex cursor-pointer items-center gap-2 px-3 py-2 text-sm ${
+                index === highlightedIndex ? "bg-[#e7f3ff]" : "hover:bg-slate-50"
+              }`}
+            >
+              <img
+                alt=""
+                className="h-7 w-7 rounded-full object-cover"
+                src={getSafeImage(user.photo)}
+              />
+              <span className="min-w-0">
+                <span className="block truncate font-semibold text-slate-900">
+                  {user.name || user.username}
+                </span>
+                {user.username ? (
+                  <span className="block truncate text-xs text-slate-500">@{user.username}</span>
+                ) : null}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
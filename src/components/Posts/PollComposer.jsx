@@ -0,0 +1,114 @@
+import {
+  MAX_POLL_OPTIONS,
+  MAX_POLL_OPTION_LENGTH,
+  MAX_POLL_QUESTION_LENGTH,
+  MIN_POLL_OPTIONS,
+  POLL_DURATION_OPTIONS,
+} from "../../utils/polls";
+
+export default function PollComposer({ poll, onChange, onRemove }) {
+  function updateOption(index, value) {
+    onChange({
+      ...poll,
+      options: poll.options.map((option, optionIndex) => (optionIndex === index ? value : option)),
+    });
+  }
+
+  function removeOption(index) {
+    onChange({
+      ...poll,
+      options: poll.options.filter((_, optionIndex) => optionIndex !== index),
+    });
+  }
+
+  return (
+    <div
+      role="group"
+      aria-label="Poll"
+      className="mt-2 space-y-2 rounded-xl border border-slate-200 p-3"
+    >
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-bold text-slate-800">Poll</p>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="text-xs font-semibold text-slate-500 hover:text-red-600"
+        >
+          Remove poll
+        </button>
+      </div>
+
+      <input
+        type="text"
+        value={poll.question}
+        maxLength={MAX_POLL_QUESTION_LENGTH}
+        onChange={(event) => onChange({ ...poll, question: event.target.value })}
+        placeholder="Ask a question..."
+        aria-label="Poll question"
+        className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm outline-none focus:border-[#1877f2] focus:bg-white"
+      />
+
+      <ol className="space-y-2">
+        {poll.options.map((option, index) => (
+          <li key={index} className="flex items-center gap-2">
+            <input
+              type="text"
+              value={option}
+              maxLength={MAX_POLL_OPTION_LENGTH}
+              onChange={(event) => updateOption(index, event.target.value)}
+              placeholder={`Option ${index + 1}`}
+              aria-label={`Poll option ${index + 1}`}
+              className="min-w-0 flex-1 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-sm outline-none focus:border-[#1877f2]"
+            />
+            {poll.options.length > MIN_POLL_OPTIONS ? (
+              <button
+                type="button"
+                onClick={() => removeOption(index)}
+                aria-label={`Remove option ${index + 1}`}
+                className="rounded-full px-2 py-1 text-sm font-bold text-slate-400 hover:bg-slate-100 hover:text-slate-700"
+              >
+                &times;
+              </button>
+            ) : null}
+          </li>
+        ))}
+      </ol>
+
+      <div className="flex flex-wrap items-center gap-3">
+        {poll.options.length < MAX_POLL_OPTIONS ? (
+          <button
+            type="button"
+            onClick={() => onChange({ ...poll, options: [...poll.options, ""] })}
+            className="rounded-lg px-2 py-1 text-xs font-bold text-[#1877f2] hover:bg-[#e7f3ff]"
+          >
+            + Add option
+          </button>
+        ) : null}
+
+        <label className="inline-flex items-center gap-1.5 text-xs font-semibold text-slate-600">
+          Ends in
+          <select
+            value={poll.durationMs}
+            onChange={(event) => onChange({ ...poll, durationMs: Number(event.target.value) })}
+            className="rounded-md border border-slate-200 bg-white px-1.5 py-1 outline-none"
+          >
+            {POLL_DURATION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="inline-flex items-center gap-1.5 text-xs font-semibold text-slate-600">
+          <input
+            type="checkbox"
+            checked={poll.allowMultiple}
+            onChange={(event) => onChange({ ...poll, allowMultiple: event.target.checked })}
+          />
+          Allow multiple answers
+        </label>
+      </div>
+    </div>
+  );
+}
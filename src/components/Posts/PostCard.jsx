@@ -1,264 +1,91 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useContext, useEffect, useMemo, useRef, useState } from "react";
 import { Link } from "react-router-dom";
-import axios from "axios";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { Alert } from "@heroui/react";
 import CommentsSection from "./CommentsSection";
+import PrivacyIcon from "./PrivacyIcon";
+import PostImageGrid from "./PostImageGrid";
+import ImageLightbox from "./ImageLightbox";
+import RichText from "./RichText";
+import LinkPreviewCard from "./LinkPreviewCard";
+import EmojiPicker from "./EmojiPicker";
+import AltTextField from "./AltTextField";
+import PostPoll from "./PostPoll";
+import MentionTextarea from "./MentionTextarea";
+import SharedPostEmbed from "./SharedPostEmbed";
+import ReactionPicker from "./ReactionPicker";
+import ReactionSummary from "./ReactionSummary";
+import ReactionsDialog from "./ReactionsDialog";
 import { z } from "zod";
-
-const DEFAULT_PROFILE_IMAGE =
-  "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
+import { extractApiMessage } from "../../api/client";
+import {
+  deletePost,
+  fetchPostLikes as fetchPostLikesRequest,
+  sharePost,
+  togglePostBookmark,
+  togglePostLike,
+  updatePost,
+} from "../../api/posts";
+import { fetchProfileData } from "../../api/users";
+import {
+  getBookmarkResultFromResponse,
+  getEntityId,
+  getReactionResultFromResponse,
+  getShareCountFromResponse,
+  parseLikes,
+  parseUser,
+} from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
+import { POST_MEDIA_ACCEPT, processPostMediaFile } from "../../utils/videoProcessing";
+import { extractFirstLink } from "../../utils/links";
+import {
+  applyReaction,
+  getReaction,
+  getReactionState,
+  removeReaction,
+} from "../../utils/reactions";
+import {
+  DEFAULT_POST_PRIVACY,
+  POST_PRIVACY_OPTIONS,
+  getPostPrivacyLabel,
+} from "../../utils/postPrivacy";
+import {
+  DEFAULT_PROFILE_IMAGE,
+  getFormattedDate,
+  getRelativeTimeShort,
+  getUserHandle,
+  getValidImageUrl,
+} from "../../utils/postDisplay";
 
 async function fetchPostLikes(token, postId) {
-  const res = await axios.request({
-    method: "GET",
-    url: `https://route-posts.routemisr.com/posts/${postId}/likes`,
-    headers: { token },
-  });
-
-  const rawLikes = res?.data?.data?.likes || res?.data?.likes || res?.data?.data || [];
-  const likesCountFromApi =
-    res?.data?.data?.likesCount ??
-    res?.data?.likesCount ??
-    res?.data?.data?.count ??
-    (Array.isArray(rawLikes) ? rawLikes.length : null);
-
-  return {
-    likes: Array.isArray(rawLikes) ? rawLikes : [],
-    likesCount: Number.isFinite(Number(likesCountFromApi))
-      ? Number(likesCountFromApi)
-      : null,
-  };
-}
-
-async function togglePostLike(token, postId) {
-  return axios.request({
-    method: "PUT",
-    url: `https://route-posts.routemisr.com/posts/${postId}/like`,
-    headers: { token },
-  });
-}
-
-async function togglePostBookmark(token, postId) {
-  return axios.request({
-    method: "PUT",
-    url: `https://route-posts.routemisr.com/posts/${postId}/bookmark`,
-    headers: {
-      token,
-      Authorization: `Bearer ${token}`,
-    },
-  });
-}
-
-async function sharePostById(token, postId, shareText = "") {
-  const trimmedShareText = typeof shareText === "string" ? shareText.trim() : "";
-  const payload = trimmedShareText ? { body: trimmedShareText } : {};
-
-  return axios.request({
-    method: "POST",
-    url: `https://route-posts.routemisr.com/posts/${postId}/share`,
-    headers: {
-      token,
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-    },
-    data: payload,
-  });
+  const res = await fetchPostLikesRequest(token, postId);
+  return parseLikes(res?.data);
 }
 
 const updatePostSchema = z
   .object({
     body: z.string().optional(),
-    imageFile: z.custom(
-      (value) =>
-        value === null ||
-        value === undefined ||
-        (typeof File !== "undefined" && value instanceof File),
-      "Please select a valid image file."
-    ),
+    privacy: z.enum(POST_PRIVACY_OPTIONS.map((option) => option.value)),
+    mediaAlts: z.array(z.string().trim()),
+    media: z
+      .object({
+        type: z.enum(["image", "gif", "video"]),
+        file: z.custom(
+          (value) => typeof File !== "undefined" && value instanceof File,
+          "Please select a valid image or video file."
+        ),
+        poster: z.custom((value) => value === null || value instanceof Blob).optional(),
+      })
+      .nullable(),
   })
-  .refine((data) => Boolean(data?.body?.trim()) || data?.imageFile, {
+  .refine((data) => Boolean(data?.body?.trim()) || data?.media, {
     message: "Post cannot be empty. Add text or upload an image.",
     path: ["body"],
-  })
-  .refine(
-    (data) =>
-      !data?.imageFile ||
-      (typeof File !== "undefined" &&
-        data.imageFile instanceof File &&
-        data.imageFile.type.startsWith("image/")),
-    {
-      message: "Only image files are allowed.",
-      path: ["imageFile"],
-    }
-  );
-
-async function updatePostById(token, postId, payload) {
-  const formData = new FormData();
-  const trimmedBody = payload?.body?.trim() || "";
-
-  if (trimmedBody) {
-    formData.append("body", trimmedBody);
-  }
-
-  if (payload?.imageFile && typeof File !== "undefined" && payload.imageFile instanceof File) {
-    formData.append("image", payload.imageFile);
-  }
-
-  return axios.request({
-    method: "PUT",
-    url: `https://route-posts.routemisr.com/posts/${postId}`,
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-    data: formData,
   });
-}
-
-async function deletePostById(token, postId) {
-  return axios.request({
-    method: "DELETE",
-    url: `https://route-posts.routemisr.com/posts/${postId}`,
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-  });
-}
-
-function getRelativeTimeShort(dateValue) {
-  if (!dateValue) return "now";
-
-  const date = new Date(dateValue);
-  if (Number.isNaN(date.getTime())) return "now";
-
-  const diffMs = Date.now() - date.getTime();
-  const minute = 60 * 1000;
-  const hour = 60 * minute;
-  const day = 24 * hour;
-
-  if (diffMs < hour) return `${Math.max(1, Math.floor(diffMs / minute))}m`;
-  if (diffMs < day) return `${Math.max(1, Math.floor(diffMs / hour))}h`;
-  return `${Math.max(1, Math.floor(diffMs / day))}d`;
-}
-
-function getFormattedDate(dateValue) {
-  if (!dateValue) return "Unknown date";
-  const date = new Date(dateValue);
-  if (Number.isNaN(date.getTime())) return "Unknown date";
-  return date.toLocaleString();
-}
-
-function getCount(value) {
-  if (Array.isArray(value)) return value.length;
-  if (typeof value === "number" && Number.isFinite(value)) return value;
-  return 0;
-}
-
-function getEntityId(entity) {
-  if (typeof entity === "string") {
-    const trimmed = entity.trim();
-    return trimmed || null;
-  }
-  if (typeof entity === "number" && Number.isFinite(entity)) {
-    return String(entity);
-  }
-  return entity?._id || entity?.id || entity?.userId || null;
-}
-
-function isPlainObject(value) {
-  return Boolean(value && typeof value === "object" && !Array.isArray(value));
-}
-
-function getUserObject(candidate) {
-  if (!isPlainObject(candidate)) return null;
-
-  const directCandidates = [candidate, candidate?.user, candidate?.profile, candidate?.author];
-  for (const item of directCandidates) {
-    if (!isPlainObject(item)) continue;
-    if (
-      item?.name ||
-      item?.username ||
-      item?.email ||
-      item?.photo ||
-      item?.avatar ||
-      getEntityId(item)
-    ) {
-      return item;
-    }
-  }
-
-  return null;
-}
-
-function looksLikePost(candidate) {
-  if (!isPlainObject(candidate)) return false;
-
-  return Boolean(
-    getEntityId(candidate) ||
-      candidate?.body ||
-      candidate?.image ||
-      (Array.isArray(candidate?.images) && candidate.images.length > 0) ||
-      candidate?.createdAt ||
-      candidate?.user ||
-      candidate?.author
-  );
-}
-
-function getPostBody(post) {
-  if (typeof post?.body !== "string") return "";
-  if (post.body === "undefined") return "";
-  return post.body;
-}
-
-function getPostImage(post) {
-  return post?.image || post?.images?.[0] || post?.media?.[0]?.url || null;
-}
-
-function getSharedSourcePost(post) {
-  if (!isPlainObject(post)) return null;
-
-  const explicitCandidates = [
-    post?.sharedPost,
-    post?.originalPost,
-    post?.repostOf,
-    post?.sourcePost,
-    post?.parentPost,
-    post?.shared?.post,
-    post?.share?.post,
-    post?.shareData?.post,
-  ];
-
-  for (const candidate of explicitCandidates) {
-    if (looksLikePost(candidate)) return candidate;
-  }
-
-  const currentPostId = getEntityId(post);
-  const fallbackCandidates = [post?.post, post?.postData, post?.postId];
-  for (const candidate of fallbackCandidates) {
-    if (!looksLikePost(candidate)) continue;
-
-    const nestedId = getEntityId(candidate);
-    if (!nestedId || !currentPostId || String(nestedId) !== String(currentPostId)) {
-      return candidate;
-    }
-  }
-
-  return null;
-}
 
 async function fetchCurrentUser(token) {
-  const res = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/users/profile-data",
-    headers: { token },
-  });
-
-  return (
-    res?.data?.data?.user ||
-    res?.data?.user ||
-    res?.data?.data ||
-    null
-  );
+  const res = await fetchProfileData(token);
+  return parseUser(res?.data);
 }
 
 function getCurrentUserIdFromToken(token) {
@@ -287,197 +114,17 @@ function getCurrentUserIdFromToken(token) {
   }
 }
 
-function extractApiMessage(error, fallbackMessage) {
-  return (
-    error?.response?.data?.message ||
-    error?.response?.data?.error ||
-    error?.response?.data?.errors?.[0]?.msg ||
-    error?.message ||
-    fallbackMessage
-  );
-}
-
-function parseBooleanLike(value) {
-  if (typeof value === "boolean") return value;
-  if (typeof value === "number" && Number.isFinite(value)) return value > 0;
-  if (typeof value !== "string") return null;
-
-  const normalized = value.trim().toLowerCase();
-  if (!normalized) return null;
-  if (["true", "yes", "saved", "bookmarked", "1"].includes(normalized)) return true;
-  if (["false", "no", "unsaved", "unbookmarked", "0"].includes(normalized)) return false;
-  return null;
-}
-
-function getInitialBookmarkState(post) {
-  const candidates = [
-    post?.__isBookmarked,
-    post?.isBookmarked,
-    post?.bookmarkedByMe,
-    post?.savedByMe,
-    post?.isSaved,
-    post?.saved,
-    post?.bookmark,
-    post?.meta?.isBookmarked,
-    post?.meta?.savedByMe,
-  ];
-
-  for (const value of candidates) {
-    const parsed = parseBooleanLike(value);
-    if (parsed !== null) return parsed;
-  }
-
-  return false;
-}
-
-function getLikeResultFromResponse(responseData, currentLikeState, currentCount) {
-  const message = String(responseData?.message || "").toLowerCase();
-  let nextIsLiked = !currentLikeState;
-
-  if (message.includes("unlike") || message.includes("removed") || message.includes("delete")) {
-    nextIsLiked = false;
-  } else if (message.includes("like")) {
-    nextIsLiked = true;
-  }
-
-  const countFromApi =
-    responseData?.data?.likesCount ??
-    responseData?.likesCount ??
-    responseData?.data?.count ??
-    (Array.isArray(responseData?.data?.likes) ? responseData.data.likes.length : null) ??
-    (Array.isArray(responseData?.likes) ? responseData.likes.length : null);
-
-  const safeCurrentCount = Number.isFinite(currentCount) ? currentCount : 0;
-  const computedCount = nextIsLiked
-    ? safeCurrentCount + (currentLikeState ? 0 : 1)
-    : Math.max(0, safeCurrentCount - (currentLikeState ? 1 : 0));
-
-  return {
-    isLiked: nextIsLiked,
-    count: Number.isFinite(Number(countFromApi)) ? Number(countFromApi) : computedCount,
-  };
-}
-
-function getBookmarkResultFromResponse(responseData, currentBookmarkState) {
-  const responseCandidates = [
-    responseData?.data?.isBookmarked,
-    responseData?.isBookmarked,
-    responseData?.data?.bookmarked,
-    responseData?.bookmarked,
-    responseData?.data?.saved,
-    responseData?.saved,
-    responseData?.data?.isSaved,
-    responseData?.isSaved,
-  ];
-
-  for (const value of responseCandidates) {
-    const parsed = parseBooleanLike(value);
-    if (parsed !== null) {
-      return parsed;
-    }
-  }
-
-  const message = String(responseData?.message || "").toLowerCase();
-  if (
-    message.includes("unsave") ||
-    message.includes("un save") ||
-    message.includes("unbookmark") ||
-    message.includes("remove bookmark")
-  ) {
-    return false;
-  }
-  if (
-    message.includes("saved") ||
-    message.includes("save") ||
-    message.includes("bookmarked") ||
-    message.includes("bookmark")
-  ) {
-    return true;
-  }
-
-  return !currentBookmarkState;
-}
-
-function getShareCountFromResponse(responseData, currentCount) {
-  const countFromApi =
-    responseData?.data?.sharesCount ??
-    responseData?.sharesCount ??
-    responseData?.data?.count ??
-    (Array.isArray(responseData?.data?.shares) ? responseData.data.shares.length : null) ??
-    (Array.isArray(responseData?.shares) ? responseData.shares.length : null);
-
-  if (Number.isFinite(Number(countFromApi))) {
-    return Number(countFromApi);
-  }
-
-  const message = String(responseData?.message || "").toLowerCase();
-  const safeCurrentCount = Number.isFinite(currentCount) ? currentCount : 0;
-  if (message.includes("unshare") || message.includes("remove")) {
-    return Math.max(0, safeCurrentCount - 1);
-  }
-  return safeCurrentCount + 1;
-}
-
-function getValidImageUrl(url) {
-  if (typeof url !== "string") return DEFAULT_PROFILE_IMAGE;
-  const trimmed = url.trim();
-  if (!trimmed) return DEFAULT_PROFILE_IMAGE;
-  return trimmed;
-}
-
-function getUserHandle(user, authorName) {
-  const raw =
-    user?.username ||
-    user?.email?.split("@")?.[0] ||
-    authorName?.toLowerCase()?.replace(/\s+/g, "");
-
-  if (!raw) return "@user";
-  return raw.startsWith("@") ? raw : `@${raw}`;
-}
-
 function getTopComment(post) {
-  const topComment =
-    post?.topComment ||
-    (Array.isArray(post?.comments) && post.comments.length > 0
-      ? post.comments[0]
-      : null);
+  const topComment = post?.topComment;
   if (!topComment) return null;
 
   return {
-    authorName:
-      topComment?.commentCreator?.name ||
-      topComment?.user?.name ||
-      "Unknown user",
-    authorPhoto: getValidImageUrl(
-      topComment?.commentCreator?.photo || topComment?.user?.photo
-    ),
-    content: topComment?.content || topComment?.body || "",
+    authorName: topComment.author?.name || "Unknown user",
+    authorPhoto: getValidImageUrl(topComment.author?.photo),
+    content: topComment.content,
   };
 }
 
-function EarthIcon() {
-  return (
-    <svg
-      xmlns="http://www.w3.org/2000/svg"
-      width={11}
-      height={11}
-      viewBox="0 0 24 24"
-      fill="none"
-      stroke="currentColor"
-      strokeWidth={2}
-      strokeLinecap="round"
-      strokeLinejoin="round"
-      className="lucide lucide-earth"
-      aria-hidden="true"
-    >
-      <path d="M21.54 15H17a2 2 0 0 0-2 2v4.54" />
-      <path d="M7 3.34V5a3 3 0 0 0 3 3a2 2 0 0 1 2 2c0 1.1.9 2 2 2a2 2 0 0 0 2-2c0-1.1.9-2 2-2h3.17" />
-      <path d="M11 21.95V18a2 2 0 0 0-2-2a2 2 0 0 1-2-2v-1a2 2 0 0 0-2-2H2.05" />
-      <circle cx={12} cy={12} r={10} />
-    </svg>
-  );
-}
-
 export default function PostCard({
   post,
   fallbackUser = null,
@@ -486,7 +133,7 @@ export default function PostCard({
   initialCommentsOpen = false,
   children,
 }) {
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token } = useContext(AuthContext);
   const queryClient = useQueryClient();
   const currentUserIdFromToken = useMemo(() => getCurrentUserIdFromToken(token), [token]);
   const { data: currentUser } = useQuery({
@@ -499,81 +146,40 @@ export default function PostCard({
     retry: 2,
   });
   const currentUserId = getEntityId(currentUser) || currentUserIdFromToken;
-  const postAuthor =
-    getUserObject(post?.user) ||
-    getUserObject(post?.createdBy) ||
-    getUserObject(post?.author) ||
-    getUserObject(post?.owner) ||
-    getUserObject(fallbackUser) ||
-    {};
-  const sharedSourcePost = getSharedSourcePost(post);
-  const sharedAuthor =
-    getUserObject(sharedSourcePost?.user) ||
-    getUserObject(sharedSourcePost?.createdBy) ||
-    getUserObject(sharedSourcePost?.author) ||
-    getUserObject(sharedSourcePost?.owner) ||
-    {};
+  const postAuthor = post?.user || fallbackUser || {};
+  const sharedSourcePost = post?.sharedPost || null;
   const authorName = postAuthor?.name || "Unknown user";
-  const authorPhoto = getValidImageUrl(postAuthor?.photo || postAuthor?.avatar);
+  const authorPhoto = getValidImageUrl(postAuthor?.photo);
   const authorHandle = getUserHandle(postAuthor, authorName);
-  const authorId = getEntityId(postAuthor) || getEntityId(post?.createdBy);
-  const postOwnerId = authorId || getEntityId(post?.owner) || getEntityId(post?.creator);
-  const ownerFlags = [
-    post?.isOwner,
-    post?.isMine,
-    post?.ownedByMe,
-    post?.canEdit,
-    post?.canDelete,
-  ];
+  const authorId = getEntityId(postAuthor) || post?.ownerId || null;
   const canManagePost =
     (Boolean(currentUserId) &&
-      Boolean(postOwnerId) &&
-      String(currentUserId) === String(postOwnerId)) ||
-    ownerFlags.some((flag) => parseBooleanLike(flag) === true);
+      Boolean(authorId) &&
+      String(currentUserId) === String(authorId)) ||
+    Boolean(post?.isOwner);
   const profileLink = authorId ? `/profile/${authorId}` : "/profile";
-  const postId = post?._id || post?.id || "";
+  const postId = post?.id || "";
   const postDetailsLink = `/PostDetails/${postId}`;
-  const body = getPostBody(post);
-  const postImage = getPostImage(post);
+  const body = post?.body || "";
+  const postImage = post?.image || null;
+  const postMedia = post?.media || [];
+  const postPrivacy = post?.privacy || DEFAULT_POST_PRIVACY;
   const isSharedPost = Boolean(sharedSourcePost);
-  const sharedPostBody = getPostBody(sharedSourcePost);
-  const sharedPostImage = getPostImage(sharedSourcePost);
-  const sharedAuthorName = sharedAuthor?.name || "Unknown user";
-  const sharedAuthorPhoto = getValidImageUrl(sharedAuthor?.photo || sharedAuthor?.avatar);
-  const sharedAuthorHandle = getUserHandle(sharedAuthor, sharedAuthorName);
-  const sharedAuthorId = getEntityId(sharedAuthor);
-  const sharedProfileLink = sharedAuthorId ? `/profile/${sharedAuthorId}` : "/profile";
-  const sharedPostId = getEntityId(sharedSourcePost);
-  const sharedPostDetailsLink = sharedPostId
-    ? `/PostDetails/${sharedPostId}`
-    : postDetailsLink;
-  const sharedPostLikesCount =
-    getCount(sharedSourcePost?.likesCount) || getCount(sharedSourcePost?.likes);
-  const sharedPostCommentsCount =
-    getCount(sharedSourcePost?.commentsCount) || getCount(sharedSourcePost?.comments);
-  const sharedPostSharesCount =
-    getCount(sharedSourcePost?.sharesCount) || getCount(sharedSourcePost?.shares);
-  const sharedCreatedAtShort = getRelativeTimeShort(sharedSourcePost?.createdAt);
-  const sharedCreatedAtFull = getFormattedDate(sharedSourcePost?.createdAt);
-  const sharePreviewPost = sharedSourcePost || post;
-  const sharePreviewAuthor = isSharedPost ? sharedAuthor : postAuthor;
-  const sharePreviewName = sharePreviewAuthor?.name || "Unknown user";
-  const sharePreviewPhoto = getValidImageUrl(
-    sharePreviewAuthor?.photo || sharePreviewAuthor?.avatar
-  );
-  const sharePreviewHandle = getUserHandle(sharePreviewAuthor, sharePreviewName);
-  const sharePreviewBody = getPostBody(sharePreviewPost);
-  const sharePreviewImage = getPostImage(sharePreviewPost);
+  const isSharedPostUnavailable = Boolean(post?.isSharedPostUnavailable);
+  const sharedPostImage = sharedSourcePost?.image || null;
+  // A plain repost adds nothing of its own, so sharing it shares its original instead.
+  const isPlainRepost = (isSharedPost || isSharedPostUnavailable) && !body.trim();
+  const shareTargetPost = isPlainRepost ? sharedSourcePost : post;
   const shouldRenderMainPostImage =
     !isSharedPost || !sharedPostImage || postImage !== sharedPostImage;
-  const likesCountFromPost = getCount(post?.likesCount) || getCount(post?.likes);
-  const [postLikeState, setPostLikeState] = useState({
-    isLiked: Boolean(post?.isLiked || post?.likedByMe),
-    count: likesCountFromPost,
-  });
+  const previewLink = !postImage && !isSharedPost ? extractFirstLink(body) : null;
+  const [lightboxState, setLightboxState] = useState(null);
+  const likesCountFromPost = post?.likesCount ?? 0;
+  const [postLikeState, setPostLikeState] = useState(() => getReactionState(post));
+  const [isReactionsOpen, setIsReactionsOpen] = useState(false);
   const [postLikeError, setPostLikeError] = useState("");
   const [postBookmarkState, setPostBookmarkState] = useState({
-    isBookmarked: getInitialBookmarkState(post),
+    isBookmarked: Boolean(post?.isBookmarked),
   });
   const [postBookmarkError, setPostBookmarkError] = useState("");
   const [bookmarkAlertState, setBookmarkAlertState] = useState({
@@ -588,13 +194,12 @@ export default function PostCard({
     title: "",
     description: "",
   });
-  const sharesCountFromPost = getCount(post?.sharesCount) || getCount(post?.shares);
+  const sharesCountFromPost = post?.sharesCount ?? 0;
   const [postShareState, setPostShareState] = useState({
     count: sharesCountFromPost,
   });
   const [postShareError, setPostShareError] = useState("");
-  const comments = Array.isArray(post?.comments) ? post.comments : [];
-  const commentsCount = getCount(post?.commentsCount) || comments.length;
+  const commentsCount = post?.commentsCount ?? 0;
   const topComment = getTopComment(post);
   const createdAtShort = getRelativeTimeShort(post?.createdAt);
   const createdAtFull = getFormattedDate(post?.createdAt);
@@ -603,10 +208,15 @@ export default function PostCard({
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [isShareModalOpen, setIsShareModalOpen] = useState(false);
   const [shareCaption, setShareCaption] = useState("");
+  const shareCaptionInputRef = useRef(null);
   const [isEditingPost, setIsEditingPost] = useState(false);
   const [editBody, setEditBody] = useState(body || "");
-  const [editImageFile, setEditImageFile] = useState(null);
+  const editBodyInputRef = useRef(null);
+  const [editPrivacy, setEditPrivacy] = useState(postPrivacy);
+  const [editMedia, setEditMedia] = useState(null);
+  const [isProcessingEditMedia, setIsProcessingEditMedia] = useState(false);
   const [editPreviewImage, setEditPreviewImage] = useState(postImage || "");
+  const [editMediaAlts, setEditMediaAlts] = useState([]);
   const [editPostError, setEditPostError] = useState("");
   const [deletePostError, setDeletePostError] = useState("");
   const postMenuRef = useRef(null);
@@ -636,17 +246,14 @@ export default function PostCard({
     : sharesCountFromPost;
 
   const postLikeMutation = useMutation({
-    mutationFn: () => togglePostLike(token, postId),
-    onMutate: () => {
+    mutationFn: ({ reaction, previousState }) =>
+      togglePostLike(token, postId, reaction, previousState.reaction),
+    onMutate: ({ reaction, previousState }) => {
       setPostLikeError("");
+      setPostLikeState(applyReaction(previousState, reaction));
     },
-    onSuccess: (response) => {
-      const next = getLikeResultFromResponse(
-        response?.data,
-        postLikeState.isLiked,
-        postLikesCount
-      );
-      setPostLikeState(next);
+    onSuccess: (response, { reaction, previousState }) => {
+      setPostLikeState(getReactionResultFromResponse(response?.data, previousState, reaction));
       queryClient.invalidateQueries({
         queryKey: ["post-likes", postId, token],
       });
@@ -657,11 +264,21 @@ export default function PostCard({
         queryKey: ["post-details", postId, token],
       });
     },
-    onError: (error) => {
-      setPostLikeError(extractApiMessage(error, "Failed to update like."));
+    onError: (error, { previousState }) => {
+      if (error?.isReactionRemoved) {
+        setPostLikeState(removeReaction(previousState));
+        setPostLikeError("Your reaction was removed, but the new one could not be added.");
+        queryClient.invalidateQueries({
+          queryKey: ["post-likes", postId, token],
+        });
+        return;
+      }
+      setPostLikeState(previousState);
+      setPostLikeError(extractApiMessage(error, "Failed to update reaction."));
     },
   });
   const isPostLikeBusy = isPostLikesLoading || postLikeMutation.isPending;
+  const viewerReaction = getReaction(postLikeState.reaction);
 
   const postBookmarkMutation = useMutation({
     mutationFn: () => togglePostBookmark(token, postId),
@@ -708,14 +325,16 @@ export default function PostCard({
   const isPostBookmarkBusy = postBookmarkMutation.isPending;
 
   const postShareMutation = useMutation({
-    mutationFn: (shareText) => sharePostById(token, postId, shareText),
+    mutationFn: ({ targetPostId, shareText }) => sharePost(token, targetPostId, shareText),
     onMutate: () => {
       setPostShareError("");
     },
-    onSuccess: (response) => {
-      setPostShareState({
-        count: getShareCountFromResponse(response?.data, postSharesCount),
-      });
+    onSuccess: (response, { targetPostId }) => {
+      if (targetPostId === postId) {
+        setPostShareState({
+          count: getShareCountFromResponse(response?.data, postSharesCount),
+        });
+      }
       setPostActionAlertState({
         isVisible: true,
         color: "success",
@@ -740,7 +359,7 @@ export default function PostCard({
         queryKey: ["profile-by-id"],
       });
       queryClient.invalidateQueries({
-        queryKey: ["post-details", postId, token],
+        queryKey: ["post-details", targetPostId, token],
       });
     },
     onError: (error) => {
@@ -750,17 +369,24 @@ export default function PostCard({
   const isPostShareBusy = postShareMutation.isPending;
 
   const updatePostMutation = useMutation({
-    mutationFn: ({ body: nextBody, imageFile: nextImageFile }) =>
-      updatePostById(token, postId, {
+    mutationFn: ({ body: nextBody, media: nextMedia, privacy: nextPrivacy, mediaAlts }) => {
+      const isVideo = nextMedia?.type === "video";
+
+      return updatePost(token, postId, {
         body: nextBody,
-        imageFile: nextImageFile,
-      }),
+        imageFile: isVideo ? null : nextMedia?.file,
+        videoFile: isVideo ? nextMedia.file : null,
+        videoPosterFile: isVideo ? nextMedia.poster : null,
+        mediaAlts,
+        privacy: nextPrivacy,
+      });
+    },
     onMutate: () => {
       setEditPostError("");
     },
     onSuccess: () => {
       setIsEditingPost(false);
-      setEditImageFile(null);
+      setEditMedia(null);
       setPostActionAlertState({
         isVisible: true,
         color: "success",
@@ -783,7 +409,7 @@ export default function PostCard({
   });
 
   const deletePostMutation = useMutation({
-    mutationFn: () => deletePostById(token, postId),
+    mutationFn: () => deletePost(token, postId),
     onMutate: () => {
       setDeletePostError("");
     },
@@ -821,9 +447,12 @@ export default function PostCard({
     setIsCommentsOpen(true);
   }
 
-  function handlePostLike() {
+  function handlePostReaction(reaction) {
     if (!token || !postId || postLikeMutation.isPending) return;
-    postLikeMutation.mutate();
+    postLikeMutation.mutate({
+      reaction,
+      previousState: { ...postLikeState, count: postLikesCount },
+    });
   }
 
   function handlePostBookmark() {
@@ -859,9 +488,10 @@ export default function PostCard({
       setPostShareError("You need to login first.");
       return;
     }
-    if (!postId || isPostShareBusy) return;
+    const targetPostId = shareTargetPost?.id;
+    if (!targetPostId || isPostShareBusy) return;
 
-    postShareMutation.mutate(shareCaption);
+    postShareMutation.mutate({ targetPostId, shareText: shareCaption });
   }
 
   function handleEditPostClick() {
@@ -870,8 +500,10 @@ export default function PostCard({
       return;
     }
     setEditBody(body || "");
-    setEditImageFile(null);
+    setEditPrivacy(postPrivacy);
+    setEditMedia(null);
     setEditPreviewImage(postImage || "");
+    setEditMediaAlts(postMedia.map((item) => item.alt));
     setEditPostError("");
     if (editFileInputRef.current) {
       editFileInputRef.current.value = "";
@@ -880,10 +512,22 @@ export default function PostCard({
     setIsPostMenuOpen(false);
   }
 
-  function handleEditImageChange(event) {
+  async function handleEditImageChange(event) {
     const file = event.target.files?.[0];
+    if (editFileInputRef.current) {
+      editFileInputRef.current.value = "";
+    }
     if (!file) return;
 
+    setEditPostError("");
+    setIsProcessingEditMedia(true);
+    const [result] = await Promise.allSettled([processPostMediaFile(file)]);
+    setIsProcessingEditMedia(false);
+    if (result.status === "rejected") {
+      setEditPostError(result.reason?.message || "Failed to process this file.");
+      return;
+    }
+
     if (
       editPreviewImage &&
       typeof editPreviewImage === "string" &&
@@ -892,9 +536,12 @@ export default function PostCard({
       URL.revokeObjectURL(editPreviewImage);
     }
 
-    setEditImageFile(file);
-    setEditPreviewImage(URL.createObjectURL(file));
-    setEditPostError("");
+    const processedMedia = result.value;
+    const previewSource =
+      processedMedia.type === "video" ? processedMedia.poster : processedMedia.file;
+    setEditMedia(processedMedia);
+    setEditPreviewImage(previewSource ? URL.createObjectURL(previewSource) : "");
+    setEditMediaAlts([""]);
   }
 
   function handleRemoveEditImage() {
@@ -906,8 +553,10 @@ export default function PostCard({
       URL.revokeObjectURL(editPreviewImage);
     }
 
-    setEditImageFile(null);
+    setEditMedia(null);
     setEditPreviewImage(postImage || "");
+    setEditMediaAlts(postMedia.map((item) => item.alt));
+    setEditPostError("");
     if (editFileInputRef.current) {
       editFileInputRef.current.value = "";
     }
@@ -924,7 +573,8 @@ export default function PostCard({
 
     setIsEditingPost(false);
     setEditBody(body || "");
-    setEditImageFile(null);
+    setEditPrivacy(postPrivacy);
+    setEditMedia(null);
     setEditPreviewImage(postImage || "");
     setEditPostError("");
     if (editFileInputRef.current) {
@@ -949,7 +599,9 @@ export default function PostCard({
 
     const parsed = updatePostSchema.safeParse({
       body: editBody,
-      imageFile: editImageFile,
+      media: editMedia,
+      privacy: editPrivacy,
+      mediaAlts: editMediaAlts,
     });
 
     if (!parsed.success) {
@@ -1002,25 +654,15 @@ export default function PostCard({
 
   useEffect(() => {
     setPostBookmarkState({
-      isBookmarked: getInitialBookmarkState(post),
+      isBookmarked: Boolean(post?.isBookmarked),
     });
-  }, [
-    postId,
-    post?.isBookmarked,
-    post?.bookmarkedByMe,
-    post?.savedByMe,
-    post?.isSaved,
-    post?.saved,
-    post?.bookmark,
-    post?.meta?.isBookmarked,
-    post?.meta?.savedByMe,
-  ]);
+  }, [postId, post?.isBookmarked]);
 
   useEffect(() => {
     setPostShareState({
       count: sharesCountFromPost,
     });
-  }, [postId, post?.sharesCount, post?.shares, sharesCountFromPost]);
+  }, [postId, sharesCountFromPost]);
 
   useEffect(() => {
     function handleOutsideClick(event) {
@@ -1124,8 +766,8 @@ export default function PostCard({
               </button>
               <span className="mx-1">|</span>
               <span className="inline-flex items-center gap-1">
-                <EarthIcon />
-                Public
+                <PrivacyIcon privacy={postPrivacy} size={11} />
+                {getPostPrivacyLabel(postPrivacy)}
               </span>
             </div>
             {postBookmarkState.isBookmarked ? (
@@ -1254,6 +896,7 @@ export default function PostCard({
         {isEditingPost ? (
           <form className="mt-3" onSubmit={handleUpdatePostSubmit}>
             <textarea
+              ref={editBodyInputRef}
               maxLength={5000}
               value={editBody}
               onChange={(event) => {
@@ -1262,7 +905,87 @@ export default function PostCard({
               }}
               className="min-h-[110px] w-full rounded-xl border border-slate-300 bg-white px-3 py-2 text-sm outline-none ring-[#1877f2]/20 focus:border-[#1877f2] focus:ring-2"
             />
+            {editMedia ? (
+              <div className="mt-2 flex items-start gap-2">
+                <AltTextField
+                  className="flex-1"
+                  label={`Describe the new ${editMedia.type === "video" ? "video" : "image"}`}
+                  previewUrl={editPreviewImage}
+                  value={editMediaAlts[0] || ""}
+                  onChange={(alt) => {
+                    setEditMediaAlts([alt]);
+                    if (editPostError) setEditPostError("");
+                  }}
+                />
+                <button
+                  type="button"
+                  onClick={handleRemoveEditImage}
+                  className="rounded-full border border-slate-300 bg-white px-3 py-1.5 text-xs font-bold text-slate-700 hover:bg-slate-100"
+                >
+                  Remove
+                </button>
+              </div>
+            ) : postMedia.length > 0 ? (
+              <div className="mt-2 space-y-3">
+                {postMedia.map((item, index) => (
+                  <AltTextField
+                    key={`${item.url}-${index}`}
+                    label={`Describe ${item.type === "video" ? "video" : "image"} ${index + 1}`}
+                    previewUrl={item.type === "video" ? item.poster : item.url}
+                    value={editMediaAlts[index] || ""}
+                    onChange={(alt) => {
+                      setEditMediaAlts((currentAlts) =>
+                        postMedia.map((_, altIndex) =>
+                          altIndex === index ? alt : currentAlts[altIndex] || ""
+                        )
+                      );
+                      if (editPostError) setEditPostError("");
+                    }}
+                  />
+                ))}
+              </div>
+            ) : null}
             <div className="mt-2 flex items-center justify-end gap-2">
+              <label className="inline-flex cursor-pointer items-center rounded-full bg-slate-100 px-3 py-1.5 text-xs font-bold text-slate-700 hover:bg-slate-200">
+                {isProcessingEditMedia
+                  ? "Optimizing..."
+                  : postMedia.length > 0 || editMedia
+                    ? "Replace media"
+                    : "Add photo/video"}
+                <input
+                  ref={editFileInputRef}
+                  type="file"
+                  accept={POST_MEDIA_ACCEPT}
+                  disabled={isProcessingEditMedia || updatePostMutation.isPending}
+                  onChange={handleEditImageChange}
+                  className="hidden"
+                />
+              </label>
+              <label className="mr-auto inline-flex items-center gap-2 rounded-full bg-slate-100 px-2 py-1 text-xs font-semibold text-slate-700">
+                <PrivacyIcon privacy={editPrivacy} />
+                <select
+                  aria-label="Post privacy"
+                  value={editPrivacy}
+                  onChange={(event) => setEditPrivacy(event.target.value)}
+                  className="bg-transparent outline-none"
+                >
+                  {POST_PRIVACY_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <EmojiPicker
+                inputRef={editBodyInputRef}
+                placement="top"
+                align="right"
+                buttonClassName="rounded-full p-1.5 transition hover:bg-slate-100"
+                onInsert={(nextBody) => {
+                  setEditBody(nextBody);
+                  if (editPostError) setEditPostError("");
+                }}
+              />
               <button
                 type="button"
                 onClick={handleCancelEdit}
@@ -1272,7 +995,7 @@ export default function PostCard({
               </button>
               <button
                 type="submit"
-                disabled={updatePostMutation.isPending}
+                disabled={updatePostMutation.isPending || isProcessingEditMedia}
                 className="rounded-full bg-[#1877f2] px-3 py-1.5 text-xs font-bold text-white hover:bg-[#166fe5] disabled:opacity-60"
               >
                 {updatePostMutation.isPending ? "Saving..." : "Save"}
@@ -1284,109 +1007,45 @@ export default function PostCard({
           </form>
         ) : body ? (
           <div className="mt-3">
-            <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-900">{body}</p>
+            <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-900">
+              <RichText text={body} />
+            </p>
+            {previewLink ? <LinkPreviewCard className="mt-3" url={previewLink} /> : null}
           </div>
         ) : null}
+        {!isEditingPost && postId ? <PostPoll className="mt-3" postId={postId} /> : null}
       </div>
 
       {!isEditingPost && postImage && shouldRenderMainPostImage ? (
-        <div className="max-h-[620px] overflow-hidden border-y border-slate-200">
-          <button type="button" className="group relative block w-full cursor-zoom-in">
-            <img alt="post" className="w-full object-cover" src={postImage} />
-            <span className="pointer-events-none absolute inset-0 bg-black/0 transition group-hover:bg-black/10" />
-          </button>
-        </div>
+        <PostImageGrid
+          className="border-y border-slate-200"
+          media={postMedia}
+          onOpen={(index) => setLightboxState({ images: postMedia, index, authorName })}
+        />
       ) : null}
 
-      {!isEditingPost && isSharedPost ? (
-        <div className="mx-4 mb-3 rounded-xl border border-slate-200 bg-slate-50">
-          <div className="flex items-center justify-between gap-2 border-b border-slate-200 px-3 py-2.5">
-            <Link className="flex min-w-0 items-center gap-2" to={sharedProfileLink}>
-              <img
-                alt={sharedAuthorName}
-                className="h-8 w-8 rounded-full object-cover"
-                src={sharedAuthorPhoto}
-                onError={(event) => {
-                  event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
-                }}
-              />
-              <div className="min-w-0">
-                <p className="truncate text-xs font-bold text-slate-900">{sharedAuthorName}</p>
-                <p className="truncate text-[11px] font-semibold text-slate-500">
-                  {sharedAuthorHandle}
-                </p>
-              </div>
-            </Link>
-            <button
-              type="button"
-              className="rounded px-1 py-0.5 text-[11px] font-semibold text-slate-500 hover:bg-slate-100"
-              title={sharedCreatedAtFull}
-            >
-              {sharedCreatedAtShort}
-            </button>
-          </div>
-
-          {sharedPostBody ? (
-            <div className="px-3 py-2.5">
-              <p className="whitespace-pre-wrap text-sm leading-relaxed text-slate-800">
-                {sharedPostBody}
-              </p>
-            </div>
-          ) : null}
-
-          {sharedPostImage ? (
-            <div className="max-h-[520px] overflow-hidden border-y border-slate-200 bg-slate-200/40">
-              <img alt="shared post" className="w-full object-cover" src={sharedPostImage} />
-            </div>
-          ) : null}
-
-          <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-xs text-slate-500">
-            <div className="flex flex-wrap items-center gap-3">
-              <span className="font-semibold">{sharedPostLikesCount} likes</span>
-              <span className="font-semibold">{sharedPostCommentsCount} comments</span>
-              <span className="font-semibold">{sharedPostSharesCount} shares</span>
-            </div>
-            <Link
-              className="rounded-md px-2 py-1 font-bold text-[#1877f2] transition hover:bg-[#e7f3ff]"
-              to={sharedPostDetailsLink}
-            >
-              Open original
-            </Link>
-          </div>
-        </div>
+      {!isEditingPost && (isSharedPost || isSharedPostUnavailable) ? (
+        <SharedPostEmbed
+          className="mx-4 mb-3"
+          post={sharedSourcePost}
+          onOpenMedia={(images, index, sharedAuthorName) =>
+            setLightboxState({ images, index, authorName: sharedAuthorName })
+          }
+        />
       ) : null}
 
       <div className="px-4 pb-2 pt-3 text-sm text-slate-500">
         <div className="flex flex-wrap items-center justify-between gap-2">
           <div className="flex items-center gap-2">
-            <span className="inline-flex h-5 w-5 items-center justify-center rounded-full bg-[#1877f2] text-white">
-              <svg
-                xmlns="http://www.w3.org/2000/svg"
-                width={12}
-                height={12}
-                viewBox="0 0 24 24"
-                fill="none"
-                stroke="currentColor"
-                strokeWidth={2}
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                className="lucide lucide-thumbs-up"
-                aria-hidden="true"
-              >
-                <path d="M15 5.88 14 10h5.83a2 2 0 0 1 1.92 2.56l-2.33 8A2 2 0 0 1 17.5 22H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2h2.76a2 2 0 0 0 1.79-1.11L12 2a3.13 3.13 0 0 1 3 3.88Z" />
-                <path d="M7 10v12" />
-              </svg>
-            </span>
-            <button
-              type="button"
-              onClick={handlePostLike}
-              disabled={!token || !postId || isPostLikeBusy}
-              className={`cursor-pointer font-semibold transition hover:text-[#1877f2] hover:underline disabled:cursor-not-allowed disabled:opacity-60 ${
-                postLikeState.isLiked ? "text-[#1877f2]" : ""
-              }`}
-            >
-              {postLikesCount} likes
-            </button>
+            {postLikesCount > 0 ? (
+              <ReactionSummary
+                counts={postLikeState.counts}
+                total={postLikesCount}
+                onClick={() => setIsReactionsOpen(true)}
+              />
+            ) : (
+              <span className="font-semibold">No reactions yet</span>
+            )}
           </div>
 
           <div className="flex flex-wrap items-center gap-2 text-xs sm:gap-3 sm:text-sm">
@@ -1440,32 +1099,41 @@ export default function PostCard({
       <div className="mx-4 border-t border-slate-200" />
 
       <div className="grid grid-cols-3 gap-1 p-1">
-        <button
-          type="button"
-          onClick={handlePostLike}
+        <ReactionPicker
+          reaction={postLikeState.reaction}
+          onReact={handlePostReaction}
           disabled={!token || !postId || isPostLikeBusy}
-          className={`cursor-pointer flex items-center justify-center gap-1.5 rounded-md p-2 text-xs font-semibold transition-colors hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-60 sm:gap-2 sm:text-sm ${
-            postLikeState.isLiked ? "text-[#1877f2]" : "text-slate-600"
+          label={
+            viewerReaction ? `Remove ${viewerReaction.label} reaction` : "Like, or hold for reactions"
+          }
+          className={`cursor-pointer flex w-full items-center justify-center gap-1.5 rounded-md p-2 text-xs font-semibold transition-colors hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-60 sm:gap-2 sm:text-sm ${
+            viewerReaction ? viewerReaction.className : "text-slate-600"
           }`}
         >
-          <svg
-            xmlns="http://www.w3.org/2000/svg"
-            width={18}
-            height={18}
-            viewBox="0 0 24 24"
-            fill="none"
-            stroke="currentColor"
-            strokeWidth={2}
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            className="lucide lucide-thumbs-up"
-            aria-hidden="true"
-          >
-            <path d="M15 5.88 14 10h5.83a2 2 0 0 1 1.92 2.56l-2.33 8A2 2 0 0 1 17.5 22H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2h2.76a2 2 0 0 0 1.79-1.11L12 2a3.13 3.13 0 0 1 3 3.88Z" />
-            <path d="M7 10v12" />
-          </svg>
-          <span>{postLikeMutation.isPending ? "Liking..." : "Like"}</span>
-        </button>
+          {viewerReaction && viewerReaction.type !== "like" ? (
+            <span aria-hidden="true" className="text-lg leading-none">
+              {viewerReaction.emoji}
+            </span>
+          ) : (
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width={18}
+              height={18}
+              viewBox="0 0 24 24"
+              fill={viewerReaction ? "currentColor" : "none"}
+              stroke="currentColor"
+              strokeWidth={2}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              className="lucide lucide-thumbs-up"
+              aria-hidden="true"
+            >
+              <path d="M15 5.88 14 10h5.83a2 2 0 0 1 1.92 2.56l-2.33 8A2 2 0 0 1 17.5 22H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2h2.76a2 2 0 0 0 1.79-1.11L12 2a3.13 3.13 0 0 1 3 3.88Z" />
+              <path d="M7 10v12" />
+            </svg>
+          )}
+          <span>{viewerReaction?.label || "Like"}</span>
+        </ReactionPicker>
 
         <button
           type="button"
@@ -1540,7 +1208,7 @@ export default function PostCard({
                 {topComment.authorName}
               </p>
               <p className="mt-0.5 whitespace-pre-wrap text-sm text-slate-700">
-                {topComment.content}
+                <RichText text={topComment.content} />
               </p>
             </div>
           </div>
@@ -1554,6 +1222,14 @@ export default function PostCard({
         </div>
       ) : null}
 
+      {isReactionsOpen ? (
+        <ReactionsDialog
+          likes={likesData?.likes}
+          isLoading={isPostLikesLoading}
+          onClose={() => setIsReactionsOpen(false)}
+        />
+      ) : null}
+
       {isShareModalOpen ? (
         <div className="fixed inset-0 z-[70] flex items-center justify-center bg-slate-900/65 p-4">
           <div className="w-full max-w-[560px] rounded-2xl border border-slate-200 bg-white shadow-2xl">
@@ -1585,49 +1261,41 @@ export default function PostCard({
             </div>
 
             <div className="space-y-3 p-4">
-              <textarea
-                placeholder="Say something about this..."
-                rows={3}
-                maxLength={500}
-                value={shareCaption}
-                onChange={(event) => {
-                  setShareCaption(event.target.value);
-                  if (postShareError) setPostShareError("");
-                }}
-                className="w-full resize-none rounded-xl border border-slate-300 px-3 py-2 text-sm text-slate-800 outline-none transition focus:border-[#1877f2] focus:ring-2 focus:ring-[#1877f2]/20"
-              />
-
-              <div className="rounded-xl border border-slate-200 bg-slate-50 p-3">
-                <div className="flex items-center gap-2">
-                  <img
-                    alt={sharePreviewName}
-                    className="h-8 w-8 rounded-full object-cover"
-                    src={sharePreviewPhoto}
-                    onError={(event) => {
-                      event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
+              <div className="relative">
+                <MentionTextarea
+                  ref={shareCaptionInputRef}
+                  aria-label="Share caption"
+                  placeholder="Say something about this... Use @ to mention people and # for hashtags"
+                  rows={3}
+                  maxLength={500}
+                  value={shareCaption}
+                  onValueChange={(nextCaption) => {
+                    setShareCaption(nextCaption);
+                    if (postShareError) setPostShareError("");
+                  }}
+                  className="w-full resize-none rounded-xl border border-slate-300 px-3 py-2 pr-10 text-sm text-slate-800 outline-none transition focus:border-[#1877f2] focus:ring-2 focus:ring-[#1877f2]/20"
+                />
+                <div className="absolute right-2 top-2">
+                  <EmojiPicker
+                    inputRef={shareCaptionInputRef}
+                    align="right"
+                    buttonClassName="rounded-full p-1 transition hover:bg-slate-100"
+                    onInsert={(nextCaption) => {
+                      setShareCaption(nextCaption);
+                      if (postShareError) setPostShareError("");
                     }}
                   />
-                  <div className="min-w-0">
-                    <p className="truncate text-sm font-bold text-slate-900">{sharePreviewName}</p>
-                    <p className="truncate text-xs font-semibold text-slate-500">
-                      {sharePreviewHandle}
-                    </p>
-                  </div>
                 </div>
+              </div>
 
-                {sharePreviewBody ? (
-                  <p className="mt-2 whitespace-pre-wrap text-sm text-slate-800">
-                    {sharePreviewBody}
-                  </p>
-                ) : null}
-
-                {sharePreviewImage ? (
-                  <img
-                    alt="post preview"
-                    className="mt-2 max-h-[220px] w-full rounded-lg object-cover"
-                    src={sharePreviewImage}
-                  />
-                ) : null}
+              <div className="max-h-[45vh] overflow-y-auto">
+                <SharedPostEmbed
+                  post={shareTargetPost}
+                  variant="preview"
+                  onOpenMedia={(images, index, previewAuthorName) =>
+                    setLightboxState({ images, index, authorName: previewAuthorName })
+                  }
+                />
               </div>
 
               {postShareError ? (
@@ -1647,7 +1315,7 @@ export default function PostCard({
               <button
                 type="button"
                 onClick={handleConfirmSharePost}
-                disabled={isPostShareBusy || !postId || !token}
+                disabled={isPostShareBusy || !postId || !token || !shareTargetPost}
                 className="inline-flex items-center rounded-lg bg-[#1877f2] px-4 py-2 text-sm font-bold text-white transition hover:bg-[#166fe5] disabled:cursor-not-allowed disabled:opacity-60"
               >
                 {isPostShareBusy ? "Sharing..." : "Share now"}
@@ -1741,6 +1409,15 @@ export default function PostCard({
         </div>
       ) : null}
 
+      {lightboxState ? (
+        <ImageLightbox
+          images={lightboxState.images}
+          initialIndex={lightboxState.index}
+          label={`Images from ${lightboxState.authorName}'s post`}
+          onClose={() => setLightboxState(null)}
+        />
+      ) : null}
+
       {isCommentsOpen ? children || <CommentsSection postId={postId} /> : null}
     </article>
   );
@@ -0,0 +1,108 @@
+import AltTextBadge from "./AltTextBadge";
+import PostVideo from "./PostVideo";
+
+const MAX_VISIBLE_IMAGES = 4;
+
+function MediaBadge({ type }) {
+  if (type !== "gif" && type !== "video") return null;
+
+  return (
+    <span className="pointer-events-none absolute bottom-2 left-2 rounded bg-black/70 px-1.5 py-0.5 text-[11px] font-bold uppercase text-white">
+      {type === "gif" ? "GIF" : "Video"}
+    </span>
+  );
+}
+
+function MediaPreview({ item, className, alt }) {
+  if (item.type === "video") {
+    return item.poster ? (
+      <img alt={alt} className={className} src={item.poster} />
+    ) : (
+      <video className={className} src={item.url} muted playsInline preload="metadata" />
+    );
+  }
+  return <img alt={alt} className={className} src={item.url} />;
+}
+
+function getTileClassName(imageCount, index) {
+  if (imageCount === 3 && index === 0) return "row-span-2";
+  return "";
+}
+
+export default function PostImageGrid({ media, onOpen, className = "", maxHeightClassName = "max-h-[620px]" }) {
+  const images = media.filter((item) => item?.url);
+  if (images.length === 0) return null;
+
+  if (images.length === 1 && images[0].type === "video") {
+    return (
+      <div className={`relative ${maxHeightClassName} overflow-hidden bg-black ${className}`}>
+        <PostVideo className={maxHeightClassName} media={images[0]} />
+        <AltTextBadge alt={images[0].alt} className="right-2 top-2" placement="top" />
+      </div>
+    );
+  }
+
+  if (images.length === 1) {
+    return (
+      <div className={`relative ${maxHeightClassName} overflow-hidden ${className}`}>
+        <button
+          type="button"
+          className="group relative block w-full cursor-zoom-in"
+          aria-label="Open image"
+          onClick={() => onOpen(0)}
+        >
+          <img alt={images[0].alt || "post"} className="w-full object-cover" src={images[0].url} />
+          <MediaBadge type={images[0].type} />
+          <span className="pointer-events-none absolute inset-0 bg-black/0 transition group-hover:bg-black/10" />
+        </button>
+        <AltTextBadge alt={images[0].alt} className="bottom-2 right-2" />
+      </div>
+    );
+  }
+
+  const visibleImages = images.slice(0, MAX_VISIBLE_IMAGES);
+  const hiddenCount = images.length - visibleImages.length;
+
+  return (
+    <div
+      className={`grid aspect-[4/3] grid-cols-2 gap-0.5 overflow-hidden bg-slate-200 ${
+        images.length >= 3 ? "grid-rows-2" : ""
+      } ${className}`}
+    >
+      {visibleImages.map((image, index) => {
+        const isLastVisible = index === visibleImages.length - 1;
+
+        return (
+          <div
+            key={`${image.url}-${index}`}
+            className={`relative overflow-hidden ${getTileClassName(images.length, index)}`}
+          >
+            <button
+              type="button"
+              className="group relative block h-full w-full cursor-zoom-in overflow-hidden"
+              aria-label={`Open image ${index + 1} of ${images.length}`}
+              onClick={() => onOpen(index)}
+            >
+              <MediaPreview
+                alt={image.alt || `post image ${index + 1}`}
+                className="h-full w-full object-cover"
+                item={image}
+              />
+              <MediaBadge type={image.type} />
+              {isLastVisible && hiddenCount > 0 ? (
+                <span className="absolute inset-0 flex items-center justify-center bg-black/50 text-2xl font-extrabold text-white">
+                  +{hiddenCount}
+                </span>
+              ) : (
+                <span className="pointer-events-none absolute inset-0 bg-black/0 transition group-hover:bg-black/10" />
+              )}
+            </button>
+            {isLastVisible && hiddenCount > 0 ? null : (
+              <AltTextBadge alt={image.alt} className="bottom-2 right-2" />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
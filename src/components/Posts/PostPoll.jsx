@@ -0,0 +1,153 @@
+import { useContext, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { extractApiMessage } from "../../api/client";
+import { fetchPoll, votePoll } from "../../api/polls";
+import { AuthContext } from "../../context/AuthContext";
+import {
+  ARE_POLLS_SUPPORTED,
+  formatPollCloseTime,
+  getPollPercentage,
+  isPollClosed,
+} from "../../utils/polls";
+
+function CheckIcon() {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width="14"
+      height="14"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="3"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      className="lucide lucide-check shrink-0 text-[#1877f2]"
+      aria-hidden="true"
+    >
+      <path d="M20 6 9 17l-5-5"></path>
+    </svg>
+  );
+}
+
+export default function PostPoll({ postId, className = "" }) {
+  const { userToken: token } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const pollQueryKey = ["poll", token, postId];
+
+  const { data: poll } = useQuery({
+    queryKey: pollQueryKey,
+    queryFn: () => fetchPoll(token, postId),
+    enabled: ARE_POLLS_SUPPORTED && Boolean(token && postId),
+    staleTime: 1000 * 30,
+    refetchOnWindowFocus: false,
+    retry: false,
+  });
+
+  const voteMutation = useMutation({
+    mutationFn: (optionIds) => votePoll(token, postId, optionIds),
+    onSuccess: (updatedPoll) => {
+      queryClient.setQueryData(pollQueryKey, updatedPoll);
+      setSelectedIds([]);
+    },
+  });
+
+  if (!poll) return null;
+
+  const isClosed = isPollClosed(poll);
+  const hasVoted = poll.viewerVotes.length > 0;
+  const showResults = hasVoted || isClosed;
+  const voteError = voteMutation.isError
+    ? extractApiMessage(voteMutation.error, "Failed to vote.")
+    : "";
+
+  function handleOptionClick(optionId) {
+    if (!poll.allowMultiple) {
+      voteMutation.mutate([optionId]);
+      return;
+    }
+    setSelectedIds((currentIds) =>
+      currentIds.includes(optionId)
+        ? currentIds.filter((id) => id !== optionId)
+        : [...currentIds, optionId]
+    );
+  }
+
+  return (
+    <div className={`rounded-xl border border-slate-200 p-3 ${className}`}>
+      <p className="mb-2 text-sm font-bold text-slate-900">{poll.question}</p>
+
+      <ul className="space-y-1.5">
+        {poll.options.map((option) => {
+          const percentage = getPollPercentage(option.votes, poll);
+          const isViewerChoice = poll.viewerVotes.includes(option.id);
+
+          if (showResults) {
+            return (
+              <li
+                key={option.id}
+                className="relative overflow-hidden rounded-lg bg-slate-100 px-3 py-2 text-sm"
+              >
+                <div
+                  aria-hidden="true"
+                  className={`absolute inset-y-0 left-0 ${
+                    isViewerChoice ? "bg-[#cfe3ff]" : "bg-slate-200"
+                  }`}
+                  style={{ width: `${percentage}%` }}
+                />
+                <div className="relative flex items-center justify-between gap-2">
+                  <span className="flex min-w-0 items-center gap-1.5 font-semibold text-slate-800">
+                    <span className="truncate">{option.text}</span>
+                    {isViewerChoice ? <CheckIcon /> : null}
+                  </span>
+                  <span className="shrink-0 font-bold text-slate-700">{percentage}%</span>
+                </div>
+              </li>
+            );
+          }
+
+          const isSelected = selectedIds.includes(option.id);
+          return (
+            <li key={option.id}>
+              <button
+                type="button"
+                role={poll.allowMultiple ? "checkbox" : undefined}
+                aria-checked={poll.allowMultiple ? isSelected : undefined}
+                disabled={voteMutation.isPending}
+                onClick={() => handleOptionClick(option.id)}
+                className={`w-full rounded-lg border px-3 py-2 text-left text-sm font-semibold transition disabled:opacity-60 ${
+                  isSelected
+                    ? "border-[#1877f2] bg-[#e7f3ff] text-[#1877f2]"
+                    : "border-slate-300 text-slate-800 hover:bg-slate-50"
+                }`}
+              >
+                {option.text}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {!showResults && poll.allowMultiple ? (
+        <button
+          type="button"
+          disabled={selectedIds.length === 0 || voteMutation.isPending}
+          onClick={() => voteMutation.mutate(selectedIds)}
+          className="mt-2 rounded-full bg-[#1877f2] px-4 py-1.5 text-xs font-bold text-white hover:bg-[#166fe5] disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {voteMutation.isPending ? "Voting..." : "Vote"}
+        </button>
+      ) : null}
+
+      {voteError ? <p className="mt-2 text-xs font-semibold text-red-600">{voteError}</p> : null}
+
+      <p className="mt-2 text-xs font-semibold text-slate-500">
+        {poll.voterCount} {poll.voterCount === 1 ? "vote" : "votes"}
+        {poll.allowMultiple ? " · Multiple choice" : ""}
+        {hasVoted ? " · You voted" : ""}
+        {` · ${formatPollCloseTime(poll)}`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { useEffect, useRef } from "react";
+
+const AUTOPLAY_VISIBILITY_THRESHOLD = 0.6;
+
+/** Plays muted while at least 60% visible and pauses once scrolled away. */
+export default function PostVideo({ media, className = "", autoPlay = true }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !autoPlay || typeof IntersectionObserver === "undefined") return undefined;
+    if (window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) return undefined;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.intersectionRatio >= AUTOPLAY_VISIBILITY_THRESHOLD) {
+          video.play().catch(() => {});
+        } else if (!video.paused) {
+          video.pause();
+        }
+      },
+      { threshold: [0, AUTOPLAY_VISIBILITY_THRESHOLD] }
+    );
+
+    observer.observe(video);
+    return () => observer.disconnect();
+  }, [autoPlay, media.url]);
+
+  return (
+    <video
+      ref={videoRef}
+      className={`w-full bg-black ${className}`}
+      src={media.url}
+      poster={media.poster || undefined}
+      aria-label={media.alt || "Post video"}
+      muted
+      loop
+      playsInline
+      controls
+      preload="metadata"
+    />
+  );
+}
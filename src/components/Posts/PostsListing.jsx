@@ -1,159 +1,64 @@
-import React, { useState } from "react";
-import { useQuery } from "@tanstack/react-query";
-import axios from "axios";
+import React, { useContext, useEffect, useMemo, useRef, useState } from "react";
+import { useInfiniteQuery, useQuery, useQueryClient } from "@tanstack/react-query";
 import PostCard from "./PostCard";
+import VirtualPostList from "./VirtualPostList";
 import PostForm from "./postForm";
 import SearchUser from "./searchUser";
 import FilterPosts from "./filterPosts";
-
-function extractApiMessage(error, fallbackMessage) {
-  return (
-    error?.response?.data?.message ||
-    error?.response?.data?.error ||
-    error?.response?.data?.errors?.[0]?.msg ||
-    error?.message ||
-    fallbackMessage
-  );
-}
-
-function getEntityId(entity) {
-  return entity?._id || entity?.id || entity?.userId || null;
-}
-
-function extractUser(responseData) {
-  return (
-    responseData?.data?.user ||
-    responseData?.data?.profile ||
-    responseData?.user ||
-    responseData?.profile ||
-    responseData?.data ||
-    null
-  );
-}
-
-function markPostAsSaved(post) {
-  if (!post || typeof post !== "object") return null;
-  return {
-    ...post,
-    __isBookmarked: true,
-    isBookmarked: true,
-  };
-}
-
-function normalizeSavedPost(item) {
-  if (!item || typeof item !== "object") return null;
-  if (item?.post && typeof item.post === "object") return markPostAsSaved(item.post);
-  if (item?.postId && typeof item.postId === "object") return markPostAsSaved(item.postId);
-  if (item?.postData && typeof item.postData === "object") return markPostAsSaved(item.postData);
-  if (item?._id || item?.id) return markPostAsSaved(item);
-  return null;
-}
-
-function extractPosts(rawResponseData) {
-  const candidates = [
-    rawResponseData?.data?.posts,
-    rawResponseData?.posts,
-    rawResponseData?.data?.data?.posts,
-    rawResponseData?.data?.data?.items,
-    rawResponseData?.data?.items,
-    rawResponseData?.data?.data,
-    rawResponseData?.data,
-  ];
-
-  for (const candidate of candidates) {
-    if (Array.isArray(candidate)) {
-      return candidate;
-    }
-  }
-
-  return [];
-}
-
-function extractSavedPosts(rawResponseData) {
-  const candidates = [
-    rawResponseData?.data?.bookmarks,
-    rawResponseData?.bookmarks,
-    rawResponseData?.data?.savedPosts,
-    rawResponseData?.savedPosts,
-    rawResponseData?.data?.posts,
-    rawResponseData?.posts,
-    rawResponseData?.data?.data?.bookmarks,
-    rawResponseData?.data?.data?.posts,
-    rawResponseData?.data?.data,
-  ];
-
-  const foundList = candidates.find((candidate) => Array.isArray(candidate));
-  if (!Array.isArray(foundList)) return [];
-
-  return foundList.map(normalizeSavedPost).filter(Boolean);
-}
+import ScheduledPostsList from "./ScheduledPostsList";
+import TrendingTags from "./TrendingTags";
+import { extractApiMessage } from "../../api/client";
+import { fetchAllPosts, fetchFeedPosts } from "../../api/posts";
+import { fetchBookmarks, fetchProfileData, fetchUserPosts } from "../../api/users";
+import { getEntityId, parsePostPage, parseUser } from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
+import { isPostVisibleTo } from "../../utils/postPrivacy";
+import {
+  INITIAL_POSTS_PAGE,
+  POSTS_PAGE_LIMIT,
+  getNextPostsPageParam,
+  getPostsPageParams,
+} from "../../utils/postPages";
+
+const NEW_POSTS_POLL_INTERVAL = 1000 * 30;
+const SCROLL_ANCHOR_THRESHOLD = 120;
 
 async function fetchCurrentUser(token) {
-  const response = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/users/profile-data",
-    headers: { token },
-  });
-
-  return extractUser(response?.data);
+  const response = await fetchProfileData(token);
+  return parseUser(response?.data);
 }
 
-async function fetchPostsByFilter({ token, filter, currentUserId }) {
-  const headers = {
-    token,
-    Authorization: `Bearer ${token}`,
-  };
-
+function requestPostsByFilter({ token, filter, currentUserId, params }) {
   if (filter === "feed") {
-    const response = await axios.request({
-      method: "GET",
-      url: "https://route-posts.routemisr.com/posts/feed",
-      headers,
-      params: {
-        only: "following",
-        limit: 10,
-      },
-    });
-
-    return extractPosts(response?.data);
+    return fetchFeedPosts(token, { only: "following", ...params });
   }
 
   if (filter === "my-posts") {
-    if (!currentUserId) return [];
-
-    const response = await axios.request({
-      method: "GET",
-      url: `https://route-posts.routemisr.com/users/${currentUserId}/posts`,
-      headers,
-      params: { sort: "-createdAt" },
-    });
-
-    return extractPosts(response?.data);
+    return fetchUserPosts(token, currentUserId, { sort: "-createdAt", ...params });
   }
 
   if (filter === "saved") {
-    const response = await axios.request({
-      method: "GET",
-      url: "https://route-posts.routemisr.com/users/bookmarks",
-      headers,
-      params: { sort: "-createdAt" },
-    });
-
-    return extractSavedPosts(response?.data);
+    return fetchBookmarks(token, { sort: "-createdAt", ...params });
   }
 
-  const response = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/posts",
-    headers,
-    params: { sort: "-createdAt" },
+  return fetchAllPosts(token, { sort: "-createdAt", ...params });
+}
+
+async function fetchPostsPage({ token, filter, currentUserId, pageParam }) {
+  const { page } = pageParam;
+  const params = getPostsPageParams(pageParam);
+
+  const response = await requestPostsByFilter({ token, filter, currentUserId, params });
+  const { items, totalPages, totalCount, nextCursor } = parsePostPage(response?.data, {
+    saved: filter === "saved",
   });
 
-  return extractPosts(response?.data);
+  return { posts: items, page, totalPages, totalCount, nextCursor };
 }
 
 export default function PostsListing() {
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token } = useContext(AuthContext);
+  const queryClient = useQueryClient();
   const [activeFilter, setActiveFilter] = useState("feed");
 
   const { data: currentUser } = useQuery({
@@ -168,21 +73,32 @@ export default function PostsListing() {
 
   const currentUserId = getEntityId(currentUser);
   const isMyPostsFilter = activeFilter === "my-posts";
+  const isScheduledFilter = activeFilter === "scheduled";
 
+  const postsQueryKey = ["posts", token, activeFilter, currentUserId];
   const {
-    data: posts = [],
+    data,
+    dataUpdatedAt,
     isLoading,
     isFetching,
+    isFetchingNextPage,
+    isFetchNextPageError,
+    hasNextPage,
+    fetchNextPage,
     error,
-  } = useQuery({
-    queryKey: ["posts", token, activeFilter, currentUserId],
-    queryFn: () =>
-      fetchPostsByFilter({
+  } = useInfiniteQuery({
+    queryKey: postsQueryKey,
+    queryFn: ({ pageParam }) =>
+      fetchPostsPage({
         token,
         filter: activeFilter,
         currentUserId,
+        pageParam,
       }),
-    enabled: Boolean(token) && (!isMyPostsFilter || Boolean(currentUserId)),
+    initialPageParam: INITIAL_POSTS_PAGE,
+    getNextPageParam: getNextPostsPageParam,
+    enabled:
+      Boolean(token) && !isScheduledFilter && (!isMyPostsFilter || Boolean(currentUserId)),
     staleTime: 1000 * 60 * 5,
     gcTime: 1000 * 60 * 30,
     refetchOnWindowFocus: false,
@@ -191,6 +107,118 @@ export default function PostsListing() {
     retry: 3,
   });
 
+  const followingIds = useMemo(
+    () =>
+      Array.isArray(currentUser?.following)
+        ? new Set(currentUser.following.map(getEntityId).filter(Boolean))
+        : null,
+    [currentUser]
+  );
+
+  const posts = useMemo(() => {
+    const seenIds = new Set();
+
+    return (data?.pages || [])
+      .flatMap((page) => page?.posts || [])
+      .filter((post) => {
+        if (seenIds.has(post.id)) return false;
+        seenIds.add(post.id);
+        return isPostVisibleTo(post, { viewerId: currentUserId, followingIds });
+      });
+  }, [currentUserId, data, followingIds]);
+
+  const topPost = posts[0] || null;
+  const canPollNewPosts =
+    Boolean(token) &&
+    Boolean(topPost) &&
+    !isFetching &&
+    activeFilter !== "saved" &&
+    !isScheduledFilter;
+
+  const { data: latestPosts = [] } = useQuery({
+    queryKey: ["new-posts", token, activeFilter, currentUserId],
+    queryFn: async () => {
+      const firstPage = await fetchPostsPage({
+        token,
+        filter: activeFilter,
+        currentUserId,
+        pageParam: INITIAL_POSTS_PAGE,
+      });
+      return firstPage.posts;
+    },
+    enabled: canPollNewPosts,
+    initialData: [],
+    initialDataUpdatedAt: dataUpdatedAt,
+    staleTime: NEW_POSTS_POLL_INTERVAL,
+    refetchInterval: NEW_POSTS_POLL_INTERVAL,
+    refetchIntervalInBackground: false,
+    refetchOnWindowFocus: true,
+    retry: false,
+  });
+
+  const newPosts = useMemo(() => {
+    if (!topPost) return [];
+
+    const knownIds = new Set(posts.map((post) => post.id));
+    const topPostTime = new Date(topPost.createdAt).getTime() || 0;
+
+    return latestPosts.filter(
+      (post) =>
+        !knownIds.has(post.id) &&
+        new Date(post.createdAt).getTime() > topPostTime &&
+        isPostVisibleTo(post, { viewerId: currentUserId, followingIds })
+    );
+  }, [currentUserId, followingIds, latestPosts, posts, topPost]);
+
+  const postListRef = useRef(null);
+
+  function showNewPosts() {
+    if (newPosts.length === 0) return;
+
+    if (newPosts.length >= POSTS_PAGE_LIMIT) {
+      window.scrollTo({ top: 0 });
+      queryClient.invalidateQueries({ queryKey: postsQueryKey });
+      return;
+    }
+
+    if (window.scrollY > SCROLL_ANCHOR_THRESHOLD) {
+      postListRef.current?.anchorFirstVisibleItem();
+    }
+
+    queryClient.setQueryData(postsQueryKey, (current) =>
+      current?.pages?.length
+        ? {
+            ...current,
+            pages: current.pages.map((page, index) =>
+              index === 0 ? { ...page, posts: [...newPosts, ...(page?.posts || [])] } : page
+            ),
+          }
+        : current
+    );
+  }
+
+  const sentinelRef = useRef(null);
+  const canLoadMore = Boolean(hasNextPage) && !isFetchingNextPage && !isFetchNextPageError;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !canLoadMore || typeof IntersectionObserver === "undefined") {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) fetchNextPage();
+      },
+      { rootMargin: "600px 0px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [canLoadMore, fetchNextPage]);
+
+  const hasInitialError = Boolean(error) && !isFetchNextPageError;
+
   const errorMessage =
     extractApiMessage(error, "") ||
     (!token ? "You need to login first." : "Failed to load posts. Please refresh.");
@@ -214,7 +242,7 @@ export default function PostsListing() {
             <section className="space-y-4">
               <SearchUser mode="mobile" />
 
-              {token ? <PostForm /> : null}
+              {token ? <PostForm key={token} /> : null}
 
               {!token ? (
                 <div className="rounded-xl border border-slate-200 bg-white p-8 text-center text-slate-500 shadow-sm">
@@ -228,34 +256,76 @@ export default function PostsListing() {
                 </div>
               ) : null}
 
-              {!isLoading && error ? (
+              {!isLoading && hasInitialError ? (
                 <div className="rounded-xl border border-red-200 bg-red-50 p-4 text-sm text-red-700 shadow-sm">
                   {errorMessage}
                 </div>
               ) : null}
 
-              {token && !isLoading && !error && posts.length === 0 ? (
+              {token && isScheduledFilter ? <ScheduledPostsList /> : null}
+
+              {token && !isScheduledFilter && !isLoading && !hasInitialError && posts.length === 0 ? (
                 <div className="rounded-xl border border-slate-200 bg-white p-8 text-center text-slate-500 shadow-sm">
                   {emptyMessage}
                 </div>
               ) : null}
 
-              {token && !isLoading && !error ? (
+              {newPosts.length > 0 ? (
+                <div className="sticky top-20 z-30 flex justify-center">
+                  <button
+                    className="rounded-full bg-[#00298d] px-4 py-2 text-sm font-extrabold text-white shadow-lg transition hover:bg-[#001f6b]"
+                    type="button"
+                    onClick={showNewPosts}
+                  >
+                    {newPosts.length >= POSTS_PAGE_LIMIT
+                      ? `${POSTS_PAGE_LIMIT}+ new posts`
+                      : `${newPosts.length} new ${newPosts.length === 1 ? "post" : "posts"}`}
+                  </button>
+                </div>
+              ) : null}
+
+              {token && !isLoading && !hasInitialError && posts.length > 0 ? (
                 <div className="space-y-4">
-                  {posts.map((post) => (
-                    <PostCard key={post?._id || post?.id} post={post} />
-                  ))}
-
-                  <div className="flex min-h-10 items-center justify-center">
-                    <span className="text-xs font-semibold text-slate-400">
-                      {isFetching ? "Refreshing..." : "You reached the end"}
-                    </span>
+                  <VirtualPostList
+                    ref={postListRef}
+                    ariaLabel="Posts feed"
+                    getItemKey={(post) => post.id}
+                    hasMore={Boolean(hasNextPage)}
+                    isBusy={isFetching}
+                    items={posts}
+                    renderItem={(post) => <PostCard post={post} />}
+                    restorationId={`home-${activeFilter}`}
+                  />
+
+                  <div ref={sentinelRef} className="flex min-h-10 items-center justify-center">
+                    {isFetchNextPageError ? (
+                      <button
+                        className="text-xs font-semibold text-red-600 hover:underline"
+                        type="button"
+                        onClick={() => fetchNextPage()}
+                      >
+                        Failed to load more posts. Try again
+                      </button>
+                    ) : (
+                      <span className="text-xs font-semibold text-slate-400">
+                        {isFetchingNextPage
+                          ? "Loading more posts..."
+                          : isFetching
+                          ? "Refreshing..."
+                          : hasNextPage
+                          ? "Scroll for more"
+                          : "You reached the end"}
+                      </span>
+                    )}
                   </div>
                 </div>
               ) : null}
             </section>
 
-            <SearchUser mode="desktop" />
+            <div className="hidden h-fit space-y-4 xl:sticky xl:top-[84px] xl:block">
+              <SearchUser mode="desktop" />
+              <TrendingTags />
+            </div>
           </div>
         </main>
       </div>
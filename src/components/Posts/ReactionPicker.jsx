@@ -0,0 +1,140 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { ARE_REACTIONS_SUPPORTED, DEFAULT_REACTION, REACTIONS } from "../../utils/reactions";
+
+const HOVER_OPEN_DELAY_MS = 450;
+const HOVER_CLOSE_DELAY_MS = 300;
+const LONG_PRESS_DELAY_MS = 450;
+
+/**
+ * Wraps a like button: a click toggles the current reaction (or likes), while
+ * hovering, long-pressing or pressing ArrowUp opens the reaction palette. Without
+ * `ARE_REACTIONS_SUPPORTED` it is a plain like button.
+ */
+export default function ReactionPicker({
+  reaction,
+  onReact,
+  disabled = false,
+  label = "Like",
+  className = "",
+  wrapperClassName = "",
+  align = "left",
+  children,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const paletteId = useId();
+  const wrapperRef = useRef(null);
+  const timerRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  const canOpenPalette = ARE_REACTIONS_SUPPORTED && !disabled;
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    function handlePointerDown(event) {
+      if (!wrapperRef.current?.contains(event.target)) setIsOpen(false);
+    }
+
+    function handleKeyDown(event) {
+      if (event.key !== "Escape") return;
+      event.stopPropagation();
+      setIsOpen(false);
+    }
+
+    document.addEventListener("pointerdown", handlePointerDown);
+    document.addEventListener("keydown", handleKeyDown, true);
+    return () => {
+      document.removeEventListener("pointerdown", handlePointerDown);
+      document.removeEventListener("keydown", handleKeyDown, true);
+    };
+  }, [isOpen]);
+
+  function schedule(callback, delay) {
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(callback, delay);
+  }
+
+  function handleReact(type) {
+    clearTimeout(timerRef.current);
+    setIsOpen(false);
+    onReact(type);
+  }
+
+  return (
+    <div
+      ref={wrapperRef}
+      className={`relative ${wrapperClassName}`}
+      onMouseEnter={() => {
+        if (canOpenPalette) schedule(() => setIsOpen(true), HOVER_OPEN_DELAY_MS);
+      }}
+      onMouseLeave={() => schedule(() => setIsOpen(false), HOVER_CLOSE_DELAY_MS)}
+    >
+      {isOpen ? (
+        <div
+          id={paletteId}
+          role="toolbar"
+          aria-label="Reactions"
+          className={`absolute bottom-full z-30 mb-2 flex gap-1 rounded-full border border-slate-200 bg-white p-1.5 shadow-lg ${
+            align === "right" ? "right-0" : "left-0"
+          }`}
+        >
+          {REACTIONS.map((option) => (
+            <button
+              key={option.type}
+              type="button"
+              title={option.label}
+              aria-label={option.label}
+              aria-pressed={reaction === option.type}
+              onClick={() => handleReact(option.type)}
+              className={`flex h-9 w-9 items-center justify-center rounded-full text-2xl leading-none transition hover:-translate-y-1 hover:scale-125 focus-visible:scale-125 ${
+                reaction === option.type ? "bg-slate-100" : ""
+              }`}
+            >
+              <span aria-hidden="true">{option.emoji}</span>
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      <button
+        type="button"
+        disabled={disabled}
+        aria-label={label}
+        aria-haspopup={ARE_REACTIONS_SUPPORTED ? "true" : undefined}
+        aria-expanded={ARE_REACTIONS_SUPPORTED ? isOpen : undefined}
+        aria-controls={isOpen ? paletteId : undefined}
+        className={className}
+        onClick={() => {
+          if (suppressClickRef.current) {
+            suppressClickRef.current = false;
+            return;
+          }
+          handleReact(reaction || DEFAULT_REACTION);
+        }}
+        onKeyDown={(event) => {
+          if (event.key !== "ArrowUp" || !canOpenPalette) return;
+          event.preventDefault();
+          setIsOpen(true);
+        }}
+        onPointerDown={(event) => {
+          suppressClickRef.current = false;
+          if (event.pointerType !== "touch" || !canOpenPalette) return;
+          schedule(() => {
+            suppressClickRef.current = true;
+            setIsOpen(true);
+          }, LONG_PRESS_DELAY_MS);
+        }}
+        onPointerUp={(event) => {
+          if (event.pointerType === "touch") clearTimeout(timerRef.current);
+        }}
+        onPointerCancel={() => clearTimeout(timerRef.current)}
+        onContextMenu={(event) => {
+          if (isOpen || suppressClickRef.current) event.preventDefault();
+        }}
+      >
+        {children}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { getTopReactions } from "../../utils/reactions";
+
+function ReactionIcons({ counts, sizeClassName }) {
+  return (
+    <span className="flex -space-x-1">
+      {getTopReactions(counts).map((reaction) => (
+        <span
+          key={reaction.type}
+          title={reaction.label}
+          className={`inline-flex items-center justify-center rounded-full bg-white leading-none ring-2 ring-white ${sizeClassName}`}
+        >
+          {reaction.emoji}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+/** Top-3 reaction icons with the total; a button when `onClick` is given. */
+export default function ReactionSummary({ counts, total, onClick, size = "md", className = "" }) {
+  if (!total) return null;
+
+  const sizeClassName = size === "sm" ? "h-4 w-4 text-[11px]" : "h-5 w-5 text-sm";
+  const content = (
+    <>
+      <ReactionIcons counts={counts} sizeClassName={sizeClassName} />
+      <span>{total}</span>
+    </>
+  );
+
+  if (!onClick) {
+    return (
+      <span className={`inline-flex items-center gap-1.5 ${className}`}>{content}</span>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      aria-label={`${total} ${total === 1 ? "reaction" : "reactions"}, see who reacted`}
+      className={`inline-flex items-center gap-1.5 font-semibold transition hover:text-[#1877f2] hover:underline ${className}`}
+    >
+      {content}
+    </button>
+  );
+}
@@ -0,0 +1,148 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { getEntityId } from "../../api/normalize";
+import { REACTIONS, getReaction } from "../../utils/reactions";
+
+const DEFAULT_PROFILE_IMAGE =
+  "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
+const ALL_TAB = "all";
+
+function getValidImageUrl(url) {
+  if (typeof url !== "string") return DEFAULT_PROFILE_IMAGE;
+  const trimmed = url.trim();
+  if (!trimmed) return DEFAULT_PROFILE_IMAGE;
+  return trimmed;
+}
+
+export default function ReactionsDialog({ likes = [], isLoading = false, onClose }) {
+  const [activeTab, setActiveTab] = useState(ALL_TAB);
+  const tabs = REACTIONS.map((reaction) => ({
+    ...reaction,
+    count: likes.filter((user) => user.reaction === reaction.type).length,
+  })).filter((tab) => tab.count > 0);
+  const visibleLikes =
+    activeTab === ALL_TAB ? likes : likes.filter((user) => user.reaction === activeTab);
+
+  useEffect(() => {
+    function handleKeyDown(event) {
+      if (event.key === "Escape") onClose();
+    }
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      className="fixed inset-0 z-[70] flex items-center justify-center bg-slate-900/65 p-4"
+      onClick={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Reactions"
+        className="flex max-h-[80vh] w-full max-w-[460px] flex-col rounded-2xl border border-slate-200 bg-white shadow-2xl"
+      >
+        <div className="flex items-center gap-1 border-b border-slate-200 px-2 pt-2">
+          <div role="tablist" aria-label="Filter reactions" className="flex flex-1 overflow-x-auto">
+            {[{ type: ALL_TAB, label: "All", count: likes.length }, ...tabs].map((tab) => (
+              <button
+                key={tab.type}
+                type="button"
+                role="tab"
+                aria-selected={activeTab === tab.type}
+                aria-label={`${tab.label}, ${tab.count}`}
+                onClick={() => setActiveTab(tab.type)}
+                className={`flex shrink-0 items-center gap-1 border-b-2 px-3 pb-2 pt-1 text-sm font-bold transition ${
+                  activeTab === tab.type
+                    ? "border-[#1877f2] text-[#1877f2]"
+                    : "border-transparent text-slate-500 hover:text-slate-800"
+                }`}
+              >
+                {tab.emoji ? <span aria-hidden="true">{tab.emoji}</span> : tab.label}
+                <span>{tab.count}</span>
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Close reactions"
+            className="mb-1 inline-flex h-8 w-8 shrink-0 items-center justify-center rounded-full text-slate-500 transition hover:bg-slate-100 hover:text-slate-700"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              width={16}
+              height={16}
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth={2}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              className="lucide lucide-x"
+              aria-hidden="true"
+            >
+              <path d="M18 6 6 18" />
+              <path d="m6 6 12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <ul className="flex-1 overflow-y-auto p-2">
+          {isLoading ? (
+            <li className="p-3 text-sm font-semibold text-slate-500">Loading reactions...</li>
+          ) : visibleLikes.length === 0 ? (
+            <li className="p-3 text-sm font-semibold text-slate-500">No reactions yet.</li>
+          ) : (
+            visibleLikes.map((user) => {
+              const userId = getEntityId(user);
+              const reaction = getReaction(user.reaction);
+
+              return (
+                <li key={userId || user.name}>
+                  <Link
+                    to={userId ? `/profile/${userId}` : "/profile"}
+                    onClick={onClose}
+                    className="flex items-center gap-3 rounded-lg p-2 transition hover:bg-slate-100"
+                  >
+                    <span className="relative shrink-0">
+                      <img
+                        alt=""
+                        className="h-10 w-10 rounded-full object-cover"
+                        src={getValidImageUrl(user.photo)}
+                        onError={(event) => {
+                          event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
+                        }}
+                      />
+                      {reaction ? (
+                        <span
+                          title={reaction.label}
+                          className="absolute -bottom-1 -right-1 flex h-5 w-5 items-center justify-center rounded-full bg-white text-xs leading-none"
+                        >
+                          {reaction.emoji}
+                        </span>
+                      ) : null}
+                    </span>
+                    <span className="min-w-0">
+                      <span className="block truncate text-sm font-bold text-slate-900">
+                        {user.name}
+                      </span>
+                      {user.username ? (
+                        <span className="block truncate text-xs font-semibold text-slate-500">
+                          @{user.username}
+                        </span>
+                      ) : null}
+                    </span>
+                  </Link>
+                </li>
+              );
+            })
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+}
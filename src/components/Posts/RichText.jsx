@@ -0,0 +1,59 @@
+import { Fragment } from "react";
+import { Link } from "react-router-dom";
+import { getHashtagPath, splitHashtags } from "../../utils/hashtags";
+import { splitLinks } from "../../utils/links";
+import { splitMentions } from "../../utils/mentions";
+
+const LINK_CLASS_NAME = "font-semibold text-[#1877f2] hover:underline";
+
+function renderTextWithHashtags(text, keyPrefix) {
+  return splitHashtags(text).map((segment, index) =>
+    segment.type === "hashtag" ? (
+      <Link
+        key={`${keyPrefix}-${index}`}
+        className={LINK_CLASS_NAME}
+        to={getHashtagPath(segment.tag)}
+      >
+        {segment.value}
+      </Link>
+    ) : (
+      <Fragment key={`${keyPrefix}-${index}`}>{segment.value}</Fragment>
+    )
+  );
+}
+
+function renderTextWithLinks(text, keyPrefix) {
+  return splitLinks(text).map((segment, index) =>
+    segment.type === "link" ? (
+      <a
+        key={`${keyPrefix}-${index}`}
+        className={`${LINK_CLASS_NAME} break-all`}
+        href={segment.href}
+        target="_blank"
+        rel="noopener noreferrer nofollow ugc"
+      >
+        {segment.value}
+      </a>
+    ) : (
+      <Fragment key={`${keyPrefix}-${index}`}>
+        {renderTextWithHashtags(segment.value, `${keyPrefix}-${index}`)}
+      </Fragment>
+    )
+  );
+}
+
+export default function RichText({ text }) {
+  return splitMentions(text).map((segment, index) =>
+    segment.type === "mention" ? (
+      <Link
+        key={`${segment.userId}-${index}`}
+        className={LINK_CLASS_NAME}
+        to={`/profile/${segment.userId}`}
+      >
+        @{segment.name}
+      </Link>
+    ) : (
+      <Fragment key={index}>{renderTextWithLinks(segment.value, index)}</Fragment>
+    )
+  );
+}
@@ -0,0 +1,293 @@
+import { useContext, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { DateInput } from "@heroui/react";
+import { AuthContext } from "../../context/AuthContext";
+import { POST_PRIVACY_OPTIONS, getPostPrivacyLabel } from "../../utils/postPrivacy";
+import {
+  SCHEDULED_POSTS_QUERY_KEY,
+  SCHEDULED_POST_STATUS,
+  deleteScheduledPost,
+  formatScheduleTime,
+  getScheduleTimeError,
+  listScheduledPosts,
+  publishScheduledPostNow,
+  retryScheduledPost,
+  toScheduleTimeValue,
+  updateScheduledPost,
+} from "../../utils/scheduledPosts";
+import PrivacyIcon from "./PrivacyIcon";
+import RichText from "./RichText";
+
+const STATUS_LABELS = {
+  [SCHEDULED_POST_STATUS.pending]: { label: "Scheduled", className: "bg-sky-50 text-sky-700" },
+  [SCHEDULED_POST_STATUS.publishing]: {
+    label: "Publishing…",
+    className: "bg-amber-50 text-amber-700",
+  },
+  [SCHEDULED_POST_STATUS.failed]: { label: "Failed", className: "bg-red-50 text-red-700" },
+};
+
+export default function ScheduledPostsList() {
+  const { userId } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const [editingPost, setEditingPost] = useState(null);
+  const [actionError, setActionError] = useState("");
+
+  const {
+    data: queue = [],
+    isLoading,
+    error,
+  } = useQuery({
+    queryKey: SCHEDULED_POSTS_QUERY_KEY,
+    queryFn: () => listScheduledPosts(),
+    retry: false,
+  });
+
+  const scheduledPosts = queue.filter((post) => post.ownerId === String(userId));
+
+  function refreshQueue() {
+    queryClient.invalidateQueries({ queryKey: SCHEDULED_POSTS_QUERY_KEY });
+  }
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, changes }) =>
+      changes ? updateScheduledPost(id, changes) : publishScheduledPostNow(id),
+    onMutate: () => setActionError(""),
+    onSuccess: (updatedPost) => {
+      if (!updatedPost) {
+        setActionError("This post is already being published and can no longer be changed.");
+      }
+      setEditingPost(null);
+      refreshQueue();
+    },
+    onError: () => setActionError("Failed to update scheduled post."),
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: (id) => deleteScheduledPost(id),
+    onMutate: () => setActionError(""),
+    onSuccess: refreshQueue,
+    onError: () => setActionError("Failed to cancel scheduled post."),
+  });
+
+  const retryMutation = useMutation({
+    mutationFn: (id) => retryScheduledPost(id),
+    onMutate: () => setActionError(""),
+    onSuccess: refreshQueue,
+    onError: () => setActionError("Failed to retry scheduled post."),
+  });
+
+  function handleStartEdit(post) {
+    setActionError("");
+    setEditingPost({
+      id: post.id,
+      body: post.body || "",
+      privacy: post.privacy,
+      imageCount: (post.images?.length || 0) + (post.video ? 1 : 0),
+      publishTime: toScheduleTimeValue(post.publishAt),
+    });
+  }
+
+  function handleSaveEdit(event) {
+    event.preventDefault();
+    if (!editingPost) return;
+
+    if (!editingPost.body.trim() && editingPost.imageCount === 0) {
+      setActionError("Post cannot be empty. Add text or keep an image.");
+      return;
+    }
+
+    const scheduleError = getScheduleTimeError(editingPost.publishTime);
+    if (scheduleError) {
+      setActionError(scheduleError);
+      return;
+    }
+
+    updateMutation.mutate({
+      id: editingPost.id,
+      changes: {
+        body: editingPost.body.trim(),
+        privacy: editingPost.privacy,
+        publishAt: editingPost.publishTime.toDate().getTime(),
+      },
+    });
+  }
+
+  function handlePublishNow(post) {
+    updateMutation.mutate({ id: post.id });
+  }
+
+  if (isLoading) {
+    return (
+      <div className="rounded-xl border border-slate-200 bg-white p-8 text-center text-slate-500 shadow-sm">
+        Loading scheduled posts...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="rounded-xl border border-red-200 bg-red-50 p-4 text-sm text-red-700 shadow-sm">
+        {error.message || "Failed to load scheduled posts."}
+      </div>
+    );
+  }
+
+  if (scheduledPosts.length === 0) {
+    return (
+      <div className="rounded-xl border border-slate-200 bg-white p-8 text-center text-slate-500 shadow-sm">
+        No scheduled posts. Use Schedule in the composer to queue one.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {actionError ? (
+        <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-sm font-semibold text-red-700">
+          {actionError}
+        </div>
+      ) : null}
+
+      {scheduledPosts.map((post) => {
+        const status = STATUS_LABELS[post.status] || STATUS_LABELS[SCHEDULED_POST_STATUS.pending];
+        const isPublishing = post.status === SCHEDULED_POST_STATUS.publishing;
+        const isEditing = editingPost?.id === post.id;
+
+        return (
+          <article
+            key={post.id}
+            className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="flex items-center gap-2 text-xs font-semibold text-slate-500">
+                <span className={`rounded-full px-2 py-0.5 font-bold ${status.className}`}>
+                  {status.label}
+                </span>
+                <span>{formatScheduleTime(post.publishAt)}</span>
+                <span className="inline-flex items-center gap-1">
+                  <PrivacyIcon privacy={post.privacy} />
+                  {getPostPrivacyLabel(post.privacy)}
+                </span>
+              </div>
+
+              {!isEditing ? (
+                <div className="flex items-center gap-1">
+                  {post.status === SCHEDULED_POST_STATUS.failed ? (
+                    <button
+                      type="button"
+                      onClick={() => retryMutation.mutate(post.id)}
+                      className="rounded-lg px-2 py-1 text-xs font-bold text-[#1877f2] transition hover:bg-blue-50"
+                    >
+                      Retry
+                    </button>
+                  ) : null}
+                  {post.status === SCHEDULED_POST_STATUS.pending ? (
+                    <button
+                      type="button"
+                      onClick={() => handlePublishNow(post)}
+                      className="rounded-lg px-2 py-1 text-xs font-bold text-[#1877f2] transition hover:bg-blue-50"
+                    >
+                      Publish now
+                    </button>
+                  ) : null}
+                  <button
+                    type="button"
+                    disabled={isPublishing}
+                    onClick={() => handleStartEdit(post)}
+                    className="rounded-lg px-2 py-1 text-xs font-bold text-slate-600 transition hover:bg-slate-100 disabled:opacity-50"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    disabled={isPublishing}
+                    onClick={() => cancelMutation.mutate(post.id)}
+                    className="rounded-lg px-2 py-1 text-xs font-bold text-red-600 transition hover:bg-red-50 disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : null}
+            </div>
+
+            {isEditing ? (
+              <form onSubmit={handleSaveEdit} className="mt-3 space-y-3">
+                <textarea
+                  rows={3}
+                  value={editingPost.body}
+                  onChange={(event) =>
+                    setEditingPost((current) => ({ ...current, body: event.target.value }))
+                  }
+                  className="w-full rounded-xl border border-slate-200 bg-slate-50 px-3 py-2 text-sm text-slate-800 outline-none focus:border-[#1877f2] focus:bg-white"
+                />
+                <div className="flex flex-wrap items-end gap-3">
+                  <DateInput
+                    className="max-w-xs"
+                    granularity="minute"
+                    hideTimeZone
+                    label="Publish at"
+                    labelPlacement="outside"
+                    value={editingPost.publishTime}
+                    onChange={(publishTime) =>
+                      setEditingPost((current) => ({ ...current, publishTime }))
+                    }
+                  />
+                  <select
+                    aria-label="Post privacy"
+                    value={editingPost.privacy}
+                    onChange={(event) =>
+                      setEditingPost((current) => ({ ...current, privacy: event.target.value }))
+                    }
+                    className="rounded-lg border border-slate-200 bg-white px-2 py-2 text-sm font-semibold text-slate-700 outline-none"
+                  >
+                    {POST_PRIVACY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex justify-end gap-2">
+                  <button
+                    type="button"
+                    onClick={() => setEditingPost(null)}
+                    className="rounded-lg px-3 py-1.5 text-sm font-semibold text-slate-600 transition hover:bg-slate-100"
+                  >
+                    Discard changes
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={updateMutation.isPending}
+                    className="rounded-lg bg-[#1877f2] px-4 py-1.5 text-sm font-bold text-white transition hover:bg-[#166fe5] disabled:opacity-60"
+                  >
+                    {updateMutation.isPending ? "Saving..." : "Save"}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <>
+                {post.body ? (
+                  <p className="mt-3 whitespace-pre-wrap break-words text-[15px] text-slate-800">
+                    <RichText text={post.body} />
+                  </p>
+                ) : null}
+                {post.images?.length ? (
+                  <p className="mt-2 text-xs font-semibold text-slate-500">
+                    {post.images.length} {post.images.length === 1 ? "image" : "images"} attached
+                  </p>
+                ) : null}
+                {post.video ? (
+                  <p className="mt-2 text-xs font-semibold text-slate-500">Video attached</p>
+                ) : null}
+                {post.status === SCHEDULED_POST_STATUS.failed && post.error ? (
+                  <p className="mt-2 text-sm font-semibold text-red-600">{post.error}</p>
+                ) : null}
+              </>
+            )}
+          </article>
+        );
+      })}
+    </div>
+  );
+}
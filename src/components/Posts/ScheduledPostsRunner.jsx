@@ -0,0 +1,163 @@
+import { useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Alert, Button } from "@heroui/react";
+import { extractApiMessage } from "../../api/client";
+import { createPost } from "../../api/posts";
+import { AuthContext } from "../../context/AuthContext";
+import { getTokenUserId } from "../../utils/authToken";
+import { stripMentionTokens } from "../../utils/mentions";
+import {
+  SCHEDULED_POSTS_QUERY_KEY,
+  SCHEDULED_POST_STATUS,
+  claimScheduledPost,
+  deleteScheduledPost,
+  getScheduledPostDueAt,
+  isScheduledPostClaimStale,
+  listScheduledPosts,
+  markScheduledPostFailed,
+  retryScheduledPost,
+  toUploadFiles,
+} from "../../utils/scheduledPosts";
+
+const QUEUE_RECHECK_MS = 1000 * 60;
+const INTERRUPTED_PUBLISH_MESSAGE =
+  "Publishing was interrupted. Check your profile before retrying so it is not posted twice.";
+
+function getPostPreview(body) {
+  const text = stripMentionTokens(body).trim();
+  if (!text) return "Image post";
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+function notifyInBackground(message) {
+  if (
+    typeof Notification === "undefined" ||
+    Notification.permission !== "granted" ||
+    !document.hidden
+  ) {
+    return;
+  }
+  new Notification("Scheduled post failed", { body: message });
+}
+
+export default function ScheduledPostsRunner() {
+  const { sessions } = useContext(AuthContext);
+  const queryClient = useQueryClient();
+  const [failures, setFailures] = useState([]);
+  const isPublishingRef = useRef(false);
+
+  const tokensByOwner = useMemo(
+    () => new Map(sessions.map((token) => [getTokenUserId(token), token])),
+    [sessions]
+  );
+
+  const { data: queue = [] } = useQuery({
+    queryKey: SCHEDULED_POSTS_QUERY_KEY,
+    queryFn: () => listScheduledPosts(),
+    refetchInterval: QUEUE_RECHECK_MS,
+    refetchOnWindowFocus: true,
+    retry: false,
+  });
+
+  const publishDuePosts = useCallback(async () => {
+    if (isPublishingRef.current) return;
+    isPublishingRef.current = true;
+
+    const now = Date.now();
+    const newFailures = [];
+
+    try {
+      const posts = await listScheduledPosts();
+
+      for (const post of posts) {
+        const token = tokensByOwner.get(post.ownerId);
+        if (!token) continue;
+
+        if (isScheduledPostClaimStale(post, now)) {
+          await markScheduledPostFailed(post.id, INTERRUPTED_PUBLISH_MESSAGE);
+          newFailures.push({ id: post.id, body: post.body, message: INTERRUPTED_PUBLISH_MESSAGE });
+          continue;
+        }
+
+        const claimedPost = await claimScheduledPost(post.id, now);
+        if (!claimedPost) continue;
+
+        try {
+          await createPost(token, {
+            body: claimedPost.body,
+            privacy: claimedPost.privacy,
+            imageFiles: toUploadFiles(claimedPost.images),
+            videoFile: claimedPost.video?.file || null,
+            videoPosterFile: claimedPost.video?.poster || null,
+            mediaAlts: claimedPost.mediaAlts,
+          });
+          await deleteScheduledPost(claimedPost.id);
+          queryClient.invalidateQueries({ queryKey: ["posts"] });
+        } catch (error) {
+          const message = extractApiMessage(error, "Failed to publish scheduled post.");
+          await markScheduledPostFailed(claimedPost.id, message);
+          newFailures.push({ id: claimedPost.id, body: claimedPost.body, message });
+        }
+      }
+    } catch {
+      // The queue is re-read on the next tick; local storage errors are not actionable here.
+    } finally {
+      isPublishingRef.current = false;
+      queryClient.invalidateQueries({ queryKey: SCHEDULED_POSTS_QUERY_KEY });
+    }
+
+    if (newFailures.length > 0) {
+      newFailures.forEach((failure) => notifyInBackground(failure.message));
+      setFailures((current) => [...current, ...newFailures]);
+    }
+  }, [queryClient, tokensByOwner]);
+
+  useEffect(() => {
+    const dueTimes = queue
+      .filter((post) => tokensByOwner.has(post.ownerId))
+      .map(getScheduledPostDueAt)
+      .filter(Number.isFinite);
+    if (dueTimes.length === 0) return undefined;
+
+    const delay = Math.min(Math.max(Math.min(...dueTimes) - Date.now(), 0), QUEUE_RECHECK_MS);
+    const timeoutId = setTimeout(publishDuePosts, delay);
+    return () => clearTimeout(timeoutId);
+  }, [publishDuePosts, queue, tokensByOwner]);
+
+  function dismissFailure(id) {
+    setFailures((current) => current.filter((failure) => failure.id !== id));
+  }
+
+  async function handleRetry(id) {
+    dismissFailure(id);
+    await retryScheduledPost(id).catch(() => {});
+    queryClient.invalidateQueries({ queryKey: SCHEDULED_POSTS_QUERY_KEY });
+  }
+
+  const visibleFailures = failures.filter((failure) =>
+    queue.some((post) => post.id === failure.id && post.status === SCHEDULED_POST_STATUS.failed)
+  );
+
+  if (visibleFailures.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[70] flex w-[min(92vw,420px)] flex-col gap-2">
+      {visibleFailures.map((failure) => (
+        <Alert
+          key={failure.id}
+          color="danger"
+          variant="faded"
+          title="Scheduled post failed"
+          description={`"${getPostPreview(failure.body)}" — ${failure.message}`}
+          isVisible
+          onClose={() => dismissFailure(failure.id)}
+          endContent={
+            <Button color="danger" size="sm" variant="flat" onPress={() => handleRetry(failure.id)}>
+              Retry
+            </Button>
+          }
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,176 @@
+import { Link } from "react-router-dom";
+import PostImageGrid from "./PostImageGrid";
+import RichText from "./RichText";
+import { getEntityId } from "../../api/normalize";
+import { stripMentionTokens } from "../../utils/mentions";
+import {
+  DEFAULT_PROFILE_IMAGE,
+  getFormattedDate,
+  getRelativeTimeShort,
+  getUserHandle,
+  getValidImageUrl,
+} from "../../utils/postDisplay";
+
+function UnavailableOriginal({ className = "" }) {
+  return (
+    <div
+      className={`rounded-xl border border-dashed border-slate-300 bg-slate-50 px-3 py-2.5 text-xs font-semibold text-slate-500 ${className}`}
+    >
+      The original post is unavailable. It may have been deleted or made private.
+    </div>
+  );
+}
+
+/** One-line card for an original that is itself embedded in a shared post. */
+function NestedOriginal({ post, isStatic }) {
+  const authorName = post.user?.name || "Unknown user";
+  const text = stripMentionTokens(post.body).trim();
+  const thumbnail = post.media[0];
+  const thumbnailUrl = thumbnail?.type === "video" ? thumbnail.poster : thumbnail?.url;
+
+  const content = (
+    <>
+      <div className="min-w-0 flex-1">
+        <p className="flex min-w-0 items-center gap-1.5 text-[11px] text-slate-500">
+          <img
+            alt=""
+            className="h-4 w-4 shrink-0 rounded-full object-cover"
+            src={getValidImageUrl(post.user?.photo)}
+            onError={(event) => {
+              event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
+            }}
+          />
+          <span className="truncate font-bold text-slate-800">{authorName}</span>
+          <span className="shrink-0" title={getFormattedDate(post.createdAt)}>
+            · {getRelativeTimeShort(post.createdAt)}
+          </span>
+        </p>
+        <p className="mt-1 line-clamp-2 break-words text-xs text-slate-700">
+          {text || (post.media.length > 0 ? "Shared media" : "")}
+        </p>
+      </div>
+      {thumbnailUrl ? (
+        <img
+          alt={thumbnail.alt}
+          className="h-12 w-12 shrink-0 rounded-md object-cover"
+          src={thumbnailUrl}
+        />
+      ) : null}
+    </>
+  );
+  const className = "mx-3 mb-2.5 flex gap-2.5 rounded-lg border border-slate-200 bg-white p-2";
+
+  if (isStatic || !post.id) return <div className={className}>{content}</div>;
+  return (
+    <Link
+      to={`/PostDetails/${post.id}`}
+      aria-label={`Open original post by ${authorName}`}
+      className={`${className} transition hover:bg-slate-100`}
+    >
+      {content}
+    </Link>
+  );
+}
+
+/**
+ * The original inside a share or quote. `variant="preview"` is the static copy
+ * shown while composing a share, without links or stats.
+ */
+export default function SharedPostEmbed({ post, onOpenMedia, variant = "feed", className = "" }) {
+  if (!post) return <UnavailableOriginal className={className} />;
+
+  const isPreview = variant === "preview";
+  const author = post.user || {};
+  const authorName = author.name || "Unknown user";
+  const authorId = getEntityId(author) || post.ownerId;
+  const detailsLink = post.id ? `/PostDetails/${post.id}` : null;
+
+  const authorSummary = (
+    <>
+      <img
+        alt={authorName}
+        className="h-8 w-8 rounded-full object-cover"
+        src={getValidImageUrl(author.photo)}
+        onError={(event) => {
+          event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
+        }}
+      />
+      <div className="min-w-0">
+        <p className="truncate text-xs font-bold text-slate-900">{authorName}</p>
+        <p className="truncate text-[11px] font-semibold text-slate-500">
+          {getUserHandle(author, authorName)}
+        </p>
+      </div>
+    </>
+  );
+
+  return (
+    <div className={`rounded-xl border border-slate-200 bg-slate-50 ${className}`}>
+      <div className="flex items-center justify-between gap-2 border-b border-slate-200 px-3 py-2.5">
+        {isPreview ? (
+          <div className="flex min-w-0 items-center gap-2">{authorSummary}</div>
+        ) : (
+          <Link
+            className="flex min-w-0 items-center gap-2"
+            to={authorId ? `/profile/${authorId}` : "/profile"}
+          >
+            {authorSummary}
+          </Link>
+        )}
+        <span
+          className="rounded px-1 py-0.5 text-[11px] font-semibold text-slate-500"
+          title={getFormattedDate(post.createdAt)}
+        >
+          {getRelativeTimeShort(post.createdAt)}
+        </span>
+      </div>
+
+      {post.body ? (
+        <div className="px-3 py-2.5">
+          <p
+            className={`whitespace-pre-wrap break-words text-sm leading-relaxed text-slate-800 ${
+              isPreview ? "line-clamp-4" : ""
+            }`}
+          >
+            {isPreview ? stripMentionTokens(post.body) : <RichText text={post.body} />}
+          </p>
+        </div>
+      ) : null}
+
+      {post.media.length > 0 ? (
+        <PostImageGrid
+          className="border-y border-slate-200 bg-slate-200/40"
+          maxHeightClassName={isPreview ? "max-h-[220px]" : "max-h-[520px]"}
+          media={post.media}
+          onOpen={(index) => onOpenMedia?.(post.media, index, authorName)}
+        />
+      ) : null}
+
+      {post.sharedPost ? (
+        <div className={post.media.length > 0 ? "pt-2.5" : ""}>
+          <NestedOriginal isStatic={isPreview} post={post.sharedPost} />
+        </div>
+      ) : post.isSharedPostUnavailable ? (
+        <UnavailableOriginal className="mx-3 mb-2.5" />
+      ) : null}
+
+      {!isPreview ? (
+        <div className="flex flex-wrap items-center justify-between gap-2 px-3 py-2 text-xs text-slate-500">
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="font-semibold">{post.likesCount} likes</span>
+            <span className="font-semibold">{post.commentsCount} comments</span>
+            <span className="font-semibold">{post.sharesCount} shares</span>
+          </div>
+          {detailsLink ? (
+            <Link
+              className="rounded-md px-2 py-1 font-bold text-[#1877f2] transition hover:bg-[#e7f3ff]"
+              to={detailsLink}
+            >
+              Open original
+            </Link>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useContext, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
+import { AuthContext } from "../../context/AuthContext";
+import { extractHashtags, getHashtagPath } from "../../utils/hashtags";
+
+// Source query keys, mapped to the position of the token in each key.
+const TRENDING_SOURCE_QUERIES = { posts: 1, "hashtag-posts": 1, "profile-posts": 2 };
+const TRENDING_WINDOW_MS = 1000 * 60 * 60 * 24 * 7;
+const MAX_TRENDING_TAGS = 8;
+
+function HashIcon() {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width="18"
+      height="18"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      className="lucide lucide-hash text-[#1877f2]"
+      aria-hidden="true"
+    >
+      <line x1="4" x2="20" y1="9" y2="9"></line>
+      <line x1="4" x2="20" y1="15" y2="15"></line>
+      <line x1="10" x2="8" y1="3" y2="21"></line>
+      <line x1="16" x2="14" y1="3" y2="21"></line>
+    </svg>
+  );
+}
+
+// Only the signed-in account's cached posts count, never another account's.
+function isTrendingSourceQuery(queryKey, token) {
+  const tokenIndex = TRENDING_SOURCE_QUERIES[queryKey[0]];
+  return Boolean(token) && tokenIndex !== undefined && queryKey[tokenIndex] === token;
+}
+
+function collectCachedPosts(queryCache, token) {
+  const postsById = new Map();
+
+  queryCache.getAll().forEach((query) => {
+    if (!isTrendingSourceQuery(query.queryKey, token)) return;
+
+    const data = query.state.data;
+    const posts = Array.isArray(data?.pages)
+      ? data.pages.flatMap((page) => page?.posts || [])
+      : Array.isArray(data)
+      ? data
+      : [];
+
+    posts.forEach((post) => {
+      if (post?.id) postsById.set(post.id, post);
+    });
+  });
+
+  return [...postsById.values()];
+}
+
+// "Recent" is measured from the newest cached post rather than the clock so the
+// list stays stable between renders.
+function getTrendingTags(posts) {
+  const timestamps = posts.map((post) => new Date(post.createdAt).getTime() || 0);
+  const newestAt = Math.max(0, ...timestamps);
+  const counts = new Map();
+
+  posts.forEach((post, index) => {
+    const createdAt = timestamps[index];
+    if (newestAt - createdAt > TRENDING_WINDOW_MS) return;
+
+    extractHashtags(post.body).forEach((tag) => {
+      const entry = counts.get(tag) || { tag, count: 0, latestAt: 0 };
+      entry.count += 1;
+      entry.latestAt = Math.max(entry.latestAt, createdAt);
+      counts.set(tag, entry);
+    });
+  });
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || b.latestAt - a.latestAt)
+    .slice(0, MAX_TRENDING_TAGS);
+}
+
+export default function TrendingTags({ activeTag = "" }) {
+  const { userToken: token } = useContext(AuthContext);
+  const queryCache = useQueryClient().getQueryCache();
+  const [trending, setTrending] = useState(() => ({
+    token,
+    tags: getTrendingTags(collectCachedPosts(queryCache, token)),
+  }));
+
+  if (trending.token !== token) {
+    setTrending({ token, tags: getTrendingTags(collectCachedPosts(queryCache, token)) });
+  }
+
+  useEffect(
+    () =>
+      queryCache.subscribe((event) => {
+        if (event.type !== "updated" || event.action?.type !== "success") return;
+        if (!isTrendingSourceQuery(event.query.queryKey, token)) return;
+        setTrending({ token, tags: getTrendingTags(collectCachedPosts(queryCache, token)) });
+      }),
+    [queryCache, token]
+  );
+
+  const trendingTags = trending.tags;
+
+  if (trendingTags.length === 0) return null;
+
+  return (
+    <section className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+      <div className="mb-3 flex items-center gap-2">
+        <HashIcon />
+        <h3 className="text-base font-extrabold text-slate-900">Trending tags</h3>
+      </div>
+
+      <ul className="space-y-1">
+        {trendingTags.map(({ tag, count }) => (
+          <li key={tag}>
+            <Link
+              to={getHashtagPath(tag)}
+              aria-current={tag === activeTag ? "page" : undefined}
+              className={`flex items-center justify-between gap-2 rounded-xl px-2 py-1.5 text-sm transition ${
+                tag === activeTag ? "bg-[#e7f3ff]" : "hover:bg-slate-100"
+              }`}
+            >
+              <span className="truncate font-bold text-[#1877f2]">#{tag}</span>
+              <span className="shrink-0 text-xs font-semibold text-slate-500">
+                {count} {count === 1 ? "post" : "posts"}
+              </span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
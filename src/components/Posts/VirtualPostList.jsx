@@ -0,0 +1,146 @@
+import React, { useEffect, useImperativeHandle, useLayoutEffect, useRef, useState } from "react";
+import { defaultRangeExtractor, useWindowVirtualizer } from "@tanstack/react-virtual";
+import { useLocation } from "react-router-dom";
+
+const ESTIMATED_POST_HEIGHT = 420;
+const POST_GAP = 16;
+const OVERSCAN = 3;
+const MAX_SAVED_LISTS = 20;
+
+const savedListStates = new Map();
+
+function saveListState(key, state) {
+  savedListStates.delete(key);
+  savedListStates.set(key, state);
+
+  if (savedListStates.size > MAX_SAVED_LISTS) {
+    savedListStates.delete(savedListStates.keys().next().value);
+  }
+}
+
+function getDocumentTop(element) {
+  return element ? element.getBoundingClientRect().top + window.scrollY : 0;
+}
+
+export default function VirtualPostList({
+  items,
+  getItemKey,
+  renderItem,
+  restorationId,
+  ariaLabel = "Posts",
+  isBusy = false,
+  hasMore = false,
+  gap = POST_GAP,
+  ref,
+}) {
+  const location = useLocation();
+  const listRef = useRef(null);
+  const focusedKeyRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const restorationKey = `${location.key}:${restorationId}`;
+  const [savedState] = useState(() => savedListStates.get(restorationKey) || null);
+  const [scrollMargin, setScrollMargin] = useState(savedState?.scrollMargin || 0);
+
+  const virtualizer = useWindowVirtualizer({
+    count: items.length,
+    estimateSize: () => ESTIMATED_POST_HEIGHT,
+    getItemKey: (index) => getItemKey(items[index], index),
+    overscan: OVERSCAN,
+    gap,
+    scrollMargin,
+    initialOffset: savedState?.offset,
+    initialMeasurementsCache: savedState?.measurementsCache,
+    rangeExtractor: (range) => {
+      const indexes = defaultRangeExtractor(range);
+      const focusedIndex = items.findIndex(
+        (item, index) => getItemKey(item, index) === focusedKeyRef.current
+      );
+
+      if (focusedIndex === -1 || indexes.includes(focusedIndex)) return indexes;
+      return [...indexes, focusedIndex].sort((a, b) => a - b);
+    },
+    onChange: (instance) => {
+      saveListState(restorationKey, {
+        offset: instance.scrollOffset,
+        scrollMargin: instance.options.scrollMargin,
+        measurementsCache: instance.measurementsCache,
+      });
+    },
+  });
+
+  useLayoutEffect(() => {
+    if (savedState?.offset) window.scrollTo({ top: savedState.offset });
+  }, [savedState]);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      /** Keeps the first visible item where it is on screen across the next `items` change. */
+      anchorFirstVisibleItem() {
+        const scrollTop = window.scrollY;
+        const firstVisible = virtualizer.getVirtualItems().find((item) => item.end > scrollTop);
+        scrollAnchorRef.current = firstVisible
+          ? { key: firstVisible.key, viewportOffset: firstVisible.start - scrollTop }
+          : null;
+      },
+    }),
+    [virtualizer]
+  );
+
+  // Runs after the virtualizer has laid out the new items, so the anchor's start
+  // combines measured sizes for known items with estimates for the inserted ones.
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    if (!anchor) return;
+
+    scrollAnchorRef.current = null;
+    const anchorItem = virtualizer.measurementsCache.find((item) => item.key === anchor.key);
+    if (anchorItem) window.scrollTo({ top: anchorItem.start - anchor.viewportOffset });
+  }, [items, virtualizer]);
+
+  useEffect(() => {
+    if (typeof ResizeObserver === "undefined") return undefined;
+
+    const observer = new ResizeObserver(() => setScrollMargin(getDocumentTop(listRef.current)));
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, []);
+
+  function handleItemBlur(event) {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      focusedKeyRef.current = null;
+    }
+  }
+
+  const virtualItems = virtualizer.getVirtualItems();
+
+  return (
+    <div
+      ref={listRef}
+      aria-busy={isBusy}
+      aria-label={ariaLabel}
+      className="relative w-full"
+      role="feed"
+      style={{ height: virtualizer.getTotalSize() }}
+    >
+      {virtualItems.map((virtualItem) => (
+        <div
+          key={virtualItem.key}
+          ref={virtualizer.measureElement}
+          role="article"
+          aria-posinset={virtualItem.index + 1}
+          aria-setsize={hasMore ? -1 : items.length}
+          className="absolute left-0 top-0 w-full"
+          data-index={virtualItem.index}
+          style={{ transform: `translateY(${virtualItem.start - scrollMargin}px)` }}
+          onBlur={handleItemBlur}
+          onFocus={() => {
+            focusedKeyRef.current = virtualItem.key;
+          }}
+        >
+          {renderItem(items[virtualItem.index], virtualItem.index)}
+        </div>
+      ))}
+    </div>
+  );
+}
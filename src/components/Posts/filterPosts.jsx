@@ -89,11 +89,33 @@ function BookmarkIcon() {
   );
 }
 
+function ClockIcon() {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width="17"
+      height="17"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      className="lucide lucide-clock"
+      aria-hidden="true"
+    >
+      <circle cx="12" cy="12" r="10"></circle>
+      <polyline points="12 6 12 12 16 14"></polyline>
+    </svg>
+  );
+}
+
 const FILTER_OPTIONS = [
   { key: "feed", label: "Feed", icon: <FeedIcon /> },
   { key: "my-posts", label: "My Posts", icon: <SparklesIcon /> },
   { key: "community", label: "Community", icon: <EarthIcon /> },
   { key: "saved", label: "Saved", icon: <BookmarkIcon /> },
+  { key: "scheduled", label: "Scheduled", icon: <ClockIcon /> },
 ];
 
 export default function FilterPosts({ activeFilter, onFilterChange }) {
@@ -133,7 +155,7 @@ export default function FilterPosts({ activeFilter, onFilterChange }) {
                 type="button"
                 onClick={() => onFilterChange(option.key)}
                 aria-pressed={isActive}
-                className={`flex items-center justify-center gap-2 rounded-xl px-3 py-2 text-sm font-bold transition ${
+                className={`flex items-center justify-center gap-2 rounded-xl px-3 py-2 text-sm font-bold transition odd:last:col-span-2 ${
                   isActive
                     ? "bg-[#e7f3ff] text-[#1877f2]"
                     : "bg-slate-50 text-slate-700 hover:bg-slate-100"
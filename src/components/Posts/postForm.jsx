@@ -1,36 +1,65 @@
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useContext, useEffect, useRef, useState } from "react";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
-import axios from "axios";
-import { Alert } from "@heroui/react";
+import { Alert, DateInput } from "@heroui/react";
 import { z } from "zod";
+import { extractApiMessage } from "../../api/client";
+import { createPost } from "../../api/posts";
+import { createPoll } from "../../api/polls";
+import { fetchProfileData } from "../../api/users";
+import { parsePost, parseUser } from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
+import { DEFAULT_POST_PRIVACY, POST_PRIVACY_OPTIONS } from "../../utils/postPrivacy";
+import {
+  POST_MEDIA_ACCEPT,
+  getFileMediaType,
+  processPostMediaFile,
+} from "../../utils/videoProcessing";
+import { deletePostDraft, listPostDrafts, savePostDraft } from "../../utils/drafts";
+import { createLocalId } from "../../utils/localDatabase";
+import { stripMentionTokens } from "../../utils/mentions";
+import { ARE_POLLS_SUPPORTED, createEmptyPoll, pollInputSchema } from "../../utils/polls";
+import {
+  SCHEDULED_POSTS_QUERY_KEY,
+  formatScheduleTime,
+  getDefaultScheduleTime,
+  getScheduleTimeError,
+  saveScheduledPost,
+} from "../../utils/scheduledPosts";
+import PrivacyIcon from "./PrivacyIcon";
+import MentionTextarea from "./MentionTextarea";
+import AltTextField from "./AltTextField";
+import EmojiPicker from "./EmojiPicker";
+import PollComposer from "./PollComposer";
 
 const DEFAULT_PROFILE_IMAGE =
   "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
+const MAX_POST_IMAGES = 10;
+const MEDIA_MIX_ERROR = `A post can have one video, or up to ${MAX_POST_IMAGES} images and GIFs.`;
+const DRAFT_AUTOSAVE_DELAY_MS = 800;
 
-function EarthIcon() {
+function ImageIcon() {
   return (
     <svg
       xmlns="http://www.w3.org/2000/svg"
-      width="12"
-      height="12"
+      width="18"
+      height="18"
       viewBox="0 0 24 24"
       fill="none"
       stroke="currentColor"
       strokeWidth="2"
       strokeLinecap="round"
       strokeLinejoin="round"
-      className="lucide lucide-earth"
+      className="lucide lucide-image text-emerald-600"
       aria-hidden="true"
     >
-      <path d="M21.54 15H17a2 2 0 0 0-2 2v4.54"></path>
-      <path d="M7 3.34V5a3 3 0 0 0 3 3a2 2 0 0 1 2 2c0 1.1.9 2 2 2a2 2 0 0 0 2-2c0-1.1.9-2 2-2h3.17"></path>
-      <path d="M11 21.95V18a2 2 0 0 0-2-2a2 2 0 0 1-2-2v-1a2 2 0 0 0-2-2H2.05"></path>
-      <circle cx="12" cy="12" r="10"></circle>
+      <rect width="18" height="18" x="3" y="3" rx="2" ry="2"></rect>
+      <circle cx="9" cy="9" r="2"></circle>
+      <path d="m21 15-3.086-3.086a2 2 0 0 0-2.828 0L6 21"></path>
     </svg>
   );
 }
 
-function ImageIcon() {
+function PollIcon() {
   return (
     <svg
       xmlns="http://www.w3.org/2000/svg"
@@ -42,17 +71,18 @@ function ImageIcon() {
       strokeWidth="2"
       strokeLinecap="round"
       strokeLinejoin="round"
-      className="lucide lucide-image text-emerald-600"
+      className="lucide lucide-chart-bar text-violet-600"
       aria-hidden="true"
     >
-      <rect width="18" height="18" x="3" y="3" rx="2" ry="2"></rect>
-      <circle cx="9" cy="9" r="2"></circle>
-      <path d="m21 15-3.086-3.086a2 2 0 0 0-2.828 0L6 21"></path>
+      <path d="M3 3v16a2 2 0 0 0 2 2h16"></path>
+      <path d="M7 16h8"></path>
+      <path d="M7 11h12"></path>
+      <path d="M7 6h3"></path>
     </svg>
   );
 }
 
-function SmileIcon() {
+function ClockIcon() {
   return (
     <svg
       xmlns="http://www.w3.org/2000/svg"
@@ -64,13 +94,11 @@ function SmileIcon() {
       strokeWidth="2"
       strokeLinecap="round"
       strokeLinejoin="round"
-      className="lucide lucide-smile text-amber-500"
+      className="lucide lucide-clock text-sky-600"
       aria-hidden="true"
     >
       <circle cx="12" cy="12" r="10"></circle>
-      <path d="M8 14s1.5 2 4 2 4-2 4-2"></path>
-      <line x1="9" x2="9.01" y1="9" y2="9"></line>
-      <line x1="15" x2="15.01" y1="9" y2="9"></line>
+      <polyline points="12 6 12 12 16 14"></polyline>
     </svg>
   );
 }
@@ -126,95 +154,90 @@ function getSafeImage(url) {
 const createPostSchema = z
   .object({
     body: z.string().optional(),
-    imageFile: z.custom(
-      (value) => value === null || value === undefined || value instanceof File,
-      "Please select a valid image file."
-    ),
+    privacy: z.enum(POST_PRIVACY_OPTIONS.map((option) => option.value)),
+    imageFiles: z
+      .array(z.custom((value) => value instanceof File, "Please select a valid image file."))
+      .max(MAX_POST_IMAGES, `You can attach up to ${MAX_POST_IMAGES} images.`),
+    videoFile: z.custom((value) => value instanceof File, "Please select a valid video.").nullable(),
+    videoPosterFile: z.custom((value) => value instanceof Blob).nullable(),
+    mediaAlts: z.array(z.string().trim()),
   })
   .refine(
-    (data) => Boolean(data?.body?.trim()) || data?.imageFile instanceof File,
+    (data) => Boolean(data?.body?.trim()) || data.imageFiles.length > 0 || data.videoFile,
     {
-      message: "Post cannot be empty. Add text or upload an image.",
+      message: "Post cannot be empty. Add text, an image or a video.",
       path: ["body"],
     }
   )
-  .refine(
-    (data) =>
-      !data?.imageFile ||
-      (data.imageFile instanceof File && data.imageFile.type.startsWith("image/")),
-    {
-      message: "Only image files are allowed.",
-      path: ["imageFile"],
-    }
-  );
-
-async function fetchCurrentUser(token) {
-  const profileEndpoints = [
-    "https://route-posts.routemisr.com/users/profile-data",
-    "https://route-posts.routemisr.com/users/profile",
-  ];
-
-  for (const url of profileEndpoints) {
-    try {
-      const res = await axios.request({
-        method: "GET",
-        url,
-        headers: { token },
-      });
-
-      const user = res?.data?.data?.user || res?.data?.user || res?.data?.data || null;
-      if (user) return user;
-    } catch (error) {
-      const status = error?.response?.status;
-      if (status && status !== 404) throw error;
-    }
-  }
+  .refine((data) => data.imageFiles.every((file) => file.type.startsWith("image/")), {
+    message: "Only image files are allowed.",
+    path: ["imageFiles"],
+  })
+  .refine((data) => !data.videoFile || data.imageFiles.length === 0, {
+    message: MEDIA_MIX_ERROR,
+    path: ["videoFile"],
+  });
 
-  return null;
+function createAttachment({ type, file, poster = null, alt = "" }) {
+  return { type, file, poster, alt, previewUrl: URL.createObjectURL(poster || file) };
 }
 
-async function createPostRequest(token, payload) {
-  const formData = new FormData();
-  const trimmedBody = payload?.body?.trim() || "";
-
-  if (trimmedBody) {
-    formData.append("body", trimmedBody);
-  }
-
-  if (payload?.imageFile instanceof File) {
-    formData.append("image", payload.imageFile);
-  }
-
-  return axios.request({
-    method: "POST",
-    url: "https://route-posts.routemisr.com/posts",
-    headers: {
-      Authorization: `Bearer ${token}`,
-    },
-    data: formData,
+// Older drafts stored bare image blobs; newer ones store `{ type, file, poster, alt }`.
+function createDraftImages(entries = []) {
+  return entries.map((entry, index) => {
+    const blob = entry instanceof Blob ? entry : entry.file;
+    const file =
+      blob instanceof File ? blob : new File([blob], `draft-media-${index + 1}`, { type: blob.type });
+    return createAttachment({
+      type: entry.type || getFileMediaType(file) || "image",
+      file,
+      poster: entry.poster || null,
+      alt: entry.alt || "",
+    });
   });
 }
 
-function extractApiMessage(error, fallbackMessage) {
-  return (
-    error?.response?.data?.message ||
-    error?.response?.data?.error ||
-    error?.response?.data?.errors?.[0]?.msg ||
-    error?.message ||
-    fallbackMessage
-  );
+function getDraftPreview(draft) {
+  const text = stripMentionTokens(draft.body).trim();
+  if (text) return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  return "Untitled draft";
+}
+
+async function fetchCurrentUser(token) {
+  const res = await fetchProfileData(token);
+  return parseUser(res?.data);
 }
 
 export default function PostForm({ currentUser }) {
-  const [privacy, setPrivacy] = useState("public");
+  const [privacy, setPrivacy] = useState(DEFAULT_POST_PRIVACY);
   const [body, setBody] = useState("");
-  const [imageFile, setImageFile] = useState(null);
-  const [previewImage, setPreviewImage] = useState("");
+  const [images, setImages] = useState([]);
+  const [isProcessingImages, setIsProcessingImages] = useState(false);
+  const [isAltEditorOpen, setIsAltEditorOpen] = useState(false);
   const [submitError, setSubmitError] = useState("");
   const [createAlertVisible, setCreateAlertVisible] = useState(false);
+  const [scheduledFor, setScheduledFor] = useState(null);
+  const [isScheduling, setIsScheduling] = useState(false);
+  const [scheduleTime, setScheduleTime] = useState(null);
+  const [poll, setPoll] = useState(null);
+  const [activeDraftId, setActiveDraftId] = useState(null);
+  const [isDraftsOpen, setIsDraftsOpen] = useState(false);
   const fileInputRef = useRef(null);
+  const bodyInputRef = useRef(null);
+  const imagesRef = useRef(images);
+  const draftIdRef = useRef(null);
+  const hasEditedRef = useRef(false);
+  const pendingDraftSaveRef = useRef(null);
   const queryClient = useQueryClient();
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token, userId } = useContext(AuthContext);
+  const draftsQueryKey = ["post-drafts", userId];
+
+  const { data: drafts = [] } = useQuery({
+    queryKey: draftsQueryKey,
+    queryFn: () => listPostDrafts(userId),
+    enabled: Boolean(userId),
+    refetchOnWindowFocus: false,
+  });
 
   const { data: apiUser } = useQuery({
     queryKey: ["post-form-profile", token],
@@ -228,20 +251,35 @@ export default function PostForm({ currentUser }) {
 
   const resolvedUser = currentUser || apiUser;
   const displayName = resolvedUser?.name || resolvedUser?.username || "User";
-  const displayAvatar = getSafeImage(resolvedUser?.photo || resolvedUser?.avatar);
-  const canPost = body.trim().length > 0 || imageFile instanceof File;
+  const displayAvatar = getSafeImage(resolvedUser?.photo);
+  const canPost =
+    body.trim().length > 0 || images.length > 0 || Boolean(poll?.question.trim());
 
   const createPostMutation = useMutation({
-    mutationFn: (payload) => createPostRequest(token, payload),
+    // The poll needs the new post's id, so it is attached after publishing. A
+    // failed attach is a partial success: the post is live and must not be resubmitted.
+    mutationFn: async ({ poll: pollInput, ...payload }) => {
+      const response = await createPost(token, payload);
+      if (!pollInput) return { isPollAttached: true };
+
+      const createdPost = parsePost(response?.data);
+      if (!createdPost?.id) return { isPollAttached: false };
+      try {
+        await createPoll(token, { ...pollInput, postId: createdPost.id });
+        return { isPollAttached: true };
+      } catch {
+        return { isPollAttached: false };
+      }
+    },
     onMutate: () => {
       setSubmitError("");
       setCreateAlertVisible(false);
     },
-    onSuccess: () => {
-      setBody("");
-      handleRemoveImage();
+    onSuccess: ({ isPollAttached }) => {
+      finishSubmittedDraft();
+      setScheduledFor(null);
       setCreateAlertVisible(true);
-      queryClient.invalidateQueries({ queryKey: ["posts", token] });
+      if (!isPollAttached) setSubmitError("Post published, but the poll could not be attached.");
       queryClient.invalidateQueries({ queryKey: ["posts"] });
     },
     onError: (error) => {
@@ -249,38 +287,237 @@ export default function PostForm({ currentUser }) {
     },
   });
 
+  const schedulePostMutation = useMutation({
+    mutationFn: (scheduledPost) => saveScheduledPost(scheduledPost),
+    onMutate: () => {
+      setSubmitError("");
+      setCreateAlertVisible(false);
+    },
+    onSuccess: (_, scheduledPost) => {
+      finishSubmittedDraft();
+      setIsScheduling(false);
+      setScheduleTime(null);
+      setScheduledFor(scheduledPost.publishAt);
+      setCreateAlertVisible(true);
+      queryClient.invalidateQueries({ queryKey: SCHEDULED_POSTS_QUERY_KEY });
+    },
+    onError: (error) => {
+      setSubmitError(extractApiMessage(error, "Failed to schedule post."));
+    },
+  });
+  const isSubmittingPost = createPostMutation.isPending || schedulePostMutation.isPending;
+
+  useEffect(() => {
+    imagesRef.current = images;
+  }, [images]);
+
   useEffect(() => {
     return () => {
-      if (previewImage && previewImage.startsWith("blob:")) {
-        URL.revokeObjectURL(previewImage);
+      imagesRef.current.forEach((image) => URL.revokeObjectURL(image.previewUrl));
+    };
+  }, []);
+
+  const persistDraft = useCallback(
+    async ({ body: draftBody, privacy: draftPrivacy, images: draftImages }) => {
+      const hasContent = draftBody.trim().length > 0 || draftImages.length > 0;
+
+      if (hasContent) {
+        const id = draftIdRef.current || createLocalId();
+        draftIdRef.current = id;
+        setActiveDraftId(id);
+        await savePostDraft({
+          id,
+          ownerId: userId,
+          body: draftBody,
+          privacy: draftPrivacy,
+          images: draftImages.map(({ type, file, poster, alt }) => ({ type, file, poster, alt })),
+        });
+      } else if (draftIdRef.current) {
+        await deletePostDraft(draftIdRef.current);
+        draftIdRef.current = null;
+        setActiveDraftId(null);
       }
+
+      queryClient.invalidateQueries({ queryKey: ["post-drafts", userId] });
+    },
+    [queryClient, userId]
+  );
+
+  useEffect(() => {
+    if (!userId) return undefined;
+
+    let isCancelled = false;
+    listPostDrafts(userId)
+      .then(([latestDraft]) => {
+        if (isCancelled || !latestDraft || hasEditedRef.current) return;
+
+        const restoredImages = createDraftImages(latestDraft.images);
+        draftIdRef.current = latestDraft.id;
+        setActiveDraftId(latestDraft.id);
+        setBody(latestDraft.body || "");
+        setPrivacy(latestDraft.privacy || DEFAULT_POST_PRIVACY);
+        setImages(restoredImages);
+      })
+      .catch(() => {});
+
+    return () => {
+      isCancelled = true;
     };
-  }, [previewImage]);
+  }, [userId]);
+
+  useEffect(() => {
+    pendingDraftSaveRef.current = null;
+    if (!userId || !hasEditedRef.current) return undefined;
+
+    const save = () => persistDraft({ body, privacy, images }).catch(() => {});
+    pendingDraftSaveRef.current = save;
+    const timeoutId = setTimeout(() => {
+      pendingDraftSaveRef.current = null;
+      save();
+    }, DRAFT_AUTOSAVE_DELAY_MS);
 
-  function handleImageChange(event) {
-    const file = event.target.files?.[0];
-    if (!file) return;
+    return () => clearTimeout(timeoutId);
+  }, [body, privacy, images, userId, persistDraft]);
 
-    if (previewImage && previewImage.startsWith("blob:")) {
-      URL.revokeObjectURL(previewImage);
+  useEffect(() => {
+    return () => pendingDraftSaveRef.current?.();
+  }, []);
+
+  async function handleImageChange(event) {
+    const files = Array.from(event.target.files || []);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
     }
+    if (files.length === 0) return;
 
-    const nextPreview = URL.createObjectURL(file);
-    setImageFile(file);
-    setPreviewImage(nextPreview);
+    const hasVideo = files.some((file) => getFileMediaType(file) === "video");
+    if (images.some((image) => image.type === "video") || (hasVideo && images.length + files.length > 1)) {
+      setSubmitError(MEDIA_MIX_ERROR);
+      return;
+    }
+
+    const availableSlots = MAX_POST_IMAGES - images.length;
+    const acceptedFiles = files.slice(0, Math.max(availableSlots, 0));
+
+    hasEditedRef.current = true;
     setSubmitError("");
+    setIsProcessingImages(true);
+    const results = await Promise.allSettled(acceptedFiles.map(processPostMediaFile));
+    setIsProcessingImages(false);
+
+    const processedMedia = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+    const failedResult = results.find((result) => result.status === "rejected");
+
+    setImages((currentImages) => [...currentImages, ...processedMedia.map(createAttachment)]);
+
+    if (failedResult) {
+      setSubmitError(failedResult.reason?.message || "Failed to process this file.");
+    } else if (files.length > acceptedFiles.length) {
+      setSubmitError(`You can attach up to ${MAX_POST_IMAGES} images.`);
+    }
+  }
+
+  function handleRemoveImage(index) {
+    const removedImage = images[index];
+    if (removedImage) URL.revokeObjectURL(removedImage.previewUrl);
+    hasEditedRef.current = true;
+
+    setImages((currentImages) => currentImages.filter((_, imageIndex) => imageIndex !== index));
+  }
+
+  function handleMoveImage(index, offset) {
+    const targetIndex = index + offset;
+    if (targetIndex < 0 || targetIndex >= images.length) return;
+    hasEditedRef.current = true;
+
+    setImages((currentImages) => {
+      const nextImages = [...currentImages];
+      [nextImages[index], nextImages[targetIndex]] = [nextImages[targetIndex], nextImages[index]];
+      return nextImages;
+    });
+  }
+
+  function handleImageAltChange(index, alt) {
+    hasEditedRef.current = true;
+    setImages((currentImages) =>
+      currentImages.map((image, imageIndex) => (imageIndex === index ? { ...image, alt } : image))
+    );
+  }
+
+  function clearImages() {
+    images.forEach((image) => URL.revokeObjectURL(image.previewUrl));
+    setImages([]);
+    setIsAltEditorOpen(false);
+  }
+
+  function resetForm() {
+    hasEditedRef.current = false;
+    draftIdRef.current = null;
+    setActiveDraftId(null);
+    setBody("");
+    setPrivacy(DEFAULT_POST_PRIVACY);
+    setPoll(null);
+    clearImages();
   }
 
-  function handleRemoveImage() {
-    if (previewImage && previewImage.startsWith("blob:")) {
-      URL.revokeObjectURL(previewImage);
+  function finishSubmittedDraft() {
+    const submittedDraftId = draftIdRef.current;
+    resetForm();
+    if (submittedDraftId) {
+      deletePostDraft(submittedDraftId)
+        .catch(() => {})
+        .finally(() => queryClient.invalidateQueries({ queryKey: draftsQueryKey }));
     }
+  }
 
-    setImageFile(null);
-    setPreviewImage("");
-    if (fileInputRef.current) {
-      fileInputRef.current.value = "";
+  function handleToggleSchedule() {
+    setSubmitError("");
+    if (isScheduling) {
+      setIsScheduling(false);
+      return;
     }
+    setScheduleTime((currentTime) => currentTime || getDefaultScheduleTime());
+    setIsScheduling(true);
+  }
+
+  function handleTogglePoll() {
+    setSubmitError("");
+    setPoll((currentPoll) => (currentPoll ? null : createEmptyPoll()));
+  }
+
+  async function handleResumeDraft(draft) {
+    if (draft.id === draftIdRef.current) {
+      setIsDraftsOpen(false);
+      return;
+    }
+
+    if (hasEditedRef.current) {
+      await persistDraft({ body, privacy, images }).catch(() => {});
+    }
+
+    images.forEach((image) => URL.revokeObjectURL(image.previewUrl));
+    hasEditedRef.current = false;
+    draftIdRef.current = draft.id;
+    setActiveDraftId(draft.id);
+    setBody(draft.body || "");
+    setPrivacy(draft.privacy || DEFAULT_POST_PRIVACY);
+    setImages(createDraftImages(draft.images));
+    setSubmitError("");
+    setIsDraftsOpen(false);
+  }
+
+  async function handleDiscardDraft(draftId) {
+    try {
+      await deletePostDraft(draftId);
+    } catch {
+      setSubmitError("Failed to discard draft.");
+      return;
+    }
+
+    if (draftId === draftIdRef.current) resetForm();
+    queryClient.invalidateQueries({ queryKey: draftsQueryKey });
   }
 
   function handleSubmit(event) {
@@ -291,13 +528,49 @@ export default function PostForm({ currentUser }) {
       return;
     }
 
-    const validation = createPostSchema.safeParse({ body, imageFile });
+    const pollValidation = poll ? pollInputSchema.safeParse(poll) : null;
+    if (pollValidation && !pollValidation.success) {
+      setSubmitError(pollValidation.error.issues[0]?.message || "Invalid poll.");
+      return;
+    }
+
+    const video = images.find((image) => image.type === "video");
+    const validation = createPostSchema.safeParse({
+      body: body.trim() ? body : pollValidation?.data.question,
+      privacy,
+      imageFiles: images.filter((image) => image !== video).map((image) => image.file),
+      videoFile: video?.file || null,
+      videoPosterFile: video?.poster || null,
+      mediaAlts: images.map((image) => image.alt),
+    });
     if (!validation.success) {
       setSubmitError(validation.error.issues[0]?.message || "Invalid post data.");
       return;
     }
 
-    createPostMutation.mutate(validation.data);
+    if (!isScheduling) {
+      createPostMutation.mutate({ ...validation.data, poll: pollValidation?.data });
+      return;
+    }
+
+    const scheduleError = getScheduleTimeError(scheduleTime);
+    if (scheduleError || !userId) {
+      setSubmitError(scheduleError || "You need to login first.");
+      return;
+    }
+
+    schedulePostMutation.mutate({
+      id: createLocalId(),
+      ownerId: userId,
+      body: validation.data.body?.trim() || "",
+      privacy: validation.data.privacy,
+      images: validation.data.imageFiles,
+      video: validation.data.videoFile
+        ? { file: validation.data.videoFile, poster: validation.data.videoPosterFile }
+        : null,
+      mediaAlts: validation.data.mediaAlts,
+      publishAt: scheduleTime.toDate().getTime(),
+    });
   }
 
   return (
@@ -309,9 +582,15 @@ export default function PostForm({ currentUser }) {
         <div className="mb-3">
           <Alert
             color="success"
-            description="Your action has been completed successfully. We'll notify you when updates are available."
+            description={
+              scheduledFor
+                ? `Your post will be published on ${formatScheduleTime(
+                    scheduledFor
+                  )} while SocialHub is open. Manage it from the Scheduled tab.`
+                : "Your action has been completed successfully. We'll notify you when updates are available."
+            }
             isVisible={createAlertVisible}
-            title="Success Notification"
+            title={scheduledFor ? "Post scheduled" : "Success Notification"}
             variant="faded"
             onClose={() => setCreateAlertVisible(false)}
           />
@@ -330,48 +609,151 @@ export default function PostForm({ currentUser }) {
         <div className="flex-1">
           <p className="text-base font-extrabold text-slate-900">{displayName}</p>
           <div className="mt-1 inline-flex items-center gap-2 rounded-full bg-slate-100 px-2 py-0.5 text-xs font-semibold text-slate-700">
-            <EarthIcon />
+            <PrivacyIcon privacy={privacy} />
             <select
+              aria-label="Post privacy"
               value={privacy}
-              onChange={(event) => setPrivacy(event.target.value)}
+              onChange={(event) => {
+                hasEditedRef.current = true;
+                setPrivacy(event.target.value);
+              }}
               className="bg-transparent outline-none"
             >
-              <option value="public">Public</option>
-              <option value="following">Followers</option>
-              <option value="only_me">Only me</option>
+              {POST_PRIVACY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
             </select>
           </div>
         </div>
       </div>
 
-      <div className="relative">
-        <textarea
-          rows="4"
-          value={body}
-          onChange={(event) => {
-            setBody(event.target.value);
+      <MentionTextarea
+        ref={bodyInputRef}
+        rows="4"
+        value={body}
+        onValueChange={(nextBody) => {
+          hasEditedRef.current = true;
+          setBody(nextBody);
+          if (submitError) setSubmitError("");
+        }}
+        placeholder={`What's on your mind, ${displayName}?`}
+        className="w-full rounded-2xl border border-slate-200 bg-slate-50 px-4 py-3 text-[17px] leading-relaxed text-slate-800 outline-none transition focus:border-[#1877f2] focus:bg-white"
+      />
+
+      {poll ? (
+        <PollComposer
+          poll={poll}
+          onChange={(nextPoll) => {
+            setPoll(nextPoll);
             if (submitError) setSubmitError("");
           }}
-          placeholder={`What's on your mind, ${displayName}?`}
-          className="w-full rounded-2xl border border-slate-200 bg-slate-50 px-4 py-3 text-[17px] leading-relaxed text-slate-800 outline-none transition focus:border-[#1877f2] focus:bg-white"
-        ></textarea>
-      </div>
+          onRemove={handleTogglePoll}
+        />
+      ) : null}
 
-      {previewImage ? (
-        <div className="relative mt-2">
-          <img
-            alt="Preview"
-            className="max-h-60 w-full rounded-lg object-cover"
-            src={previewImage}
+      {isScheduling ? (
+        <div className="mt-2 flex flex-wrap items-end gap-2">
+          <DateInput
+            className="max-w-xs"
+            granularity="minute"
+            hideTimeZone
+            label="Publish at"
+            labelPlacement="outside"
+            value={scheduleTime}
+            onChange={setScheduleTime}
+            isInvalid={Boolean(scheduleTime) && Boolean(getScheduleTimeError(scheduleTime))}
+            errorMessage={scheduleTime ? getScheduleTimeError(scheduleTime) : undefined}
           />
+          <p className="pb-2 text-xs text-slate-500">Publishes while SocialHub is open in a tab.</p>
+        </div>
+      ) : null}
+
+      {images.length > 0 ? (
+        <ul className="mt-2 grid grid-cols-2 gap-2 sm:grid-cols-3">
+          {images.map((image, index) => (
+            <li key={image.previewUrl} className="relative overflow-hidden rounded-lg bg-slate-100">
+              <img
+                alt={`Selected ${image.type === "video" ? "video" : "image"} ${index + 1}`}
+                className="aspect-square w-full object-cover"
+                src={image.previewUrl}
+              />
+              <div className="absolute left-1.5 top-1.5 flex gap-1">
+                {image.type === "gif" || image.type === "video" ? (
+                  <span className="rounded bg-black/60 px-1.5 py-0.5 text-[10px] font-bold uppercase text-white">
+                    {image.type === "gif" ? "GIF" : "Video"}
+                  </span>
+                ) : null}
+                {image.alt.trim() ? (
+                  <span className="rounded bg-black/60 px-1.5 py-0.5 text-[10px] font-extrabold text-white">
+                    ALT
+                  </span>
+                ) : null}
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemoveImage(index)}
+                className="absolute right-1.5 top-1.5 rounded-full bg-black/60 p-1 text-white backdrop-blur-sm"
+                aria-label={`Remove image ${index + 1}`}
+              >
+                <CloseIcon />
+              </button>
+              {images.length > 1 ? (
+                <div className="absolute inset-x-1.5 bottom-1.5 flex items-center justify-between">
+                  <button
+                    type="button"
+                    onClick={() => handleMoveImage(index, -1)}
+                    disabled={index === 0}
+                    className="rounded-full bg-black/60 px-2 py-0.5 text-xs font-bold text-white backdrop-blur-sm disabled:opacity-30"
+                    aria-label={`Move image ${index + 1} earlier`}
+                  >
+                    &larr;
+                  </button>
+                  <span className="rounded-full bg-black/60 px-2 py-0.5 text-[11px] font-bold text-white">
+                    {index + 1}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleMoveImage(index, 1)}
+                    disabled={index === images.length - 1}
+                    className="rounded-full bg-black/60 px-2 py-0.5 text-xs font-bold text-white backdrop-blur-sm disabled:opacity-30"
+                    aria-label={`Move image ${index + 1} later`}
+                  >
+                    &rarr;
+                  </button>
+                </div>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
+      {images.length > 0 ? (
+        <div className="mt-2">
           <button
             type="button"
-            onClick={handleRemoveImage}
-            className="absolute right-2 top-2 rounded-full bg-black/60 p-1 text-white backdrop-blur-sm"
-            aria-label="Remove selected image"
+            aria-expanded={isAltEditorOpen}
+            onClick={() => setIsAltEditorOpen((current) => !current)}
+            className="text-xs font-bold text-[#1877f2] hover:underline"
           >
-            <CloseIcon />
+            {isAltEditorOpen
+              ? "Done editing alt text"
+              : `${images.some((image) => image.alt.trim()) ? "Edit" : "Add"} alt text`}
           </button>
+          {isAltEditorOpen ? (
+            <div className="mt-2 space-y-3">
+              {images.map((image, index) => (
+                <AltTextField
+                  key={image.previewUrl}
+                  label={`Describe ${image.type === "video" ? "video" : "image"} ${index + 1}`}
+                  previewUrl={image.previewUrl}
+                  value={image.alt}
+                  onChange={(alt) => handleImageAltChange(index, alt)}
+                />
+              ))}
+            </div>
+          ) : null}
         </div>
       ) : null}
 
@@ -379,37 +761,130 @@ export default function PostForm({ currentUser }) {
         <div className="relative flex items-center gap-2">
           <label className="flex cursor-pointer items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold text-slate-600 transition hover:bg-slate-100">
             <ImageIcon />
-            <span className="hidden sm:inline">Photo/video</span>
+            <span className="hidden sm:inline">
+              {isProcessingImages ? "Optimizing..." : "Photo/video"}
+            </span>
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
+              accept={POST_MEDIA_ACCEPT}
+              multiple
+              disabled={
+                images.length >= MAX_POST_IMAGES ||
+                images.some((image) => image.type === "video") ||
+                isProcessingImages
+              }
               onChange={handleImageChange}
               className="hidden"
             />
           </label>
 
+          <EmojiPicker
+            inputRef={bodyInputRef}
+            label="Feeling/activity"
+            onInsert={(nextBody) => {
+              hasEditedRef.current = true;
+              setBody(nextBody);
+              if (submitError) setSubmitError("");
+            }}
+          />
+
+          {ARE_POLLS_SUPPORTED ? (
+            <button
+              type="button"
+              onClick={handleTogglePoll}
+              aria-pressed={Boolean(poll)}
+              disabled={isScheduling}
+              title={isScheduling ? "Polls can't be scheduled" : undefined}
+              className={`flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold transition disabled:cursor-not-allowed disabled:opacity-50 ${
+                poll ? "bg-violet-50 text-violet-700" : "text-slate-600 hover:bg-slate-100"
+              }`}
+            >
+              <PollIcon />
+              <span className="hidden sm:inline">Poll</span>
+            </button>
+          ) : null}
+
           <button
             type="button"
-            className="flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold text-slate-600 transition hover:bg-slate-100"
+            onClick={handleToggleSchedule}
+            aria-pressed={isScheduling}
+            disabled={Boolean(poll)}
+            title={poll ? "Polls can't be scheduled" : undefined}
+            className={`flex items-center gap-2 rounded-lg px-3 py-2 text-sm font-semibold transition disabled:cursor-not-allowed disabled:opacity-50 ${
+              isScheduling ? "bg-sky-50 text-sky-700" : "text-slate-600 hover:bg-slate-100"
+            }`}
           >
-            <SmileIcon />
-            <span className="hidden sm:inline">Feeling/activity</span>
+            <ClockIcon />
+            <span className="hidden sm:inline">Schedule</span>
           </button>
+
+          {drafts.length > 0 ? (
+            <button
+              type="button"
+              onClick={() => setIsDraftsOpen((isOpen) => !isOpen)}
+              aria-expanded={isDraftsOpen}
+              className="rounded-lg px-3 py-2 text-sm font-semibold text-slate-600 transition hover:bg-slate-100"
+            >
+              Drafts ({drafts.length})
+            </button>
+          ) : null}
         </div>
 
         <div className="flex items-center gap-3">
+          {activeDraftId ? (
+            <span className="text-xs font-semibold text-slate-400">Draft saved</span>
+          ) : null}
           <button
             type="submit"
-            disabled={!canPost || createPostMutation.isPending}
+            disabled={!canPost || isSubmittingPost}
             className="flex items-center gap-2 rounded-lg bg-[#1877f2] px-5 py-2 text-sm font-extrabold text-white shadow-sm transition-colors hover:bg-[#166fe5] disabled:cursor-not-allowed disabled:opacity-60"
           >
-            {createPostMutation.isPending ? "Posting..." : "Post"}
+            {isScheduling
+              ? schedulePostMutation.isPending
+                ? "Scheduling..."
+                : "Schedule"
+              : createPostMutation.isPending
+              ? "Posting..."
+              : "Post"}
             <SendIcon />
           </button>
         </div>
       </div>
 
+      {isDraftsOpen && drafts.length > 0 ? (
+        <ul className="mt-3 divide-y divide-slate-100 rounded-xl border border-slate-200">
+          {drafts.map((draft) => (
+            <li key={draft.id} className="flex items-center gap-3 px-3 py-2">
+              <div className="min-w-0 flex-1">
+                <p className="truncate text-sm font-semibold text-slate-800">
+                  {getDraftPreview(draft)}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {draft.id === activeDraftId ? "Editing · " : ""}
+                  {draft.images?.length ? `${draft.images.length} attachment(s) · ` : ""}
+                  Saved {new Date(draft.updatedAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleResumeDraft(draft)}
+                className="rounded-lg px-2 py-1 text-xs font-bold text-[#1877f2] transition hover:bg-blue-50"
+              >
+                Resume
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDiscardDraft(draft.id)}
+                className="rounded-lg px-2 py-1 text-xs font-bold text-red-600 transition hover:bg-red-50"
+              >
+                Discard
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+
       {submitError ? (
         <p className="mt-2 text-sm font-semibold text-red-600">{submitError}</p>
       ) : null}
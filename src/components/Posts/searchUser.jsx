@@ -1,7 +1,15 @@
-import { useEffect, useMemo, useState } from "react";
+import { useContext, useEffect, useMemo, useState } from "react";
 import { Link } from "react-router-dom";
 import { useInfiniteQuery, useMutation, useQuery } from "@tanstack/react-query";
-import axios from "axios";
+import { extractApiMessage } from "../../api/client";
+import {
+  fetchProfileData,
+  fetchSuggestions,
+  searchUsers,
+  toggleFollowUser,
+} from "../../api/users";
+import { getEntityId, parseUser, parseUserPage } from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
 
 const DEFAULT_PROFILE_IMAGE =
   "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
@@ -95,247 +103,46 @@ function ArrowLeftIcon() {
   );
 }
 
-function getEntityId(user) {
-  return user?._id || user?.id || user?.userId || null;
-}
-
 function getSafeImage(url) {
   if (typeof url !== "string") return DEFAULT_PROFILE_IMAGE;
   const trimmed = url.trim();
   return trimmed || DEFAULT_PROFILE_IMAGE;
 }
 
-function getFollowersCount(user) {
-  const value =
-    user?.followersCount || user?.followersTotal || user?.totalFollowers || user?.followers;
-  if (typeof value === "number" && Number.isFinite(value)) return value;
-  if (Array.isArray(value)) return value.length;
-  return 0;
-}
-
-function getUserName(user) {
-  const name = typeof user?.name === "string" ? user.name.trim() : "";
-  if (name) return name;
-  const username = typeof user?.username === "string" ? user.username.trim() : "";
-  if (username) return username;
-  return "User";
-}
-
-function getUserUsername(user) {
-  const username = typeof user?.username === "string" ? user.username.trim() : "";
-  if (!username) return "user";
-  return username.startsWith("@") ? username.slice(1) : username;
-}
-
-function extractApiMessage(error, fallbackMessage) {
-  return (
-    error?.response?.data?.message ||
-    error?.response?.data?.error ||
-    error?.response?.data?.errors?.[0]?.msg ||
-    error?.message ||
-    fallbackMessage
-  );
-}
-
-function parseBooleanLike(value) {
-  if (typeof value === "boolean") return value;
-  if (typeof value === "number" && Number.isFinite(value)) return value > 0;
-  if (typeof value !== "string") return null;
-
-  const normalized = value.trim().toLowerCase();
-  if (!normalized) return null;
-  if (["true", "yes", "followed", "following", "1"].includes(normalized)) return true;
-  if (["false", "no", "unfollowed", "not-following", "0"].includes(normalized)) return false;
-  return null;
-}
-
-function getIsFollowing(user, rawUser) {
-  const candidates = [
-    rawUser?.isFollowing,
-    rawUser?.isFollowed,
-    rawUser?.followedByMe,
-    rawUser?.followedByCurrentUser,
-    rawUser?.relationship?.isFollowing,
-    rawUser?.relationship?.isFollowed,
-    rawUser?.relationship?.followedByMe,
-    user?.isFollowing,
-    user?.isFollowed,
-    user?.followedByMe,
-    user?.followedByCurrentUser,
-    user?.relationship?.isFollowing,
-    user?.relationship?.isFollowed,
-    user?.relationship?.followedByMe,
-  ];
-
-  for (const value of candidates) {
-    const parsed = parseBooleanLike(value);
-    if (parsed !== null) return parsed;
-  }
-
-  return false;
-}
-
-function extractUsersFromResponse(raw) {
-  const candidates = [
-    raw?.data?.data?.suggestions,
-    raw?.data?.suggestions,
-    raw?.suggestions,
-    raw?.data?.data?.users,
-    raw?.data?.users,
-    raw?.users,
-    raw?.data?.data?.items,
-    raw?.data?.items,
-    raw?.items,
-    raw?.data?.data,
-    raw?.data,
-  ];
-
-  for (const item of candidates) {
-    if (Array.isArray(item)) return item;
-    if (item && typeof item === "object") return [item];
-  }
-
-  return [];
-}
-
-function extractPaginationInfo(raw) {
-  return (
-    raw?.data?.data?.paginationInfo ||
-    raw?.data?.paginationInfo ||
-    raw?.paginationInfo ||
-    raw?.data?.metadata ||
-    raw?.metadata ||
-    null
-  );
-}
-
-function extractTotalPages(raw) {
-  const info = extractPaginationInfo(raw);
-  const value =
-    info?.numberOfPages || info?.pages || info?.totalPages || info?.total_pages || null;
-  if (typeof value === "number" && Number.isFinite(value)) return value;
-  return null;
-}
-
-function unwrapUserRecord(candidate) {
-  if (!candidate || typeof candidate !== "object") return null;
-
-  const possibilities = [
-    candidate,
-    candidate?.user,
-    candidate?.suggestedUser,
-    candidate?.profile,
-    candidate?.account,
-    candidate?.toUser,
-    candidate?.fromUser,
-  ];
-
-  for (const item of possibilities) {
-    if (getEntityId(item)) return item;
-  }
-
-  return candidate?.user || candidate?.profile || candidate?.suggestedUser || null;
-}
-
-function normalizeUser(rawUser) {
-  const user = unwrapUserRecord(rawUser);
-  const id = getEntityId(user);
-  if (!id) return null;
-
-  return {
-    id,
-    name: getUserName(user),
-    username: getUserUsername(user),
-    photo: getSafeImage(user?.photo || user?.avatar),
-    followersCount: getFollowersCount(user) || getFollowersCount(rawUser),
-    email: user?.email || "",
-    isFollowing: getIsFollowing(user, rawUser),
-  };
-}
-
 async function fetchCurrentUser(token) {
-  const endpoints = [
-    "https://route-posts.routemisr.com/users/profile-data",
-    "https://route-posts.routemisr.com/users/profile",
-  ];
-
-  for (const url of endpoints) {
-    try {
-      const response = await axios.request({
-        method: "GET",
-        url,
-        headers: { token },
-      });
-      const user =
-        response?.data?.data?.user || response?.data?.user || response?.data?.data || null;
-      if (user) return user;
-    } catch (error) {
-      const status = error?.response?.status;
-      if (status && status !== 404) throw error;
-    }
-  }
-
-  return null;
+  const response = await fetchProfileData(token);
+  return parseUser(response?.data);
 }
 
 async function fetchSuggestionsPage(token, pageParam = 1) {
-  const response = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/users/suggestions",
-    headers: {
-      token,
-      Authorization: `Bearer ${token}`,
-    },
-    params: {
-      limit: SUGGESTIONS_LIMIT,
-      page: pageParam,
-      skip: (pageParam - 1) * SUGGESTIONS_LIMIT,
-      offset: (pageParam - 1) * SUGGESTIONS_LIMIT,
-    },
+  const response = await fetchSuggestions(token, {
+    limit: SUGGESTIONS_LIMIT,
+    page: pageParam,
+    skip: (pageParam - 1) * SUGGESTIONS_LIMIT,
+    offset: (pageParam - 1) * SUGGESTIONS_LIMIT,
   });
 
   return {
-    items: extractUsersFromResponse(response?.data),
+    ...parseUserPage(response?.data),
     page: pageParam,
-    totalPages: extractTotalPages(response?.data),
     limit: SUGGESTIONS_LIMIT,
   };
 }
 
 async function fetchSearchUsersPage(token, pageParam = 1, searchText = "") {
-  const response = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/users/search",
-    headers: {
-      token,
-      Authorization: `Bearer ${token}`,
-    },
-    params: {
-      limit: SUGGESTIONS_LIMIT,
-      page: pageParam,
-      q: searchText.trim(),
-    },
+  const response = await searchUsers(token, {
+    limit: SUGGESTIONS_LIMIT,
+    page: pageParam,
+    q: searchText.trim(),
   });
 
   return {
-    items: extractUsersFromResponse(response?.data),
+    ...parseUserPage(response?.data),
     page: pageParam,
-    totalPages: extractTotalPages(response?.data),
     limit: SUGGESTIONS_LIMIT,
   };
 }
 
-async function toggleFollowUser(token, userId) {
-  return axios.request({
-    method: "PUT",
-    url: `https://route-posts.routemisr.com/users/${userId}/follow`,
-    headers: {
-      token,
-      Authorization: `Bearer ${token}`,
-    },
-  });
-}
-
 function getNextPageParam(lastPage) {
   if (!lastPage) return undefined;
   if (typeof lastPage.totalPages === "number") {
@@ -349,12 +156,16 @@ function buildUsersFromPages(pages, currentUserId) {
 
   for (const page of pages || []) {
     const items = Array.isArray(page?.items) ? page.items : [];
-    for (const rawItem of items) {
-      const normalized = normalizeUser(rawItem);
-      if (!normalized) continue;
-      if (normalized.id === currentUserId) continue;
-      if (usersMap.has(normalized.id)) continue;
-      usersMap.set(normalized.id, normalized);
+    for (const user of items) {
+      if (!user?.id) continue;
+      if (user.id === currentUserId) continue;
+      if (usersMap.has(user.id)) continue;
+      usersMap.set(user.id, {
+        ...user,
+        name: user.name || user.username || "User",
+        username: user.username || "user",
+        photo: getSafeImage(user.photo),
+      });
     }
   }
 
@@ -363,7 +174,7 @@ function buildUsersFromPages(pages, currentUserId) {
 
 export default function SearchUser({ mode = "desktop" }) {
   const isMobileMode = mode === "mobile";
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token } = useContext(AuthContext);
   const [searchValue, setSearchValue] = useState("");
   const [isMobileOpen, setIsMobileOpen] = useState(false);
   const [isMobileAllUsersOpen, setIsMobileAllUsersOpen] = useState(false);
@@ -11,19 +11,27 @@ const titleRules = [
   { path: "/Setting", title: "Settings" },
   { path: "/notifications", title: "Notifications" },
   { path: "/PostDetails/:id", title: "Post Details" },
+  { path: "/hashtag/:tag", title: ({ tag }) => `#${tag}` },
   { path: "/auth/login", title: "Login" },
   { path: "/auth/register", title: "Register" },
+  { path: "/auth/forgot-password", title: "Forgot Password" },
+  { path: "/auth/reset-password", title: "Reset Password" },
   { path: "*", title: "Not Found" },
 ];
 
 function resolveTitle(pathname) {
-  const matchedRule = titleRules.find((rule) =>
-    rule.path === "*"
-      ? true
-      : matchPath({ path: rule.path, end: true }, pathname)
-  );
+  let params = {};
+  const matchedRule = titleRules.find((rule) => {
+    if (rule.path === "*") return true;
+
+    const match = matchPath({ path: rule.path, end: true }, pathname);
+    params = match?.params || {};
+    return Boolean(match);
+  });
 
-  const pageTitle = matchedRule?.title || "Social App";
+  const title =
+    typeof matchedRule?.title === "function" ? matchedRule.title(params) : matchedRule?.title;
+  const pageTitle = title || "Social App";
   return `${pageTitle} | ${APP_NAME}`;
 }
 
@@ -1,26 +1,263 @@
-import { createContext, useState } from "react";
-
-export const AuthContext = createContext()
-
-export default function AuthProvider({children}) {
-   const [userToken , setUserToken ] = useState(
-    ()=> localStorage.getItem("User_Token")
-   );
-
-   function saveUserToken(token) {
-    setUserToken(token)
-    localStorage.setItem("User_Token", token)
-    
-   }
-   function removeUserToken (){
-    setUserToken(null)
-    localStorage.removeItem("User_Token")
-   }
-   console.log(userToken);
-   
+import { createContext, useCallback, useEffect, useRef, useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { jwtDecode } from "jwt-decode";
+import { onUnauthorized } from "../api/client";
+import { getTokenUserId } from "../utils/authToken";
+
+export const AuthContext = createContext();
+
+const TOKEN_STORAGE_KEY = "User_Token";
+const SESSIONS_STORAGE_KEY = "User_Sessions";
+const SESSION_WARNING_LEAD_MS = 2 * 60 * 1000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function getTokenExpiry(token) {
+  if (!token) return null;
+
+  try {
+    const { exp } = jwtDecode(token);
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+function isTokenExpired(token) {
+  const expiresAt = getTokenExpiry(token);
+  return Boolean(expiresAt && expiresAt <= Date.now());
+}
+
+function readStoredToken() {
+  const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+  if (token && isTokenExpired(token)) {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    return null;
+  }
+  return token;
+}
+
+function parseSessions(value) {
+  try {
+    const sessions = JSON.parse(value || "[]");
+    return Array.isArray(sessions)
+      ? sessions.filter((token) => typeof token === "string" && token)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeStoredSessions(sessions) {
+  if (sessions.length) {
+    localStorage.setItem(SESSIONS_STORAGE_KEY, JSON.stringify(sessions));
+  } else {
+    localStorage.removeItem(SESSIONS_STORAGE_KEY);
+  }
+}
+
+function writeStoredToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+}
+
+function readStoredSessions() {
+  const storedSessions = parseSessions(localStorage.getItem(SESSIONS_STORAGE_KEY));
+  const sessions = storedSessions.filter((token) => !isTokenExpired(token));
+  const activeToken = readStoredToken();
+
+  if (activeToken && !sessions.includes(activeToken)) sessions.unshift(activeToken);
+  if (sessions.length !== storedSessions.length) writeStoredSessions(sessions);
+  return sessions;
+}
+
+function scheduleAt(timestamp, callback) {
+  let timeoutId = null;
+
+  function schedule() {
+    const remaining = timestamp - Date.now();
+    if (remaining <= 0) {
+      callback();
+      return;
+    }
+    timeoutId = setTimeout(schedule, Math.min(remaining, MAX_TIMEOUT_MS));
+  }
+
+  schedule();
+  return () => clearTimeout(timeoutId);
+}
+
+export default function AuthProvider({ children, onSessionExpired }) {
+  const queryClient = useQueryClient();
+  const [sessions, setSessions] = useState(readStoredSessions);
+  const [userToken, setUserToken] = useState(readStoredToken);
+  const [warnedToken, setWarnedToken] = useState(null);
+  const [dismissedWarningToken, setDismissedWarningToken] = useState(null);
+  const expiredTokenRef = useRef(null);
+  const sessionExpiresAt = getTokenExpiry(userToken);
+  const isSessionExpiring =
+    Boolean(userToken) && warnedToken === userToken && dismissedWarningToken !== userToken;
+
+  const removeAccountQueries = useCallback(
+    (token) => queryClient.removeQueries({ predicate: (query) => query.queryKey.includes(token) }),
+    [queryClient]
+  );
+
+  const applySessions = useCallback((nextSessions, nextToken) => {
+    writeStoredSessions(nextSessions);
+    writeStoredToken(nextToken);
+    setSessions(nextSessions);
+    setUserToken(nextToken);
+  }, []);
+
+  function saveUserToken(token) {
+    const userId = getTokenUserId(token);
+    const storedSessions = parseSessions(localStorage.getItem(SESSIONS_STORAGE_KEY));
+    const replacedToken = storedSessions.find(
+      (session) => session === token || (userId && getTokenUserId(session) === userId)
+    );
+    const nextSessions = replacedToken
+      ? storedSessions.map((session) => (session === replacedToken ? token : session))
+      : [...storedSessions, token];
+
+    applySessions(nextSessions, token);
+    if (replacedToken && replacedToken !== token) removeAccountQueries(replacedToken);
+  }
+
+  function refreshUserToken(token) {
+    const previousToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+    const storedSessions = parseSessions(localStorage.getItem(SESSIONS_STORAGE_KEY));
+    const nextSessions = storedSessions.includes(previousToken)
+      ? storedSessions.map((session) => (session === previousToken ? token : session))
+      : [...storedSessions, token];
+
+    applySessions(nextSessions, token);
+    if (previousToken && previousToken !== token) removeAccountQueries(previousToken);
+  }
+
+  function switchAccount(token) {
+    if (!sessions.includes(token) || token === userToken) return;
+
+    if (isTokenExpired(token)) {
+      applySessions(
+        sessions.filter((session) => session !== token),
+        userToken
+      );
+      removeAccountQueries(token);
+      return;
+    }
+
+    applySessions(sessions, token);
+  }
+
+  function removeUserToken() {
+    const activeToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+    const nextSessions = parseSessions(localStorage.getItem(SESSIONS_STORAGE_KEY)).filter(
+      (token) => token !== activeToken
+    );
+    const nextToken = nextSessions[0] || null;
+
+    applySessions(nextSessions, nextToken);
+    if (activeToken) removeAccountQueries(activeToken);
+    return nextToken;
+  }
+
+  const expireSession = useCallback(
+    (token) => {
+      if (!token || expiredTokenRef.current === token) return;
+      expiredTokenRef.current = token;
+
+      const activeToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+      const nextSessions = parseSessions(localStorage.getItem(SESSIONS_STORAGE_KEY)).filter(
+        (session) => session !== token
+      );
+      const wasActive = activeToken === token;
+
+      applySessions(nextSessions, wasActive ? null : activeToken);
+      removeAccountQueries(token);
+      if (wasActive) onSessionExpired?.();
+    },
+    [applySessions, onSessionExpired, removeAccountQueries]
+  );
+
+  function dismissSessionWarning() {
+    setDismissedWarningToken(userToken);
+  }
+
+  function reauthenticate() {
+    expireSession(userToken);
+  }
+
+  useEffect(() => {
+    if (!userToken || !sessionExpiresAt) return undefined;
+
+    const cancelWarning = scheduleAt(sessionExpiresAt - SESSION_WARNING_LEAD_MS, () =>
+      setWarnedToken(userToken)
+    );
+    const cancelExpiry = scheduleAt(sessionExpiresAt, () => expireSession(userToken));
+
+    return () => {
+      cancelWarning();
+      cancelExpiry();
+    };
+  }, [expireSession, sessionExpiresAt, userToken]);
+
+  useEffect(() => {
+    function handleStorage(event) {
+      if (event.storageArea !== localStorage) return;
+
+      if (event.key === null) {
+        setSessions([]);
+        setUserToken(null);
+        queryClient.clear();
+        return;
+      }
+
+      if (event.key === TOKEN_STORAGE_KEY) {
+        setUserToken(event.newValue);
+        return;
+      }
+
+      if (event.key === SESSIONS_STORAGE_KEY) {
+        const nextSessions = parseSessions(event.newValue);
+        parseSessions(event.oldValue)
+          .filter((token) => !nextSessions.includes(token))
+          .forEach(removeAccountQueries);
+        setSessions(nextSessions);
+      }
+    }
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [queryClient, removeAccountQueries]);
+
+  useEffect(
+    () =>
+      onUnauthorized(({ token }) => {
+        if (sessions.includes(token)) expireSession(token);
+      }),
+    [expireSession, sessions]
+  );
+
   return (
-    <AuthContext.Provider value={{ userToken, saveUserToken, removeUserToken }}>
-         {children}
+    <AuthContext.Provider
+      value={{
+        userToken,
+        userId: getTokenUserId(userToken),
+        sessions,
+        saveUserToken,
+        refreshUserToken,
+        switchAccount,
+        removeUserToken,
+        sessionExpiresAt,
+        isSessionExpiring,
+        dismissSessionWarning,
+        reauthenticate,
+      }}
+    >
+      {children}
     </AuthContext.Provider>
-  )
+  );
 }
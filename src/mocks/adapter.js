@@ -0,0 +1,124 @@
+import { AxiosError } from "axios";
+import { getUserIdFromToken } from "./db";
+import { mockRoutes } from "./handlers";
+
+const MOCK_LATENCY_MS = Number(import.meta.env?.VITE_MOCK_API_LATENCY ?? 150);
+
+const compiledRoutes = mockRoutes.map((route) => {
+  const paramNames = [];
+  const pattern = route.path.replace(/:([A-Za-z]+)/g, (_match, name) => {
+    paramNames.push(name);
+    return "([^/]+)";
+  });
+
+  return { ...route, paramNames, regex: new RegExp(`^${pattern}/?$`) };
+});
+
+function matchRoute(method, pathname) {
+  for (const route of compiledRoutes) {
+    if (route.method !== method) continue;
+
+    const match = pathname.match(route.regex);
+    if (!match) continue;
+
+    const params = Object.fromEntries(
+      route.paramNames.map((name, index) => [name, decodeURIComponent(match[index + 1])])
+    );
+    return { route, params };
+  }
+
+  return null;
+}
+
+function parseRequestUrl(config) {
+  const url = new URL(config.url || "", `${config.baseURL || "http://mock.local"}/`);
+  const query = Object.fromEntries(url.searchParams.entries());
+
+  for (const [key, value] of Object.entries(config.params || {})) {
+    if (value !== undefined && value !== null) query[key] = String(value);
+  }
+
+  const basePath = new URL(`${config.baseURL || "http://mock.local"}/`).pathname.replace(/\/$/, "");
+  const pathname = url.pathname.startsWith(basePath)
+    ? url.pathname.slice(basePath.length) || "/"
+    : url.pathname;
+
+  return { pathname, query };
+}
+
+function parseRequestBody(data) {
+  if (typeof FormData !== "undefined" && data instanceof FormData) {
+    const body = {};
+    for (const key of new Set(data.keys())) {
+      const values = data.getAll(key);
+      body[key] = values.length > 1 ? values : values[0];
+    }
+    return body;
+  }
+  if (typeof data === "string" && data) {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  return data && typeof data === "object" ? data : {};
+}
+
+function getRequestToken(headers) {
+  const token = headers?.token || headers?.get?.("token");
+  if (token) return token;
+
+  const authorization = headers?.Authorization || headers?.get?.("Authorization") || "";
+  return authorization.startsWith("Bearer ") ? authorization.slice(7) : null;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function resolveRequest(config) {
+  const method = String(config.method || "get").toUpperCase();
+  const { pathname, query } = parseRequestUrl(config);
+  const matched = matchRoute(method, pathname);
+
+  if (!matched) {
+    return { status: 404, data: { message: `No mock route for ${method} ${pathname}` } };
+  }
+
+  const { route, params } = matched;
+  const userId = getUserIdFromToken(getRequestToken(config.headers));
+  if (route.auth !== false && !userId) {
+    return { status: 401, data: { message: "invalid token", error: "invalid token" } };
+  }
+
+  return route.handler({ params, query, body: parseRequestBody(config.data), userId });
+}
+
+/**
+ * Axios adapter that answers every request from the in-memory mock database
+ * instead of the network. Non-2xx results reject the same way axios does.
+ */
+export default async function mockAdapter(config) {
+  if (MOCK_LATENCY_MS > 0) await delay(MOCK_LATENCY_MS);
+
+  const { status, data } = resolveRequest(config);
+  const response = {
+    data: JSON.parse(JSON.stringify(data)),
+    status,
+    statusText: String(status),
+    headers: { "content-type": "application/json" },
+    config,
+    request: { mock: true },
+  };
+
+  if (status >= 200 && status < 300) return response;
+
+  throw new AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    response.request,
+    response
+  );
+}
@@ -0,0 +1,218 @@
+import { createFixtures } from "./fixtures";
+
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+let state = createFixtures();
+let idCounter = 0;
+
+export function resetMockDb() {
+  state = createFixtures();
+  idCounter = 0;
+}
+
+export function getMockDb() {
+  return state;
+}
+
+export function createId(prefix) {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter}`;
+}
+
+function toBase64Url(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=");
+  const bytes = Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+export function issueToken(userId) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  return [
+    toBase64Url({ alg: "none", typ: "JWT" }),
+    toBase64Url({ user: userId, iat: issuedAt, exp: issuedAt + TOKEN_TTL_SECONDS }),
+    "mock-signature",
+  ].join(".");
+}
+
+export function getUserIdFromToken(token) {
+  if (typeof token !== "string") return null;
+
+  try {
+    const payload = fromBase64Url(token.split(".")[1] || "");
+    if (payload?.exp && payload.exp * 1000 <= Date.now()) return null;
+    return state.users.some((user) => user._id === payload?.user) ? payload.user : null;
+  } catch {
+    return null;
+  }
+}
+
+export function findUser(userId) {
+  return state.users.find((user) => user._id === userId) || null;
+}
+
+export function findPost(postId) {
+  return state.posts.find((post) => post._id === postId) || null;
+}
+
+export function findComment(commentId) {
+  return state.comments.find((comment) => comment._id === commentId) || null;
+}
+
+export function canViewPost(post, viewerId) {
+  if (post.privacy === "public" || post.user === viewerId) return true;
+  if (post.privacy === "only_me") return false;
+  return Boolean(findUser(viewerId)?.following.includes(post.user));
+}
+
+export function serializeUserSummary(userId) {
+  const user = findUser(userId);
+  if (!user) return null;
+
+  return {
+    _id: user._id,
+    name: user.name,
+    username: user.username,
+    photo: user.photo,
+  };
+}
+
+export function serializeUser(user, viewerId, { withBookmarks = false } = {}) {
+  const { password: _password, bookmarks, ...rest } = user;
+
+  return {
+    ...rest,
+    followersCount: user.followers.length,
+    followingCount: user.following.length,
+    isFollowing: Boolean(viewerId && user.followers.includes(viewerId)),
+    bookmarksCount: bookmarks.length,
+    ...(withBookmarks
+      ? {
+          bookmarks: bookmarks
+            .map(findPost)
+            .filter(Boolean)
+            .map((post) => serializePost(post, viewerId)),
+        }
+      : {}),
+  };
+}
+
+/** Likes stored before reactions existed have no `reactions` entry and count as "like". */
+export function getLikeReaction(entity, userId) {
+  if (!userId || !entity.likes.includes(userId)) return null;
+  return entity.reactions?.[userId] || "like";
+}
+
+export function countReactions(entity) {
+  const counts = {};
+  entity.likes.forEach((userId) => {
+    const reaction = getLikeReaction(entity, userId);
+    counts[reaction] = (counts[reaction] || 0) + 1;
+  });
+  return counts;
+}
+
+export function serializeComment(comment, viewerId) {
+  return {
+    _id: comment._id,
+    content: comment.content,
+    image: comment.image || "",
+    commentCreator: serializeUserSummary(comment.commentCreator),
+    post: comment.post,
+    parentComment: comment.parent,
+    likes: comment.likes,
+    likesCount: comment.likes.length,
+    isLiked: Boolean(viewerId && comment.likes.includes(viewerId)),
+    viewerReaction: getLikeReaction(comment, viewerId),
+    reactionCounts: countReactions(comment),
+    repliesCount: state.comments.filter((item) => item.parent === comment._id).length,
+    createdAt: comment.createdAt,
+  };
+}
+
+// A quote of a quote embeds both originals; anything deeper is left as an id.
+const MAX_SHARED_POST_DEPTH = 2;
+
+export function serializePost(post, viewerId, depth = 0) {
+  const postComments = state.comments
+    .filter((comment) => comment.post === post._id && !comment.parent)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const sharedSource = post.sharedPost ? findPost(post.sharedPost) : null;
+  const canEmbedShared =
+    Boolean(sharedSource) && depth < MAX_SHARED_POST_DEPTH && canViewPost(sharedSource, viewerId);
+  const viewer = viewerId ? findUser(viewerId) : null;
+
+  return {
+    _id: post._id,
+    body: post.body,
+    image: post.image,
+    images: (post.images?.length ? post.images : post.image ? [post.image] : []).map(
+      (url, index) => ({ url, alt: post.mediaAlts?.[index] || "" })
+    ),
+    video: post.video
+      ? { url: post.video, poster: post.videoPoster || null, alt: post.mediaAlts?.[0] || "" }
+      : null,
+    privacy: post.privacy,
+    user: serializeUserSummary(post.user),
+    likes: post.likes,
+    likesCount: post.likes.length,
+    isLiked: Boolean(viewerId && post.likes.includes(viewerId)),
+    viewerReaction: getLikeReaction(post, viewerId),
+    reactionCounts: countReactions(post),
+    isBookmarked: Boolean(viewer?.bookmarks.includes(post._id)),
+    sharesCount: post.shares,
+    commentsCount: postComments.length,
+    topComment: postComments[0] ? serializeComment(postComments[0], viewerId) : null,
+    sharedPost: canEmbedShared ? serializePost(sharedSource, viewerId, depth + 1) : null,
+    sharedPostId: post.sharedPost || null,
+    createdAt: post.createdAt,
+  };
+}
+
+export function serializePoll(poll, viewerId) {
+  const ballots = Object.values(poll.ballots);
+  const counts = new Map();
+  ballots.flat().forEach((optionId) => counts.set(optionId, (counts.get(optionId) || 0) + 1));
+
+  return {
+    postId: poll.post,
+    question: poll.question,
+    options: poll.options.map((option) => ({ ...option, votes: counts.get(option.id) || 0 })),
+    allowMultiple: poll.allowMultiple,
+    closesAt: poll.closesAt,
+    totalVotes: ballots.reduce((total, optionIds) => total + optionIds.length, 0),
+    voterCount: ballots.length,
+    viewerVotes: (viewerId && poll.ballots[viewerId]) || [],
+  };
+}
+
+export function addNotification({ recipient, actor, type, entity }) {
+  if (!recipient || recipient === actor) return;
+
+  state.notifications.unshift({
+    _id: createId("n"),
+    recipient,
+    actor,
+    type,
+    entity,
+    isRead: false,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+export function serializeNotification(notification) {
+  return {
+    _id: notification._id,
+    type: notification.type,
+    actor: serializeUserSummary(notification.actor),
+    entity: notification.entity,
+    isRead: notification.isRead,
+    createdAt: notification.createdAt,
+  };
+}
@@ -0,0 +1,199 @@
+export const MOCK_PASSWORD = "Password@123";
+export const MOCK_RESET_CODE = "123456";
+
+const DEFAULT_PROFILE_IMAGE =
+  "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
+
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+export function createFixtures() {
+  const users = [
+    {
+      _id: "u-kazem",
+      name: "Kazem Mohamed",
+      username: "kazem",
+      email: "kazem@socialhub.dev",
+      password: MOCK_PASSWORD,
+      photo: DEFAULT_PROFILE_IMAGE,
+      cover: "",
+      dateOfBirth: "1998-04-12",
+      gender: "male",
+      followers: ["u-sara", "u-omar"],
+      following: ["u-sara", "u-laila"],
+      bookmarks: ["p-laila-1"],
+      createdAt: hoursAgo(24 * 90),
+    },
+    {
+      _id: "u-sara",
+      name: "Sara Adel",
+      username: "sara",
+      email: "sara@socialhub.dev",
+      password: MOCK_PASSWORD,
+      photo: DEFAULT_PROFILE_IMAGE,
+      cover: "",
+      dateOfBirth: "1999-09-02",
+      gender: "female",
+      followers: ["u-kazem", "u-laila"],
+      following: ["u-kazem"],
+      bookmarks: [],
+      createdAt: hoursAgo(24 * 60),
+    },
+    {
+      _id: "u-omar",
+      name: "Omar Nabil",
+      username: "omar",
+      email: "omar@socialhub.dev",
+      password: MOCK_PASSWORD,
+      photo: DEFAULT_PROFILE_IMAGE,
+      cover: "",
+      dateOfBirth: "1997-01-20",
+      gender: "male",
+      followers: [],
+      following: ["u-kazem"],
+      bookmarks: [],
+      createdAt: hoursAgo(24 * 30),
+    },
+    {
+      _id: "u-laila",
+      name: "Laila Hassan",
+      username: "laila",
+      email: "laila@socialhub.dev",
+      password: MOCK_PASSWORD,
+      photo: DEFAULT_PROFILE_IMAGE,
+      cover: "",
+      dateOfBirth: "2000-06-15",
+      gender: "female",
+      followers: ["u-kazem"],
+      following: ["u-sara"],
+      bookmarks: [],
+      createdAt: hoursAgo(24 * 14),
+    },
+  ];
+
+  const posts = [
+    {
+      _id: "p-sara-1",
+      body: "First day on SocialHub! Say hi 👋 #introductions",
+      image: "",
+      user: "u-sara",
+      likes: ["u-kazem", "u-laila"],
+      shares: 0,
+      sharedPost: null,
+      privacy: "public",
+      createdAt: hoursAgo(30),
+    },
+    {
+      _id: "p-laila-1",
+      body: "Sunset from the balcony tonight. #photography #sunset",
+      image: "https://picsum.photos/seed/socialhub-sunset/800/500",
+      user: "u-laila",
+      likes: ["u-sara"],
+      shares: 1,
+      sharedPost: null,
+      privacy: "public",
+      createdAt: hoursAgo(20),
+    },
+    {
+      _id: "p-kazem-1",
+      body: "Working on the new feed today. Notes are up at https://github.com/kazem-mohamed/socialhub-app — feedback welcome! #buildinpublic",
+      image: "",
+      user: "u-kazem",
+      likes: ["u-sara", "u-omar"],
+      shares: 0,
+      sharedPost: null,
+      privacy: "public",
+      createdAt: hoursAgo(10),
+    },
+    {
+      _id: "p-sara-2",
+      body: "This one is worth a look.",
+      image: "",
+      user: "u-sara",
+      likes: [],
+      shares: 0,
+      sharedPost: "p-laila-1",
+      privacy: "public",
+      createdAt: hoursAgo(6),
+    },
+    {
+      _id: "p-omar-1",
+      body: "Anyone up for a weekend hike? #outdoors #photography",
+      image: "https://picsum.photos/seed/socialhub-trail/800/600",
+      images: [
+        "https://picsum.photos/seed/socialhub-trail/800/600",
+        "https://picsum.photos/seed/socialhub-summit/800/600",
+        "https://picsum.photos/seed/socialhub-camp/800/600",
+      ],
+      user: "u-omar",
+      likes: ["u-kazem"],
+      shares: 0,
+      sharedPost: null,
+      privacy: "public",
+      createdAt: hoursAgo(2),
+    },
+  ];
+
+  const comments = [
+    {
+      _id: "c-1",
+      post: "p-kazem-1",
+      parent: null,
+      content: "Looks great so far!",
+      commentCreator: "u-sara",
+      likes: ["u-kazem"],
+      createdAt: hoursAgo(9),
+    },
+    {
+      _id: "c-2",
+      post: "p-kazem-1",
+      parent: "c-1",
+      content: "Thanks Sara!",
+      commentCreator: "u-kazem",
+      likes: [],
+      createdAt: hoursAgo(8),
+    },
+    {
+      _id: "c-3",
+      post: "p-laila-1",
+      parent: null,
+      content: "Beautiful colors.",
+      commentCreator: "u-kazem",
+      likes: [],
+      createdAt: hoursAgo(18),
+    },
+  ];
+
+  const notifications = [
+    {
+      _id: "n-1",
+      recipient: "u-kazem",
+      actor: "u-sara",
+      type: "like_post",
+      entity: "p-kazem-1",
+      isRead: false,
+      createdAt: hoursAgo(9),
+    },
+    {
+      _id: "n-2",
+      recipient: "u-kazem",
+      actor: "u-sara",
+      type: "comment_post",
+      entity: "p-kazem-1",
+      isRead: false,
+      createdAt: hoursAgo(9),
+    },
+    {
+      _id: "n-3",
+      recipient: "u-kazem",
+      actor: "u-omar",
+      type: "follow_user",
+      entity: "u-kazem",
+      isRead: true,
+      createdAt: hoursAgo(48),
+    },
+  ];
+
+  return { users, posts, comments, notifications, polls: [], passwordResets: [] };
+}
@@ -0,0 +1,775 @@
+import {
+  addNotification,
+  canViewPost,
+  countReactions,
+  createId,
+  findComment,
+  findPost,
+  findUser,
+  getLikeReaction,
+  getMockDb,
+  issueToken,
+  serializeComment,
+  serializeNotification,
+  serializePoll,
+  serializePost,
+  serializeUser,
+  serializeUserSummary,
+} from "./db";
+import { MOCK_RESET_CODE } from "./fixtures";
+
+const RESET_CODE_TTL_MS = 10 * 60 * 1000;
+const POST_PRIVACY_VALUES = ["public", "following", "only_me"];
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const MENTION_TOKEN_PATTERN = /@\[[^\]\n]{1,80}\]\(([A-Za-z0-9_-]{1,64})\)/g;
+const REACTION_TYPES = ["like", "love", "haha", "wow", "sad", "angry"];
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 6;
+
+function ok(data, status = 200) {
+  return { status, data: { message: "success", ...data } };
+}
+
+function fail(status, message) {
+  return { status, data: { message, error: message } };
+}
+
+function notifyMentions(text, { actor, type, entity }) {
+  const mentionedIds = new Set(
+    Array.from(text.matchAll(MENTION_TOKEN_PATTERN), (match) => match[1])
+  );
+  mentionedIds.forEach((recipient) => {
+    if (findUser(recipient)) addNotification({ recipient, actor, type, entity });
+  });
+}
+
+function paginate(list, query, defaultLimit = 20) {
+  const limit = Math.max(1, Number(query?.limit) || defaultLimit);
+  const page = Math.max(1, Number(query?.page) || 1);
+  const numberOfPages = Math.max(1, Math.ceil(list.length / limit));
+
+  return {
+    items: list.slice((page - 1) * limit, page * limit),
+    paginationInfo: { currentPage: page, numberOfPages, limit, total: list.length },
+  };
+}
+
+function sortByNewest(list) {
+  return [...list].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+function fileToUrl(file) {
+  if (!file || typeof file !== "object") return "";
+  if (typeof URL !== "undefined" && typeof URL.createObjectURL === "function") {
+    try {
+      return URL.createObjectURL(file);
+    } catch {
+      // Node's Blob implementation may reject files that did not originate from it.
+    }
+  }
+  return `mock://uploads/${file.name || "file"}`;
+}
+
+function filesToUrls(body) {
+  return [body?.image, ...[].concat(body?.images || [])].filter(Boolean).map(fileToUrl);
+}
+
+function parseMediaAlts(value) {
+  try {
+    const alts = JSON.parse(value);
+    return Array.isArray(alts) ? alts.map((alt) => String(alt ?? "").trim().slice(0, 1000)) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Toggles like the real endpoint: removes any existing reaction, otherwise
+ * adds the requested one (a plain like without one).
+ * @returns {{ reaction: string | null } | null} null for an unknown reaction
+ */
+function toggleReaction(entity, userId, requested) {
+  if (requested !== undefined && !REACTION_TYPES.includes(requested)) return null;
+
+  entity.reactions = entity.reactions || {};
+  if (getLikeReaction(entity, userId)) {
+    entity.likes = entity.likes.filter((id) => id !== userId);
+    delete entity.reactions[userId];
+    return { reaction: null };
+  }
+
+  entity.likes.push(userId);
+  entity.reactions[userId] = requested || "like";
+  return { reaction: entity.reactions[userId] };
+}
+
+function toggleInList(list, value) {
+  const index = list.indexOf(value);
+  if (index === -1) {
+    list.push(value);
+    return true;
+  }
+  list.splice(index, 1);
+  return false;
+}
+
+function getOwnedPost(postId, userId) {
+  const post = findPost(postId);
+  if (!post) return { error: fail(404, "post not found") };
+  if (post.user !== userId) return { error: fail(403, "you are not allowed to modify this post") };
+  return { post };
+}
+
+function getPostComment(postId, commentId) {
+  const comment = findComment(commentId);
+  if (!findPost(postId) || !comment || comment.post !== postId) {
+    return { error: fail(404, "comment not found") };
+  }
+  return { comment };
+}
+
+function signIn({ body }) {
+  const email = String(body?.email || "").trim().toLowerCase();
+  const user = getMockDb().users.find((item) => item.email === email);
+  if (!user || user.password !== body?.password) {
+    return fail(400, "incorrect email or password");
+  }
+  return ok({ data: { token: issueToken(user._id), user: serializeUser(user, user._id) } });
+}
+
+function signUp({ body }) {
+  const db = getMockDb();
+  const email = String(body?.email || "").trim().toLowerCase();
+  if (!email || !body?.password || !body?.name) {
+    return fail(400, "name, email and password are required");
+  }
+  if (db.users.some((user) => user.email === email)) {
+    return fail(409, "user already exists");
+  }
+
+  db.users.push({
+    _id: createId("u"),
+    name: String(body.name).trim(),
+    username: email.split("@")[0],
+    email,
+    password: body.password,
+    photo: "",
+    cover: "",
+    dateOfBirth: body?.dateOfBirth || "",
+    gender: body?.gender || "",
+    followers: [],
+    following: [],
+    bookmarks: [],
+    createdAt: new Date().toISOString(),
+  });
+  return ok({}, 201);
+}
+
+function normalizeEmail(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function findPasswordReset(body) {
+  const email = normalizeEmail(body?.email);
+  return (
+    getMockDb().passwordResets.find(
+      (entry) =>
+        entry.email === email &&
+        entry.code === String(body?.code || "").trim() &&
+        new Date(entry.expiresAt).getTime() > Date.now()
+    ) || null
+  );
+}
+
+function forgotPassword({ body }) {
+  const db = getMockDb();
+  const email = normalizeEmail(body?.email);
+  if (!email) return fail(400, "email is required");
+
+  if (db.users.some((user) => user.email === email)) {
+    db.passwordResets = db.passwordResets.filter((entry) => entry.email !== email);
+    db.passwordResets.push({
+      email,
+      code: MOCK_RESET_CODE,
+      expiresAt: new Date(Date.now() + RESET_CODE_TTL_MS).toISOString(),
+    });
+  }
+  return ok({ message: "If an account exists for this email, a reset code has been sent." });
+}
+
+function verifyResetCode({ body }) {
+  if (!findPasswordReset(body)) return fail(400, "invalid or expired reset code");
+  return ok({ message: "Reset code verified." });
+}
+
+function resetPassword({ body }) {
+  const db = getMockDb();
+  const reset = findPasswordReset(body);
+  if (!reset) return fail(400, "invalid or expired reset code");
+  if (!body?.newPassword) return fail(400, "new password is required");
+
+  const user = db.users.find((item) => item.email === reset.email);
+  user.password = body.newPassword;
+  db.passwordResets = db.passwordResets.filter((entry) => entry !== reset);
+  return ok({ message: "Password has been reset." });
+}
+
+function getProfileData({ userId }) {
+  return ok({ data: { user: serializeUser(findUser(userId), userId, { withBookmarks: true }) } });
+}
+
+function getUserProfile({ params, userId }) {
+  const user = findUser(params.userId);
+  if (!user) return fail(404, "user not found");
+  return ok({ data: { user: serializeUser(user, userId) } });
+}
+
+function getUserPosts({ params, query, userId }) {
+  if (!findUser(params.userId)) return fail(404, "user not found");
+
+  const posts = sortByNewest(
+    getMockDb().posts.filter((post) => post.user === params.userId && canViewPost(post, userId))
+  );
+  const { items, paginationInfo } = paginate(posts, query);
+  return ok({
+    data: { posts: items.map((post) => serializePost(post, userId)), paginationInfo },
+  });
+}
+
+function getBookmarks({ query, userId }) {
+  const bookmarks = findUser(userId).bookmarks.map(findPost).filter(Boolean);
+  const { items, paginationInfo } = paginate(bookmarks, query);
+  return ok({
+    data: { bookmarks: items.map((post) => serializePost(post, userId)), paginationInfo },
+  });
+}
+
+function getSuggestions({ query, userId }) {
+  const currentUser = findUser(userId);
+  const suggestions = getMockDb().users.filter(
+    (user) => user._id !== userId && !currentUser.following.includes(user._id)
+  );
+  const { items, paginationInfo } = paginate(suggestions, query, 10);
+  return ok({
+    data: { suggestions: items.map((user) => serializeUser(user, userId)), paginationInfo },
+  });
+}
+
+function searchUsers({ query, userId }) {
+  const searchText = String(query?.q || "").trim().toLowerCase();
+  const users = getMockDb().users.filter(
+    (user) =>
+      user._id !== userId &&
+      (!searchText ||
+        user.name.toLowerCase().includes(searchText) ||
+        user.username.toLowerCase().includes(searchText) ||
+        user.email.toLowerCase().includes(searchText))
+  );
+  const { items, paginationInfo } = paginate(users, query, 10);
+  return ok({ data: { users: items.map((user) => serializeUser(user, userId)), paginationInfo } });
+}
+
+function toggleFollow({ params, userId }) {
+  const target = findUser(params.userId);
+  if (!target) return fail(404, "user not found");
+  if (target._id === userId) return fail(400, "you cannot follow yourself");
+
+  const isFollowing = toggleInList(target.followers, userId);
+  toggleInList(findUser(userId).following, target._id);
+  if (isFollowing) {
+    addNotification({ recipient: target._id, actor: userId, type: "follow_user", entity: userId });
+  }
+
+  return {
+    status: 200,
+    data: {
+      message: isFollowing ? "user followed" : "user unfollowed",
+      data: { isFollowing, followersCount: target.followers.length },
+    },
+  };
+}
+
+function uploadPhoto({ body, userId }) {
+  if (!body?.photo) return fail(400, "photo is required");
+  const user = findUser(userId);
+  user.photo = fileToUrl(body.photo);
+  return ok({ data: { user: serializeUser(user, userId) } });
+}
+
+function uploadCover({ body, userId }) {
+  if (!body?.cover) return fail(400, "cover is required");
+  const user = findUser(userId);
+  user.cover = fileToUrl(body.cover);
+  return ok({ data: { user: serializeUser(user, userId) } });
+}
+
+function changePassword({ body, userId }) {
+  const user = findUser(userId);
+  if (user.password !== body?.password) return fail(400, "current password is incorrect");
+  if (!body?.newPassword) return fail(400, "new password is required");
+
+  user.password = body.newPassword;
+  return ok({ data: { token: issueToken(userId) } });
+}
+
+function getPosts({ query, userId }) {
+  const posts = getMockDb().posts.filter((post) => canViewPost(post, userId));
+  const { items, paginationInfo } = paginate(sortByNewest(posts), query);
+  return ok({
+    data: { posts: items.map((post) => serializePost(post, userId)), paginationInfo },
+  });
+}
+
+function getFeed({ query, userId }) {
+  const following = findUser(userId).following;
+  const posts = getMockDb().posts.filter(
+    (post) =>
+      canViewPost(post, userId) &&
+      (following.includes(post.user) || (query?.only !== "following" && post.user === userId))
+  );
+  const { items, paginationInfo } = paginate(sortByNewest(posts), query);
+  return ok({
+    data: { posts: items.map((post) => serializePost(post, userId)), paginationInfo },
+  });
+}
+
+function getHashtagPosts({ params, query, userId }) {
+  const tag = String(params.tag || "").replace(/^#+/, "").toLowerCase();
+  if (!tag) return fail(400, "hashtag is required");
+
+  const posts = getMockDb().posts.filter(
+    (post) =>
+      canViewPost(post, userId) &&
+      Array.from(String(post.body || "").matchAll(HASHTAG_PATTERN)).some(
+        (match) => match[2].toLowerCase() === tag
+      )
+  );
+  const { items, paginationInfo } = paginate(sortByNewest(posts), query);
+  return ok({
+    data: { posts: items.map((post) => serializePost(post, userId)), paginationInfo },
+  });
+}
+
+function getPost({ params, userId }) {
+  const post = findPost(params.postId);
+  if (!post || !canViewPost(post, userId)) return fail(404, "post not found");
+  return ok({ data: { post: serializePost(post, userId) } });
+}
+
+function createPost({ body, userId }) {
+  const text = String(body?.body || "").trim();
+  const images = filesToUrls(body);
+  const video = body?.video ? fileToUrl(body.video) : "";
+  if (!text && images.length === 0 && !video) {
+    return fail(400, "post must have a body, an image or a video");
+  }
+  if (body?.privacy && !POST_PRIVACY_VALUES.includes(body.privacy)) {
+    return fail(400, "invalid privacy value");
+  }
+
+  const post = {
+    _id: createId("p"),
+    body: text,
+    image: images[0] || "",
+    images,
+    video,
+    videoPoster: video && body?.videoPoster ? fileToUrl(body.videoPoster) : "",
+    mediaAlts: parseMediaAlts(body?.mediaAlts) || [],
+    user: userId,
+    likes: [],
+    shares: 0,
+    sharedPost: null,
+    privacy: body?.privacy || "public",
+    createdAt: new Date().toISOString(),
+  };
+  getMockDb().posts.push(post);
+  notifyMentions(text, { actor: userId, type: "mention_post", entity: post._id });
+  return ok({ data: { post: serializePost(post, userId) } }, 201);
+}
+
+function updatePost({ params, body, userId }) {
+  const { post, error } = getOwnedPost(params.postId, userId);
+  if (error) return error;
+
+  if (body?.privacy && !POST_PRIVACY_VALUES.includes(body.privacy)) {
+    return fail(400, "invalid privacy value");
+  }
+
+  if (typeof body?.body === "string") post.body = body.body.trim();
+  const images = filesToUrls(body);
+  if (images.length > 0) {
+    post.image = images[0];
+    post.images = images;
+    post.video = "";
+    post.videoPoster = "";
+  }
+  if (body?.video) {
+    post.image = "";
+    post.images = [];
+    post.video = fileToUrl(body.video);
+    post.videoPoster = body.videoPoster ? fileToUrl(body.videoPoster) : "";
+  }
+  const mediaAlts = parseMediaAlts(body?.mediaAlts);
+  if (mediaAlts) post.mediaAlts = mediaAlts;
+  else if (images.length > 0 || body?.video) post.mediaAlts = [];
+  if (body?.privacy) post.privacy = body.privacy;
+  return ok({ data: { post: serializePost(post, userId) } });
+}
+
+function deletePost({ params, userId }) {
+  const { post, error } = getOwnedPost(params.postId, userId);
+  if (error) return error;
+
+  const db = getMockDb();
+  db.posts = db.posts.filter((item) => item._id !== post._id);
+  db.comments = db.comments.filter((comment) => comment.post !== post._id);
+  db.polls = db.polls.filter((poll) => poll.post !== post._id);
+  db.users.forEach((user) => {
+    user.bookmarks = user.bookmarks.filter((postId) => postId !== post._id);
+  });
+  return ok({});
+}
+
+function getPostLikes({ params }) {
+  const post = findPost(params.postId);
+  if (!post) return fail(404, "post not found");
+  return ok({
+    data: {
+      likes: post.likes
+        .map((userId) => {
+          const user = serializeUserSummary(userId);
+          return user && { ...user, reaction: getLikeReaction(post, userId) };
+        })
+        .filter(Boolean),
+      likesCount: post.likes.length,
+    },
+  });
+}
+
+function togglePostLike({ params, body, userId }) {
+  const post = findPost(params.postId);
+  if (!post) return fail(404, "post not found");
+
+  const result = toggleReaction(post, userId, body?.reaction);
+  if (!result) return fail(400, "invalid reaction");
+  if (result.reaction) {
+    addNotification({ recipient: post.user, actor: userId, type: "like_post", entity: post._id });
+  }
+  return {
+    status: 200,
+    data: {
+      message: result.reaction ? "post liked" : "post unliked",
+      data: {
+        likesCount: post.likes.length,
+        reaction: result.reaction,
+        reactionCounts: countReactions(post),
+      },
+    },
+  };
+}
+
+function togglePostBookmark({ params, userId }) {
+  const post = findPost(params.postId);
+  if (!post) return fail(404, "post not found");
+
+  const isBookmarked = toggleInList(findUser(userId).bookmarks, post._id);
+  return {
+    status: 200,
+    data: {
+      message: isBookmarked ? "post bookmarked" : "bookmark removed",
+      data: { isBookmarked },
+    },
+  };
+}
+
+function sharePost({ params, body, userId }) {
+  const original = findPost(params.postId);
+  if (!original || !canViewPost(original, userId)) return fail(404, "post not found");
+  original.shares += 1;
+
+  const post = {
+    _id: createId("p"),
+    body: String(body?.body || "").trim(),
+    image: "",
+    user: userId,
+    likes: [],
+    shares: 0,
+    sharedPost: original._id,
+    privacy: "public",
+    createdAt: new Date().toISOString(),
+  };
+  getMockDb().posts.push(post);
+  addNotification({ recipient: original.user, actor: userId, type: "share_post", entity: original._id });
+  notifyMentions(post.body, { actor: userId, type: "mention_post", entity: post._id });
+
+  return {
+    status: 201,
+    data: {
+      message: "post shared successfully",
+      data: { post: serializePost(post, userId), sharesCount: original.shares },
+    },
+  };
+}
+
+function findPoll(postId) {
+  return getMockDb().polls.find((poll) => poll.post === postId) || null;
+}
+
+function getPostPoll({ params, userId }) {
+  const post = findPost(params.postId);
+  if (!post || !canViewPost(post, userId)) return fail(404, "post not found");
+
+  const poll = findPoll(post._id);
+  if (!poll) return fail(404, "poll not found");
+  return ok({ data: { poll: serializePoll(poll, userId) } });
+}
+
+function createPostPoll({ params, body, userId }) {
+  const { post, error } = getOwnedPost(params.postId, userId);
+  if (error) return error;
+  if (findPoll(post._id)) return fail(409, "post already has a poll");
+
+  const question = String(body?.question || "").trim();
+  const options = [].concat(body?.options || []).map((text) => String(text).trim()).filter(Boolean);
+  const durationMs = Number(body?.durationMs);
+  if (!question) return fail(400, "poll question is required");
+  if (options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return fail(400, `poll must have ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options`);
+  }
+  if (!(durationMs > 0)) return fail(400, "invalid poll duration");
+
+  const poll = {
+    _id: createId("poll"),
+    post: post._id,
+    question,
+    options: options.map((text) => ({ id: createId("opt"), text })),
+    allowMultiple: Boolean(body?.allowMultiple),
+    closesAt: new Date(Date.now() + durationMs).toISOString(),
+    ballots: {},
+    createdAt: new Date().toISOString(),
+  };
+  getMockDb().polls.push(poll);
+  return ok({ data: { poll: serializePoll(poll, userId) } }, 201);
+}
+
+function votePostPoll({ params, body, userId }) {
+  const post = findPost(params.postId);
+  if (!post || !canViewPost(post, userId)) return fail(404, "post not found");
+
+  const poll = findPoll(post._id);
+  if (!poll) return fail(404, "poll not found");
+  if (new Date(poll.closesAt).getTime() <= Date.now()) return fail(400, "This poll has closed.");
+  if (poll.ballots[userId]) return fail(400, "You already voted in this poll.");
+
+  const validIds = new Set(poll.options.map((option) => option.id));
+  const optionIds = [...new Set([].concat(body?.optionIds || []))];
+  if (optionIds.length === 0 || optionIds.some((id) => !validIds.has(id))) {
+    return fail(400, "Choose an option to vote.");
+  }
+  if (!poll.allowMultiple && optionIds.length > 1) {
+    return fail(400, "You can only choose one option.");
+  }
+
+  poll.ballots[userId] = optionIds;
+  return ok({ data: { poll: serializePoll(poll, userId) } });
+}
+
+function listComments(postId, parentId, query, userId) {
+  const comments = sortByNewest(
+    getMockDb().comments.filter((comment) => comment.post === postId && comment.parent === parentId)
+  );
+  const { items, paginationInfo } = paginate(comments, query, 10);
+  return { items: items.map((comment) => serializeComment(comment, userId)), paginationInfo };
+}
+
+function addComment(postId, parentId, content, userId) {
+  const comment = {
+    _id: createId("c"),
+    post: postId,
+    parent: parentId,
+    content,
+    commentCreator: userId,
+    likes: [],
+    createdAt: new Date().toISOString(),
+  };
+  getMockDb().comments.push(comment);
+  return comment;
+}
+
+function getComments({ params, query, userId }) {
+  if (!findPost(params.postId)) return fail(404, "post not found");
+  const { items, paginationInfo } = listComments(params.postId, null, query, userId);
+  return ok({ data: { comments: items, paginationInfo } });
+}
+
+function createComment({ params, body, userId }) {
+  const post = findPost(params.postId);
+  if (!post) return fail(404, "post not found");
+
+  const content = String(body?.content || "").trim();
+  if (!content) return fail(400, "comment content is required");
+
+  const comment = addComment(post._id, null, content, userId);
+  addNotification({ recipient: post.user, actor: userId, type: "comment_post", entity: post._id });
+  notifyMentions(content, { actor: userId, type: "mention_comment", entity: post._id });
+  return ok({ data: { comment: serializeComment(comment, userId) } }, 201);
+}
+
+function updateComment({ params, body, userId }) {
+  const { comment, error } = getPostComment(params.postId, params.commentId);
+  if (error) return error;
+  if (comment.commentCreator !== userId) {
+    return fail(403, "you are not allowed to modify this comment");
+  }
+
+  const content = String(body?.content || "").trim();
+  if (!content) return fail(400, "comment content is required");
+
+  comment.content = content;
+  return ok({ data: { comment: serializeComment(comment, userId) } });
+}
+
+function deleteComment({ params, userId }) {
+  const { comment, error } = getPostComment(params.postId, params.commentId);
+  if (error) return error;
+
+  const post = findPost(params.postId);
+  if (comment.commentCreator !== userId && post.user !== userId) {
+    return fail(403, "you are not allowed to delete this comment");
+  }
+
+  const db = getMockDb();
+  db.comments = db.comments.filter(
+    (item) => item._id !== comment._id && item.parent !== comment._id
+  );
+  return ok({});
+}
+
+function toggleCommentLike({ params, body, userId }) {
+  const { comment, error } = getPostComment(params.postId, params.commentId);
+  if (error) return error;
+
+  const result = toggleReaction(comment, userId, body?.reaction);
+  if (!result) return fail(400, "invalid reaction");
+  return {
+    status: 200,
+    data: {
+      message: result.reaction ? "comment liked" : "comment unliked",
+      data: {
+        likesCount: comment.likes.length,
+        reaction: result.reaction,
+        reactionCounts: countReactions(comment),
+      },
+    },
+  };
+}
+
+function getReplies({ params, query, userId }) {
+  const { error } = getPostComment(params.postId, params.commentId);
+  if (error) return error;
+
+  const { items, paginationInfo } = listComments(params.postId, params.commentId, query, userId);
+  return ok({ data: { replies: items, paginationInfo } });
+}
+
+function createReply({ params, body, userId }) {
+  const { comment, error } = getPostComment(params.postId, params.commentId);
+  if (error) return error;
+
+  const content = String(body?.content || "").trim();
+  if (!content) return fail(400, "reply content is required");
+
+  const reply = addComment(params.postId, comment._id, content, userId);
+  addNotification({
+    recipient: comment.commentCreator,
+    actor: userId,
+    type: "reply_comment",
+    entity: params.postId,
+  });
+  notifyMentions(content, { actor: userId, type: "mention_comment", entity: params.postId });
+  return ok({ data: { reply: serializeComment(reply, userId) } }, 201);
+}
+
+function getNotifications({ query, userId }) {
+  const onlyUnread = String(query?.unread) === "true";
+  const notifications = getMockDb().notifications.filter(
+    (notification) => notification.recipient === userId && (!onlyUnread || !notification.isRead)
+  );
+  const { items, paginationInfo } = paginate(sortByNewest(notifications), query);
+  return ok({ data: { notifications: items.map(serializeNotification), paginationInfo } });
+}
+
+function getUnreadCount({ userId }) {
+  const count = getMockDb().notifications.filter(
+    (notification) => notification.recipient === userId && !notification.isRead
+  ).length;
+  return ok({ data: { count } });
+}
+
+function markNotificationRead({ params, userId }) {
+  const notification = getMockDb().notifications.find(
+    (item) => item._id === params.notificationId && item.recipient === userId
+  );
+  if (!notification) return fail(404, "notification not found");
+
+  notification.isRead = true;
+  return ok({ data: { notification: serializeNotification(notification) } });
+}
+
+function markAllNotificationsRead({ userId }) {
+  getMockDb().notifications.forEach((notification) => {
+    if (notification.recipient === userId) notification.isRead = true;
+  });
+  return ok({});
+}
+
+/**
+ * Route table for the mock backend. `auth: false` routes skip token checks;
+ * every other handler receives the signed-in user's id as `userId`.
+ */
+export const mockRoutes = [
+  { method: "POST", path: "/users/signin", handler: signIn, auth: false },
+  { method: "POST", path: "/users/signup", handler: signUp, auth: false },
+  { method: "POST", path: "/users/forgot-password", handler: forgotPassword, auth: false },
+  { method: "POST", path: "/users/verify-reset-code", handler: verifyResetCode, auth: false },
+  { method: "PATCH", path: "/users/reset-password", handler: resetPassword, auth: false },
+  { method: "GET", path: "/users/profile-data", handler: getProfileData },
+  { method: "GET", path: "/users/profile", handler: getProfileData },
+  { method: "GET", path: "/users/bookmarks", handler: getBookmarks },
+  { method: "GET", path: "/users/suggestions", handler: getSuggestions },
+  { method: "GET", path: "/users/search", handler: searchUsers },
+  { method: "PUT", path: "/users/upload-photo", handler: uploadPhoto },
+  { method: "PUT", path: "/users/upload-cover", handler: uploadCover },
+  { method: "PATCH", path: "/users/change-password", handler: changePassword },
+  { method: "GET", path: "/users/:userId/profile", handler: getUserProfile },
+  { method: "GET", path: "/users/:userId/posts", handler: getUserPosts },
+  { method: "PUT", path: "/users/:userId/follow", handler: toggleFollow },
+  { method: "GET", path: "/posts", handler: getPosts },
+  { method: "POST", path: "/posts", handler: createPost },
+  { method: "GET", path: "/posts/feed", handler: getFeed },
+  { method: "GET", path: "/posts/hashtags/:tag", handler: getHashtagPosts },
+  { method: "GET", path: "/posts/:postId", handler: getPost },
+  { method: "PUT", path: "/posts/:postId", handler: updatePost },
+  { method: "DELETE", path: "/posts/:postId", handler: deletePost },
+  { method: "GET", path: "/posts/:postId/likes", handler: getPostLikes },
+  { method: "PUT", path: "/posts/:postId/like", handler: togglePostLike },
+  { method: "PUT", path: "/posts/:postId/bookmark", handler: togglePostBookmark },
+  { method: "POST", path: "/posts/:postId/share", handler: sharePost },
+  { method: "GET", path: "/posts/:postId/poll", handler: getPostPoll },
+  { method: "POST", path: "/posts/:postId/poll", handler: createPostPoll },
+  { method: "PUT", path: "/posts/:postId/poll/vote", handler: votePostPoll },
+  { method: "GET", path: "/posts/:postId/comments", handler: getComments },
+  { method: "POST", path: "/posts/:postId/comments", handler: createComment },
+  { method: "PUT", path: "/posts/:postId/comments/:commentId", handler: updateComment },
+  { method: "DELETE", path: "/posts/:postId/comments/:commentId", handler: deleteComment },
+  { method: "PUT", path: "/posts/:postId/comments/:commentId/like", handler: toggleCommentLike },
+  { method: "GET", path: "/posts/:postId/comments/:commentId/replies", handler: getReplies },
+  { method: "POST", path: "/posts/:postId/comments/:commentId/replies", handler: createReply },
+  { method: "GET", path: "/notifications", handler: getNotifications },
+  { method: "GET", path: "/notifications/unread-count", handler: getUnreadCount },
+  { method: "PUT", path: "/notifications/read-all", handler: markAllNotificationsRead },
+  { method: "PATCH", path: "/notifications/read-all", handler: markAllNotificationsRead },
+  { method: "POST", path: "/notifications/read-all", handler: markAllNotificationsRead },
+  { method: "PUT", path: "/notifications/:notificationId/read", handler: markNotificationRead },
+  { method: "PATCH", path: "/notifications/:notificationId/read", handler: markNotificationRead },
+];
@@ -0,0 +1,220 @@
+import React, { useEffect, useState } from "react";
+import { Alert, Button, Input } from "@heroui/react";
+import { Controller, useForm } from "react-hook-form";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import * as z from "zod";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { extractApiMessage, getResponseMessage } from "../../../api/client";
+import { requestPasswordReset, verifyResetCode } from "../../../api/auth";
+
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const emailSchema = z.object({
+  email: z.string().email("invalid email"),
+});
+
+const codeSchema = z.object({
+  code: z.string().trim().regex(/^\d{6}$/, "Enter the 6-digit code from your email"),
+});
+
+export default function ForgotPassword() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState("");
+  const [resendSeconds, setResendSeconds] = useState(0);
+  const [isResending, setIsResending] = useState(false);
+  const [alertState, setAlertState] = useState({
+    isVisible: false,
+    color: "success",
+    title: "",
+    description: "",
+  });
+
+  const emailForm = useForm({
+    resolver: zodResolver(emailSchema),
+    mode: "onChange",
+    defaultValues: { email: "" },
+  });
+
+  const codeForm = useForm({
+    resolver: zodResolver(codeSchema),
+    mode: "onChange",
+    defaultValues: { code: "" },
+  });
+
+  useEffect(() => {
+    if (resendSeconds <= 0) return undefined;
+
+    const timeoutId = setTimeout(() => setResendSeconds((seconds) => seconds - 1), 1000);
+    return () => clearTimeout(timeoutId);
+  }, [resendSeconds]);
+
+  function showAlert(color, title, description) {
+    setAlertState({
+      isVisible: true,
+      color,
+      title,
+      description,
+    });
+  }
+
+  async function sendCode(targetEmail) {
+    const response = await requestPasswordReset({ email: targetEmail });
+    setResendSeconds(RESEND_COOLDOWN_SECONDS);
+    showAlert(
+      "success",
+      "Code Sent",
+      getResponseMessage(response?.data, "We sent a reset code to your email.")
+    );
+  }
+
+  async function onRequestCode(data) {
+    try {
+      await sendCode(data.email);
+      setEmail(data.email);
+    } catch (error) {
+      showAlert("danger", "Request Failed", extractApiMessage(error, "Failed to send reset code."));
+    }
+  }
+
+  async function handleResend() {
+    if (resendSeconds > 0 || isResending) return;
+
+    setIsResending(true);
+    try {
+      await sendCode(email);
+    } catch (error) {
+      showAlert("danger", "Request Failed", extractApiMessage(error, "Failed to send reset code."));
+    } finally {
+      setIsResending(false);
+    }
+  }
+
+  async function onVerifyCode(data) {
+    try {
+      await verifyResetCode({ email, code: data.code });
+      navigate(`/auth/reset-password${location.search}`, {
+        replace: true,
+        state: { email, code: data.code },
+      });
+    } catch (error) {
+      showAlert("danger", "Verification Failed", extractApiMessage(error, "Invalid reset code."));
+    }
+  }
+
+  function changeEmail() {
+    setEmail("");
+    setResendSeconds(0);
+    codeForm.reset();
+    setAlertState((prev) => ({ ...prev, isVisible: false }));
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-[#f0f2f5] px-4 py-8 sm:py-12">
+      <div className="flex w-full max-w-md flex-col gap-3 rounded-2xl bg-white p-4 sm:p-6">
+        <h1 className="text-center text-3xl font-extrabold tracking-tight text-[#00298d]">
+          Reset your password
+        </h1>
+        <p className="text-center text-sm text-slate-500">
+          {email
+            ? `Enter the code we sent to ${email}.`
+            : "Enter the email linked to your account and we will send you a reset code."}
+        </p>
+
+        {alertState.isVisible ? (
+          <Alert
+            color={alertState.color}
+            description={alertState.description}
+            isVisible={alertState.isVisible}
+            title={alertState.title}
+            variant="faded"
+            onClose={() => setAlertState((prev) => ({ ...prev, isVisible: false }))}
+          />
+        ) : null}
+
+        {email ? (
+          <form className="flex flex-col gap-4" onSubmit={codeForm.handleSubmit(onVerifyCode)}>
+            <Controller
+              name="code"
+              control={codeForm.control}
+              render={({ field }) => (
+                <Input
+                  {...field}
+                  autoComplete="one-time-code"
+                  inputMode="numeric"
+                  labelPlacement="outside"
+                  maxLength={6}
+                  placeholder="6-digit code"
+                  isInvalid={!!codeForm.formState.errors.code}
+                  errorMessage={codeForm.formState.errors.code?.message}
+                />
+              )}
+            />
+
+            <Button
+              className="w-full bg-[#00298d] py-3 font-extrabold hover:bg-[#001f6b] disabled:opacity-60"
+              color="primary"
+              type="submit"
+              isDisabled={!codeForm.formState.isValid}
+              isLoading={codeForm.formState.isSubmitting}
+            >
+              Verify code
+            </Button>
+
+            <div className="flex items-center justify-between text-sm font-semibold">
+              <button
+                className="text-slate-600 hover:text-slate-900"
+                type="button"
+                onClick={changeEmail}
+              >
+                Use a different email
+              </button>
+              <button
+                className="text-[#00298d] hover:underline disabled:cursor-not-allowed disabled:text-slate-400 disabled:no-underline"
+                type="button"
+                disabled={resendSeconds > 0 || isResending}
+                onClick={handleResend}
+              >
+                {resendSeconds > 0 ? `Resend code in ${resendSeconds}s` : "Resend code"}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form className="flex flex-col gap-4" onSubmit={emailForm.handleSubmit(onRequestCode)}>
+            <Controller
+              name="email"
+              control={emailForm.control}
+              render={({ field }) => (
+                <Input
+                  {...field}
+                  labelPlacement="outside"
+                  placeholder="Email"
+                  type="email"
+                  isInvalid={!!emailForm.formState.errors.email}
+                  errorMessage={emailForm.formState.errors.email?.message}
+                />
+              )}
+            />
+
+            <Button
+              className="w-full bg-[#00298d] py-3 font-extrabold hover:bg-[#001f6b] disabled:opacity-60"
+              color="primary"
+              type="submit"
+              isDisabled={!emailForm.formState.isValid}
+              isLoading={emailForm.formState.isSubmitting}
+            >
+              Send reset code
+            </Button>
+          </form>
+        )}
+
+        <Link
+          className="text-center text-sm font-semibold text-[#00298d] hover:underline"
+          to={`/auth/login${location.search}`}
+        >
+          Back to login
+        </Link>
+      </div>
+    </div>
+  );
+}
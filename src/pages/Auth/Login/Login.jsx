@@ -1,11 +1,13 @@
 import React, { useContext } from "react";
 import { Alert, Button, ButtonGroup, Input } from "@heroui/react";
 import { useForm, Controller } from "react-hook-form";
-import { useNavigate } from "react-router-dom";
+import { Link, useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import * as z from "zod";
-import axios from "axios";
 import { zodResolver } from "@hookform/resolvers/zod";
+import { extractApiMessage, getResponseMessage } from "../../../api/client";
+import { signIn } from "../../../api/auth";
 import { AuthContext } from "../../../context/AuthContext";
+import { getSafeReturnPath, withReturnTo } from "../../../Routing/returnTo";
 import { FiBell, FiImage, FiMessageCircle, FiUsers } from "react-icons/fi";
 import { FaHeart } from "react-icons/fa";
 
@@ -50,6 +52,10 @@ const platformStats = [
 
 export default function Login() {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const returnTo = searchParams.get("returnTo");
+  const isAddingAccount = searchParams.get("addAccount") === "1";
   const { saveUserToken } = useContext(AuthContext);
   const [alertState, setAlertState] = React.useState({
     isVisible: false,
@@ -71,18 +77,6 @@ export default function Login() {
     },
   });
 
-  const API_URL = "https://route-posts.routemisr.com/users/signin";
-
-  function extractApiMessage(apiData, fallbackMessage) {
-    return (
-      apiData?.message ||
-      apiData?.error ||
-      apiData?.errors?.[0]?.msg ||
-      apiData?.data?.message ||
-      fallbackMessage
-    );
-  }
-
   function showAlert(color, title, description) {
     setAlertState({
       isVisible: true,
@@ -99,30 +93,19 @@ export default function Login() {
     };
 
     try {
-      const res = await axios.request({
-        method: "post",
-        url: API_URL,
-        data: payload,
-      });
-
-      if (res.error) {
-        throw new Error(res.error);
-      }
+      const res = await signIn(payload);
 
-      const successMessage = extractApiMessage(
+      const successMessage = getResponseMessage(
         res?.data,
         "Logged in successfully."
       );
       showAlert("success", "Success Notification", successMessage);
       saveUserToken(res.data.data.token);
       setTimeout(() => {
-        navigate("/");
+        navigate(getSafeReturnPath(returnTo), { replace: true });
       }, 1200);
     } catch (error) {
-      const failMessage = extractApiMessage(
-        error?.response?.data,
-        error?.message || "Login failed."
-      );
+      const failMessage = extractApiMessage(error, "Login failed.");
       showAlert("danger", "Login Failed", failMessage);
     }
   };
@@ -211,20 +194,24 @@ export default function Login() {
               <ButtonGroup className="mb-5 flex items-center justify-between rounded-2xl bg-slate-100 p-1">
                 <Button
                   className="rounded-lg bg-[#00298d] w-1/2 py-2 text-center text-sm font-extrabold text-white transition "
-                  onPress={() => navigate("/auth/login")}
+                  onPress={() => navigate(withReturnTo("/auth/login", returnTo))}
                 >
                   Login
                 </Button>
                 <Button
                   className="rounded-lg bg-slate-100 hover:bg-slate-300 hover:text-slate-800 py-2 w-1/2 text-center text-sm font-extrabold text-slate-600 transition hover:text-slate-800"
-                  onPress={() => navigate("/auth/register")}
+                  onPress={() => navigate(withReturnTo("/auth/register", returnTo))}
                 >
                   Register
                 </Button>
               </ButtonGroup>
 
               <h2 className="text-2xl font-extrabold text-slate-900">Login with your account</h2>
-              <p className="text-sm text-slate-500">Log in and continue your social journey.</p>
+              <p className="text-sm text-slate-500">
+                {isAddingAccount
+                  ? "Sign in to add another account. You can switch between accounts from your profile menu."
+                  : "Log in and continue your social journey."}
+              </p>
               {alertState.isVisible ? (
                 <Alert
                   color={alertState.color}
@@ -276,6 +263,13 @@ export default function Login() {
                     )}
                   />
 
+                  <Link
+                    className="-mt-2 self-end text-sm font-semibold text-[#00298d] hover:underline"
+                    to={`/auth/forgot-password${location.search}`}
+                  >
+                    Forgot password?
+                  </Link>
+
                   <div className="flex flex-col gap-4">
                     <Button
                       className="w-full bg-[#00298d] py-3 font-extrabold hover:bg-[#001f6b] disabled:opacity-60"
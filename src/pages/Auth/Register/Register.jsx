@@ -1,11 +1,13 @@
 import React from "react";
 import { Alert, Button, ButtonGroup, DateInput, Input, Select, SelectItem } from "@heroui/react";
 import { useForm, Controller } from "react-hook-form";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { CalendarDate } from "@internationalized/date";
 import * as z from "zod";
 import { zodResolver } from "@hookform/resolvers/zod";
-import axios from "axios";
+import { extractApiMessage, getResponseMessage } from "../../../api/client";
+import { signUp } from "../../../api/auth";
+import { withReturnTo } from "../../../Routing/returnTo";
 import { FiBell, FiImage, FiMessageCircle, FiUsers } from "react-icons/fi";
 import { FaHeart } from "react-icons/fa";
 
@@ -66,6 +68,8 @@ const platformStats = [
 
 export default function Register() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const returnTo = searchParams.get("returnTo");
   const [alertState, setAlertState] = React.useState({
     isVisible: false,
     color: "success",
@@ -90,18 +94,6 @@ export default function Register() {
     },
   });
 
-  const API_URL = "https://route-posts.routemisr.com/users/signup";
-
-  function extractApiMessage(apiData, fallbackMessage) {
-    return (
-      apiData?.message ||
-      apiData?.error ||
-      apiData?.errors?.[0]?.msg ||
-      apiData?.data?.message ||
-      fallbackMessage
-    );
-  }
-
   function showAlert(color, title, description) {
     setAlertState({
       isVisible: true,
@@ -128,29 +120,18 @@ export default function Register() {
     };
 
     try {
-      const res = await axios.request({
-        method: "post",
-        url: API_URL,
-        data: payload,
-      });
+      const res = await signUp(payload);
 
-      if (res.error) {
-        throw new Error(res.error);
-      }
-
-      const successMessage = extractApiMessage(
+      const successMessage = getResponseMessage(
         res?.data,
         "Account created successfully."
       );
       showAlert("success", "Success Notification", successMessage);
       setTimeout(() => {
-        navigate("/auth/login");
+        navigate(withReturnTo("/auth/login", returnTo));
       }, 1200);
     } catch (error) {
-      const failMessage = extractApiMessage(
-        error?.response?.data,
-        error?.message || "Registration failed."
-      );
+      const failMessage = extractApiMessage(error, "Registration failed.");
       showAlert("danger", "Register Failed", failMessage);
     }
   };
@@ -240,13 +221,13 @@ export default function Register() {
               <ButtonGroup className="mb-5 flex items-center justify-between rounded-2xl bg-slate-100 p-1">
                 <Button
                   className="w-1/2 rounded-lg bg-slate-100 py-2 text-center text-sm font-extrabold text-slate-600 transition hover:bg-slate-300 hover:text-slate-800"
-                  onPress={() => navigate("/auth/login")}
+                  onPress={() => navigate(withReturnTo("/auth/login", returnTo))}
                 >
                   Login
                 </Button>
                 <Button
                   className="w-1/2 rounded-lg bg-[#00298d] py-2 text-center text-sm font-extrabold text-white transition"
-                  onPress={() => navigate("/auth/register")}
+                  onPress={() => navigate(withReturnTo("/auth/register", returnTo))}
                 >
                   Register
                 </Button>
@@ -0,0 +1,162 @@
+import React, { useState } from "react";
+import { Alert, Button, Input } from "@heroui/react";
+import { Controller, useForm } from "react-hook-form";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import * as z from "zod";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { extractApiMessage, getResponseMessage } from "../../../api/client";
+import { resetPassword } from "../../../api/auth";
+import { PASSWORD_REGEX, PASSWORD_RULE_MESSAGE } from "../../../utils/validation";
+
+const resetSchema = z
+  .object({
+    newPassword: z.string().regex(PASSWORD_REGEX, PASSWORD_RULE_MESSAGE),
+    confirmPassword: z.string().min(1, "Please confirm your new password"),
+  })
+  .refine((data) => data.newPassword === data.confirmPassword, {
+    message: "Confirm password does not match the new password.",
+    path: ["confirmPassword"],
+  });
+
+export default function ResetPassword() {
+  const navigate = useNavigate();
+  const { state, search } = useLocation();
+  const email = state?.email;
+  const code = state?.code;
+  const [isPasswordReset, setIsPasswordReset] = useState(false);
+  const [alertState, setAlertState] = useState({
+    isVisible: false,
+    color: "success",
+    title: "",
+    description: "",
+  });
+
+  const {
+    control,
+    handleSubmit,
+    formState: { errors, isValid, isSubmitting },
+  } = useForm({
+    resolver: zodResolver(resetSchema),
+    mode: "onChange",
+    defaultValues: {
+      newPassword: "",
+      confirmPassword: "",
+    },
+  });
+
+  function showAlert(color, title, description) {
+    setAlertState({
+      isVisible: true,
+      color,
+      title,
+      description,
+    });
+  }
+
+  async function onSubmit(data) {
+    try {
+      const response = await resetPassword({ email, code, newPassword: data.newPassword });
+      setIsPasswordReset(true);
+      showAlert(
+        "success",
+        "Password Reset",
+        getResponseMessage(response?.data, "Your password has been reset. You can log in now.")
+      );
+      setTimeout(() => navigate(`/auth/login${search}`, { replace: true }), 1200);
+    } catch (error) {
+      showAlert("danger", "Reset Failed", extractApiMessage(error, "Failed to reset password."));
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-[#f0f2f5] px-4 py-8 sm:py-12">
+      <div className="flex w-full max-w-md flex-col gap-3 rounded-2xl bg-white p-4 sm:p-6">
+        <h1 className="text-center text-3xl font-extrabold tracking-tight text-[#00298d]">
+          Choose a new password
+        </h1>
+
+        {!email || !code ? (
+          <>
+            <p className="text-center text-sm text-slate-500">
+              Your reset link is missing or has expired. Request a new code to continue.
+            </p>
+            <Link
+              className="text-center text-sm font-semibold text-[#00298d] hover:underline"
+              to={`/auth/forgot-password${search}`}
+            >
+              Request a new code
+            </Link>
+          </>
+        ) : (
+          <>
+            <p className="text-center text-sm text-slate-500">
+              Set a new password for {email}.
+            </p>
+
+            {alertState.isVisible ? (
+              <Alert
+                color={alertState.color}
+                description={alertState.description}
+                isVisible={alertState.isVisible}
+                title={alertState.title}
+                variant="faded"
+                onClose={() => setAlertState((prev) => ({ ...prev, isVisible: false }))}
+              />
+            ) : null}
+
+            <form className="flex flex-col gap-4" onSubmit={handleSubmit(onSubmit)}>
+              <Controller
+                name="newPassword"
+                control={control}
+                render={({ field }) => (
+                  <Input
+                    {...field}
+                    autoComplete="new-password"
+                    labelPlacement="outside"
+                    placeholder="New password"
+                    type="password"
+                    isInvalid={!!errors.newPassword}
+                    errorMessage={errors.newPassword?.message}
+                  />
+                )}
+              />
+
+              <Controller
+                name="confirmPassword"
+                control={control}
+                render={({ field }) => (
+                  <Input
+                    {...field}
+                    autoComplete="new-password"
+                    labelPlacement="outside"
+                    placeholder="Confirm new password"
+                    type="password"
+                    isInvalid={!!errors.confirmPassword}
+                    errorMessage={errors.confirmPassword?.message}
+                  />
+                )}
+              />
+
+              <Button
+                className="w-full bg-[#00298d] py-3 font-extrabold hover:bg-[#001f6b] disabled:opacity-60"
+                color="primary"
+                type="submit"
+                isDisabled={!isValid || isPasswordReset}
+                isLoading={isSubmitting}
+              >
+                Reset password
+              </Button>
+            </form>
+
+            <Link
+              className="text-center text-sm font-semibold text-[#00298d] hover:underline"
+              to={`/auth/login${search}`}
+            >
+              Back to login
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useContext, useEffect, useMemo, useRef } from "react";
+import { useInfiniteQuery, useQuery } from "@tanstack/react-query";
+import { useParams } from "react-router-dom";
+import PostCard from "../../components/Posts/PostCard";
+import VirtualPostList from "../../components/Posts/VirtualPostList";
+import TrendingTags from "../../components/Posts/TrendingTags";
+import { extractApiMessage } from "../../api/client";
+import { fetchHashtagPosts } from "../../api/posts";
+import { fetchProfileData } from "../../api/users";
+import { getEntityId, parsePostPage, parseUser } from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
+import { extractHashtags, normalizeHashtag } from "../../utils/hashtags";
+import { isPostVisibleTo } from "../../utils/postPrivacy";
+import {
+  INITIAL_POSTS_PAGE,
+  getNextPostsPageParam,
+  getPostsPageParams,
+} from "../../utils/postPages";
+
+async function fetchCurrentUser(token) {
+  const response = await fetchProfileData(token);
+  return parseUser(response?.data);
+}
+
+async function fetchHashtagPostsPage({ token, tag, pageParam }) {
+  const response = await fetchHashtagPosts(token, tag, {
+    sort: "-createdAt",
+    ...getPostsPageParams(pageParam),
+  });
+  const { items, totalPages, totalCount, nextCursor } = parsePostPage(response?.data);
+
+  return {
+    posts: items,
+    page: pageParam.page,
+    totalPages,
+    totalCount: response?.isHashtagFallback ? null : totalCount,
+    nextCursor,
+  };
+}
+
+export default function Hashtag() {
+  const { tag: rawTag } = useParams();
+  const tag = normalizeHashtag(rawTag);
+  const { userToken: token } = useContext(AuthContext);
+
+  const { data: currentUser } = useQuery({
+    queryKey: ["home-current-user", token],
+    queryFn: () => fetchCurrentUser(token),
+    enabled: Boolean(token),
+    staleTime: 1000 * 60 * 5,
+    gcTime: 1000 * 60 * 30,
+    refetchOnWindowFocus: false,
+    retry: 2,
+  });
+
+  const currentUserId = getEntityId(currentUser);
+
+  const {
+    data,
+    isLoading,
+    isFetching,
+    isFetchingNextPage,
+    isFetchNextPageError,
+    hasNextPage,
+    fetchNextPage,
+    error,
+  } = useInfiniteQuery({
+    queryKey: ["hashtag-posts", token, tag],
+    queryFn: ({ pageParam }) => fetchHashtagPostsPage({ token, tag, pageParam }),
+    initialPageParam: INITIAL_POSTS_PAGE,
+    getNextPageParam: getNextPostsPageParam,
+    enabled: Boolean(token && tag),
+    staleTime: 1000 * 60 * 3,
+    gcTime: 1000 * 60 * 30,
+    refetchOnWindowFocus: false,
+    retry: 2,
+  });
+
+  const followingIds = useMemo(
+    () =>
+      Array.isArray(currentUser?.following)
+        ? new Set(currentUser.following.map(getEntityId).filter(Boolean))
+        : null,
+    [currentUser]
+  );
+
+  const posts = useMemo(() => {
+    const seenIds = new Set();
+
+    return (data?.pages || [])
+      .flatMap((page) => page?.posts || [])
+      .filter((post) => {
+        if (seenIds.has(post.id)) return false;
+        seenIds.add(post.id);
+        return (
+          extractHashtags(post.body).includes(tag) &&
+          isPostVisibleTo(post, { viewerId: currentUserId, followingIds })
+        );
+      });
+  }, [currentUserId, data, followingIds, tag]);
+
+  const totalCount = data?.pages?.[0]?.totalCount;
+  const sentinelRef = useRef(null);
+  const canLoadMore = Boolean(hasNextPage) && !isFetchingNextPage && !isFetchNextPageError;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !canLoadMore || typeof IntersectionObserver === "undefined") {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) fetchNextPage();
+      },
+      { rootMargin: "600px 0px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [canLoadMore, fetchNextPage]);
+
+  const hasInitialError = Boolean(error) && !isFetchNextPageError;
+  const errorMessage = extractApiMessage(error, "Failed to load posts for this tag.");
+
+  return (
+    <div className="min-h-[calc(100vh-70px)] bg-[#f0f2f5]">
+      <div className="mx-auto max-w-7xl px-3 py-3.5">
+        <main className="min-w-0">
+          <div className="mx-auto grid max-w-5xl gap-4 xl:grid-cols-[minmax(0,1fr)_300px]">
+            <section className="min-w-0 space-y-4">
+              <header className="rounded-2xl border border-slate-200 bg-white p-4 shadow-sm">
+                <h1 className="break-words text-2xl font-extrabold text-slate-900">#{tag}</h1>
+                <p className="mt-1 text-sm font-semibold text-slate-500">
+                  {Number.isFinite(totalCount)
+                    ? `${totalCount} ${totalCount === 1 ? "post" : "posts"}`
+                    : "Posts tagged with this hashtag"}
+                </p>
+              </header>
+
+              {isLoading ? (
+                <div className="rounded-xl border border-slate-200 bg-white p-8 text-center text-slate-500 shadow-sm">
+                  Loading posts...
+                </div>
+              ) : null}
+
+              {!isLoading && hasInitialError ? (
+                <div className="rounded-xl border border-red-200 bg-red-50 p-4 text-sm text-red-700 shadow-sm">
+                  {errorMessage}
+                </div>
+              ) : null}
+
+              {!isLoading && !hasInitialError && posts.length === 0 && !hasNextPage ? (
+                <div className="rounded-xl border border-slate-200 bg-white p-8 text-center text-slate-500 shadow-sm">
+                  No posts with #{tag} yet.
+                </div>
+              ) : null}
+
+              {!isLoading && !hasInitialError && (posts.length > 0 || hasNextPage) ? (
+                <div className="space-y-4">
+                  {posts.length > 0 ? (
+                    <VirtualPostList
+                      ariaLabel={`Posts tagged #${tag}`}
+                      getItemKey={(post) => post.id}
+                      hasMore={Boolean(hasNextPage)}
+                      isBusy={isFetching}
+                      items={posts}
+                      renderItem={(post) => <PostCard post={post} />}
+                      restorationId={`hashtag-${tag}`}
+                    />
+                  ) : null}
+
+                  <div ref={sentinelRef} className="flex min-h-10 items-center justify-center">
+                    {isFetchNextPageError ? (
+                      <button
+                        className="text-xs font-semibold text-red-600 hover:underline"
+                        type="button"
+                        onClick={() => fetchNextPage()}
+                      >
+                        Failed to load more posts. Try again
+                      </button>
+                    ) : (
+                      <span className="text-xs font-semibold text-slate-400">
+                        {isFetchingNextPage
+                          ? "Loading more posts..."
+                          : hasNextPage
+                          ? "Scroll for more"
+                          : "You reached the end"}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ) : null}
+            </section>
+
+            <aside className="hidden h-fit xl:sticky xl:top-[84px] xl:block">
+              <TrendingTags activeTag={tag} />
+            </aside>
+          </div>
+        </main>
+      </div>
+    </div>
+  );
+}
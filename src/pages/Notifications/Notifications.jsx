@@ -1,25 +1,23 @@
-import React, { useMemo, useState } from "react";
-import axios from "axios";
+import React, { useContext, useMemo, useState } from "react";
 import {
   useMutation,
   useQuery,
   useQueryClient,
 } from "@tanstack/react-query";
 import { Link } from "react-router-dom";
+import { extractApiMessage } from "../../api/client";
+import {
+  fetchNotifications as fetchNotificationsRequest,
+  fetchUnreadNotificationsCount,
+  markAllNotificationsRead,
+  markNotificationRead,
+} from "../../api/notifications";
+import { parseNotificationList, parseUnreadCount } from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
 
 const DEFAULT_PROFILE_IMAGE =
   "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
 
-function extractApiMessage(error, fallbackMessage) {
-  return (
-    error?.response?.data?.message ||
-    error?.response?.data?.error ||
-    error?.response?.data?.errors?.[0]?.msg ||
-    error?.message ||
-    fallbackMessage
-  );
-}
-
 function getValidImageUrl(url) {
   if (typeof url !== "string") return DEFAULT_PROFILE_IMAGE;
   const trimmed = url.trim();
@@ -43,83 +41,14 @@ function getRelativeTimeShort(dateValue) {
   return `${Math.max(1, Math.floor(diffMs / day))}d`;
 }
 
-function extractNotifications(responseData) {
-  const raw =
-    responseData?.data?.notifications ||
-    responseData?.notifications ||
-    responseData?.data?.data ||
-    responseData?.data ||
-    [];
-
-  return Array.isArray(raw) ? raw : [];
-}
-
-function extractUnreadCount(responseData) {
-  const value =
-    responseData?.data?.count ??
-    responseData?.data?.unreadCount ??
-    responseData?.count ??
-    responseData?.unreadCount ??
-    0;
-  return Number.isFinite(Number(value)) ? Number(value) : 0;
-}
-
-function normalizeNotification(item) {
-  const actor =
-    item?.fromUser ||
-    item?.sender ||
-    item?.user ||
-    item?.actor ||
-    item?.createdBy ||
-    null;
-  const actorName = actor?.name || actor?.username || item?.userName || "Someone";
-  const actorId = actor?._id || actor?.id || null;
-  const actorPhoto = getValidImageUrl(
-    actor?.photo || actor?.avatar || item?.userPhoto || item?.photo
-  );
-
-  const type = String(item?.type || item?.action || item?.event || "").toLowerCase();
-  const content =
-    item?.content ||
-    item?.message ||
-    item?.body ||
-    (type.includes("comment")
-      ? "commented on your post"
-      : type.includes("like")
-        ? "liked your post"
-        : type.includes("share")
-          ? "shared your post"
-          : type.includes("follow")
-            ? "started following you"
-            : "sent you a notification");
-
-  return {
-    id: item?._id || item?.id || item?.notificationId || "",
-    actorName,
-    actorId,
-    actorPhoto,
-    content,
-    type,
-    isRead: Boolean(item?.isRead ?? item?.read ?? item?.seen),
-    createdAt: item?.createdAt || item?.updatedAt || item?.date || null,
-  };
-}
-
 async function fetchNotifications(token, onlyUnread) {
-  const response = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/notifications",
-    headers: { token },
-    params: {
-      unread: onlyUnread,
-      page: 1,
-      limit: 10,
-    },
+  const response = await fetchNotificationsRequest(token, {
+    unread: onlyUnread,
+    page: 1,
+    limit: 10,
   });
 
-  const normalizedNotifications = extractNotifications(response?.data).map(
-    normalizeNotification
-  );
+  const normalizedNotifications = parseNotificationList(response?.data);
 
   if (onlyUnread) {
     return normalizedNotifications.filter((notification) => !notification.isRead);
@@ -129,100 +58,9 @@ async function fetchNotifications(token, onlyUnread) {
 }
 
 async function fetchUnreadCount(token) {
-  const response = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/notifications/unread-count",
-    headers: { token },
-  });
-
-  return extractUnreadCount(response?.data);
-}
-
-async function markNotificationRead(token, notificationId) {
-  if (!notificationId) {
-    throw new Error("Missing notification id.");
-  }
-
-  const attempts = [
-    {
-      method: "PUT",
-      url: `https://route-posts.routemisr.com/notifications/${notificationId}/read`,
-    },
-    {
-      method: "PATCH",
-      url: `https://route-posts.routemisr.com/notifications/${notificationId}/read`,
-    },
-    {
-      method: "PUT",
-      url: "https://route-posts.routemisr.com/notifications/read",
-      data: { notificationId, id: notificationId },
-    },
-    {
-      method: "PATCH",
-      url: "https://route-posts.routemisr.com/notifications/read",
-      data: { notificationId, id: notificationId },
-    },
-  ];
-
-  let lastError = null;
-  for (const requestOptions of attempts) {
-    try {
-      return await axios.request({
-        ...requestOptions,
-        headers: { token },
-      });
-    } catch (error) {
-      const status = error?.response?.status;
-      lastError = error;
-      if (status === 404) {
-        // Endpoint may report not found for already-resolved/deleted notifications.
-        return { data: { success: true, message: "Notification not found." } };
-      }
-      if (status && status !== 404 && status !== 405) {
-        throw error;
-      }
-    }
-  }
-
-  throw lastError || new Error("Failed to mark notification as read.");
-}
-
-async function markAllNotificationsRead(token) {
-  const attempts = [
-    {
-      method: "PUT",
-      url: "https://route-posts.routemisr.com/notifications/read-all",
-    },
-    {
-      method: "PATCH",
-      url: "https://route-posts.routemisr.com/notifications/read-all",
-    },
-    {
-      method: "POST",
-      url: "https://route-posts.routemisr.com/notifications/read-all",
-    },
-  ];
-
-  let lastError = null;
-  for (const requestOptions of attempts) {
-    try {
-      return await axios.request({
-        ...requestOptions,
-        headers: { token },
-      });
-    } catch (error) {
-      const status = error?.response?.status;
-      lastError = error;
-      if (status === 404) {
-        return { data: { success: true, message: "No unread notifications." } };
-      }
-      if (status && status !== 404 && status !== 405) {
-        throw error;
-      }
-    }
-  }
+  const response = await fetchUnreadNotificationsCount(token);
 
-  throw lastError || new Error("Failed to mark all notifications as read.");
+  return parseUnreadCount(response?.data);
 }
 
 function NotificationTypeIcon({ type }) {
@@ -328,7 +166,7 @@ function NotificationItem({ notification, isMutating, onMarkRead }) {
           <img
             alt={notification.actorName}
             className="h-11 w-11 rounded-full object-cover"
-            src={notification.actorPhoto}
+            src={getValidImageUrl(notification.actorPhoto)}
             onError={(event) => {
               event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
             }}
@@ -423,7 +261,7 @@ function NotificationItem({ notification, isMutating, onMarkRead }) {
 
 export default function Notifications() {
   const [activeFilter, setActiveFilter] = useState("all");
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token } = useContext(AuthContext);
   const queryClient = useQueryClient();
 
   const onlyUnread = activeFilter === "unread";
@@ -1,29 +1,22 @@
-import React from "react";
-import axios from "axios";
+import React, { useContext } from "react";
 import { useQuery } from "@tanstack/react-query";
 import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import PostCard from "../../components/Posts/PostCard";
+import { extractApiMessage } from "../../api/client";
+import { fetchPostById } from "../../api/posts";
+import { parsePost } from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
 
 async function fetchSinglePost(token, id) {
-  const res = await axios.request({
-    method: "GET",
-    url: `https://route-posts.routemisr.com/posts/${id}`,
-    headers: { token },
-  });
-
-  return (
-    res?.data?.data?.post ||
-    res?.data?.post ||
-    res?.data?.data ||
-    null
-  );
+  const res = await fetchPostById(token, id);
+  return parsePost(res?.data);
 }
 
 export default function PostDetails() {
   const { id } = useParams();
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token } = useContext(AuthContext);
   const shouldShowCommentsByDefault = searchParams.get("showComments") === "1";
 
   const {
@@ -40,10 +33,10 @@ export default function PostDetails() {
     retry: 3,
   });
 
-  const errorMessage =
-    error?.response?.data?.message ||
-    error?.message ||
-    (!token ? "You need to login first." : "Failed to load this post.");
+  const errorMessage = extractApiMessage(
+    error,
+    !token ? "You need to login first." : "Failed to load this post."
+  );
 
   function handleBack() {
     if (window.history.length > 1) {
@@ -1,23 +1,19 @@
 import React, { useContext, useState } from "react";
-import axios from "axios";
 import { AuthContext } from "../../context/AuthContext";
 import { Alert, Input } from "@heroui/react";
 import { Controller, useForm } from "react-hook-form";
 import * as z from "zod";
 import { zodResolver } from "@hookform/resolvers/zod";
-
-const PASSWORD_REGEX =
-  /^(?=.*?[A-Z])(?=.*?[a-z])(?=.*?[0-9])(?=.*?[#?!@$%^&*-]).{8,}$/;
+import { extractApiMessage, getResponseMessage } from "../../api/client";
+import { changePassword } from "../../api/users";
+import { PASSWORD_REGEX, PASSWORD_RULE_MESSAGE } from "../../utils/validation";
 
 const settingSchema = z
   .object({
     currentPassword: z.string().min(1, "Current password is required"),
     newPassword: z
       .string()
-      .regex(
-        PASSWORD_REGEX,
-        "Password must have at least one Uppercase, lowercase, number and symbol and must not less than 8"
-      ),
+      .regex(PASSWORD_REGEX, PASSWORD_RULE_MESSAGE),
     confirmPassword: z.string().min(1, "Please confirm your new password"),
   })
   .refine((data) => data.newPassword === data.confirmPassword, {
@@ -29,18 +25,8 @@ const settingSchema = z
     path: ["newPassword"],
   });
 
-function extractApiMessage(apiData, fallbackMessage) {
-  return (
-    apiData?.message ||
-    apiData?.error ||
-    apiData?.errors?.[0]?.msg ||
-    apiData?.data?.message ||
-    fallbackMessage
-  );
-}
-
 export default function Setting() {
-  const { userToken, saveUserToken } = useContext(AuthContext);
+  const { userToken, refreshUserToken } = useContext(AuthContext);
   const [alertState, setAlertState] = useState({
     isVisible: false,
     color: "success",
@@ -81,38 +67,27 @@ export default function Setting() {
     }
 
     try {
-      const response = await axios.request({
-        method: "PATCH",
-        url: "https://route-posts.routemisr.com/users/change-password",
-        headers: {
-          Authorization: `Bearer ${userToken}`,
-          "Content-Type": "application/json",
-        },
-        data: {
-          password: data.currentPassword,
-          newPassword: data.newPassword,
-        },
+      const response = await changePassword(userToken, {
+        password: data.currentPassword,
+        newPassword: data.newPassword,
       });
 
       const refreshedToken = response?.data?.data?.token || response?.data?.token;
       if (refreshedToken) {
-        saveUserToken(refreshedToken);
+        refreshUserToken(refreshedToken);
       }
 
       reset();
       showAlert(
         "success",
         "Success Notification",
-        extractApiMessage(response?.data, "Password updated successfully.")
+        getResponseMessage(response?.data, "Password updated successfully.")
       );
     } catch (error) {
       showAlert(
         "danger",
         "Update Failed",
-        extractApiMessage(
-          error?.response?.data,
-          error?.message || "Failed to update password."
-        )
+        extractApiMessage(error, "Failed to update password.")
       );
     }
   }
@@ -1,10 +1,32 @@
-import React, { useMemo, useRef, useState } from "react";
-import axios from "axios";
+import React, { useContext, useMemo, useRef, useState } from "react";
 import { Link, useParams } from "react-router-dom";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { Alert } from "@heroui/react";
 import PostCard from "../../components/Posts/PostCard";
-import CommentsSection from "../../components/Posts/CommentsSection";
+import VirtualPostList from "../../components/Posts/VirtualPostList";
+import { extractApiMessage } from "../../api/client";
+import {
+  fetchProfileData,
+  fetchUserPosts as fetchUserPostsRequest,
+  fetchUserProfile as fetchUserProfileRequest,
+  toggleFollowUser,
+  uploadCoverPhoto as uploadCoverPhotoRequest,
+  uploadProfilePhoto as uploadProfilePhotoRequest,
+} from "../../api/users";
+import {
+  getCount,
+  getEntityId,
+  getSavedPostsFromUser,
+  parsePostList,
+  parseUser,
+} from "../../api/normalize";
+import { AuthContext } from "../../context/AuthContext";
+import {
+  IMAGE_PRESETS,
+  canvasToFile,
+  loadImageElement,
+  processImageFile,
+} from "../../utils/imageProcessing";
 
 const DEFAULT_PROFILE_IMAGE =
   "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
@@ -52,68 +74,6 @@ function clampProfileOffset(offset, naturalSize, zoom) {
   };
 }
 
-function loadImageElement(src) {
-  return new Promise((resolve, reject) => {
-    const image = new Image();
-    image.onload = () => resolve(image);
-    image.onerror = () => reject(new Error("Failed to load selected image."));
-    image.src = src;
-  });
-}
-
-function getArrayCount(value) {
-  if (Array.isArray(value)) return value.length;
-  if (typeof value === "number" && Number.isFinite(value)) return value;
-  return 0;
-}
-
-function formatPostDate(dateValue) {
-  if (!dateValue) return "Unknown date";
-  const date = new Date(dateValue);
-  if (Number.isNaN(date.getTime())) return "Unknown date";
-  return date.toLocaleString("en-US", {
-    month: "short",
-    day: "2-digit",
-    hour: "numeric",
-    minute: "2-digit",
-  });
-}
-
-function extractApiMessage(error, fallbackMessage) {
-  return (
-    error?.response?.data?.message ||
-    error?.response?.data?.error ||
-    error?.response?.data?.errors?.[0]?.msg ||
-    error?.message ||
-    fallbackMessage
-  );
-}
-
-function extractUser(rawResponseData) {
-  return (
-    rawResponseData?.data?.user ||
-    rawResponseData?.data?.profile ||
-    rawResponseData?.user ||
-    rawResponseData?.profile ||
-    rawResponseData?.data ||
-    null
-  );
-}
-
-function extractPosts(rawResponseData) {
-  const posts =
-    rawResponseData?.data?.posts ||
-    rawResponseData?.posts ||
-    rawResponseData?.data?.userPosts ||
-    rawResponseData?.userPosts ||
-    rawResponseData?.data;
-  return Array.isArray(posts) ? posts : [];
-}
-
-function getUserId(user) {
-  return user?._id || user?.id || user?.userId || null;
-}
-
 function getUserHandle(user) {
   const raw =
     user?.username ||
@@ -123,18 +83,6 @@ function getUserHandle(user) {
   return raw.startsWith("@") ? raw : `@${raw}`;
 }
 
-function parseBooleanLike(value) {
-  if (typeof value === "boolean") return value;
-  if (typeof value === "number" && Number.isFinite(value)) return value > 0;
-  if (typeof value !== "string") return null;
-
-  const normalized = value.trim().toLowerCase();
-  if (!normalized) return null;
-  if (["true", "yes", "followed", "following", "1"].includes(normalized)) return true;
-  if (["false", "no", "unfollowed", "not-following", "0"].includes(normalized)) return false;
-  return null;
-}
-
 function hasUserInList(list, targetUserId) {
   if (!Array.isArray(list) || !targetUserId) return false;
 
@@ -154,20 +102,7 @@ function hasUserInList(list, targetUserId) {
 }
 
 function getIsFollowingProfile(user, currentUserId) {
-  const candidates = [
-    user?.isFollowing,
-    user?.isFollowed,
-    user?.followedByMe,
-    user?.followedByCurrentUser,
-    user?.relationship?.isFollowing,
-    user?.relationship?.isFollowed,
-    user?.relationship?.followedByMe,
-  ];
-
-  for (const value of candidates) {
-    const parsed = parseBooleanLike(value);
-    if (parsed !== null) return parsed;
-  }
+  if (user?.isFollowing) return true;
 
   const followerLists = [user?.followers, user?.followersList, user?.followersData];
   for (const list of followerLists) {
@@ -177,112 +112,29 @@ function getIsFollowingProfile(user, currentUserId) {
   return false;
 }
 
-function markPostAsSaved(post) {
-  if (!post || typeof post !== "object") return null;
-  return {
-    ...post,
-    __isBookmarked: true,
-    isBookmarked: true,
-  };
-}
-
-function normalizeSavedPost(item) {
-  if (!item) return null;
-  if (item?.post && typeof item.post === "object") return markPostAsSaved(item.post);
-  if (item?.postId && typeof item.postId === "object") return markPostAsSaved(item.postId);
-  if (item?.postData && typeof item.postData === "object") return markPostAsSaved(item.postData);
-  if (item?._id || item?.id) return markPostAsSaved(item);
-  return null;
-}
-
-function extractSavedPosts(user) {
-  const rawSaved =
-    user?.bookmarks ||
-    user?.savedPosts ||
-    user?.bookmarkedPosts ||
-    user?.saved ||
-    user?.favorites ||
-    [];
-
-  if (!Array.isArray(rawSaved)) return [];
-
-  return rawSaved.map(normalizeSavedPost).filter(Boolean);
-}
-
 async function fetchMyProfile(token) {
-  const response = await axios.request({
-    method: "GET",
-    url: "https://route-posts.routemisr.com/users/profile-data",
-    headers: { token },
-  });
-
-  return extractUser(response?.data);
+  const response = await fetchProfileData(token);
+  return parseUser(response?.data);
 }
 
 async function fetchUserProfile(token, userId) {
-  const response = await axios.request({
-    method: "GET",
-    url: `https://route-posts.routemisr.com/users/${userId}/profile`,
-    headers: { token },
-  });
-
-  return extractUser(response?.data);
+  const response = await fetchUserProfileRequest(token, userId);
+  return parseUser(response?.data);
 }
 
 async function fetchUserPosts(token, userId) {
-  const response = await axios.request({
-    method: "GET",
-    url: `https://route-posts.routemisr.com/users/${userId}/posts`,
-    headers: { token },
-    params: { sort: "-createdAt" },
-  });
-
-  return extractPosts(response?.data);
+  const response = await fetchUserPostsRequest(token, userId, { sort: "-createdAt" });
+  return parsePostList(response?.data);
 }
 
 async function uploadProfilePhoto(token, file) {
-  const formData = new FormData();
-  formData.append("photo", file);
-
-  const response = await axios.request({
-    method: "PUT",
-    url: "https://route-posts.routemisr.com/users/upload-photo",
-    data: formData,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      token,
-    },
-  });
-
-  return extractUser(response?.data);
+  const response = await uploadProfilePhotoRequest(token, file);
+  return parseUser(response?.data);
 }
 
 async function uploadCoverPhoto(token, file) {
-  const formData = new FormData();
-  formData.append("cover", file);
-
-  const response = await axios.request({
-    method: "PUT",
-    url: "https://route-posts.routemisr.com/users/upload-cover",
-    data: formData,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      token,
-    },
-  });
-
-  return extractUser(response?.data);
-}
-
-async function toggleFollowUser(token, userId) {
-  return axios.request({
-    method: "PUT",
-    url: `https://route-posts.routemisr.com/users/${userId}/follow`,
-    headers: {
-      Authorization: `Bearer ${token}`,
-      token,
-    },
-  });
+  const response = await uploadCoverPhotoRequest(token, file);
+  return parseUser(response?.data);
 }
 
 function readFileAsDataUrl(file) {
@@ -294,175 +146,9 @@ function readFileAsDataUrl(file) {
   });
 }
 
-function ProfilePostCard({ post, fallbackUser }) {
-  const postId = post?._id || post?.id || "";
-  const author = post?.user || fallbackUser || {};
-  const authorName = author?.name || "Unknown user";
-  const authorPhoto = getValidImageUrl(author?.photo || author?.avatar);
-  const authorHandle = getUserHandle(author);
-  const body =
-    typeof post?.body === "string" && post?.body !== "undefined" ? post.body : "";
-  const postImage = post?.image || post?.images?.[0] || null;
-  const likesCount = getArrayCount(post?.likesCount) || getArrayCount(post?.likes);
-  const sharesCount = getArrayCount(post?.sharesCount) || getArrayCount(post?.shares);
-  const commentsCount =
-    getArrayCount(post?.commentsCount) || getArrayCount(post?.comments);
-  const isSavedPost = Boolean(
-    post?.__isBookmarked || post?.isBookmarked || post?.savedByMe || post?.isSaved || post?.saved
-  );
-  const [isCommentsOpen, setIsCommentsOpen] = useState(false);
-
-  return (
-    <article className="overflow-hidden rounded-2xl border border-slate-200 bg-white shadow-[0_1px_6px_rgba(15,23,42,.05)] transition hover:shadow-sm">
-      <div className="p-4">
-        <div className="flex flex-wrap items-center justify-between gap-2">
-          <div className="flex min-w-0 items-center gap-2">
-            <img
-              alt={authorName}
-              className="h-10 w-10 rounded-full object-cover"
-              src={authorPhoto}
-              onError={(event) => {
-                event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
-              }}
-            />
-            <div className="min-w-0">
-              <p className="truncate text-sm font-extrabold text-slate-900">{authorName}</p>
-              <p className="truncate text-xs font-semibold text-slate-500">{authorHandle}</p>
-              {isSavedPost ? (
-                <p className="mt-1 text-[11px] font-bold uppercase tracking-wide text-[#1877f2]">
-                  Saved
-                </p>
-              ) : null}
-            </div>
-          </div>
-
-          <Link
-            to={`/PostDetails/${postId}`}
-            className="rounded-md px-2 py-1 text-xs font-bold text-[#1877f2] transition hover:bg-[#e7f3ff]"
-          >
-            View details
-          </Link>
-        </div>
-
-        {body ? (
-          <div className="pt-3">
-            <p className="whitespace-pre-wrap text-[15px] leading-relaxed text-slate-800">
-              {body}
-            </p>
-          </div>
-        ) : null}
-      </div>
-
-      {postImage ? (
-        <div className="border-y border-slate-200 bg-slate-950/95">
-          <button type="button" className="group relative flex w-full cursor-zoom-in items-center justify-center">
-            <img
-              alt="post"
-              className="max-h-[560px] w-auto max-w-full object-contain"
-              src={postImage}
-            />
-            <span className="pointer-events-none absolute inset-0 bg-black/0 transition group-hover:bg-black/10" />
-          </button>
-        </div>
-      ) : null}
-
-      <div className="flex flex-col gap-2 border-t border-slate-200 px-4 py-3 text-sm text-slate-600 sm:flex-row sm:items-center sm:justify-between sm:gap-3">
-        <div className="flex flex-wrap items-center gap-3 sm:gap-5">
-          <span className="inline-flex items-center gap-2 font-semibold">
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              width="14"
-              height="14"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              className="lucide lucide-thumbs-up text-[#1877f2]"
-              aria-hidden="true"
-            >
-              <path d="M15 5.88 14 10h5.83a2 2 0 0 1 1.92 2.56l-2.33 8A2 2 0 0 1 17.5 22H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2h2.76a2 2 0 0 0 1.79-1.11L12 2a3.13 3.13 0 0 1 3 3.88Z" />
-              <path d="M7 10v12" />
-            </svg>
-            {likesCount} likes
-          </span>
-          <span className="inline-flex items-center gap-2 font-semibold">
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              width="14"
-              height="14"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              className="lucide lucide-repeat2 lucide-repeat-2 text-[#1877f2]"
-              aria-hidden="true"
-            >
-              <path d="m2 9 3-3 3 3" />
-              <path d="M13 18H7a2 2 0 0 1-2-2V6" />
-              <path d="m22 15-3 3-3-3" />
-              <path d="M11 6h6a2 2 0 0 1 2 2v10" />
-            </svg>
-            {sharesCount} shares
-          </span>
-          <button
-            type="button"
-            onClick={() => {
-              if (!postId) return;
-              setIsCommentsOpen(true);
-            }}
-            className="inline-flex cursor-pointer items-center gap-2 font-semibold transition hover:text-[#1877f2]"
-          >
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              width="14"
-              height="14"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              className="lucide lucide-message-circle text-[#1877f2]"
-              aria-hidden="true"
-            >
-              <path d="M2.992 16.342a2 2 0 0 1 .094 1.167l-1.065 3.29a1 1 0 0 0 1.236 1.168l3.413-.998a2 2 0 0 1 1.099.092 10 10 0 1 0-4.777-4.719" />
-            </svg>
-            {commentsCount} comments
-          </button>
-        </div>
-        <span className="inline-flex items-center gap-1.5 text-xs font-bold text-slate-500">
-          <svg
-            xmlns="http://www.w3.org/2000/svg"
-            width="13"
-            height="13"
-            viewBox="0 0 24 24"
-            fill="none"
-            stroke="currentColor"
-            strokeWidth="2"
-            strokeLinecap="round"
-            strokeLinejoin="round"
-            className="lucide lucide-clock3 lucide-clock-3"
-            aria-hidden="true"
-          >
-            <path d="M12 6v6h4" />
-            <circle cx="12" cy="12" r="10" />
-          </svg>
-          {formatPostDate(post?.createdAt)}
-        </span>
-      </div>
-
-      {isCommentsOpen ? <CommentsSection postId={postId} /> : null}
-    </article>
-  );
-}
-
 export default function Profile() {
   const { userId: routeUserId } = useParams();
-  const token = localStorage.getItem("User_Token");
+  const { userToken: token } = useContext(AuthContext);
   const [activeTab, setActiveTab] = useState("posts");
   const [coverPreview, setCoverPreview] = useState({ profileKey: "", url: "" });
   const [removedCoverByProfileKey, setRemovedCoverByProfileKey] = useState({});
@@ -510,7 +196,7 @@ export default function Profile() {
     retry: 2,
   });
 
-  const myUserId = getUserId(myProfile);
+  const myUserId = getEntityId(myProfile);
   const isOtherProfile = Boolean(routeUserId && routeUserId !== myUserId);
   const activeUserId = routeUserId || myUserId;
   const currentProfileKey = activeUserId || routeUserId || "me";
@@ -612,7 +298,7 @@ export default function Profile() {
     retry: 2,
   });
 
-  const savedPosts = useMemo(() => extractSavedPosts(profile), [profile]);
+  const savedPosts = useMemo(() => getSavedPostsFromUser(profile), [profile]);
 
   const displayName = profile?.name || profile?.username || "User";
   const displayHandle = getUserHandle(profile);
@@ -620,35 +306,22 @@ export default function Profile() {
   const activeProfilePreview =
     profilePreview?.profileKey === currentProfileKey ? profilePreview?.url : "";
   const displayAvatar = getValidImageUrl(
-    activeProfilePreview || profile?.photo || profile?.avatar
+    activeProfilePreview || profile?.photo
   );
   const activeCoverPreview =
     coverPreview?.profileKey === currentProfileKey ? coverPreview?.url : "";
-  const serverCover = getOptionalImageUrl(
-    profile?.coverPhoto ||
-      profile?.cover ||
-      profile?.coverImage ||
-      profile?.backgroundImage
-  );
+  const serverCover = getOptionalImageUrl(profile?.cover);
   const isCoverRemovedForCurrentProfile = Boolean(
     removedCoverByProfileKey?.[currentProfileKey]
   );
   const displayCover = isCoverRemovedForCurrentProfile
     ? activeCoverPreview || ""
     : activeCoverPreview || serverCover;
-  const followersCount =
-    getArrayCount(profile?.followersCount) ||
-    getArrayCount(profile?.followers) ||
-    getArrayCount(profile?.followersTotal);
-  const followingCount =
-    getArrayCount(profile?.followingCount) ||
-    getArrayCount(profile?.following) ||
-    getArrayCount(profile?.followingTotal);
+  const followersCount = profile?.followersCount ?? 0;
+  const followingCount = profile?.followingCount ?? 0;
   const bookmarksCount =
-    getArrayCount(profile?.bookmarksCount) ||
-    getArrayCount(profile?.bookmarks) ||
-    getArrayCount(savedPosts);
-  const postsCount = getArrayCount(userPosts);
+    getCount(profile?.bookmarksCount) || getCount(profile?.bookmarks) || savedPosts.length;
+  const postsCount = userPosts.length;
   const selectedPosts = activeTab === "saved" ? savedPosts : userPosts;
 
   const isProfileLoading =
@@ -669,7 +342,7 @@ export default function Profile() {
   );
   const activeUploadFeedback =
     uploadFeedback?.profileKey === currentProfileKey ? uploadFeedback : null;
-  const otherProfileId = isOtherProfile ? getUserId(profile) : null;
+  const otherProfileId = isOtherProfile ? getEntityId(profile) : null;
   const otherProfileBaseFollowState = isOtherProfile
     ? getIsFollowingProfile(profile, myUserId)
     : false;
@@ -811,16 +484,30 @@ export default function Profile() {
   async function handleSaveCoverPrivacy() {
     if (!pendingCoverFile || !canEditProfile || !token) return;
 
+    let coverFile;
+    try {
+      coverFile = await processImageFile(pendingCoverFile, "cover");
+    } catch (error) {
+      setUploadFeedback({
+        profileKey: currentProfileKey,
+        type: "error",
+        message: extractApiMessage(error, "Failed to prepare cover photo."),
+      });
+      setPendingCoverFile(null);
+      setIsCoverPrivacyModalOpen(false);
+      return;
+    }
+
     let previewUrl = "";
     try {
-      const preview = await readFileAsDataUrl(pendingCoverFile);
+      const preview = await readFileAsDataUrl(coverFile);
       previewUrl = typeof preview === "string" ? preview : "";
     } catch {
       previewUrl = "";
     }
 
     uploadCoverMutation.mutate({
-      file: pendingCoverFile,
+      file: coverFile,
       profileKey: currentProfileKey,
       previewUrl,
     });
@@ -980,24 +667,12 @@ export default function Profile() {
     );
 
     const previewUrl = canvas.toDataURL("image/jpeg", 0.92);
-    const blob = await new Promise((resolve, reject) => {
-      canvas.toBlob(
-        (createdBlob) => {
-          if (createdBlob) {
-            resolve(createdBlob);
-            return;
-          }
-          reject(new Error("Failed to export cropped profile photo."));
-        },
-        "image/jpeg",
-        0.92
-      );
-    });
-
     const baseName =
       pendingProfileFile.name?.replace(/\.[^/.]+$/, "") || "profile-photo";
-    const file = new File([blob], `${baseName}-cropped.jpg`, {
-      type: "image/jpeg",
+    const file = await canvasToFile(canvas, {
+      fileName: `${baseName}-cropped`,
+      quality: IMAGE_PRESETS.avatar.quality,
+      maxBytes: IMAGE_PRESETS.avatar.maxBytes,
     });
 
     return { file, previewUrl };
@@ -1062,7 +737,7 @@ export default function Profile() {
                     <div className="flex flex-wrap items-end justify-between gap-4 rounded-2xl border border-white/70 bg-white/95 p-4">
                       <div className="flex items-end gap-3">
                         <img
-                          alt={displayName}
+                          alt={`${displayName} profile photo`}
                           className="h-20 w-20 rounded-full border-4 border-white object-cover shadow-sm sm:h-24 sm:w-24"
                           src={displayAvatar}
                           onError={(event) => {
@@ -1290,7 +965,7 @@ export default function Profile() {
                               <img
                                 className="h-28 w-28 rounded-full border-4 border-white object-cover shadow-md ring-2 ring-[#dbeafe]"
                                 src={displayAvatar}
-                                alt={displayName}
+                                alt={`${displayName} profile photo`}
                                 onError={(event) => {
                                   event.currentTarget.src = DEFAULT_PROFILE_IMAGE;
                                 }}
@@ -1585,25 +1260,20 @@ export default function Profile() {
 
                 <div className="space-y-3">
                   {selectedPosts.length > 0 ? (
-                    selectedPosts.map((post, index) => {
-                      const cardKey = post?._id || post?.id || `profile-post-${index}`;
-                      const normalizedPost =
-                        post?.user || !profile
-                          ? post
-                          : {
-                              ...post,
-                              user: profile,
-                            };
-
-                      return (
+                    <VirtualPostList
+                      ariaLabel={activeTab === "saved" ? "Saved posts" : "Profile posts"}
+                      gap={12}
+                      getItemKey={(post, index) => post?._id || post?.id || `profile-post-${index}`}
+                      items={selectedPosts}
+                      renderItem={(post) => (
                         <PostCard
-                          key={cardKey}
-                          post={normalizedPost}
+                          post={post?.user || !profile ? post : { ...post, user: profile }}
                           fallbackUser={profile}
                           showTopComment={false}
                         />
-                      );
-                    })
+                      )}
+                      restorationId={`profile-${activeTab}`}
+                    />
                   ) : (
                     <div className="rounded-2xl border border-slate-200 bg-white p-8 text-center text-slate-500 shadow-sm">
                       {activeTab === "saved"
@@ -0,0 +1,10 @@
+import { jwtDecode } from "jwt-decode";
+
+export function getTokenUserId(token) {
+  try {
+    const { user } = jwtDecode(token);
+    return user ? String(user) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,54 @@
+import { LOCAL_STORES, OWNER_INDEX, runInStore } from "./localDatabase";
+
+/**
+ * @typedef {Object} PostDraft
+ * @property {string} id
+ * @property {string} ownerId
+ * @property {string} body
+ * @property {string} privacy
+ * @property {Blob[]} images
+ * @property {number} updatedAt
+ */
+
+/** @returns {Promise<PostDraft[]>} newest first */
+export async function listPostDrafts(ownerId) {
+  if (!ownerId) return [];
+
+  const drafts = await runInStore(LOCAL_STORES.postDrafts, "readonly", (store) =>
+    store.index(OWNER_INDEX).getAll(String(ownerId))
+  );
+  return (drafts || []).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function savePostDraft(draft) {
+  return runInStore(LOCAL_STORES.postDrafts, "readwrite", (store) =>
+    store.put({ ...draft, ownerId: String(draft.ownerId), updatedAt: Date.now() })
+  );
+}
+
+export function deletePostDraft(id) {
+  return runInStore(LOCAL_STORES.postDrafts, "readwrite", (store) => store.delete(id));
+}
+
+function getTextDraftKey(ownerId, draftKey) {
+  return `${ownerId}:${draftKey}`;
+}
+
+export async function getTextDraft(ownerId, draftKey) {
+  if (!ownerId) return "";
+
+  const draft = await runInStore(LOCAL_STORES.textDrafts, "readonly", (store) =>
+    store.get(getTextDraftKey(ownerId, draftKey))
+  );
+  return draft?.text || "";
+}
+
+/** Saving blank text removes the draft. */
+export function saveTextDraft(ownerId, draftKey, text) {
+  if (!ownerId) return Promise.resolve();
+
+  const key = getTextDraftKey(ownerId, draftKey);
+  return runInStore(LOCAL_STORES.textDrafts, "readwrite", (store) =>
+    text.trim() ? store.put({ key, text, updatedAt: Date.now() }) : store.delete(key)
+  );
+}
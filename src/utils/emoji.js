@@ -0,0 +1,730 @@
+const EMOJI_PREFERENCES_STORAGE_KEY = "Emoji_Preferences";
+const MAX_RECENT_EMOJIS = 24;
+const VARIATION_SELECTOR = "\uFE0F";
+
+export const SKIN_TONES = [
+  { id: "", label: "Default", swatch: "✋" },
+  { id: "\u{1F3FB}", label: "Light", swatch: "✋🏻" },
+  { id: "\u{1F3FC}", label: "Medium-light", swatch: "✋🏼" },
+  { id: "\u{1F3FD}", label: "Medium", swatch: "✋🏽" },
+  { id: "\u{1F3FE}", label: "Medium-dark", swatch: "✋🏾" },
+  { id: "\u{1F3FF}", label: "Dark", swatch: "✋🏿" },
+];
+
+// Each line is `emoji|name|keywords`; a leading `*` marks emojis that accept a
+// skin tone modifier.
+function defineEmojis(lines) {
+  return lines
+    .trim()
+    .split("\n")
+    .map((line) => {
+      const [rawEmoji, name, keywords = ""] = line.trim().split("|");
+      const hasSkinTones = rawEmoji.startsWith("*");
+      return {
+        emoji: hasSkinTones ? rawEmoji.slice(1) : rawEmoji,
+        name,
+        keywords: keywords.split(" ").filter(Boolean),
+        hasSkinTones,
+      };
+    });
+}
+
+export const EMOJI_CATEGORIES = [
+  {
+    id: "smileys",
+    label: "Smileys & emotion",
+    icon: "😀",
+    emojis: defineEmojis(`
+      😀|grinning face|smile happy
+      😃|grinning face with big eyes|smile happy joy
+      😄|grinning face with smiling eyes|smile happy laugh
+      😁|beaming face|grin teeth
+      😆|grinning squinting face|laugh lol
+      😅|grinning face with sweat|nervous relief
+      🤣|rolling on the floor laughing|lol rofl
+      😂|face with tears of joy|laugh cry lol
+      🙂|slightly smiling face|smile
+      🙃|upside-down face|silly sarcasm
+      😉|winking face|wink flirt
+      😊|smiling face with smiling eyes|blush happy
+      😇|smiling face with halo|angel innocent
+      🥰|smiling face with hearts|love adore
+      😍|smiling face with heart-eyes|love crush
+      🤩|star-struck|wow amazing
+      😘|face blowing a kiss|kiss love
+      😗|kissing face|kiss
+      😚|kissing face with closed eyes|kiss
+      😋|face savoring food|yum delicious
+      😛|face with tongue|tongue playful
+      😜|winking face with tongue|crazy joke
+      🤪|zany face|crazy goofy
+      😝|squinting face with tongue|tongue
+      🤑|money-mouth face|rich money
+      🤗|hugging face|hug
+      🤭|face with hand over mouth|oops giggle
+      🤫|shushing face|quiet secret
+      🤔|thinking face|hmm think
+      🤐|zipper-mouth face|secret quiet
+      🤨|face with raised eyebrow|suspicious skeptic
+      😐|neutral face|meh
+      😑|expressionless face|blank
+      😶|face without mouth|silent
+      😏|smirking face|smirk smug
+      😒|unamused face|meh unhappy
+      🙄|face with rolling eyes|eyeroll whatever
+      😬|grimacing face|awkward
+      😌|relieved face|calm relief
+      😔|pensive face|sad
+      😪|sleepy face|tired
+      🤤|drooling face|drool
+      😴|sleeping face|sleep zzz
+      😷|face with medical mask|sick mask
+      🤒|face with thermometer|sick ill
+      🤕|face with head-bandage|hurt injured
+      🤢|nauseated face|sick gross
+      🤮|face vomiting|sick
+      🥵|hot face|heat sweat
+      🥶|cold face|freezing
+      🥴|woozy face|dizzy drunk
+      😵|face with crossed-out eyes|dizzy
+      🤯|exploding head|mind blown shocked
+      🤠|cowboy hat face|cowboy
+      🥳|partying face|party celebrate birthday
+      😎|smiling face with sunglasses|cool
+      🤓|nerd face|geek glasses
+      🧐|face with monocle|inspect
+      😕|confused face|confused
+      😟|worried face|worry
+      🙁|slightly frowning face|sad
+      😮|face with open mouth|wow surprised
+      😯|hushed face|surprised
+      😲|astonished face|shocked
+      😳|flushed face|embarrassed
+      🥺|pleading face|please puppy eyes
+      😦|frowning face with open mouth|shock
+      😧|anguished face|pain
+      😨|fearful face|scared
+      😰|anxious face with sweat|nervous
+      😥|sad but relieved face|phew
+      😢|crying face|sad tear
+      😭|loudly crying face|sob cry
+      😱|face screaming in fear|scream scared
+      😖|confounded face|frustrated
+      😣|persevering face|struggle
+      😞|disappointed face|sad
+      😓|downcast face with sweat|tired
+      😩|weary face|tired
+      😫|tired face|exhausted
+      🥱|yawning face|bored tired
+      😤|face with steam from nose|angry triumph
+      😡|enraged face|angry mad
+      😠|angry face|mad
+      🤬|face with symbols on mouth|swear angry
+      😈|smiling face with horns|devil evil
+      💀|skull|dead
+      💩|pile of poo|poop
+      🤡|clown face|clown
+      👻|ghost|halloween boo
+      👽|alien|ufo space
+      🤖|robot|bot
+      😺|grinning cat|cat happy
+      😻|smiling cat with heart-eyes|cat love
+      🙈|see-no-evil monkey|monkey shy
+      🙉|hear-no-evil monkey|monkey
+      🙊|speak-no-evil monkey|monkey oops
+      💋|kiss mark|kiss lips
+      💯|hundred points|100 perfect
+      💥|collision|boom
+      💫|dizzy|star
+      💦|sweat droplets|water
+      💨|dashing away|fast wind
+      💬|speech balloon|chat comment
+      💭|thought balloon|think
+      💤|zzz|sleep
+    `),
+  },
+  {
+    id: "people",
+    label: "People & body",
+    icon: "👋",
+    emojis: defineEmojis(`
+      *👋|waving hand|hello hi bye
+      *🤚|raised back of hand|stop
+      *✋|raised hand|high five stop
+      *🖖|vulcan salute|spock
+      *👌|ok hand|okay perfect
+      *🤌|pinched fingers|italian
+      *🤏|pinching hand|small tiny
+      *✌️|victory hand|peace
+      *🤞|crossed fingers|luck hope
+      *🤟|love-you gesture|ily
+      *🤘|sign of the horns|rock metal
+      *🤙|call me hand|shaka
+      *👈|backhand index pointing left|left
+      *👉|backhand index pointing right|right
+      *👆|backhand index pointing up|up
+      *👇|backhand index pointing down|down
+      *☝️|index pointing up|one
+      *👍|thumbs up|like yes approve +1
+      *👎|thumbs down|dislike no -1
+      *✊|raised fist|power
+      *👊|oncoming fist|punch bump
+      *🤛|left-facing fist|fist bump
+      *🤜|right-facing fist|fist bump
+      *👏|clapping hands|applause bravo
+      *🙌|raising hands|celebrate hooray
+      *👐|open hands|hug
+      *🤲|palms up together|pray
+      🤝|handshake|deal agreement
+      *🙏|folded hands|please thanks pray
+      *✍️|writing hand|write
+      *💅|nail polish|nails
+      *🤳|selfie|camera phone
+      *💪|flexed biceps|strong muscle
+      *🦵|leg|kick
+      *🦶|foot|step
+      *👂|ear|listen
+      *👃|nose|smell
+      🧠|brain|smart think
+      👀|eyes|look see
+      👁️|eye|look
+      👅|tongue|lick
+      👄|mouth|lips
+      *👶|baby|child newborn
+      *🧒|child|kid
+      *👦|boy|kid
+      *👧|girl|kid
+      *🧑|person|adult
+      *👱|person with blond hair|blond
+      *👨|man|adult
+      *🧔|person with beard|beard
+      *👩|woman|adult
+      *🧓|older person|elder
+      *👴|old man|elder grandpa
+      *👵|old woman|elder grandma
+      *🙋|person raising hand|question hi
+      *🙇|person bowing|sorry respect
+      *🤦|person facepalming|facepalm ugh
+      *🤷|person shrugging|shrug idk
+      *💁|person tipping hand|info sassy
+      *🙆|person gesturing ok|ok
+      *🙅|person gesturing no|no stop
+      *🧑‍💻|technologist|coder developer laptop
+      *👮|police officer|cop
+      *👷|construction worker|builder
+      *🤴|prince|royal
+      *👸|princess|royal
+      *🎅|santa claus|christmas
+      *🏃|person running|run exercise
+      *🚶|person walking|walk
+      *💃|woman dancing|dance party
+      *🕺|man dancing|dance party
+      *🧘|person in lotus position|yoga meditate
+      👪|family|parents kids
+      💑|couple with heart|love
+    `),
+  },
+  {
+    id: "nature",
+    label: "Animals & nature",
+    icon: "🐶",
+    emojis: defineEmojis(`
+      🐶|dog face|puppy pet
+      🐱|cat face|kitten pet
+      🐭|mouse face|mouse
+      🐹|hamster|pet
+      🐰|rabbit face|bunny
+      🦊|fox|animal
+      🐻|bear|animal
+      🐼|panda|animal
+      🐨|koala|animal
+      🐯|tiger face|animal
+      🦁|lion|animal king
+      🐮|cow face|animal
+      🐷|pig face|animal
+      🐸|frog|animal
+      🐵|monkey face|animal
+      🐔|chicken|bird
+      🐧|penguin|bird
+      🐦|bird|tweet
+      🐤|baby chick|bird
+      🦆|duck|bird
+      🦅|eagle|bird
+      🦉|owl|bird night
+      🦇|bat|night
+      🐺|wolf|animal
+      🐴|horse face|animal
+      🦄|unicorn|magic
+      🐝|honeybee|bee
+      🦋|butterfly|insect
+      🐌|snail|slow
+      🐞|lady beetle|ladybug
+      🐢|turtle|slow
+      🐍|snake|reptile
+      🐙|octopus|sea
+      🐬|dolphin|sea
+      🐳|spouting whale|sea
+      🦈|shark|sea
+      🐠|tropical fish|fish
+      🐘|elephant|animal
+      🦒|giraffe|animal
+      🐕|dog|pet
+      🐈|cat|pet
+      🌵|cactus|desert plant
+      🎄|christmas tree|holiday
+      🌲|evergreen tree|forest
+      🌳|deciduous tree|forest
+      🌴|palm tree|beach
+      🌱|seedling|plant grow
+      🌿|herb|plant
+      🍀|four leaf clover|luck
+      🍁|maple leaf|autumn fall
+      🍂|fallen leaf|autumn
+      💐|bouquet|flowers
+      🌷|tulip|flower
+      🌹|rose|flower love
+      🌻|sunflower|flower
+      🌸|cherry blossom|flower spring
+      🌼|blossom|flower
+      🌞|sun with face|sunny
+      🌙|crescent moon|night
+      ⭐|star|favorite
+      🌟|glowing star|sparkle
+      ✨|sparkles|magic shiny
+      ⚡|high voltage|lightning
+      🔥|fire|hot lit
+      🌈|rainbow|pride
+      ☀️|sun|sunny weather
+      ⛅|sun behind cloud|weather
+      🌧️|cloud with rain|weather
+      ⛄|snowman|winter
+      ❄️|snowflake|winter cold
+      🌊|water wave|ocean sea
+    `),
+  },
+  {
+    id: "food",
+    label: "Food & drink",
+    icon: "🍔",
+    emojis: defineEmojis(`
+      🍏|green apple|fruit
+      🍎|red apple|fruit
+      🍐|pear|fruit
+      🍊|tangerine|orange fruit
+      🍋|lemon|fruit sour
+      🍌|banana|fruit
+      🍉|watermelon|fruit summer
+      🍇|grapes|fruit
+      🍓|strawberry|fruit
+      🫐|blueberries|fruit
+      🍒|cherries|fruit
+      🍑|peach|fruit
+      🥭|mango|fruit
+      🍍|pineapple|fruit
+      🥥|coconut|fruit
+      🥝|kiwi fruit|fruit
+      🍅|tomato|vegetable
+      🥑|avocado|fruit
+      🥦|broccoli|vegetable
+      🥕|carrot|vegetable
+      🌽|ear of corn|vegetable
+      🌶️|hot pepper|spicy
+      🥔|potato|vegetable
+      🥐|croissant|bread breakfast
+      🍞|bread|toast
+      🥯|bagel|bread
+      🧀|cheese wedge|cheese
+      🥚|egg|breakfast
+      🍳|cooking|breakfast egg
+      🥞|pancakes|breakfast
+      🥓|bacon|breakfast
+      🍗|poultry leg|chicken
+      🍔|hamburger|burger
+      🍟|french fries|fries
+      🍕|pizza|slice
+      🌭|hot dog|sausage
+      🥪|sandwich|lunch
+      🌮|taco|mexican
+      🌯|burrito|mexican
+      🥗|green salad|healthy
+      🍝|spaghetti|pasta
+      🍜|steaming bowl|ramen noodles
+      🍣|sushi|japanese
+      🍱|bento box|japanese
+      🍛|curry rice|curry
+      🍚|cooked rice|rice
+      🍩|doughnut|donut dessert
+      🍪|cookie|dessert
+      🎂|birthday cake|cake party
+      🍰|shortcake|cake dessert
+      🧁|cupcake|dessert
+      🍫|chocolate bar|chocolate
+      🍬|candy|sweet
+      🍿|popcorn|movie
+      🍦|soft ice cream|dessert
+      ☕|hot beverage|coffee tea
+      🍵|teacup without handle|tea
+      🧃|beverage box|juice
+      🥤|cup with straw|soda
+      🧋|bubble tea|boba
+      🍺|beer mug|beer
+      🍻|clinking beer mugs|cheers
+      🥂|clinking glasses|cheers toast
+      🍷|wine glass|wine
+      🍹|tropical drink|cocktail
+    `),
+  },
+  {
+    id: "activities",
+    label: "Activities",
+    icon: "⚽",
+    emojis: defineEmojis(`
+      ⚽|soccer ball|football sport
+      🏀|basketball|sport
+      🏈|american football|sport
+      ⚾|baseball|sport
+      🎾|tennis|sport
+      🏐|volleyball|sport
+      🏉|rugby football|sport
+      🎱|pool 8 ball|billiards
+      🏓|ping pong|table tennis
+      🏸|badminton|sport
+      🥊|boxing glove|boxing
+      🥋|martial arts uniform|karate
+      ⛳|flag in hole|golf
+      ⛸️|ice skate|skating
+      🎿|skis|ski winter
+      🏆|trophy|win champion
+      🥇|1st place medal|gold first
+      🥈|2nd place medal|silver second
+      🥉|3rd place medal|bronze third
+      🏅|sports medal|medal
+      🎖️|military medal|award
+      🎗️|reminder ribbon|ribbon
+      🎫|ticket|event
+      🎟️|admission tickets|event
+      🎪|circus tent|circus
+      🎭|performing arts|theater
+      🎨|artist palette|art paint
+      🎬|clapper board|movie film
+      🎤|microphone|sing karaoke
+      🎧|headphone|music
+      🎼|musical score|music
+      🎹|musical keyboard|piano
+      🥁|drum|music
+      🎷|saxophone|music
+      🎺|trumpet|music
+      🎸|guitar|music rock
+      🎻|violin|music
+      🎲|game die|dice
+      ♟️|chess pawn|chess
+      🎯|bullseye|target goal
+      🎳|bowling|sport
+      🎮|video game|gaming controller
+      🧩|puzzle piece|jigsaw
+      🎉|party popper|celebrate tada
+      🎊|confetti ball|celebrate
+      🎈|balloon|party birthday
+      🎁|wrapped gift|present birthday
+      🎃|jack-o-lantern|halloween
+      🎆|fireworks|celebrate
+    `),
+  },
+  {
+    id: "travel",
+    label: "Travel & places",
+    icon: "✈️",
+    emojis: defineEmojis(`
+      🚗|automobile|car
+      🚕|taxi|car
+      🚌|bus|transport
+      🚎|trolleybus|transport
+      🏎️|racing car|fast
+      🚓|police car|cop
+      🚑|ambulance|emergency
+      🚒|fire engine|firetruck
+      🚚|delivery truck|truck
+      🚲|bicycle|bike
+      🛴|kick scooter|scooter
+      🏍️|motorcycle|motorbike
+      🚂|locomotive|train
+      🚆|train|transport
+      🚇|metro|subway
+      ✈️|airplane|flight travel
+      🚀|rocket|launch space
+      🛸|flying saucer|ufo
+      🚁|helicopter|transport
+      ⛵|sailboat|boat
+      🚢|ship|boat cruise
+      ⚓|anchor|ship
+      🗺️|world map|travel
+      🧭|compass|direction
+      🏔️|snow-capped mountain|mountain
+      ⛰️|mountain|hike
+      🌋|volcano|mountain
+      🏕️|camping|tent outdoors
+      🏖️|beach with umbrella|beach vacation
+      🏝️|desert island|island vacation
+      🏠|house|home
+      🏡|house with garden|home
+      🏢|office building|work
+      🏥|hospital|health
+      🏫|school|education
+      🏰|castle|palace
+      🗼|tokyo tower|tower
+      🗽|statue of liberty|new york
+      ⛲|fountain|park
+      🌁|foggy|city
+      🌃|night with stars|city night
+      🌅|sunrise|morning
+      🌄|sunrise over mountains|morning
+      🌇|sunset|evening city
+      🎡|ferris wheel|fair
+      🎢|roller coaster|amusement
+      ⏰|alarm clock|time wake
+      ⌛|hourglass done|time
+      📅|calendar|date
+    `),
+  },
+  {
+    id: "objects",
+    label: "Objects",
+    icon: "💡",
+    emojis: defineEmojis(`
+      ⌚|watch|time
+      📱|mobile phone|phone cell
+      💻|laptop|computer
+      ⌨️|keyboard|computer
+      🖥️|desktop computer|computer
+      🖨️|printer|print
+      🖱️|computer mouse|click
+      💾|floppy disk|save
+      💿|optical disk|cd
+      📷|camera|photo
+      📸|camera with flash|photo
+      🎥|movie camera|film video
+      📺|television|tv
+      📻|radio|music
+      🔋|battery|power
+      🔌|electric plug|power
+      💡|light bulb|idea
+      🔦|flashlight|light
+      🕯️|candle|light
+      📚|books|read library
+      📖|open book|read
+      📝|memo|note write
+      ✏️|pencil|write
+      🖊️|pen|write
+      📌|pushpin|pin
+      📎|paperclip|attach
+      ✂️|scissors|cut
+      📁|file folder|folder
+      📊|bar chart|stats graph
+      📈|chart increasing|growth stats
+      📉|chart decreasing|decline
+      🗂️|card index dividers|organize
+      📦|package|box delivery
+      📫|closed mailbox with raised flag|mail
+      ✉️|envelope|email letter
+      📣|megaphone|announce
+      🔔|bell|notification
+      🔒|locked|secure private
+      🔓|unlocked|open
+      🔑|key|password
+      🔨|hammer|tool build
+      🛠️|hammer and wrench|tools fix
+      ⚙️|gear|settings
+      🧲|magnet|attract
+      🧪|test tube|science
+      🔬|microscope|science
+      🔭|telescope|space
+      💊|pill|medicine
+      🩹|adhesive bandage|heal
+      🛒|shopping cart|shop
+      💰|money bag|money
+      💳|credit card|payment
+      💎|gem stone|diamond
+      👓|glasses|eyeglasses
+      🕶️|sunglasses|cool
+      👕|t-shirt|clothes
+      👗|dress|clothes
+      👟|running shoe|sneaker
+      🎒|backpack|school
+      👑|crown|king queen
+    `),
+  },
+  {
+    id: "symbols",
+    label: "Symbols",
+    icon: "❤️",
+    emojis: defineEmojis(`
+      ❤️|red heart|love
+      🧡|orange heart|love
+      💛|yellow heart|love
+      💚|green heart|love
+      💙|blue heart|love
+      💜|purple heart|love
+      🖤|black heart|love
+      🤍|white heart|love
+      🤎|brown heart|love
+      💔|broken heart|sad heartbreak
+      ❣️|heart exclamation|love
+      💕|two hearts|love
+      💞|revolving hearts|love
+      💓|beating heart|love
+      💗|growing heart|love
+      💖|sparkling heart|love
+      💘|heart with arrow|love cupid
+      💝|heart with ribbon|love gift
+      ✅|check mark button|done yes
+      ✔️|check mark|done yes
+      ❌|cross mark|no wrong
+      ❎|cross mark button|no
+      ➕|plus|add
+      ➖|minus|subtract
+      ❓|red question mark|question
+      ❗|red exclamation mark|important
+      ‼️|double exclamation mark|important
+      ⚠️|warning|caution
+      🚫|prohibited|forbidden no
+      ⛔|no entry|stop
+      ♻️|recycling symbol|recycle
+      🔴|red circle|dot
+      🟢|green circle|dot
+      🔵|blue circle|dot
+      🟡|yellow circle|dot
+      ⚫|black circle|dot
+      ⚪|white circle|dot
+      🔶|large orange diamond|shape
+      🔷|large blue diamond|shape
+      ▶️|play button|play
+      ⏸️|pause button|pause
+      🔁|repeat button|repeat loop
+      🔀|shuffle tracks button|shuffle
+      🆕|new button|new
+      🆗|ok button|ok
+      🆒|cool button|cool
+      🔝|top arrow|top
+      ⬆️|up arrow|up
+      ⬇️|down arrow|down
+      ➡️|right arrow|right next
+      ⬅️|left arrow|left back
+      🔗|link|url chain
+      #️⃣|keycap number sign|hashtag
+      ©️|copyright|copyright
+      ™️|trade mark|trademark
+      🎵|musical note|music
+      🎶|musical notes|music
+      💲|heavy dollar sign|money
+      ♾️|infinity|forever
+    `),
+  },
+  {
+    id: "flags",
+    label: "Flags",
+    icon: "🏳️",
+    emojis: defineEmojis(`
+      🏁|chequered flag|race finish
+      🚩|triangular flag|red flag
+      🏳️|white flag|surrender
+      🏴|black flag|flag
+      🏳️‍🌈|rainbow flag|pride lgbt
+      🇪🇬|flag egypt|egypt
+      🇸🇦|flag saudi arabia|saudi
+      🇦🇪|flag united arab emirates|uae
+      🇺🇸|flag united states|usa america
+      🇬🇧|flag united kingdom|uk britain
+      🇨🇦|flag canada|canada
+      🇫🇷|flag france|france
+      🇩🇪|flag germany|germany
+      🇪🇸|flag spain|spain
+      🇮🇹|flag italy|italy
+      🇧🇷|flag brazil|brazil
+      🇮🇳|flag india|india
+      🇯🇵|flag japan|japan
+      🇰🇷|flag south korea|korea
+      🇨🇳|flag china|china
+      🇹🇷|flag turkey|turkey
+      🇲🇦|flag morocco|morocco
+      🇳🇬|flag nigeria|nigeria
+      🇦🇺|flag australia|australia
+    `),
+  },
+];
+
+const ALL_EMOJIS = EMOJI_CATEGORIES.flatMap((category) => category.emojis);
+
+/** Applies a skin tone modifier to emojis that support one. */
+export function applySkinTone(entry, skinTone) {
+  if (!skinTone || !entry.hasSkinTones) return entry.emoji;
+
+  const [base, ...rest] = Array.from(entry.emoji.replace(VARIATION_SELECTOR, ""));
+  return `${base}${skinTone}${rest.join("")}`;
+}
+
+export function searchEmojis(query) {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  return ALL_EMOJIS.filter((entry) =>
+    terms.every(
+      (term) =>
+        entry.name.includes(term) || entry.keywords.some((keyword) => keyword.startsWith(term))
+    )
+  );
+}
+
+/** Maps stored emoji strings (which may carry a skin tone) back to picker entries. */
+export function toRecentEmojiEntries(recentEmojis) {
+  return recentEmojis
+    .map((emoji) => {
+      const entry = ALL_EMOJIS.find(
+        (candidate) =>
+          candidate.emoji === emoji ||
+          (candidate.hasSkinTones &&
+            SKIN_TONES.some((tone) => tone.id && applySkinTone(candidate, tone.id) === emoji))
+      );
+      return entry ? { ...entry, emoji } : null;
+    })
+    .filter(Boolean);
+}
+
+function getPreferencesStorageKey(userId) {
+  return `${EMOJI_PREFERENCES_STORAGE_KEY}:${userId || "guest"}`;
+}
+
+/** @returns {{ recent: string[], skinTone: string }} */
+export function readEmojiPreferences(userId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getPreferencesStorageKey(userId)) || "{}");
+    return {
+      recent: Array.isArray(stored.recent)
+        ? stored.recent.filter((value) => typeof value === "string")
+        : [],
+      skinTone: SKIN_TONES.some((tone) => tone.id === stored.skinTone) ? stored.skinTone : "",
+    };
+  } catch {
+    return { recent: [], skinTone: "" };
+  }
+}
+
+export function saveEmojiPreferences(userId, preferences) {
+  try {
+    localStorage.setItem(getPreferencesStorageKey(userId), JSON.stringify(preferences));
+  } catch {
+    // Storage can be full or disabled; the picker still works without persistence.
+  }
+}
+
+export function addRecentEmoji(recent, emoji) {
+  return [emoji, ...recent.filter((value) => value !== emoji)].slice(0, MAX_RECENT_EMOJIS);
+}
+
+/**
+ * Replaces the selected range of `text` with `insertText`.
+ * @returns {{ text: string, caret: number }}
+ */
+export function insertAtSelection(text, { start, end }, insertText) {
+  const nextText = `${text.slice(0, start)}${insertText}${text.slice(end)}`;
+  return { text: nextText, caret: start + insertText.length };
+}
@@ -0,0 +1,53 @@
+// A tag starts after whitespace/punctuation (so `page#anchor` and `&#39;` are not
+// tags) and must contain at least one letter (so `#1` is not a tag).
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+const MAX_HASHTAG_LENGTH = 50;
+
+export function normalizeHashtag(tag) {
+  return String(tag || "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase();
+}
+
+export function getHashtagPath(tag) {
+  return `/hashtag/${encodeURIComponent(normalizeHashtag(tag))}`;
+}
+
+/**
+ * @returns {Array<{ type: "text", value: string } | { type: "hashtag", value: string, tag: string }>}
+ */
+export function splitHashtags(text) {
+  if (typeof text !== "string" || !text) return [];
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const [, prefix, tag] = match;
+    if (tag.length > MAX_HASHTAG_LENGTH) continue;
+
+    const tagStart = match.index + prefix.length;
+    if (tagStart > lastIndex) {
+      segments.push({ type: "text", value: text.slice(lastIndex, tagStart) });
+    }
+    segments.push({ type: "hashtag", value: `#${tag}`, tag: normalizeHashtag(tag) });
+    lastIndex = tagStart + tag.length + 1;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: "text", value: text.slice(lastIndex) });
+  }
+
+  return segments;
+}
+
+export function extractHashtags(text) {
+  return [
+    ...new Set(
+      splitHashtags(text)
+        .filter((segment) => segment.type === "hashtag")
+        .map((segment) => segment.tag)
+    ),
+  ];
+}
@@ -0,0 +1,185 @@
+const MB = 1024 * 1024;
+const MAX_SOURCE_IMAGE_BYTES = 25 * MB;
+const MIN_QUALITY = 0.5;
+const QUALITY_STEP = 0.1;
+const DOWNSCALE_STEP = 0.8;
+const MAX_ENCODE_ATTEMPTS = 8;
+
+export const IMAGE_PRESETS = {
+  post: { maxDimension: 2048, quality: 0.82, maxBytes: 5 * MB },
+  avatar: { maxDimension: 1024, quality: 0.9, maxBytes: 2 * MB },
+  cover: { maxDimension: 2560, quality: 0.85, maxBytes: 5 * MB },
+};
+
+let webpSupport = null;
+
+function supportsWebp() {
+  if (webpSupport === null) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 1;
+    canvas.height = 1;
+    webpSupport = canvas.toDataURL("image/webp").startsWith("data:image/webp");
+  }
+  return webpSupport;
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round((bytes / MB) * 10) / 10} MB`;
+}
+
+function getBaseName(fileName, fallback) {
+  return (fileName || "").replace(/\.[^/.]+$/, "") || fallback;
+}
+
+export function loadImageElement(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Failed to load selected image."));
+    image.src = src;
+  });
+}
+
+// createImageBitmap applies the EXIF orientation before the pixels are drawn;
+// the <img> fallback relies on the browser's default `image-orientation: from-image`.
+async function decodeImage(file) {
+  if (typeof createImageBitmap === "function") {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+      return {
+        source: bitmap,
+        width: bitmap.width,
+        height: bitmap.height,
+        release: () => bitmap.close(),
+      };
+    } catch {
+      // Fall through to the <img> decoder for formats createImageBitmap rejects.
+    }
+  }
+
+  const objectUrl = URL.createObjectURL(file);
+  try {
+    const image = await loadImageElement(objectUrl);
+    return {
+      source: image,
+      width: image.naturalWidth || image.width,
+      height: image.naturalHeight || image.height,
+      release: () => URL.revokeObjectURL(objectUrl),
+    };
+  } catch (error) {
+    URL.revokeObjectURL(objectUrl);
+    throw error;
+  }
+}
+
+export function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (blob) {
+          resolve(blob);
+          return;
+        }
+        reject(new Error("Failed to export image."));
+      },
+      type,
+      quality
+    );
+  });
+}
+
+function drawToCanvas(source, width, height, type) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext("2d");
+  if (!context) {
+    throw new Error("Failed to initialize image editor.");
+  }
+
+  if (type === "image/jpeg") {
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, width, height);
+  }
+  context.imageSmoothingQuality = "high";
+  context.drawImage(source, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Re-encodes a canvas as WebP (or JPEG where WebP is unavailable), lowering the
+ * quality until the result fits `maxBytes`.
+ */
+export async function canvasToFile(canvas, { fileName, quality, maxBytes }) {
+  const type = supportsWebp() ? "image/webp" : "image/jpeg";
+  let currentQuality = quality;
+  let blob = await canvasToBlob(canvas, type, currentQuality);
+
+  while (blob.size > maxBytes && currentQuality - QUALITY_STEP >= MIN_QUALITY) {
+    currentQuality -= QUALITY_STEP;
+    blob = await canvasToBlob(canvas, type, currentQuality);
+  }
+
+  if (blob.size > maxBytes) {
+    throw new Error(
+      `This image is still larger than ${formatMegabytes(maxBytes)} after compression.`
+    );
+  }
+
+  const extension = type === "image/webp" ? "webp" : "jpg";
+  return new File([blob], `${getBaseName(fileName, "image")}.${extension}`, { type });
+}
+
+/**
+ * Downscales, re-encodes and strips metadata (EXIF, including GPS) from an image
+ * before upload. GIFs are passed through untouched so animations survive.
+ */
+export async function processImageFile(file, presetName = "post") {
+  const preset = IMAGE_PRESETS[presetName] || IMAGE_PRESETS.post;
+
+  if (!file?.type?.startsWith("image/")) {
+    throw new Error("Please choose a valid image file.");
+  }
+  if (file.size > MAX_SOURCE_IMAGE_BYTES) {
+    throw new Error(
+      `"${file.name}" is ${formatMegabytes(file.size)}. Choose an image under ${formatMegabytes(
+        MAX_SOURCE_IMAGE_BYTES
+      )}.`
+    );
+  }
+
+  if (file.type === "image/gif") {
+    if (file.size > preset.maxBytes) {
+      throw new Error(`GIFs must be under ${formatMegabytes(preset.maxBytes)}.`);
+    }
+    return file;
+  }
+
+  const decoded = await decodeImage(file);
+  try {
+    const type = supportsWebp() ? "image/webp" : "image/jpeg";
+    let scale = Math.min(1, preset.maxDimension / Math.max(decoded.width, decoded.height, 1));
+
+    for (let attempt = 0; attempt < MAX_ENCODE_ATTEMPTS; attempt += 1) {
+      const width = Math.max(1, Math.round(decoded.width * scale));
+      const height = Math.max(1, Math.round(decoded.height * scale));
+      const canvas = drawToCanvas(decoded.source, width, height, type);
+
+      try {
+        return await canvasToFile(canvas, {
+          fileName: file.name,
+          quality: preset.quality,
+          maxBytes: preset.maxBytes,
+        });
+      } catch (error) {
+        if (attempt === MAX_ENCODE_ATTEMPTS - 1) throw error;
+        scale *= DOWNSCALE_STEP;
+      }
+    }
+  } finally {
+    decoded.release();
+  }
+
+  throw new Error("Failed to process image.");
+}
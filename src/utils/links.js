@@ -0,0 +1,72 @@
+// Matches explicit http(s) URLs and bare `www.` hosts. Trailing punctuation that
+// usually ends a sentence is trimmed off afterwards rather than in the pattern.
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const TRAILING_PUNCTUATION_PATTERN = /[.,;:!?'"]+$/;
+const MAX_URL_LENGTH = 2048;
+
+function trimTrailingPunctuation(value) {
+  let trimmed = value.replace(TRAILING_PUNCTUATION_PATTERN, "");
+
+  // Keep a closing paren only when it balances one inside the URL (e.g. wiki links).
+  while (trimmed.endsWith(")")) {
+    const opens = trimmed.split("(").length - 1;
+    const closes = trimmed.split(")").length - 1;
+    if (closes <= opens) break;
+    trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION_PATTERN, "");
+  }
+
+  return trimmed;
+}
+
+/** Returns an absolute http(s) href for a detected URL, or null when it is not safe to link. */
+export function toSafeHref(value) {
+  if (typeof value !== "string" || !value || value.length > MAX_URL_LENGTH) return null;
+
+  try {
+    const url = new URL(/^www\./i.test(value) ? `https://${value}` : value);
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+export function getLinkHostname(href) {
+  try {
+    return new URL(href).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * @returns {Array<{ type: "text", value: string } | { type: "link", value: string, href: string }>}
+ */
+export function splitLinks(text) {
+  if (typeof text !== "string" || !text) return [];
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const value = trimTrailingPunctuation(match[0]);
+    const href = toSafeHref(value);
+    if (!href) continue;
+
+    if (match.index > lastIndex) {
+      segments.push({ type: "text", value: text.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: "link", value, href });
+    lastIndex = match.index + value.length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: "text", value: text.slice(lastIndex) });
+  }
+
+  return segments;
+}
+
+export function extractFirstLink(text) {
+  return splitLinks(text).find((segment) => segment.type === "link")?.href || null;
+}
@@ -0,0 +1,107 @@
+// Drafts shipped first in this database at version 1; later stores are added by
+// bumping the version so existing drafts carry over.
+const DB_NAME = "socialhub-drafts";
+const DB_VERSION = 2;
+
+export const LOCAL_STORES = {
+  postDrafts: "post-drafts",
+  textDrafts: "text-drafts",
+  scheduledPosts: "scheduled-posts",
+};
+
+export const OWNER_INDEX = "ownerId";
+
+let databasePromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("Local storage is not supported in this browser."));
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(LOCAL_STORES.postDrafts)) {
+          const store = database.createObjectStore(LOCAL_STORES.postDrafts, { keyPath: "id" });
+          store.createIndex(OWNER_INDEX, OWNER_INDEX);
+        }
+        if (!database.objectStoreNames.contains(LOCAL_STORES.textDrafts)) {
+          database.createObjectStore(LOCAL_STORES.textDrafts, { keyPath: "key" });
+        }
+        if (!database.objectStoreNames.contains(LOCAL_STORES.scheduledPosts)) {
+          const store = database.createObjectStore(LOCAL_STORES.scheduledPosts, {
+            keyPath: "id",
+          });
+          store.createIndex(OWNER_INDEX, OWNER_INDEX);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Runs a single request against one object store and resolves with its result
+ * once the transaction has committed.
+ */
+export async function runInStore(storeName, mode, callback) {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeName, mode);
+  const completion = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([
+    requestToPromise(callback(transaction.objectStore(storeName))),
+    completion,
+  ]);
+  return result;
+}
+
+/**
+ * Reads a record and writes `updater(record)` back inside one transaction, so
+ * concurrent tabs cannot interleave between the read and the write. Returning
+ * `undefined` from the updater leaves the record untouched.
+ */
+export async function updateInStore(storeName, key, updater) {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+
+  return new Promise((resolve, reject) => {
+    let nextRecord;
+    const getRequest = store.get(key);
+
+    getRequest.onsuccess = () => {
+      nextRecord = updater(getRequest.result);
+      if (nextRecord !== undefined) store.put(nextRecord);
+    };
+    transaction.oncomplete = () => resolve(nextRecord);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export function createLocalId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `local-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,54 @@
+// Mentions are stored inline in post/comment text as `@[Display Name](userId)` so
+// they survive renames of the handle and render without an extra lookup.
+const MENTION_TOKEN_PATTERN = /@\[([^\]\n]{1,80})\]\(([A-Za-z0-9_-]{1,64})\)/g;
+const MENTION_QUERY_PATTERN = /(^|\s)@([\p{L}\p{N}_.]{0,30})$/u;
+
+function sanitizeMentionName(name) {
+  return String(name || "user").replace(/[[\]\n]/g, "").trim() || "user";
+}
+
+export function createMentionToken(user) {
+  return `@[${sanitizeMentionName(user?.name || user?.username)}](${user.id})`;
+}
+
+/** Returns the `@query` being typed at the caret, or null when the caret is not in one. */
+export function getMentionQuery(text, caret) {
+  const match = MENTION_QUERY_PATTERN.exec(text.slice(0, caret));
+  if (!match) return null;
+
+  return { query: match[2], start: caret - match[2].length - 1 };
+}
+
+export function insertMention(text, { start, end }, user) {
+  const token = `${createMentionToken(user)} `;
+  const nextText = `${text.slice(0, start)}${token}${text.slice(end).replace(/^ /, "")}`;
+  return { text: nextText, caret: start + token.length };
+}
+
+/**
+ * @returns {Array<{ type: "text", value: string } | { type: "mention", name: string, userId: string }>}
+ */
+export function splitMentions(text) {
+  if (typeof text !== "string" || !text) return [];
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MENTION_TOKEN_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: "text", value: text.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: "mention", name: match[1], userId: match[2] });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: "text", value: text.slice(lastIndex) });
+  }
+
+  return segments;
+}
+
+export function stripMentionTokens(text) {
+  return typeof text === "string" ? text.replace(MENTION_TOKEN_PATTERN, "@$1") : "";
+}
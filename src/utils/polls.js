@@ -0,0 +1,108 @@
+import { z } from "zod";
+
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 6;
+export const MAX_POLL_QUESTION_LENGTH = 200;
+export const MAX_POLL_OPTION_LENGTH = 80;
+
+// The public API has no poll routes, so polls are only offered where the backend
+// serves them: the mock API, or one flagged with VITE_API_POLLS.
+export const ARE_POLLS_SUPPORTED =
+  import.meta.env.VITE_USE_MOCK_API === "true" || import.meta.env.VITE_API_POLLS === "true";
+
+export const POLL_DURATION_OPTIONS = [
+  { value: 1000 * 60 * 60, label: "1 hour" },
+  { value: 1000 * 60 * 60 * 24, label: "1 day" },
+  { value: 1000 * 60 * 60 * 24 * 3, label: "3 days" },
+  { value: 1000 * 60 * 60 * 24 * 7, label: "1 week" },
+];
+
+/**
+ * @typedef {Object} Poll
+ * @property {string} postId
+ * @property {string} question
+ * @property {{ id: string, text: string, votes: number }[]} options
+ * @property {boolean} allowMultiple
+ * @property {string} closesAt ISO date
+ * @property {number} totalVotes
+ * @property {number} voterCount
+ * @property {string[]} viewerVotes option ids the current user voted for
+ */
+
+export function createEmptyPoll() {
+  return {
+    question: "",
+    options: Array.from({ length: MIN_POLL_OPTIONS }, () => ""),
+    durationMs: POLL_DURATION_OPTIONS[1].value,
+    allowMultiple: false,
+  };
+}
+
+export const pollInputSchema = z
+  .object({
+    question: z
+      .string()
+      .trim()
+      .min(1, "Add a question for your poll.")
+      .max(
+        MAX_POLL_QUESTION_LENGTH,
+        `Questions can't exceed ${MAX_POLL_QUESTION_LENGTH} characters.`
+      ),
+    options: z
+      .array(
+        z
+          .string()
+          .trim()
+          .max(MAX_POLL_OPTION_LENGTH, `Options can't exceed ${MAX_POLL_OPTION_LENGTH} characters.`)
+      )
+      .transform((options) => options.filter(Boolean))
+      .refine((options) => options.length >= MIN_POLL_OPTIONS, {
+        message: `Add at least ${MIN_POLL_OPTIONS} options.`,
+      })
+      .refine((options) => options.length <= MAX_POLL_OPTIONS, {
+        message: `Polls can have up to ${MAX_POLL_OPTIONS} options.`,
+      })
+      .refine(
+        (options) =>
+          new Set(options.map((option) => option.toLowerCase())).size === options.length,
+        { message: "Poll options must be different." }
+      ),
+    durationMs: z.number().refine(
+      (value) => POLL_DURATION_OPTIONS.some((option) => option.value === value),
+      "Choose how long the poll runs."
+    ),
+    allowMultiple: z.boolean(),
+  });
+
+export function isPollClosed(poll) {
+  return new Date(poll?.closesAt).getTime() <= Date.now();
+}
+
+export function getPollPercentage(votes, poll) {
+  const base = poll.allowMultiple ? poll.voterCount : poll.totalVotes;
+  return base > 0 ? Math.round((votes / base) * 100) : 0;
+}
+
+export function formatPollCloseTime(poll) {
+  const closesAt = new Date(poll?.closesAt);
+  const remainingMs = closesAt.getTime() - Date.now();
+  if (!Number.isFinite(remainingMs)) return "";
+
+  if (remainingMs <= 0) {
+    return `Closed ${closesAt.toLocaleString(undefined, {
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    })}`;
+  }
+
+  const minutes = Math.ceil(remainingMs / (1000 * 60));
+  if (minutes < 60) return `${minutes} ${minutes === 1 ? "minute" : "minutes"} left`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} ${hours === 1 ? "hour" : "hours"} left`;
+
+  const days = Math.round(hours / 24);
+  return `${days} ${days === 1 ? "day" : "days"} left`;
+}
@@ -0,0 +1,42 @@
+export const DEFAULT_PROFILE_IMAGE =
+  "https://pub-3cba56bacf9f4965bbb0989e07dada12.r2.dev/linkedPosts/default-profile.png";
+
+export function getValidImageUrl(url) {
+  if (typeof url !== "string") return DEFAULT_PROFILE_IMAGE;
+  const trimmed = url.trim();
+  if (!trimmed) return DEFAULT_PROFILE_IMAGE;
+  return trimmed;
+}
+
+export function getUserHandle(user, authorName) {
+  const raw =
+    user?.username ||
+    user?.email?.split("@")?.[0] ||
+    authorName?.toLowerCase()?.replace(/\s+/g, "");
+
+  if (!raw) return "@user";
+  return raw.startsWith("@") ? raw : `@${raw}`;
+}
+
+export function getRelativeTimeShort(dateValue) {
+  if (!dateValue) return "now";
+
+  const date = new Date(dateValue);
+  if (Number.isNaN(date.getTime())) return "now";
+
+  const diffMs = Date.now() - date.getTime();
+  const minute = 60 * 1000;
+  const hour = 60 * minute;
+  const day = 24 * hour;
+
+  if (diffMs < hour) return `${Math.max(1, Math.floor(diffMs / minute))}m`;
+  if (diffMs < day) return `${Math.max(1, Math.floor(diffMs / hour))}h`;
+  return `${Math.max(1, Math.floor(diffMs / day))}d`;
+}
+
+export function getFormattedDate(dateValue) {
+  if (!dateValue) return "Unknown date";
+  const date = new Date(dateValue);
+  if (Number.isNaN(date.getTime())) return "Unknown date";
+  return date.toLocaleString();
+}
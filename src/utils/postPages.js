@@ -0,0 +1,23 @@
+export const POSTS_PAGE_LIMIT = 10;
+export const INITIAL_POSTS_PAGE = { page: 1, cursor: null };
+
+export function getPostsPageParams({ page, cursor }) {
+  return cursor ? { cursor, limit: POSTS_PAGE_LIMIT } : { page, limit: POSTS_PAGE_LIMIT };
+}
+
+/** Prefers the API cursor, then `totalPages`, then whether the last page came back full. */
+export function getNextPostsPageParam(lastPage) {
+  if (lastPage?.nextCursor) {
+    return { page: lastPage.page + 1, cursor: lastPage.nextCursor };
+  }
+
+  if (typeof lastPage?.totalPages === "number") {
+    return lastPage.page < lastPage.totalPages
+      ? { page: lastPage.page + 1, cursor: null }
+      : undefined;
+  }
+
+  return lastPage?.posts?.length === POSTS_PAGE_LIMIT
+    ? { page: lastPage.page + 1, cursor: null }
+    : undefined;
+}
@@ -0,0 +1,40 @@
+export const DEFAULT_POST_PRIVACY = "public";
+
+export const POST_PRIVACY_OPTIONS = [
+  { value: "public", label: "Public" },
+  { value: "following", label: "Followers" },
+  { value: "only_me", label: "Only me" },
+];
+
+const PRIVACY_ALIASES = {
+  public: "public",
+  everyone: "public",
+  following: "following",
+  followers: "following",
+  friends: "following",
+  only_me: "only_me",
+  onlyme: "only_me",
+  private: "only_me",
+};
+
+export function normalizePostPrivacy(value) {
+  if (typeof value !== "string") return null;
+  return PRIVACY_ALIASES[value.trim().toLowerCase().replace(/[\s-]+/g, "_")] || null;
+}
+
+export function getPostPrivacyLabel(privacy) {
+  const option = POST_PRIVACY_OPTIONS.find((item) => item.value === privacy);
+  return option?.label || "Public";
+}
+
+/**
+ * Client-side guard for posts whose privacy the API reports. Posts without a
+ * privacy value, or viewers whose following list is unknown, are left to the server.
+ */
+export function isPostVisibleTo(post, { viewerId, followingIds }) {
+  if (!post?.privacy || post.privacy === "public") return true;
+  if (post.isOwner || (viewerId && post.ownerId === viewerId)) return true;
+  if (post.privacy === "only_me") return false;
+  if (!followingIds) return true;
+  return followingIds.has(post.ownerId);
+}
@@ -0,0 +1,88 @@
+export const DEFAULT_REACTION = "like";
+
+// The public API's like endpoint is binary, so typed reactions are only offered
+// where the backend stores them: the mock API, or one flagged with VITE_API_REACTIONS.
+export const ARE_REACTIONS_SUPPORTED =
+  import.meta.env.VITE_USE_MOCK_API === "true" || import.meta.env.VITE_API_REACTIONS === "true";
+
+export const REACTIONS = [
+  { type: "like", label: "Like", emoji: "👍", className: "text-[#1877f2]" },
+  { type: "love", label: "Love", emoji: "❤️", className: "text-rose-600" },
+  { type: "haha", label: "Haha", emoji: "😆", className: "text-amber-600" },
+  { type: "wow", label: "Wow", emoji: "😮", className: "text-amber-600" },
+  { type: "sad", label: "Sad", emoji: "😢", className: "text-amber-600" },
+  { type: "angry", label: "Angry", emoji: "😡", className: "text-orange-700" },
+];
+
+export const REACTION_TYPES = REACTIONS.map((reaction) => reaction.type);
+
+/**
+ * @typedef {"like" | "love" | "haha" | "wow" | "sad" | "angry"} ReactionType
+ * @typedef {Partial<Record<ReactionType, number>>} ReactionCounts
+ * @typedef {{ isLiked: boolean, count: number, reaction: ReactionType | null,
+ *   counts: ReactionCounts }} ReactionState
+ */
+
+export function getReaction(type) {
+  return REACTIONS.find((reaction) => reaction.type === type) || null;
+}
+
+/** @returns {ReactionType | null} */
+export function toReactionType(value) {
+  const type = String(value || "").trim().toLowerCase();
+  return REACTION_TYPES.includes(type) ? type : null;
+}
+
+export function getReactionTotal(counts) {
+  return REACTION_TYPES.reduce((total, type) => total + (counts?.[type] || 0), 0);
+}
+
+/** Most used reactions first; ties keep the palette order. */
+export function getTopReactions(counts, limit = 3) {
+  return REACTIONS.filter((reaction) => counts?.[reaction.type] > 0)
+    .sort((a, b) => counts[b.type] - counts[a.type])
+    .slice(0, limit);
+}
+
+/**
+ * Reaction state of a normalized post or comment.
+ * @returns {ReactionState}
+ */
+export function getReactionState(entity) {
+  const reaction = toReactionType(entity?.viewerReaction);
+  return {
+    isLiked: Boolean(entity?.isLiked || reaction),
+    count: entity?.likesCount ?? 0,
+    reaction,
+    counts: entity?.reactionCounts || {},
+  };
+}
+
+/** Counts after one person's reaction changes from `fromType` to `toType` (either may be null). */
+export function moveReaction(counts, fromType, toType) {
+  const nextCounts = { ...counts };
+  if (fromType) nextCounts[fromType] = Math.max(0, (nextCounts[fromType] || 0) - 1);
+  if (toType) nextCounts[toType] = (nextCounts[toType] || 0) + 1;
+  return nextCounts;
+}
+
+/**
+ * Optimistic next state for picking `type`: picking the current reaction
+ * removes it, anything else adds or switches.
+ * @returns {ReactionState}
+ */
+export function applyReaction(state, type) {
+  const nextReaction = state.reaction === type ? null : type;
+
+  return {
+    isLiked: Boolean(nextReaction),
+    count: Math.max(0, state.count + (nextReaction ? 1 : 0) - (state.reaction ? 1 : 0)),
+    reaction: nextReaction,
+    counts: moveReaction(state.counts, state.reaction, nextReaction),
+  };
+}
+
+/** State after a switch whose remove went through but whose add failed. */
+export function removeReaction(state) {
+  return applyReaction(state, state.reaction);
+}
@@ -0,0 +1,155 @@
+import { fromDate, getLocalTimeZone, now as zonedNow } from "@internationalized/date";
+import { LOCAL_STORES, OWNER_INDEX, runInStore, updateInStore } from "./localDatabase";
+
+export const SCHEDULED_POSTS_QUERY_KEY = ["scheduled-posts"];
+
+export const SCHEDULED_POST_STATUS = {
+  pending: "pending",
+  publishing: "publishing",
+  failed: "failed",
+};
+
+// A tab that closes mid-publish leaves its claim behind; after this long the
+// post is surfaced as failed so the user can decide whether to retry it.
+const PUBLISH_CLAIM_TIMEOUT_MS = 1000 * 60 * 2;
+const MIN_SCHEDULE_LEAD_MS = 1000 * 60;
+
+/**
+ * @typedef {Object} ScheduledPost
+ * @property {string} id
+ * @property {string} ownerId
+ * @property {string} body
+ * @property {string} privacy
+ * @property {Blob[]} images
+ * @property {{ file: Blob, poster: Blob | null } | null} [video]
+ * @property {string[]} [mediaAlts] descriptions for the images or video, in order
+ * @property {number} publishAt
+ * @property {"pending"|"publishing"|"failed"} status
+ * @property {string} [error]
+ * @property {number} [claimedAt]
+ * @property {number} updatedAt
+ */
+
+/** @returns {Promise<ScheduledPost[]>} soonest first */
+export async function listScheduledPosts(ownerId) {
+  const posts = await runInStore(LOCAL_STORES.scheduledPosts, "readonly", (store) =>
+    ownerId ? store.index(OWNER_INDEX).getAll(String(ownerId)) : store.getAll()
+  );
+  return (posts || []).sort((a, b) => a.publishAt - b.publishAt);
+}
+
+export function saveScheduledPost(post) {
+  return runInStore(LOCAL_STORES.scheduledPosts, "readwrite", (store) =>
+    store.put({
+      status: SCHEDULED_POST_STATUS.pending,
+      ...post,
+      ownerId: String(post.ownerId),
+      updatedAt: Date.now(),
+    })
+  );
+}
+
+export function deleteScheduledPost(id) {
+  return runInStore(LOCAL_STORES.scheduledPosts, "readwrite", (store) => store.delete(id));
+}
+
+/** Resolves with the claimed post, or null if it is not due or another tab took it. */
+export async function claimScheduledPost(id, now = Date.now()) {
+  const claimed = await updateInStore(LOCAL_STORES.scheduledPosts, id, (post) => {
+    if (!post || post.status !== SCHEDULED_POST_STATUS.pending || post.publishAt > now) {
+      return undefined;
+    }
+    return { ...post, status: SCHEDULED_POST_STATUS.publishing, claimedAt: now };
+  });
+  return claimed || null;
+}
+
+export function markScheduledPostFailed(id, message) {
+  return updateInStore(LOCAL_STORES.scheduledPosts, id, (post) =>
+    post
+      ? {
+          ...post,
+          status: SCHEDULED_POST_STATUS.failed,
+          error: message,
+          claimedAt: null,
+          updatedAt: Date.now(),
+        }
+      : undefined
+  );
+}
+
+/** Applies edits unless the post is already being published; resolves with the updated post or null. */
+export async function updateScheduledPost(id, changes) {
+  const updated = await updateInStore(LOCAL_STORES.scheduledPosts, id, (post) => {
+    if (!post || post.status === SCHEDULED_POST_STATUS.publishing) return undefined;
+    return {
+      ...post,
+      ...changes,
+      status: SCHEDULED_POST_STATUS.pending,
+      error: null,
+      updatedAt: Date.now(),
+    };
+  });
+  return updated || null;
+}
+
+export function publishScheduledPostNow(id) {
+  return updateScheduledPost(id, { publishAt: Date.now() });
+}
+
+export function retryScheduledPost(id) {
+  return updateInStore(LOCAL_STORES.scheduledPosts, id, (post) =>
+    post
+      ? {
+          ...post,
+          status: SCHEDULED_POST_STATUS.pending,
+          publishAt: Math.max(post.publishAt, Date.now()),
+          error: null,
+          claimedAt: null,
+          updatedAt: Date.now(),
+        }
+      : undefined
+  );
+}
+
+/** When the runner next needs to look at a post: its publish time, or when its claim goes stale. */
+export function getScheduledPostDueAt(post) {
+  if (post.status === SCHEDULED_POST_STATUS.pending) return post.publishAt;
+  if (post.status === SCHEDULED_POST_STATUS.publishing) {
+    return (post.claimedAt || 0) + PUBLISH_CLAIM_TIMEOUT_MS;
+  }
+  return null;
+}
+
+export function isScheduledPostClaimStale(post, now = Date.now()) {
+  return post.status === SCHEDULED_POST_STATUS.publishing && getScheduledPostDueAt(post) <= now;
+}
+
+export function toUploadFiles(images = []) {
+  return images.map((blob, index) =>
+    blob instanceof File ? blob : new File([blob], `image-${index + 1}`, { type: blob.type })
+  );
+}
+
+export function getDefaultScheduleTime() {
+  return zonedNow(getLocalTimeZone()).add({ hours: 1 }).set({ second: 0, millisecond: 0 });
+}
+
+export function toScheduleTimeValue(timestamp) {
+  return fromDate(new Date(timestamp), getLocalTimeZone());
+}
+
+export function getScheduleTimeError(value) {
+  if (!value) return "Choose when to publish this post.";
+  if (value.toDate().getTime() < Date.now() + MIN_SCHEDULE_LEAD_MS) {
+    return "Schedule the post at least a minute from now.";
+  }
+  return "";
+}
+
+export function formatScheduleTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
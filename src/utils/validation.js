@@ -0,0 +1,5 @@
+export const PASSWORD_REGEX =
+  /^(?=.*?[A-Z])(?=.*?[a-z])(?=.*?[0-9])(?=.*?[#?!@$%^&*-]).{8,}$/;
+
+export const PASSWORD_RULE_MESSAGE =
+  "Password must have at least one Uppercase, lowercase, number and symbol and must not less than 8";
@@ -0,0 +1,129 @@
+import { canvasToFile, processImageFile } from "./imageProcessing";
+
+const MB = 1024 * 1024;
+const POSTER_MAX_DIMENSION = 1280;
+const POSTER_MAX_BYTES = 1 * MB;
+const METADATA_TIMEOUT_MS = 15000;
+
+export const MAX_VIDEO_BYTES = 50 * MB;
+export const MAX_VIDEO_DURATION_SECONDS = 60;
+export const VIDEO_MIME_TYPES = ["video/mp4", "video/webm", "video/quicktime"];
+export const POST_MEDIA_ACCEPT = ["image/*", ...VIDEO_MIME_TYPES].join(",");
+
+/** @returns {"image" | "gif" | "video" | null} */
+export function getFileMediaType(file) {
+  const type = file?.type || "";
+  if (VIDEO_MIME_TYPES.includes(type)) return "video";
+  if (type === "image/gif") return "gif";
+  if (type.startsWith("image/")) return "image";
+  return null;
+}
+
+function waitForVideoEvent(video, eventName) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(new Error("This video took too long to load."));
+    }, METADATA_TIMEOUT_MS);
+
+    function handleEvent() {
+      cleanup();
+      resolve();
+    }
+
+    function handleError() {
+      cleanup();
+      reject(new Error("This video format is not supported by your browser."));
+    }
+
+    function cleanup() {
+      clearTimeout(timeoutId);
+      video.removeEventListener(eventName, handleEvent);
+      video.removeEventListener("error", handleError);
+    }
+
+    video.addEventListener(eventName, handleEvent);
+    video.addEventListener("error", handleError);
+  });
+}
+
+async function extractPosterFrame(video, fileName) {
+  // Skip the first frames, which are often black on phone recordings.
+  video.currentTime = Math.min(1, video.duration / 2);
+  await waitForVideoEvent(video, "seeked");
+
+  const scale = Math.min(
+    1,
+    POSTER_MAX_DIMENSION / Math.max(video.videoWidth, video.videoHeight, 1)
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(video.videoWidth * scale));
+  canvas.height = Math.max(1, Math.round(video.videoHeight * scale));
+
+  const context = canvas.getContext("2d");
+  if (!context) {
+    throw new Error("Failed to read a preview frame from this video.");
+  }
+  context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  return canvasToFile(canvas, {
+    fileName: `${fileName.replace(/\.[^/.]+$/, "") || "video"}-poster`,
+    quality: 0.8,
+    maxBytes: POSTER_MAX_BYTES,
+  });
+}
+
+/**
+ * Validates a video's type, size and duration, and grabs a poster frame for
+ * previews and players.
+ * @returns {Promise<{ file: File, poster: File, duration: number }>}
+ */
+export async function processVideoFile(file) {
+  if (getFileMediaType(file) !== "video") {
+    throw new Error("Videos must be MP4, WebM or MOV files.");
+  }
+  if (file.size > MAX_VIDEO_BYTES) {
+    throw new Error(`Videos must be under ${MAX_VIDEO_BYTES / MB} MB.`);
+  }
+
+  const objectUrl = URL.createObjectURL(file);
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+
+  try {
+    const metadataLoaded = waitForVideoEvent(video, "loadeddata");
+    video.src = objectUrl;
+    await metadataLoaded;
+
+    if (!Number.isFinite(video.duration) || video.duration <= 0) {
+      throw new Error("Could not read this video's length.");
+    }
+    if (video.duration > MAX_VIDEO_DURATION_SECONDS) {
+      throw new Error(`Videos can be up to ${MAX_VIDEO_DURATION_SECONDS} seconds long.`);
+    }
+
+    const poster = await extractPosterFrame(video, file.name);
+    return { file, poster, duration: video.duration };
+  } finally {
+    video.removeAttribute("src");
+    video.load();
+    URL.revokeObjectURL(objectUrl);
+  }
+}
+
+/**
+ * Prepares any file picked in the post composer: images are compressed, GIFs
+ * and videos are validated and videos get a poster frame.
+ * @returns {Promise<{ type: "image" | "gif" | "video", file: File, poster: File | null }>}
+ */
+export async function processPostMediaFile(file) {
+  const type = getFileMediaType(file);
+
+  if (type === "video") {
+    const { poster } = await processVideoFile(file);
+    return { type, file, poster };
+  }
+  return { type: type || "image", file: await processImageFile(file, "post"), poster: null };
+}